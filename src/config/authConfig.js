@@ -5,7 +5,8 @@
 // File: authConfig.js
 // Author: Anthony Bañon
 // Created: 2025-11-03
-// Last Updated: 2025-11-03
+// Last Updated: 2026-10-19
+// Changes: Added account token lifetimes
 // ==========================================
 
 import { LIMIT } from './constants.js';
@@ -18,6 +19,13 @@ export const authConfig = {
     issuer: process.env.APP_NAME || 'clothing-store',
   },
 
+  // Single-use tokens sent by email (verify email, forgot password)
+  accountTokens: {
+    emailVerificationExpiresIn:
+      process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+    passwordResetExpiresIn: process.env.PASSWORD_RESET_EXPIRES_IN || '30m',
+  },
+
   bcrypt: {
     saltRounds: 12,
   },
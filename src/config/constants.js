@@ -9,6 +9,9 @@ export const CODE = {
   CREATED: 201, // POST successful (resource created)
   NO_CONTENT: 204, // DELETE successful, PUT/PATCH successful (no data in response)
 
+  // Redirection
+  MOVED_PERMANENTLY: 301, // Resource answered under a new URL (old slugs)
+
   // Client errors
   BAD_REQUEST: 400, // Validation failed, malformed data
   UNAUTHORIZED: 401, // Not authenticated (token missing)
@@ -24,6 +27,152 @@ export const CODE = {
   SERVICE_UNAVAILABLE: 503, // Maintenance, third-party service down
 };
 
+export const ORDER_STATUS = {
+  PENDING: 'pending', // Placed, waiting for payment
+  PAID: 'paid', // Payment received
+  SHIPPED: 'shipped', // Handed over to the carrier
+  DELIVERED: 'delivered', // Received by the customer
+  CANCELLED: 'cancelled', // Cancelled before shipping
+};
+
+// Allowed order status changes (from -> to). Statuses without entries are final.
+export const ORDER_STATUS_TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.PAID, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PAID]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED],
+  [ORDER_STATUS.DELIVERED]: [],
+  [ORDER_STATUS.CANCELLED]: [],
+};
+
+// What the order has done to product stock, so it is given back exactly once
+export const INVENTORY_STATUS = {
+  NONE: 'none', // Stock never touched by the server (manual orders)
+  RESERVED: 'reserved', // Stock held for a pending order until it expires
+  RELEASED: 'released', // Reservation given back (cancelled or expired)
+  COMMITTED: 'committed', // Stock consumed (order paid)
+  RESTORED: 'restored', // Consumed stock returned after cancellation or deletion
+};
+
+export const PAYMENT_STATUS = {
+  PENDING: 'pending', // Intent created, waiting for confirmation
+  SUCCEEDED: 'succeeded', // Charged
+  FAILED: 'failed', // Rejected by the provider
+  PARTIALLY_REFUNDED: 'partially_refunded', // Part of the amount given back
+  REFUNDED: 'refunded', // Whole amount given back
+  REQUIRES_REVIEW: 'requires_review', // Charged for an order that could not be paid and not refunded
+};
+
+export const RETURN_STATUS = {
+  REQUESTED: 'requested', // Opened by the customer, waiting for review
+  APPROVED: 'approved', // Accepted, waiting for the goods
+  RECEIVED: 'received', // Goods back in the warehouse (restocked)
+  REFUNDED: 'refunded', // Money given back
+  REJECTED: 'rejected', // Refused by an admin
+};
+
+// Allowed return status changes (from -> to). Statuses without entries are final.
+export const RETURN_STATUS_TRANSITIONS = {
+  [RETURN_STATUS.REQUESTED]: [RETURN_STATUS.APPROVED, RETURN_STATUS.REJECTED],
+  [RETURN_STATUS.APPROVED]: [RETURN_STATUS.RECEIVED, RETURN_STATUS.REJECTED],
+  [RETURN_STATUS.RECEIVED]: [RETURN_STATUS.REFUNDED],
+  [RETURN_STATUS.REFUNDED]: [],
+  [RETURN_STATUS.REJECTED]: [],
+};
+
+export const RETURN_REASON = {
+  WRONG_SIZE: 'wrong_size', // Does not fit
+  DAMAGED: 'damaged', // Arrived damaged or defective
+  NOT_AS_DESCRIBED: 'not_as_described', // Different from the listing
+  WRONG_ITEM: 'wrong_item', // Another product was sent
+  CHANGED_MIND: 'changed_mind', // No longer wanted
+  OTHER: 'other', // Explained in the note
+};
+
+export const REVIEW_STATUS = {
+  PENDING: 'pending', // Waiting for moderation (hidden from the catalog)
+  APPROVED: 'approved', // Published and counted in the product rating
+  REJECTED: 'rejected', // Refused by an admin
+};
+
+// Product reviews
+export const REVIEW = {
+  MIN_RATING: 1, // Lowest star rating
+  MAX_RATING: 5, // Highest star rating
+  MAX_PHOTOS: 5, // Photos per review
+  MAX_TITLE_LENGTH: 120, // Characters of the title
+  MAX_BODY_LENGTH: 2000, // Characters of the body
+};
+
+export const DISCOUNT_TYPE = {
+  PERCENTAGE: 'percentage', // Percentage of the eligible amount
+  FIXED: 'fixed', // Fixed amount off the eligible amount
+};
+
+// What a promotion applies to
+export const PROMOTION_SCOPE = {
+  ORDER: 'order', // Whole order subtotal
+  CATEGORY: 'category', // Lines of products in the listed categories
+  PRODUCT: 'product', // Lines of the listed products
+};
+
+// How a shipping method prices an order
+export const SHIPPING_RATE_TYPE = {
+  FLAT: 'flat', // Same cost for every order
+  WEIGHT: 'weight', // Base cost plus a rate per kilogram
+};
+
+// Address book entries used as order defaults
+export const ADDRESS_TYPE = {
+  SHIPPING: 'shipping', // Where orders are delivered
+  BILLING: 'billing', // Where invoices are addressed
+};
+
+// Category tree (Men > Tops > T-Shirts)
+export const CATEGORY = {
+  MAX_DEPTH: 5, // Maximum levels below a root category
+  PATH_SEPARATOR: '/', // Joins the slugs of the ancestors in the path
+};
+
+// Product image galleries
+export const PRODUCT_GALLERY = {
+  MAX_IMAGES: 20, // Pictures per product
+  MAX_UPLOAD: 10, // Pictures per upload request
+  MAX_ALT_LENGTH: 150, // Characters of the alternative text
+};
+
+// Uploaded images (checked on the decoded picture, not the client MIME type)
+export const IMAGE_UPLOAD = {
+  FORMATS: ['jpeg', 'png', 'webp', 'avif'], // Accepted formats (magic bytes)
+  MIN_DIMENSION: 100, // Minimum width and height in pixels
+  MAX_DIMENSION: 10000, // Maximum width and height in pixels
+  MAX_PIXELS: 40000000, // Decompression bomb guard (40 megapixels)
+};
+
+// Purposes of the single-use tokens sent by email
+export const ACCOUNT_TOKEN = {
+  EMAIL_VERIFICATION: 'email_verification', // Confirms the person email
+  PASSWORD_RESET: 'password_reset', // Sets a new password (forgot password)
+};
+
+// Limits of the filter[field][operator]=value list query language
+export const LIST_QUERY = {
+  MAX_IN_VALUES: 50, // Maximum values of an 'in' filter
+  MAX_REGEX_LENGTH: 100, // Maximum characters of a 'regex' filter
+};
+
+export const SEARCH = {
+  PRICE_BUCKETS: [0, 25, 50, 100, 200], // Lower bounds of the price facet ranges
+  MAX_QUERY_LENGTH: 100, // Maximum characters of a search query
+};
+
+// Orders accepted by the product search
+export const SEARCH_SORT = {
+  RELEVANCE: 'relevance', // Text score (default when searching by text)
+  NEWEST: 'newest', // Creation date, newest first (default without text)
+  PRICE_ASC: 'price_asc', // Current price, cheapest first
+  PRICE_DESC: 'price_desc', // Current price, most expensive first
+};
+
 export const PAGINATION = {
   DEFAULT_LIMIT: 3, // Default items per page
   MAX_LIMIT: 100, // Maximum items per page
@@ -35,4 +184,6 @@ export const PAGINATION = {
 export const LIMIT = {
   PROFILE_IMAGE: 5 * 1024 * 1024, // 5 MB
   ACCOUNT_DELETION: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
+  GUEST_CART: 30 * 24 * 60 * 60 * 1000, // 30 days in milliseconds
+  CART_ITEM_QUANTITY: 999, // Maximum quantity per cart line
 };
@@ -24,7 +24,12 @@ const developmentConfig = {
   origin: true, // Allow all in development
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    'X-Requested-With',
+    'X-Cart-Token',
+  ],
   optionsSuccessStatus: CODE.NO_CONTENT,
 };
 
@@ -45,7 +50,12 @@ const productionConfig = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: [
+    'Content-Type',
+    'Authorization',
+    'X-Requested-With',
+    'X-Cart-Token',
+  ],
   optionsSuccessStatus: CODE.NO_CONTENT,
 };
 
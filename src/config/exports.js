@@ -5,7 +5,8 @@
 // File: exports.js
 // Author: Anthony Bañon
 // Created: 2025-10-28
-// Last Updated: 2025-10-28
+// Last Updated: 2026-10-19
+// Changes: Exported payment config validation
 // ==========================================
 
 // Cors configuration
@@ -16,7 +17,38 @@ export { dbConfig, connectDatabase } from './database.js';
 export { authConfig } from './authConfig.js';
 // Server configuration
 export { getServerConfig } from './serverConfig.js';
+// Pricing configuration (taxes and shipping)
+export { getPricingConfig } from './pricingConfig.js';
+// Inventory configuration (stock reservations)
+export { getInventoryConfig } from './inventoryConfig.js';
+// Payment configuration (provider and webhooks)
+export { getPaymentConfig, validatePaymentConfig } from './paymentConfig.js';
+// Storage configuration (uploaded files driver)
+export { getStorageConfig } from './storageConfig.js';
+// Image configuration (rendition profiles and formats)
+export { getImageConfig, IMAGE_FORMATS } from './imageConfig.js';
+// Mail configuration (driver and message links)
+export { getMailConfig } from './mailConfig.js';
 // Environment variable validation and configuration
 export { validateEnvironment } from './environment.js';
 // Export constants
-export { ROLE, CODE, PAGINATION, LIMIT } from './constants.js';
+export {
+  ROLE,
+  CODE,
+  ORDER_STATUS,
+  ORDER_STATUS_TRANSITIONS,
+  INVENTORY_STATUS,
+  PAYMENT_STATUS,
+  RETURN_STATUS,
+  RETURN_STATUS_TRANSITIONS,
+  RETURN_REASON,
+  DISCOUNT_TYPE,
+  PROMOTION_SCOPE,
+  SHIPPING_RATE_TYPE,
+  ADDRESS_TYPE,
+  ACCOUNT_TOKEN,
+  SEARCH,
+  SEARCH_SORT,
+  PAGINATION,
+  LIMIT,
+} from './constants.js';
@@ -0,0 +1,83 @@
+// ==========================================
+//
+// Description: Rendition profiles of uploaded images
+//
+// File: imageConfig.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+// Encoders available for renditions, from most to least efficient
+export const IMAGE_FORMATS = {
+  avif: { extension: 'avif', contentType: 'image/avif', quality: 50 },
+  webp: { extension: 'webp', contentType: 'image/webp', quality: 80 },
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', quality: 82 },
+};
+
+// Rendition profile of each upload folder
+// - aspectRatio: width / height of the frame (null keeps the picture ratio)
+// - fit: sharp resize fit ('cover' crops to the frame, 'inside' never crops)
+// - renditions: sizes from largest to smallest; desktop, mobile and thumbnail
+//   are always present because existing clients read them by name. A rendition
+//   with its own frame is left out of the srcset (srcset: false).
+// Changing a profile changes its version, and the images it stored can then be
+// regenerated from their originals.
+const IMAGE_PROFILES = {
+  products: {
+    aspectRatio: 1,
+    fit: 'cover',
+    renditions: [
+      { name: 'large', width: 800 },
+      { name: 'desktop', width: 280 },
+      { name: 'mobile', width: 173 },
+      { name: 'thumbnail', width: 40 },
+    ],
+  },
+  categories: {
+    aspectRatio: 1,
+    fit: 'cover',
+    renditions: [
+      { name: 'desktop', width: 280 },
+      { name: 'mobile', width: 173 },
+      { name: 'thumbnail', width: 40 },
+    ],
+  },
+  persons: {
+    aspectRatio: 1,
+    fit: 'cover',
+    renditions: [
+      { name: 'desktop', width: 280 },
+      { name: 'mobile', width: 173 },
+      { name: 'thumbnail', width: 40 },
+    ],
+  },
+  reviews: {
+    // Customer photos are never cropped, only their thumbnail is
+    aspectRatio: null,
+    fit: 'inside',
+    renditions: [
+      { name: 'large', width: 1200 },
+      { name: 'desktop', width: 280 },
+      { name: 'mobile', width: 173 },
+      {
+        name: 'thumbnail',
+        width: 40,
+        aspectRatio: 1,
+        fit: 'cover',
+        srcset: false,
+      },
+    ],
+  },
+};
+
+export const getImageConfig = () => ({
+  // Formats every rendition is encoded to (IMAGE_FORMATS=avif,webp); the last
+  // one is the fallback that desktop, mobile and thumbnail point at
+  formats: (process.env.IMAGE_FORMATS || 'avif,webp')
+    .split(',')
+    .map((format) => format.trim().toLowerCase())
+    .filter((format) => IMAGE_FORMATS[format]),
+
+  profiles: IMAGE_PROFILES,
+});
@@ -0,0 +1,18 @@
+// ==========================================
+//
+// Description: Stock reservation settings
+//
+// File: inventoryConfig.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+export const getInventoryConfig = () => ({
+  // Minutes a pending order holds its stock before it is cancelled
+  reservationMinutes: Number(process.env.RESERVATION_TTL_MINUTES) || 15,
+
+  // Seconds between two runs of the expired reservation sweeper
+  sweepIntervalSeconds:
+    Number(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS) || 60,
+});
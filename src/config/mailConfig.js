@@ -0,0 +1,47 @@
+// ==========================================
+//
+// Description: Outgoing mail settings
+//
+// File: mailConfig.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+export const getMailConfig = () => {
+  const frontendUrl = (
+    process.env.FRONTEND_URL || 'http://localhost:3000'
+  ).replace(/\/+$/, '');
+
+  return {
+    // Name of the registered mail driver (console, file, smtp, memory)
+    driver: process.env.MAIL_DRIVER || 'console',
+
+    // Sender of every message
+    from: process.env.MAIL_FROM || 'Clothing Store <no-reply@localhost>',
+
+    // Frontend pages opened from the messages (the token goes in ?token=)
+    links: {
+      verifyEmail:
+        process.env.MAIL_VERIFY_EMAIL_URL || `${frontendUrl}/verify-email`,
+      resetPassword:
+        process.env.MAIL_RESET_PASSWORD_URL || `${frontendUrl}/reset-password`,
+    },
+
+    // File driver (.eml files, for working offline)
+    file: {
+      directory: process.env.MAIL_FILE_DIR || 'mail',
+    },
+
+    // SMTP driver
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || 587,
+      // TLS from the start (port 465); otherwise STARTTLS when offered
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || null,
+      pass: process.env.SMTP_PASS || null,
+      timeoutMs: Number(process.env.SMTP_TIMEOUT_MS) || 10000,
+    },
+  };
+};
@@ -0,0 +1,61 @@
+// ==========================================
+//
+// Description: Payment provider settings
+//
+// File: paymentConfig.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Required payment settings and refused the fake provider in production
+// ==========================================
+
+import { PaymentError } from '../errors/businessError.js';
+
+// Providers that never charge anyone (refused in production)
+const TEST_PROVIDERS = ['fake'];
+
+export const getPaymentConfig = () => ({
+  // Name of the registered provider adapter (no default: it must be chosen)
+  provider: process.env.PAYMENT_PROVIDER || null,
+
+  // ISO currency code used for every payment
+  currency: (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase(),
+
+  // Secret shared with the provider to sign webhooks (no default either)
+  webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || null,
+
+  // Test providers are refused when this is 'production'
+  environment: process.env.NODE_ENV || 'development',
+});
+
+/**
+ * Check the payment settings (run at startup and before creating the provider)
+ * A missing secret would let anyone sign webhooks, and a test provider in
+ * production would accept fake cards, so both stop the server.
+ *
+ * param {Object} [config] - Payment config (defaults to the environment)
+ * throws {PaymentError} If a setting is missing or the provider is not allowed
+ */
+export const validatePaymentConfig = (config = getPaymentConfig()) => {
+  const missing = [
+    !config.provider && 'PAYMENT_PROVIDER',
+    !config.webhookSecret && 'PAYMENT_WEBHOOK_SECRET',
+  ].filter(Boolean);
+
+  if (missing.length > 0) {
+    throw new PaymentError(
+      `Missing payment settings: ${missing.join(', ')}`,
+      'PROVIDER_NOT_CONFIGURED'
+    );
+  }
+
+  if (
+    config.environment === 'production' &&
+    TEST_PROVIDERS.includes(config.provider)
+  ) {
+    throw new PaymentError(
+      `The '${config.provider}' payment provider cannot be used in production`,
+      'PROVIDER_NOT_ALLOWED'
+    );
+  }
+};
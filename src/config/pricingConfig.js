@@ -0,0 +1,19 @@
+// ==========================================
+//
+// Description: Pricing settings used to compute order totals
+//
+// File: pricingConfig.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+export const getPricingConfig = () => ({
+  // Tax rate applied to the discounted subtotal (0.21 = 21%)
+  taxRate: Number(process.env.TAX_RATE) || 0,
+
+  shipping: {
+    flatRate: Number(process.env.SHIPPING_FLAT_RATE) || 0, // Charged per order
+    freeThreshold: Number(process.env.FREE_SHIPPING_THRESHOLD) || 0, // 0 disables free shipping
+  },
+});
@@ -0,0 +1,49 @@
+// ==========================================
+//
+// Description: Uploaded file storage settings
+//
+// File: storageConfig.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+export const getStorageConfig = () => ({
+  // Name of the registered storage driver (local, s3, memory)
+  driver: process.env.STORAGE_DRIVER || 'local',
+
+  // Public base URL (CDN) placed before object keys; null uses the driver URL
+  publicBaseUrl: process.env.STORAGE_PUBLIC_URL
+    ? process.env.STORAGE_PUBLIC_URL.replace(/\/+$/, '')
+    : null,
+
+  // Local disk driver
+  local: {
+    // Directory files are written to (served under /uploads)
+    directory: process.env.STORAGE_LOCAL_DIR || 'uploads',
+  },
+
+  // S3-compatible driver (AWS S3, MinIO, R2...)
+  s3: {
+    endpoint: (process.env.S3_ENDPOINT || 'https://s3.amazonaws.com').replace(
+      /\/+$/,
+      ''
+    ),
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET || null,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || null,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || null,
+    // Bucket in the path (MinIO) instead of the host name
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+  },
+
+  // Orphaned upload collector
+  collector: {
+    // Hours between two background runs (0 leaves it to npm run uploads:gc)
+    intervalHours: Number(process.env.UPLOAD_GC_INTERVAL_HOURS) || 0,
+    // Younger files are never orphans (their document may not be saved yet)
+    minAgeMinutes: Number(process.env.UPLOAD_GC_MIN_AGE_MINUTES) || 60,
+    // Background runs delete orphans instead of only reporting them
+    delete: process.env.UPLOAD_GC_DELETE === 'true',
+  },
+});
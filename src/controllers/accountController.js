@@ -5,7 +5,8 @@
 // File: accountController.js
 // Author: Anthony Bañon
 // Created: 2025-11-04
-// Last Updated: 2025-11-04
+// Last Updated: 2026-10-19
+// Changes: Added cursor pagination to list endpoints
 // ==========================================
 
 import accountService from '../services/accountService.js';
@@ -45,17 +46,20 @@ export const getOneAccount = async (req, res, next) => {
  */
 export const getAllAccounts = async (req, res, next) => {
   try {
-    const accounts = await accountService.getAll();
+    const { items, pagination } = await accountService.getAll(req.query);
 
     res.status(CODE.SUCCESS).json({
       message: 'Accounts retrieved successfully',
-      data: accounts.map((account) => ({
-        id: account._id,
-        username: account.username,
-        role: account.role,
-        is_active: account.is_active,
-        person: account.person,
-      })),
+      data: {
+        items: items.map((account) => ({
+          id: account._id,
+          username: account.username,
+          role: account.role,
+          is_active: account.is_active,
+          person: account.person,
+        })),
+        pagination,
+      },
     });
   } catch (error) {
     next(error);
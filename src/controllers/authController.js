@@ -5,7 +5,8 @@
 // File: authController.js
 // Author: Anthony Bañon
 // Created: 2025-11-04
-// Last Updated: 2025-11-04
+// Last Updated: 2026-10-19
+// Changes: Added email verification and password reset
 // ==========================================
 
 import AuthService from '../services/authService.js';
@@ -14,10 +15,12 @@ import { CODE } from '../config/constants.js';
 export const login = async (req, res, next) => {
   try {
     const { username, password } = req.body;
+    const cartToken = req.body.cartToken || req.get('X-Cart-Token');
 
     const { accessToken, refreshToken, account } = await AuthService.login(
       username,
-      password
+      password,
+      cartToken
     );
 
     res.status(CODE.SUCCESS).json({
@@ -31,6 +34,7 @@ export const login = async (req, res, next) => {
           username: account.username,
           role: account.role,
           is_active: account.is_active,
+          email_verified: Boolean(account.email_verified_at),
           person: account.person,
         },
       },
@@ -106,6 +110,8 @@ export const getProfile = async (req, res, next) => {
         username: account.username,
         role: account.role,
         is_active: account.is_active,
+        email_verified: Boolean(account.email_verified_at),
+        email_verified_at: account.email_verified_at,
         person: {
           id: account.person._id,
           name: account.person.name,
@@ -170,3 +176,99 @@ export const logout = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Email a new verification link to the authenticated user
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const sendEmailVerification = async (req, res, next) => {
+  try {
+    const { id } = req.user; // From authenticated user
+
+    await AuthService.sendEmailVerification(id);
+
+    res.status(CODE.SUCCESS).json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify the account email with the emailed token
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const account = await AuthService.verifyEmail(token);
+
+    res.status(CODE.SUCCESS).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        id: account._id,
+        username: account.username,
+        email: account.person.email,
+        email_verified_at: account.email_verified_at,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Email a password reset link (same answer whether the email has an account)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    await AuthService.requestPasswordReset(email);
+
+    res.status(CODE.SUCCESS).json({
+      success: true,
+      message:
+        'If the email belongs to an account, a password reset link has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a new password with the emailed token
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const account = await AuthService.resetPassword(token, password);
+
+    res.status(CODE.SUCCESS).json({
+      success: true,
+      message: 'Password reset successfully',
+      data: {
+        id: account._id,
+        username: account.username,
+        message: 'Password reset successful - sessions closed',
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
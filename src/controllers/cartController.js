@@ -0,0 +1,139 @@
+// ==========================================
+//
+// Description: Cart controller handling HTTP requests
+//
+// File: cartController.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Added product variants
+// ==========================================
+
+import cartService from '../services/cartService.js';
+import { CODE } from '../config/constants.js';
+
+/**
+ * Resolve the cart owner from the authenticated user or the guest cart header
+ * param {Object} req - Express request object
+ * returns {Object} Cart owner
+ */
+const getCartOwner = (req) => ({
+  accountId: req.user?.id,
+  guestToken: req.get('X-Cart-Token'),
+});
+
+/**
+ * Get the current cart
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const getCart = async (req, res, next) => {
+  try {
+    const cart = await cartService.getCart(getCartOwner(req));
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Cart retrieved successfully',
+      data: cart,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a product to the cart
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const addCartItem = async (req, res, next) => {
+  try {
+    const { product, quantity, variant } = req.body;
+
+    const cart = await cartService.addItem(
+      getCartOwner(req),
+      product,
+      quantity,
+      variant
+    );
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Product added to cart successfully',
+      data: cart,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the quantity of a cart line
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const updateCartItem = async (req, res, next) => {
+  try {
+    const { productId } = req.params;
+    const { quantity } = req.body;
+
+    const cart = await cartService.updateItemQuantity(
+      getCartOwner(req),
+      productId,
+      quantity,
+      req.query.variant
+    );
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Cart item updated successfully',
+      data: cart,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a product from the cart
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const removeCartItem = async (req, res, next) => {
+  try {
+    const { productId } = req.params;
+
+    const cart = await cartService.removeItem(
+      getCartOwner(req),
+      productId,
+      req.query.variant
+    );
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Product removed from cart successfully',
+      data: cart,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove every product from the cart
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const clearCart = async (req, res, next) => {
+  try {
+    const cart = await cartService.clear(getCartOwner(req));
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Cart cleared successfully',
+      data: cart,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -5,8 +5,8 @@
 // File: categoryController.js
 // Author: Anthony Bañon
 // Created: 2025-10-21
-// Last Updated: 2025-10-30
-// Changes: Added error handling to all controllers
+// Last Updated: 2026-10-19
+// Changes: Added slugs with redirect history
 // ==========================================
 
 import categoryService from '../services/categoryService.js';
@@ -25,10 +25,12 @@ export const getOneCategory = async (req, res, next) => {
     const { id } = req.params;
     // Fetch category from service
     const category = await categoryService.getOne(id);
+    // Trail from the root category for the storefront breadcrumb
+    const breadcrumbs = await categoryService.getBreadcrumbs(category);
     // Successful response
     res.status(CODE.SUCCESS).json({
       message: `Category retrieved successfully`,
-      data: category,
+      data: { ...category.toObject(), breadcrumbs },
     });
   } catch (error) {
     // Pass error to global error handler
@@ -36,6 +38,45 @@ export const getOneCategory = async (req, res, next) => {
   }
 };
 
+/*
+ * Get one category by slug
+ * An old slug answers with a 301 payload pointing at the current one.
+ *
+ * @param {string} slug - Current or previous category slug
+ * @returns {Promise<Object>} Category document, or the current slug if it moved
+ * @throws {Error} If an error occurs during retrieval
+ */
+export const getCategoryBySlug = async (req, res, next) => {
+  try {
+    const { slug } = req.params;
+    const { category, moved } = await categoryService.getBySlug(slug);
+
+    if (moved) {
+      const location = `/api/categories/slug/${category.slug}`;
+      return res
+        .status(CODE.MOVED_PERMANENTLY)
+        .location(location)
+        .json({
+          message: 'Category moved permanently',
+          data: {
+            moved: true,
+            id: category._id,
+            slug: category.slug,
+            location,
+          },
+        });
+    }
+
+    const breadcrumbs = await categoryService.getBreadcrumbs(category);
+    res.status(CODE.SUCCESS).json({
+      message: 'Category retrieved successfully',
+      data: { ...category.toObject(), breadcrumbs },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /*
  * Get all categories
  *
@@ -60,6 +101,28 @@ export const getAllCategories = async (req, res, next) => {
   }
 };
 
+/*
+ * Get active categories as a nested tree
+ *
+ * @param {string} [root] - Query param, only return the subtree of this category
+ * @returns {Promise<Array>} Root categories with nested children
+ * @throws {Error} If an error occurs during retrieval
+ */
+export const getCategoryTree = async (req, res, next) => {
+  try {
+    const { root } = req.query;
+
+    const tree = await categoryService.getTree({ root });
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Category tree retrieved successfully',
+      data: tree,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /*
  * Create one category
  *
@@ -153,6 +216,7 @@ export const updatePartialCategory = async (req, res, next) => {
  *
  * @param {String} id - Category ID
  * @param {boolean} is_active - Status
+ * @param {boolean} [cascade] - Also deactivate subcategories and their products
  * @returns {Promise<Object>} Updated category document
  * @throws {Error} If an error occurs during status update
  */
@@ -161,9 +225,11 @@ export const updateCategoryStatus = async (req, res, next) => {
   try {
     // Get category ID from params
     const { id } = req.params;
-    const { is_active } = req.body;
-    // Update category status
-    const updatedCategory = await categoryService.updateStatus(id, is_active);
+    const { is_active, cascade } = req.body;
+    // Update category status (cascade also deactivates the subtree and its products)
+    const updatedCategory = await categoryService.updateStatus(id, is_active, {
+      cascade,
+    });
     // Successful response
     res.status(CODE.SUCCESS).json({
       message: `Category ${
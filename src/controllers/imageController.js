@@ -0,0 +1,53 @@
+// ==========================================
+//
+// Description: Image profile controllers handling HTTP requests
+//
+// File: imageController.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import imageService from '../services/imageService.js';
+import { CODE } from '../config/constants.js';
+
+/**
+ * Get the rendition profiles (admin)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const getImageProfiles = async (req, res, next) => {
+  try {
+    const profiles = imageService.getProfiles();
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Image profiles retrieved successfully',
+      data: profiles,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Regenerate the renditions of a profile from the originals (admin)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const regenerateImages = async (req, res, next) => {
+  try {
+    const { profile } = req.params;
+    const { force } = req.body ?? {};
+
+    const summary = await imageService.regenerate(profile, { force });
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Images regenerated successfully',
+      data: summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -40,29 +40,12 @@ export const getOneOrder = async (req, res, next) => {
 export const getAllOrders = async (req, res, next) => {
   try {
     const accountId = req.user?.role === 'admin' ? null : req.user?.id;
-    const { status, dateFrom, dateTo, page, limit } = req.query;
-
-    const options = {
-      ...(status && { status }),
-      ...(dateFrom && { dateFrom: new Date(dateFrom) }),
-      ...(dateTo && { dateTo: new Date(dateTo) }),
-      ...(page && limit && { page: parseInt(page), limit: parseInt(limit) }),
-    };
-
-    const orders = await OrderService.getAll(accountId, options);
+    // filter[...] and sort are checked against the order whitelist
+    const orders = await OrderService.getAll(accountId, req.query);
 
     res.status(CODE.SUCCESS).json({
       success: true,
       data: orders,
-      count: orders.length,
-      ...(options.page &&
-        options.limit && {
-          pagination: {
-            page: options.page,
-            limit: options.limit,
-            total: orders.length,
-          },
-        }),
     });
   } catch (error) {
     next(error);
@@ -75,18 +58,11 @@ export const getAllOrders = async (req, res, next) => {
 export const getMyOrders = async (req, res, next) => {
   try {
     const accountId = req.user.id;
-    const { page, limit } = req.query;
-
-    const options = {
-      ...(page && limit && { page: parseInt(page), limit: parseInt(limit) }),
-    };
-
-    const orders = await OrderService.getByAccount(accountId, options);
+    const orders = await OrderService.getByAccount(accountId, req.query);
 
     res.status(CODE.SUCCESS).json({
       success: true,
       data: orders,
-      count: orders.length,
     });
   } catch (error) {
     next(error);
@@ -104,7 +80,7 @@ export const createOneOrder = async (req, res, next) => {
       account: req.user.role !== 'admin' ? req.user.id : req.body.account,
     };
 
-    const order = await OrderService.create(orderData);
+    const order = await OrderService.create(orderData, req.user.id);
 
     res.status(CODE.CREATED).json({
       success: true,
@@ -116,6 +92,31 @@ export const createOneOrder = async (req, res, next) => {
   }
 };
 
+/**
+ * Checkout a cart into an order in a single transaction
+ */
+export const checkoutOrder = async (req, res, next) => {
+  try {
+    const { items, shipping_address, shipping_method, coupon } = req.body;
+
+    const { order, details } = await OrderService.checkout(req.user.id, items, {
+      // req.user is the account, its person is populated
+      personId: req.user.person?._id,
+      address: shipping_address,
+      method: shipping_method,
+      coupon,
+    });
+
+    res.status(CODE.CREATED).json({
+      success: true,
+      data: { order, details },
+      message: 'Order placed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Update an order completely
  */
@@ -164,13 +165,17 @@ export const updatePartialOrder = async (req, res, next) => {
 export const updateOrderStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
-    const order = await OrderService.updateStatus(id, status);
+    const order = await OrderService.updateStatus(id, status, {
+      actor: req.user.id,
+      reason,
+    });
 
     res.status(CODE.SUCCESS).json({
       success: true,
       data: order,
+      history: order.status_history,
       message: `Order status updated to ${status}`,
     });
   } catch (error) {
@@ -178,6 +183,30 @@ export const updateOrderStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * Record the carrier and tracking number of an order (admin)
+ */
+export const updateOrderShipment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { carrier, tracking_number, tracking_url } = req.body;
+
+    const order = await OrderService.updateShipment(id, {
+      carrier,
+      tracking_number,
+      tracking_url,
+    });
+
+    res.status(CODE.SUCCESS).json({
+      success: true,
+      data: order,
+      message: 'Shipment updated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Delete an order
  */
@@ -5,6 +5,7 @@
 
 import OrderDetailService from '../services/orderDetailService.js';
 import { CODE } from '../config/constants.js';
+import { getPaginationParams } from '../utils/pagination.js';
 
 /**
  * Get one order detail by ID
@@ -29,31 +30,21 @@ export const getOneOrderDetail = async (req, res, next) => {
  */
 export const getAllOrderDetails = async (req, res, next) => {
   try {
-    const { orderId, productId, minQuantity, maxQuantity, page, limit } =
-      req.query;
+    const { orderId, productId, minQuantity, maxQuantity } = req.query;
 
     const filters = {
       ...(orderId && { orderId }),
       ...(productId && { productId }),
       ...(minQuantity && { minQuantity: parseInt(minQuantity) }),
       ...(maxQuantity && { maxQuantity: parseInt(maxQuantity) }),
-      ...(page && limit && { page: parseInt(page), limit: parseInt(limit) }),
+      ...getPaginationParams(req.query),
     };
 
     const orderDetails = await OrderDetailService.getAll(filters);
 
-    res.status(CODE.OK).json({
+    res.status(CODE.SUCCESS).json({
       success: true,
       data: orderDetails,
-      count: orderDetails.length,
-      ...(filters.page &&
-        filters.limit && {
-          pagination: {
-            page: filters.page,
-            limit: filters.limit,
-            total: orderDetails.length,
-          },
-        }),
     });
   } catch (error) {
     next(error);
@@ -66,30 +57,17 @@ export const getAllOrderDetails = async (req, res, next) => {
 export const getOrderDetailsByOrder = async (req, res, next) => {
   try {
     const { orderId } = req.params;
-    const { page, limit } = req.query;
-
-    const options = {
-      ...(page && limit && { page: parseInt(page), limit: parseInt(limit) }),
-    };
+    const options = getPaginationParams(req.query);
 
     const orderDetails = await OrderDetailService.getByOrder(orderId, options);
 
-    // Calculate order totals
-    const totals = OrderDetailService.calculateOrderTotals(orderDetails);
+    // Totals of the lines on this page
+    const totals = OrderDetailService.calculateOrderTotals(orderDetails.items);
 
-    res.status(CODE.OK).json({
+    res.status(CODE.SUCCESS).json({
       success: true,
       data: orderDetails,
-      count: orderDetails.length,
       totals,
-      ...(options.page &&
-        options.limit && {
-          pagination: {
-            page: options.page,
-            limit: options.limit,
-            total: orderDetails.length,
-          },
-        }),
     });
   } catch (error) {
     next(error);
@@ -102,29 +80,16 @@ export const getOrderDetailsByOrder = async (req, res, next) => {
 export const getOrderDetailsByProduct = async (req, res, next) => {
   try {
     const { productId } = req.params;
-    const { page, limit } = req.query;
-
-    const options = {
-      ...(page && limit && { page: parseInt(page), limit: parseInt(limit) }),
-    };
+    const options = getPaginationParams(req.query);
 
     const orderDetails = await OrderDetailService.getByProduct(
       productId,
       options
     );
 
-    res.status(CODE.OK).json({
+    res.status(CODE.SUCCESS).json({
       success: true,
       data: orderDetails,
-      count: orderDetails.length,
-      ...(options.page &&
-        options.limit && {
-          pagination: {
-            page: options.page,
-            limit: options.limit,
-            total: orderDetails.length,
-          },
-        }),
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,148 @@
+// ==========================================
+//
+// Description: Payment controllers handling HTTP requests
+//
+// File: paymentController.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import paymentService from '../services/paymentService.js';
+import { CODE } from '../config/constants.js';
+
+/**
+ * Create a payment intent for an order
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const createPaymentIntent = async (req, res, next) => {
+  try {
+    const accountId = req.user?.role === 'admin' ? null : req.user?.id;
+    const { order } = req.body;
+
+    const payment = await paymentService.createIntent(order, accountId);
+
+    res.status(CODE.CREATED).json({
+      message: 'Payment intent created successfully',
+      data: payment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm a payment with a payment method
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const confirmPayment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { payment_method } = req.body;
+
+    const payment = await paymentService.confirm(
+      id,
+      payment_method,
+      req.user.id
+    );
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Payment confirmed successfully',
+      data: payment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refund a payment (admin)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const refundPayment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+
+    const payment = await paymentService.refund(id, amount, { reason });
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Payment refunded successfully',
+      data: payment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one payment
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const getOnePayment = async (req, res, next) => {
+  try {
+    const accountId = req.user?.role === 'admin' ? null : req.user?.id;
+    const { id } = req.params;
+
+    const payment = await paymentService.getOne(id, accountId);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Payment retrieved successfully',
+      data: payment,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the payments of an order
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const getOrderPayments = async (req, res, next) => {
+  try {
+    const accountId = req.user?.role === 'admin' ? null : req.user?.id;
+    const { orderId } = req.params;
+
+    const payments = await paymentService.getByOrder(orderId, accountId);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Payments retrieved successfully',
+      data: payments,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive a provider webhook (authenticated by its signature)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const handlePaymentWebhook = async (req, res, next) => {
+  try {
+    // The signature covers the exact bytes sent by the provider
+    const rawBody = req.rawBody ?? Buffer.from(JSON.stringify(req.body));
+
+    const result = await paymentService.handleWebhook(rawBody, req.headers);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Webhook received',
+      data: { type: result.type, payment: result.payment._id },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
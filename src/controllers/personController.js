@@ -5,7 +5,8 @@
 // File: personController.js
 // Author: Anthony Bañon
 // Created: 2025-11-03
-// Last Updated: 2025-11-03
+// Last Updated: 2026-10-19
+// Changes: Added address book routes
 // ==========================================
 
 import personService from '../services/personService.js';
@@ -155,3 +156,58 @@ export const deleteOnePerson = async (req, res, next) => {
     next(error);
   }
 };
+
+export const getPersonAddresses = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    // Fetch the address book
+    const addresses = await personService.getAddresses(id);
+    res.status(CODE.SUCCESS).json({
+      message: 'Addresses retrieved successfully',
+      data: addresses,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const addPersonAddress = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    // Add the address (the first one becomes the default)
+    const address = await personService.addAddress(id, req.body);
+    res.status(CODE.CREATED).json({
+      message: 'Address added successfully',
+      data: address,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updatePersonAddress = async (req, res, next) => {
+  try {
+    const { id, addressId } = req.params;
+    // Update the address and its default flags
+    const address = await personService.updateAddress(id, addressId, req.body);
+    res.status(CODE.SUCCESS).json({
+      message: 'Address updated successfully',
+      data: address,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deletePersonAddress = async (req, res, next) => {
+  try {
+    const { id, addressId } = req.params;
+    // Delete the address (defaults move to the oldest remaining one)
+    await personService.deleteAddress(id, addressId);
+    res.status(CODE.SUCCESS).json({
+      message: 'Address deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
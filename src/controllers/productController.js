@@ -5,10 +5,11 @@
 // File: productController.js
 // Author: Anthony Bañon
 // Created: 2025-10-21
-// Last Updated: 2025-10-30
-// Changes: Added error handling to all controllers
+// Last Updated: 2026-10-19
+// Changes: Search answers with the shared list envelope
 // ==========================================
 
+import { matchedData } from 'express-validator';
 import productService from '../services/productService.js';
 import { CODE } from '../config/constants.js';
 
@@ -26,10 +27,13 @@ export const getOneProduct = async (req, res, next) => {
     const { id } = req.params;
     // Fetch product from service
     const product = await productService.getOne(id);
-    // Successful response
+    // Successful response with the size/color matrix and its availability
     res.status(CODE.SUCCESS).json({
       message: 'Product retrieved successfully',
-      data: product,
+      data: {
+        ...product.toJSON(),
+        variant_matrix: productService.buildVariantMatrix(product),
+      },
     });
   } catch (error) {
     // Pass error to global error handler
@@ -37,6 +41,42 @@ export const getOneProduct = async (req, res, next) => {
   }
 };
 
+/*
+ * Get one product by slug
+ * An old slug answers with a 301 payload pointing at the current one.
+ *
+ * @param {string} slug - Current or previous product slug
+ * @returns {Promise<Object>} Product document, or the current slug if it moved
+ * @throws {Error} If an error occurs during retrieval
+ */
+export const getProductBySlug = async (req, res, next) => {
+  try {
+    const { slug } = req.params;
+    const { product, moved } = await productService.getBySlug(slug);
+
+    if (moved) {
+      const location = `/api/products/slug/${product.slug}`;
+      return res
+        .status(CODE.MOVED_PERMANENTLY)
+        .location(location)
+        .json({
+          message: 'Product moved permanently',
+          data: { moved: true, id: product._id, slug: product.slug, location },
+        });
+    }
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Product retrieved successfully',
+      data: {
+        ...product.toJSON(),
+        variant_matrix: productService.buildVariantMatrix(product),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /*
  * Get all products
  *
@@ -61,10 +101,39 @@ export const getAllProducts = async (req, res, next) => {
   }
 };
 
+/*
+ * Search products by text with facet counts
+ *
+ * @returns {Promise<Object>} { items, pagination } with the facets for the storefront sidebar
+ * @throws {Error} If an error occurs during the search
+ */
+
+export const searchProducts = async (req, res, next) => {
+  try {
+    // Express 5 parses req.query on every read, so take the sanitized values
+    const { in_stock, ...params } = matchedData(req, {
+      locations: ['query'],
+    });
+
+    const results = await productService.search({
+      ...params,
+      inStock: in_stock,
+    });
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Products retrieved successfully',
+      data: results,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /*
  * Get products by category ID
  *
  * @param {string} categoryId - Category ID
+ * @param {boolean} [includeDescendants] - Query param, also products of subcategories
  * @returns {Promise<Array>} List of products
  * @throws {Error} If an error occurs during retrieval
  */
@@ -72,7 +141,11 @@ export const getAllProducts = async (req, res, next) => {
 export const getProductsByCategory = async (req, res, next) => {
   try {
     const { categoryId } = req.params;
-    const products = await productService.getByCategory(categoryId);
+    // Express 5 parses req.query on every read, so take the sanitized value
+    const { includeDescendants } = matchedData(req, { locations: ['query'] });
+    const products = await productService.getByCategory(categoryId, {
+      includeDescendants,
+    });
 
     res.status(CODE.SUCCESS).json({
       message: 'Products by category retrieved successfully',
@@ -127,7 +200,9 @@ export const updateOneProduct = async (req, res, next) => {
       productData.image = req.file.buffer;
     }
 
-    const updatedProduct = await productService.update(id, productData);
+    const updatedProduct = await productService.update(id, productData, {
+      actor: req.user?.id,
+    });
 
     res.status(CODE.SUCCESS).json({
       message: 'Product updated successfully',
@@ -156,7 +231,9 @@ export const updatePartialProduct = async (req, res, next) => {
       updateData.image = req.file.buffer;
     }
 
-    const updatedProduct = await productService.updatePartial(id, updateData);
+    const updatedProduct = await productService.updatePartial(id, updateData, {
+      actor: req.user?.id,
+    });
 
     res.status(CODE.SUCCESS).json({
       message: 'Product partially updated successfully',
@@ -178,9 +255,11 @@ export const updatePartialProduct = async (req, res, next) => {
 export const updateProductStock = async (req, res, next) => {
   try {
     const { id } = req.params;
-    let { quantity } = req.body;
+    let { quantity, variant } = req.body;
 
-    const updatedProduct = await productService.updateStock(id, quantity);
+    const updatedProduct = await productService.updateStock(id, quantity, {
+      variant,
+    });
 
     res.status(CODE.SUCCESS).json({
       message: `Product stock ${
@@ -222,6 +301,89 @@ export const updateProductStatus = async (req, res, next) => {
   }
 };
 
+/*
+ * Add a variant to a product
+ *
+ * @param {String} id - Product ID
+ * @param {Object} variantData - Variant data (optional image file)
+ * @returns {Promise<Object>} Updated product document
+ * @throws {Error} If an error occurs during creation
+ */
+export const addProductVariant = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const variantData = {
+      ...req.body,
+      image: req.file ? req.file.buffer : null,
+    };
+
+    const updatedProduct = await productService.addVariant(id, variantData);
+
+    res.status(CODE.CREATED).json({
+      message: 'Product variant created successfully',
+      data: updatedProduct,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/*
+ * Update a product variant
+ *
+ * @param {String} id - Product ID
+ * @param {String} variantId - Variant ID
+ * @param {Object} variantData - Variant fields to change
+ * @returns {Promise<Object>} Updated product document
+ * @throws {Error} If an error occurs during update
+ */
+export const updateProductVariant = async (req, res, next) => {
+  try {
+    const { id, variantId } = req.params;
+    const variantData = { ...req.body };
+    // Only update image if a file is sent
+    if (req.file) {
+      variantData.image = req.file.buffer;
+    }
+
+    const updatedProduct = await productService.updateVariant(
+      id,
+      variantId,
+      variantData
+    );
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Product variant updated successfully',
+      data: updatedProduct,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/*
+ * Delete a product variant
+ *
+ * @param {String} id - Product ID
+ * @param {String} variantId - Variant ID
+ * @returns {Promise<Object>} Updated product document
+ * @throws {Error} If an error occurs during deletion
+ */
+export const deleteProductVariant = async (req, res, next) => {
+  try {
+    const { id, variantId } = req.params;
+
+    const updatedProduct = await productService.deleteVariant(id, variantId);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Product variant deleted successfully',
+      data: updatedProduct,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const deleteProductImage = async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -236,6 +398,131 @@ export const deleteProductImage = async (req, res, next) => {
   }
 };
 
+/*
+ * Upload pictures to the product gallery
+ *
+ * @param {String} id - Product ID
+ * @param {Object} imageData - Image files with optional alt text and variant/color link
+ * @returns {Promise<Object>} Updated product document
+ * @throws {Error} If an error occurs during upload
+ */
+export const addProductImages = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { alt, variant, color } = req.body;
+
+    const updatedProduct = await productService.addImages(
+      id,
+      (req.files || []).map((file) => file.buffer), // Compressed images
+      { alt, variant, color }
+    );
+
+    res.status(CODE.CREATED).json({
+      message: 'Product images uploaded successfully',
+      data: updatedProduct,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/*
+ * Update the alt text or variant/color link of a gallery picture
+ *
+ * @param {String} id - Product ID
+ * @param {String} imageId - Gallery picture ID
+ * @param {Object} imageData - alt, variant and color
+ * @returns {Promise<Object>} Updated product document
+ * @throws {Error} If an error occurs during update
+ */
+export const updateProductImage = async (req, res, next) => {
+  try {
+    const { id, imageId } = req.params;
+
+    const updatedProduct = await productService.updateImage(
+      id,
+      imageId,
+      req.body
+    );
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Product image updated successfully',
+      data: updatedProduct,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/*
+ * Reorder the product gallery
+ *
+ * @param {String} id - Product ID
+ * @param {Array<String>} order - Every gallery picture ID in the new order
+ * @returns {Promise<Object>} Updated product document
+ * @throws {Error} If an error occurs during update
+ */
+export const reorderProductImages = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { order } = req.body;
+
+    const updatedProduct = await productService.reorderImages(id, order);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Product images reordered successfully',
+      data: updatedProduct,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/*
+ * Delete one picture of the product gallery
+ *
+ * @param {String} id - Product ID
+ * @param {String} imageId - Gallery picture ID
+ * @returns {Promise<Object>} Updated product document
+ * @throws {Error} If an error occurs during deletion
+ */
+export const deleteProductGalleryImage = async (req, res, next) => {
+  try {
+    const { id, imageId } = req.params;
+
+    const updatedProduct = await productService.deleteGalleryImage(id, imageId);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Product image deleted successfully',
+      data: updatedProduct,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/*
+ * Get the price timeline of a product
+ *
+ * @param {String} id - Product ID
+ * @returns {Promise<Object>} Current prices and every change, oldest first
+ * @throws {Error} If an error occurs during retrieval
+ */
+
+export const getProductPriceHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const timeline = await productService.getPriceHistory(id);
+    res.status(CODE.SUCCESS).json({
+      message: 'Price history retrieved successfully',
+      data: timeline,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /*
  * Delete one product
  *
@@ -0,0 +1,145 @@
+// ==========================================
+//
+// Description: Promotion (coupon) controllers handling HTTP requests
+//
+// File: promotionController.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import promotionService from '../services/promotionService.js';
+import { CODE } from '../config/constants.js';
+
+/**
+ * Get all promotions (admin)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const getAllPromotions = async (req, res, next) => {
+  try {
+    const active = req.query.active === 'true';
+
+    const promotions = await promotionService.getAll({ active });
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Promotions retrieved successfully',
+      data: promotions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one promotion (admin)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const getOnePromotion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const promotion = await promotionService.getOne(id);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Promotion retrieved successfully',
+      data: promotion,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a promotion (admin)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const createPromotion = async (req, res, next) => {
+  try {
+    const promotion = await promotionService.create(req.body);
+
+    res.status(CODE.CREATED).json({
+      message: 'Promotion created successfully',
+      data: promotion,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a promotion (admin)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const updatePromotion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const promotion = await promotionService.update(id, req.body);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Promotion updated successfully',
+      data: promotion,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a promotion (admin)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const deletePromotion = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await promotionService.delete(id);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Promotion deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check a coupon against a cart without redeeming it
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const validatePromotionCode = async (req, res, next) => {
+  try {
+    const { code, items } = req.body;
+
+    const { promotion, subtotal, eligible, discount } =
+      await promotionService.preview(code, items, req.user.id);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Coupon is valid',
+      data: {
+        code: promotion.code,
+        name: promotion.name,
+        description: promotion.description,
+        discount_type: promotion.discount_type,
+        value: promotion.value,
+        subtotal,
+        eligible,
+        discount,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
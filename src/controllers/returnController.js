@@ -0,0 +1,131 @@
+// ==========================================
+//
+// Description: Return (RMA) controllers handling HTTP requests
+//
+// File: returnController.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import returnService from '../services/returnService.js';
+import { CODE } from '../config/constants.js';
+
+/**
+ * Open a return for a delivered order
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const createOrderReturn = async (req, res, next) => {
+  try {
+    const accountId = req.user?.role === 'admin' ? null : req.user?.id;
+    const { id } = req.params;
+    const { items } = req.body;
+
+    const rma = await returnService.create(id, items, {
+      accountId,
+      actor: req.user?.id,
+    });
+
+    res.status(CODE.CREATED).json({
+      message: 'Return requested successfully',
+      data: rma,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the returns of an order
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const getOrderReturns = async (req, res, next) => {
+  try {
+    const accountId = req.user?.role === 'admin' ? null : req.user?.id;
+    const { id } = req.params;
+
+    const returns = await returnService.getByOrder(id, accountId);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Returns retrieved successfully',
+      data: returns,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all returns (admin review queue)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const getAllReturns = async (req, res, next) => {
+  try {
+    const { status, page, limit } = req.query;
+
+    const returns = await returnService.getAll({
+      status,
+      ...(page && limit && { page: parseInt(page), limit: parseInt(limit) }),
+    });
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Returns retrieved successfully',
+      data: returns,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one return
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const getOneReturn = async (req, res, next) => {
+  try {
+    const accountId = req.user?.role === 'admin' ? null : req.user?.id;
+    const { id } = req.params;
+
+    const rma = await returnService.getOne(id, accountId);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Return retrieved successfully',
+      data: rma,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a return along its workflow (admin)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const updateReturnStatus = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    const rma = await returnService.updateStatus(id, status, {
+      actor: req.user?.id,
+      note,
+    });
+
+    res.status(CODE.SUCCESS).json({
+      message: `Return ${status} successfully`,
+      data: rma,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,176 @@
+// ==========================================
+//
+// Description: Review controllers handling HTTP requests
+//
+// File: reviewController.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import reviewService from '../services/reviewService.js';
+import { CODE } from '../config/constants.js';
+
+/**
+ * Get the published reviews of a product
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const getProductReviews = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const reviews = await reviewService.getByProduct(id, req.query);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Reviews retrieved successfully',
+      data: reviews,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Review a product the customer received (optional photos)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const createProductReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { rating, title, body } = req.body;
+
+    const review = await reviewService.create(id, req.user?.id, {
+      rating,
+      title,
+      body,
+      photos: (req.files || []).map((file) => file.buffer), // Compressed images
+    });
+
+    res.status(CODE.CREATED).json({
+      message: 'Review submitted for moderation',
+      data: review,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all reviews (admin moderation queue)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const getAllReviews = async (req, res, next) => {
+  try {
+    const reviews = await reviewService.getAll(req.query);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Reviews retrieved successfully',
+      data: reviews,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one review (author or admin)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const getOneReview = async (req, res, next) => {
+  try {
+    const accountId = req.user?.role === 'admin' ? null : req.user?.id;
+    const { id } = req.params;
+
+    const review = await reviewService.getOne(id, accountId);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Review retrieved successfully',
+      data: review,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit a review (author only, goes back to moderation)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const updateReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { rating, title, body } = req.body;
+
+    const review = await reviewService.update(id, req.user?.id, {
+      rating,
+      title,
+      body,
+      // Only replace photos if files are sent
+      photos: (req.files || []).map((file) => file.buffer),
+    });
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Review updated and submitted for moderation',
+      data: review,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a review (author or admin)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const deleteReview = async (req, res, next) => {
+  try {
+    const accountId = req.user?.role === 'admin' ? null : req.user?.id;
+    const { id } = req.params;
+
+    const review = await reviewService.delete(id, accountId);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Review deleted successfully',
+      data: review,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve or reject a review (admin)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const moderateReview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body;
+
+    const review = await reviewService.moderate(id, status, {
+      actor: req.user?.id,
+      note,
+    });
+
+    res.status(CODE.SUCCESS).json({
+      message: `Review ${status} successfully`,
+      data: review,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
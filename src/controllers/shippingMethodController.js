@@ -0,0 +1,114 @@
+// ==========================================
+//
+// Description: Shipping method controllers handling HTTP requests
+//
+// File: shippingMethodController.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import shippingMethodService from '../services/shippingMethodService.js';
+import { CODE } from '../config/constants.js';
+
+/**
+ * Get shipping methods (admins also see disabled ones)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const getAllShippingMethods = async (req, res, next) => {
+  try {
+    const includeInactive = req.user?.role === 'admin';
+
+    const methods = await shippingMethodService.getAll({ includeInactive });
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Shipping methods retrieved successfully',
+      data: methods,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one shipping method
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const getOneShippingMethod = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const method = await shippingMethodService.getOne(id);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Shipping method retrieved successfully',
+      data: method,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a shipping method (admin)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const createShippingMethod = async (req, res, next) => {
+  try {
+    const method = await shippingMethodService.create(req.body);
+
+    res.status(CODE.CREATED).json({
+      message: 'Shipping method created successfully',
+      data: method,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a shipping method (admin)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const updateShippingMethod = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const method = await shippingMethodService.update(id, req.body);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Shipping method updated successfully',
+      data: method,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a shipping method (admin)
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const deleteShippingMethod = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    await shippingMethodService.delete(id);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Shipping method deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
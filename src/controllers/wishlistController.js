@@ -0,0 +1,106 @@
+// ==========================================
+//
+// Description: Wishlist controller handling HTTP requests
+//
+// File: wishlistController.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import wishlistService from '../services/wishlistService.js';
+import { CODE } from '../config/constants.js';
+
+/**
+ * Get the wishlist of the authenticated account
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const getWishlist = async (req, res, next) => {
+  try {
+    const wishlist = await wishlistService.getWishlist(req.user.id);
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Wishlist retrieved successfully',
+      data: wishlist,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save a product for later
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const addWishlistItem = async (req, res, next) => {
+  try {
+    const { product, variant } = req.body;
+
+    const wishlist = await wishlistService.addItem(
+      req.user.id,
+      product,
+      variant
+    );
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Product added to wishlist successfully',
+      data: wishlist,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a product from the wishlist
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const removeWishlistItem = async (req, res, next) => {
+  try {
+    const { productId } = req.params;
+
+    const wishlist = await wishlistService.removeItem(
+      req.user.id,
+      productId,
+      req.query.variant
+    );
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Product removed from wishlist successfully',
+      data: wishlist,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a saved product to the cart
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ */
+export const moveWishlistItemToCart = async (req, res, next) => {
+  try {
+    const { productId } = req.params;
+    const { variant, quantity } = req.body;
+
+    const result = await wishlistService.moveToCart(req.user.id, productId, {
+      variantId: variant,
+      quantity,
+    });
+
+    res.status(CODE.SUCCESS).json({
+      message: 'Product moved to cart successfully',
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -6,8 +6,8 @@
 // File: businessError.js
 // Author: Anthony Bañon
 // Created: 2025-10-26
-// Last Updated: 2025-10-30
-// Changes: Initial creation of generic business error classes
+// Last Updated: 2026-10-19
+// Changes: Added mail and email verification errors
 // ==========================================
 
 import { baseError } from './baseError.js';
@@ -168,6 +168,40 @@ export class PaymentError extends baseError {
   }
 }
 
+/**
+ * Storage Error
+ * When an uploaded file cannot be written, read or deleted
+ * Usage: new StorageError('S3 endpoint unreachable', 'UNREACHABLE')
+ *        new StorageError("Invalid storage key '../x'", 'INVALID_KEY')
+ */
+export class StorageError extends baseError {
+  constructor(message, storageCode = null) {
+    super(
+      message,
+      CODE.SERVICE_UNAVAILABLE,
+      storageCode ? `STORAGE_${storageCode}` : 'STORAGE_ERROR',
+      { storageCode }
+    );
+  }
+}
+
+/**
+ * Mail Error
+ * When an email cannot be delivered to the mail driver
+ * Usage: new MailError('SMTP server unreachable', 'UNREACHABLE')
+ *        new MailError('Recipient rejected: 550 No such user', 'REJECTED')
+ */
+export class MailError extends baseError {
+  constructor(message, mailCode = null) {
+    super(
+      message,
+      CODE.SERVICE_UNAVAILABLE,
+      mailCode ? `MAIL_${mailCode}` : 'MAIL_ERROR',
+      { mailCode }
+    );
+  }
+}
+
 /**
  * Out of Stock Error
  * When a product or item is out of stock
@@ -276,3 +310,19 @@ export class AccountInactiveError extends AuthError {
     super('Account is inactive', CODE.UNAUTHORIZED, 'ACCOUNT_INACTIVE');
   }
 }
+
+/**
+ * Email Not Verified Error
+ *
+ * When an unverified account tries an action that needs a verified email
+ * Usage: new EmailNotVerifiedError()
+ */
+export class EmailNotVerifiedError extends AuthError {
+  constructor() {
+    super(
+      'Email address is not verified',
+      CODE.FORBIDDEN,
+      'EMAIL_NOT_VERIFIED'
+    );
+  }
+}
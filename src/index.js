@@ -5,7 +5,8 @@
 // File: server.js
 // Author: Anthony Bañon
 // Created: 2025-10-13
-// Last Updated: 2025-10-27
+// Last Updated: 2026-10-19
+// Changes: Validated payment settings at startup
 // ==========================================
 
 import express from 'express';
@@ -17,7 +18,15 @@ import { fileURLToPath } from 'url';
 import path from 'path';
 import { swaggerSpec, swaggerUi } from './swagger/swaggerConfig.js';
 import { requestLogger, errorLogger } from './middlewares/loggerMiddleware.js';
-import { connectDatabase, validateEnvironment } from './config/exports.js';
+import { negotiateImageFormat } from './middlewares/imageNegotiationMiddleware.js';
+import {
+  connectDatabase,
+  validateEnvironment,
+  validatePaymentConfig,
+  getStorageConfig,
+} from './config/exports.js';
+import { startReservationSweeper } from './jobs/reservationSweeper.js';
+import { startUploadCollector } from './jobs/uploadCollector.js';
 
 // Load environment variables
 env.config();
@@ -25,8 +34,20 @@ env.config();
 // Validate environment variables
 validateEnvironment();
 
-// Connect to MongoDB Atlas
-connectDatabase();
+// Never start with webhooks anyone can sign or a fake provider in production
+try {
+  validatePaymentConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Connect to MongoDB Atlas, then start releasing expired stock reservations
+// and collecting orphaned uploads
+connectDatabase().then(() => {
+  startReservationSweeper();
+  startUploadCollector();
+});
 
 // Define the port
 const PORT = process.env.PORT || 5000;
@@ -39,6 +60,9 @@ console.log('Static path:', path.join(__dirname, 'uploads'));
 
 const app = express();
 
+// Nested query strings (filter[price][gte]=10) for the list filter language
+app.set('query parser', 'extended');
+
 // Middleware to log requests
 app.use(requestLogger);
 
@@ -47,7 +71,14 @@ app.use(corsMiddleware);
 app.use(corsErrorHandler);
 
 // Middleware to parse JSON and URL-encoded bodies
-app.use(express.json());
+// The raw body is kept for webhook signature verification
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Swagger Documentation
@@ -63,8 +94,16 @@ app.get(
   })
 );
 
-// Static files serving
-app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
+// Static files serving (local storage driver), AVIF/WebP by Accept header
+const uploadsDirectory = path.resolve(
+  process.cwd(),
+  getStorageConfig().local.directory
+);
+app.use(
+  '/uploads',
+  negotiateImageFormat(uploadsDirectory),
+  express.static(uploadsDirectory)
+);
 
 // Vercel health check endpoint
 app.get('/', (req, res) => {
@@ -0,0 +1,58 @@
+// ==========================================
+//
+// Description: Background job releasing expired stock reservations
+//
+// File: reservationSweeper.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import OrderService from '../services/orderService.js';
+import { getInventoryConfig } from '../config/inventoryConfig.js';
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one sweep, skipping it if the previous one is still running
+ *
+ * returns {Promise<number>} Number of orders cancelled
+ */
+export const sweepExpiredReservations = async () => {
+  if (running) return 0;
+
+  running = true;
+  try {
+    const cancelled = await OrderService.expireReservations();
+    if (cancelled > 0) {
+      console.log(`⏱️ Released ${cancelled} expired reservation(s)`);
+    }
+    return cancelled;
+  } catch (error) {
+    console.error('❌ Reservation sweep failed:', error);
+    return 0;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the periodic sweeper (does nothing if already started)
+ */
+export const startReservationSweeper = () => {
+  if (timer) return;
+
+  const { sweepIntervalSeconds } = getInventoryConfig();
+  timer = setInterval(sweepExpiredReservations, sweepIntervalSeconds * 1000);
+  // Never keep the process alive only for the sweeper
+  timer.unref();
+};
+
+/**
+ * Stop the periodic sweeper
+ */
+export const stopReservationSweeper = () => {
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,66 @@
+// ==========================================
+//
+// Description: Background job reporting or deleting orphaned upload files
+//
+// File: uploadCollector.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import imageService from '../services/imageService.js';
+import { getStorageConfig } from '../config/storageConfig.js';
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one collection, skipping it if the previous one is still running
+ *
+ * param {Object} [options] - dryRun and minAgeMinutes (see imageService.collectOrphans)
+ * returns {Promise<Object|null>} Report, or null if skipped or failed
+ */
+export const collectOrphanedUploads = async (options = {}) => {
+  if (running) return null;
+
+  running = true;
+  try {
+    const report = await imageService.collectOrphans(options);
+    const { orphaned, dangling, deleted } = report;
+    if (orphaned.length > 0 || dangling.length > 0) {
+      console.log(
+        `🧹 Uploads: ${orphaned.length} orphaned file(s), ${deleted} deleted, ${dangling.length} dangling reference(s)`
+      );
+    }
+    return report;
+  } catch (error) {
+    console.error('❌ Upload collection failed:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the periodic collector when UPLOAD_GC_INTERVAL_HOURS is set
+ * (does nothing if already started)
+ */
+export const startUploadCollector = () => {
+  const { intervalHours, delete: remove } = getStorageConfig().collector;
+  if (timer || intervalHours <= 0) return;
+
+  timer = setInterval(
+    () => collectOrphanedUploads({ dryRun: !remove }),
+    intervalHours * 60 * 60 * 1000
+  );
+  // Never keep the process alive only for the collector
+  timer.unref();
+};
+
+/**
+ * Stop the periodic collector
+ */
+export const stopUploadCollector = () => {
+  clearInterval(timer);
+  timer = null;
+};
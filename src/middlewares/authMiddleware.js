@@ -5,7 +5,8 @@
 // File: authMiddleware.js
 // Author: Anthony Bañon
 // Created: 2025-11-04
-// Last Updated: 2025-11-04
+// Last Updated: 2026-10-19
+// Changes: Owners of a person resource are recognised by the account person
 // ==========================================
 
 import AuthService from '../services/authService.js';
@@ -15,6 +16,7 @@ import {
   AuthError,
   InvalidCredentialsError,
   AccessDeniedError,
+  EmailNotVerifiedError,
 } from '../errors/businessError.js';
 import { CODE } from '../config/constants.js';
 
@@ -132,6 +134,30 @@ export const requireRole = (allowedRoles) => {
   };
 };
 
+/**
+ * Middleware to require a verified email (placed after authenticateToken)
+ *
+ * param {Object} req - Express request object
+ * param {Object} res - Express response object
+ * param {Function} next - Express next middleware function
+ * throws {EmailNotVerifiedError} - If the account email is not verified
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return next(
+      new AuthError(
+        'Authentication required',
+        CODE.UNAUTHORIZED,
+        'AUTH_REQUIRED'
+      )
+    );
+  }
+  if (!req.user.email_verified_at) {
+    return next(new EmailNotVerifiedError());
+  }
+  next();
+};
+
 /**
  * Middleware for public routes that can have an authenticated user
  * param {Object} req - Express request object
@@ -195,8 +221,13 @@ export const requireOwnershipOrRole = (allowedRoles = ['admin']) => {
       }
 
       // Verify ownership (assuming the :id param is the accountId or personId)
+      // req.user is the account, with its person populated
       const resourceId = req.params.id;
-      if (resourceId === req.user.id || resourceId === req.user.personId) {
+      const personId = req.user.person?._id ?? req.user.person;
+      if (
+        resourceId === req.user.id ||
+        (personId && resourceId === String(personId))
+      ) {
         return next();
       }
 
@@ -0,0 +1,64 @@
+// ==========================================
+//
+// Description: Serves the best image format the browser accepts
+//
+// File: imageNegotiationMiddleware.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getImageConfig, IMAGE_FORMATS } from '../config/imageConfig.js';
+
+/**
+ * Middleware placed before express.static for locally stored uploads
+ * A request for the fallback rendition (e.g. -desktop.webp) is answered with
+ * the same rendition in a better format (-desktop.avif) when the Accept header
+ * lists it. Browsers also accept any type, so only listed types count.
+ * Files behind a CDN are negotiated by the client with the image sources.
+ *
+ * param {string} directory - Directory the files are served from
+ * returns {Function} Express middleware
+ */
+export const negotiateImageFormat = (directory) => async (req, res, next) => {
+  const root = path.resolve(directory);
+  const match = req.path.match(/^(.+)\.(avif|webp|jpg)$/);
+  if (!match || !['GET', 'HEAD'].includes(req.method)) return next();
+
+  // Caches must keep one copy per Accept header
+  res.vary('Accept');
+
+  const accept = req.get('Accept') || '';
+  const [, name, extension] = match;
+
+  try {
+    for (const format of getImageConfig().formats) {
+      const candidate = IMAGE_FORMATS[format].extension;
+      // Formats after the requested one are not better
+      if (candidate === extension) break;
+      if (!accept.includes(IMAGE_FORMATS[format].contentType)) continue;
+
+      const filepath = path.join(
+        root,
+        decodeURIComponent(`${name}.${candidate}`)
+      );
+      // Never look outside the upload directory
+      if (!filepath.startsWith(root + path.sep)) break;
+
+      const exists = await fs
+        .access(filepath)
+        .then(() => true)
+        .catch(() => false);
+      if (exists) {
+        req.url = `${name}.${candidate}`;
+        break;
+      }
+    }
+  } catch {
+    // Malformed URLs are left to express.static
+  }
+
+  next();
+};
@@ -5,43 +5,58 @@
 // File: uploadMiddleware.js
 // Author: Anthony Bañon
 // Created: 2025-11-02
-// Last Updated: 2025-11-02
+// Last Updated: 2026-10-19
+// Changes: Validated uploads by content, dimensions and stripped metadata
 // ==========================================
 
 import multer from 'multer';
-import sharp from 'sharp';
-import path from 'path';
 import { LIMIT } from '../config/constants.js';
+import { ValidationError } from '../errors/businessError.js';
+import { sanitizeImage } from '../utils/imageUtils.js';
 
 // Multer in memory (does not save temporary file)
 const storage = multer.memoryStorage();
 
+// The client MIME type is not trusted: files are checked by decoding them
 const upload = multer({
   storage: storage,
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'), false);
-    }
-  },
   limits: { fileSize: LIMIT.PROFILE_IMAGE }, // 5MB
 });
 
-//Generic middleware that compresses the image
-const compressImage = async (req, res, next) => {
-  if (!req.file) return next();
+// Multer rejections (size, count, unexpected field) as validation errors
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: `File cannot exceed ${
+    LIMIT.PROFILE_IMAGE / (1024 * 1024)
+  } MB`,
+  LIMIT_FILE_COUNT: 'Too many files',
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field or too many files',
+};
 
-  try {
-    // Compress image with Sharp
-    const compressedImage = await sharp(req.file.buffer)
-      .resize(800) // Maximum width 800px
-      .jpeg({ quality: 80 }) // Compress to 80% quality
-      .toBuffer();
+const handleUpload = (parse) => (req, res, next) =>
+  parse(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(
+        new ValidationError(
+          'Image',
+          MULTER_MESSAGES[error.code] || error.message,
+          { field: error.field, reason: error.code }
+        )
+      );
+    }
+    next(error);
+  });
 
-    // Replace original buffer with compressed one
-    req.file.buffer = compressedImage;
-    req.file.size = compressedImage.length;
+// Replace every uploaded file with its validated copy without metadata
+const sanitizeImages = async (req, res, next) => {
+  const files = req.files || (req.file ? [req.file] : []);
+
+  try {
+    for (const file of files) {
+      const image = await sanitizeImage(file.buffer, file.fieldname);
+      file.buffer = image.buffer;
+      file.size = image.buffer.length;
+      file.mimetype = image.contentType;
+    }
 
     next();
   } catch (error) {
@@ -49,5 +64,15 @@ const compressImage = async (req, res, next) => {
   }
 };
 
-// Middleware final que combina Multer + Compresión
-export const uploadImage = [upload.single('image'), compressImage];
+// Services store the cleaned original and render the sizes of the folder
+// profile from it (see imageUtils)
+export const uploadImage = [
+  handleUpload(upload.single('image')),
+  sanitizeImages,
+];
+
+// Several images under one field (e.g. review photos)
+export const uploadImages = (field, maxCount) => [
+  handleUpload(upload.array(field, maxCount)),
+  sanitizeImages,
+];
@@ -5,8 +5,8 @@
 // File: account.model.js
 // Author: Anthony Bañon
 // Created: 2025-10-21
-// Last Updated: 2025-10-29
-// Changes:Delete detailed validation and comments
+// Last Updated: 2026-10-19
+// Changes: Added email verification and password reset token fields
 // ==========================================
 
 import mongoose from 'mongoose';
@@ -55,6 +55,23 @@ const accountSchema = new mongoose.Schema(
       unique: true,
       comment: 'Reference to Person (1:1 relationship)',
     },
+    // Email verification (the address is the person email)
+    email_verified_at: {
+      type: Date,
+      default: null,
+      comment: 'When the person email was verified (null = unverified)',
+    },
+    // Id (jti) of the last emailed token of each purpose, cleared once used
+    email_verification_jti: {
+      type: String,
+      default: null,
+      comment: 'Current email verification token id',
+    },
+    password_reset_jti: {
+      type: String,
+      default: null,
+      comment: 'Current password reset token id',
+    },
     // Refresh token for session management
     refreshToken: {
       type: String,
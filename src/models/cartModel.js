@@ -0,0 +1,87 @@
+// ==========================================
+//
+// Description: Represents a shopping cart owned by an account or a guest
+//
+// File: cartModel.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Added product variants
+// ==========================================
+
+import mongoose from 'mongoose';
+
+const cartItemSchema = new mongoose.Schema(
+  {
+    // Reference to the product in the cart
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      comment: 'Reference to product in the cart',
+    },
+
+    // Variant of the product (null for products without variants)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      comment: 'Reference to the product variant',
+    },
+
+    // Quantity requested
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+      default: 1,
+      comment: 'Quantity of the product in the cart',
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const cartSchema = new mongoose.Schema(
+  {
+    // Owner account (authenticated carts)
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      unique: true,
+      sparse: true,
+      comment: 'Reference to owner account (1:1 relationship)',
+    },
+
+    // Opaque token identifying a guest cart
+    guest_token: {
+      type: String,
+      unique: true,
+      sparse: true,
+      comment: 'Opaque token identifying a guest cart',
+    },
+
+    // Cart lines
+    items: {
+      type: [cartItemSchema],
+      default: [],
+      comment: 'Products and quantities in the cart',
+    },
+
+    // Expiration date of guest carts
+    expires_at: {
+      type: Date,
+      default: null,
+      comment: 'Expiration date of guest carts (null for account carts)',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// Guest carts are removed by MongoDB once they expire
+cartSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Cart', cartSchema);
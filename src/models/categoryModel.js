@@ -4,6 +4,7 @@
 // ==========================================
 
 import mongoose from 'mongoose';
+import { imageSchema } from './imageSchema.js';
 
 const categorySchema = new mongoose.Schema(
   {
@@ -16,13 +17,27 @@ const categorySchema = new mongoose.Schema(
       comment: 'Category name',
     },
 
+    // URL friendly identifier derived from the name (unique)
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+      lowercase: true,
+      trim: true,
+      comment: 'Category slug used in storefront URLs',
+    },
+
+    // Slugs used before a rename, answered with a redirect to the current one
+    slug_history: {
+      type: [String],
+      default: [],
+      index: true,
+      comment: 'Previous category slugs',
+    },
+
     // URL of category image
     image: {
-      type: {
-        desktop: String,
-        mobile: String,
-        thumbnail: String,
-      },
+      type: imageSchema,
       default: null,
       comment: 'Category image URLs for different sizes',
     },
@@ -35,6 +50,37 @@ const categorySchema = new mongoose.Schema(
       comment: 'Category description',
     },
 
+    // Parent category (null for a root category such as "Men")
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+      comment: 'Parent category',
+    },
+
+    // Every category above this one, root first (materialized path)
+    ancestors: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+      default: [],
+      comment: 'Ancestor categories from the root down to the parent',
+    },
+
+    // Level in the tree (0 for a root category)
+    depth: {
+      type: Number,
+      default: 0,
+      min: 0,
+      comment: 'Number of ancestors',
+    },
+
+    // Slugs of the ancestors and this category, e.g. men/tops/t-shirts
+    path: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Slug path from the root category',
+    },
+
     // Category active status
     is_active: {
       type: Boolean,
@@ -49,4 +95,8 @@ const categorySchema = new mongoose.Schema(
   }
 );
 
+// Children lookups and subtree queries
+categorySchema.index({ parent: 1 });
+categorySchema.index({ ancestors: 1 });
+
 export default mongoose.model('Category', categorySchema);
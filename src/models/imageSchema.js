@@ -0,0 +1,97 @@
+// ==========================================
+//
+// Description: Uploaded image fields shared by the models that store pictures
+//
+// File: imageSchema.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Images store storage keys and build their URLs when read
+// ==========================================
+
+import mongoose from 'mongoose';
+import { toImageUrl, toImageKey, mapSrcset } from '../utils/imageUtils.js';
+
+// Files are stored as storage keys and read as URLs of the storage driver
+export const imageFile = { get: toImageUrl, set: toImageKey };
+
+// Responses carry the URLs built by the getters
+export const imageJsonOptions = { getters: true, virtuals: false };
+
+// One stored file of the image (a size in a format)
+const renditionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    format: { type: String, required: true },
+    width: { type: Number, required: true },
+    height: { type: Number, required: true },
+    url: { type: String, required: true, ...imageFile },
+  },
+  {
+    _id: false,
+    toJSON: imageJsonOptions,
+  }
+);
+
+// <picture> source of one format (srcset with width descriptors)
+const sourceSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true },
+    srcset: {
+      type: String,
+      required: true,
+      get: (srcset) => mapSrcset(srcset, toImageUrl),
+      set: (srcset) => mapSrcset(srcset, toImageKey),
+    },
+  },
+  {
+    _id: false,
+    toJSON: imageJsonOptions,
+  }
+);
+
+export const imageFields = {
+  // Fallback format files of the classic sizes (read by existing clients)
+  desktop: { type: String, default: null, ...imageFile },
+  mobile: { type: String, default: null, ...imageFile },
+  thumbnail: { type: String, default: null, ...imageFile },
+
+  // Uploaded file (metadata stripped), renditions are regenerated from it
+  original: {
+    type: String,
+    default: null,
+    ...imageFile,
+    comment: 'Storage key of the uploaded file',
+  },
+
+  // Pixel size of the original (after EXIF orientation)
+  width: { type: Number, default: null },
+  height: { type: Number, default: null },
+
+  // Rendition profile and the version the renditions were made with
+  profile: { type: String, default: null, comment: 'Rendition profile' },
+  profile_version: {
+    type: String,
+    default: null,
+    comment: 'Version of the profile used for the renditions',
+  },
+
+  // Every stored size and format
+  renditions: {
+    type: [renditionSchema],
+    default: [],
+    comment: 'Stored sizes and formats',
+  },
+
+  // srcset per format, best format first
+  sources: {
+    type: [sourceSchema],
+    default: [],
+    comment: 'Responsive sources per format',
+  },
+};
+
+export const imageSchema = new mongoose.Schema(imageFields, {
+  _id: false,
+  toJSON: imageJsonOptions,
+});
@@ -5,8 +5,8 @@
 // File: orderDetail.model.js
 // Author: Anthony Bañon
 // Created: 2025-10-21
-// Last Updated: 2025-10-29
-// Changes: Delete detailed validation and comments
+// Last Updated: 2026-10-19
+// Changes: Added purchased variant
 // ==========================================
 
 import mongoose from 'mongoose';
@@ -43,6 +43,31 @@ const orderDetailSchema = new mongoose.Schema(
       required: true,
       comment: 'Reference to product being purchased',
     },
+
+    // Variant purchased (null for products without variants)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      comment: 'Reference to the purchased product variant',
+    },
+
+    // Snapshot of the variant at the time of order
+    variant_sku: {
+      type: String,
+      default: null,
+      comment: 'Variant SKU at the time of order',
+    },
+
+    // Variant options at the time of order
+    variant_options: {
+      type: {
+        size: String,
+        color: String,
+        material: String,
+      },
+      default: null,
+      comment: 'Variant size, color and material at the time of order',
+    },
   },
   {
     timestamps: true,
@@ -50,7 +75,7 @@ const orderDetailSchema = new mongoose.Schema(
   }
 );
 
-// Add compound unique index to ensure unique order-product combinations
-orderDetailSchema.index({ order: 1, product: 1 }, { unique: true });
+// Add compound unique index to ensure unique order-product-variant combinations
+orderDetailSchema.index({ order: 1, product: 1, variant: 1 }, { unique: true });
 
 export default mongoose.model('OrderDetail', orderDetailSchema);
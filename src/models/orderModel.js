@@ -5,11 +5,156 @@
 // File: order.model.js
 // Author: Anthony Bañon
 // Created: 2025-10-21
-// Last Updated: 2025-10-29
-// Changes: Delete detailed validation and comments
+// Last Updated: 2026-10-19
+// Changes: Added applied promotion
 // ==========================================
 
 import mongoose from 'mongoose';
+import {
+  ORDER_STATUS,
+  INVENTORY_STATUS,
+  DISCOUNT_TYPE,
+} from '../config/constants.js';
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    // Status before the change (null for the initial entry)
+    from: {
+      type: String,
+      enum: [...Object.values(ORDER_STATUS), null],
+      default: null,
+      comment: 'Status before the change',
+    },
+
+    // Status after the change
+    to: {
+      type: String,
+      required: true,
+      enum: Object.values(ORDER_STATUS),
+      comment: 'Status after the change',
+    },
+
+    // Account that made the change (null for system changes)
+    changed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      default: null,
+      comment: 'Account that made the change',
+    },
+
+    // Date of the change
+    changed_at: {
+      type: Date,
+      required: true,
+      default: Date.now,
+      comment: 'Date of the change',
+    },
+
+    // Reason for the change
+    reason: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Reason for the change',
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Copy of the delivery address at checkout (later address book edits do not change it)
+const shippingAddressSchema = new mongoose.Schema(
+  {
+    recipient: { type: String, required: true, trim: true },
+    line1: { type: String, required: true, trim: true },
+    line2: { type: String, trim: true, default: null },
+    city: { type: String, required: true, trim: true },
+    state: { type: String, trim: true, default: null },
+    postal_code: { type: String, required: true, trim: true },
+    country: { type: String, required: true, trim: true, uppercase: true },
+    phone: { type: String, trim: true, default: null },
+  },
+  {
+    _id: false,
+  }
+);
+
+// Copy of the promotion terms when the coupon was redeemed
+const appliedPromotionSchema = new mongoose.Schema(
+  {
+    // Redeemed promotion
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion',
+      required: true,
+      comment: 'Redeemed promotion',
+    },
+
+    // Code typed by the customer
+    code: {
+      type: String,
+      required: true,
+      comment: 'Coupon code',
+    },
+
+    // Percentage or fixed amount
+    discount_type: {
+      type: String,
+      required: true,
+      enum: Object.values(DISCOUNT_TYPE),
+      comment: 'Percentage or fixed amount',
+    },
+
+    // Percentage (0-100) or amount off
+    value: {
+      type: Number,
+      required: true,
+      comment: 'Percentage or amount off',
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const shipmentSchema = new mongoose.Schema(
+  {
+    // Carrier handling the parcel
+    carrier: {
+      type: String,
+      required: true,
+      trim: true,
+      comment: 'Carrier handling the parcel',
+    },
+
+    // Tracking number given by the carrier
+    tracking_number: {
+      type: String,
+      required: true,
+      trim: true,
+      comment: 'Tracking number given by the carrier',
+    },
+
+    // Public tracking page
+    tracking_url: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Public tracking page',
+    },
+
+    // Date when the order moved to shipped
+    shipped_at: {
+      type: Date,
+      default: null,
+      comment: 'Date when the order was shipped',
+    },
+  },
+  {
+    _id: false,
+  }
+);
 
 const orderSchema = new mongoose.Schema(
   {
@@ -35,11 +180,108 @@ const orderSchema = new mongoose.Schema(
     status: {
       type: String,
       required: true,
-      enum: ['pending', 'paid', 'shipped', 'cancelled', 'delivered'],
-      default: 'pending',
+      enum: Object.values(ORDER_STATUS),
+      default: ORDER_STATUS.PENDING,
       comment: 'Current state of the order',
     },
 
+    // Every status change, oldest first
+    status_history: {
+      type: [statusHistorySchema],
+      default: [],
+      comment: 'Status change history',
+    },
+
+    // Effect of the order on product stock
+    inventory_status: {
+      type: String,
+      required: true,
+      enum: Object.values(INVENTORY_STATUS),
+      default: INVENTORY_STATUS.NONE,
+      comment: 'Effect of the order on product stock',
+    },
+
+    // Date when the stock reservation expires
+    reserved_until: {
+      type: Date,
+      default: null,
+      comment: 'Date when the stock reservation expires',
+    },
+
+    // Sum of line totals (quantity x historical price)
+    subtotal: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+      comment: 'Sum of line totals, computed by the server',
+    },
+
+    // Discount applied to the subtotal
+    discount: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+      comment: 'Discount applied to the subtotal',
+    },
+
+    // Coupon redeemed at checkout (its discount is stored in discount)
+    promotion: {
+      type: appliedPromotionSchema,
+      default: null,
+      comment: 'Coupon redeemed at checkout',
+    },
+
+    // Tax charged on the discounted subtotal
+    tax: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+      comment: 'Tax charged on the discounted subtotal',
+    },
+
+    // Shipping cost
+    shipping: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+      comment: 'Shipping cost',
+    },
+
+    // Grand total
+    total_amount: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+      comment: 'Grand total (subtotal - discount + tax + shipping)',
+    },
+
+    // Delivery address snapshot
+    shipping_address: {
+      type: shippingAddressSchema,
+      default: null,
+      comment: 'Delivery address at checkout',
+    },
+
+    // Shipping method chosen at checkout (null uses the default shipping rate)
+    shipping_method: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShippingMethod',
+      default: null,
+      comment: 'Shipping method chosen at checkout',
+    },
+
+    // Carrier and tracking, required to ship the order
+    shipment: {
+      type: shipmentSchema,
+      default: null,
+      comment: 'Carrier and tracking information',
+    },
+
     // Reference to the customer account
     account: {
       type: mongoose.Schema.Types.ObjectId,
@@ -54,4 +296,7 @@ const orderSchema = new mongoose.Schema(
   }
 );
 
+// Used by the expired reservation sweeper
+orderSchema.index({ inventory_status: 1, reserved_until: 1 });
+
 export default mongoose.model('Order', orderSchema);
@@ -0,0 +1,168 @@
+// ==========================================
+//
+// Description: Represents a payment of an order through a provider
+//
+// File: paymentModel.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Refunds accept an idempotency key
+// ==========================================
+
+import mongoose from 'mongoose';
+import { PAYMENT_STATUS } from '../config/constants.js';
+
+const refundSchema = new mongoose.Schema(
+  {
+    // Refund identifier at the provider
+    provider_refund_id: {
+      type: String,
+      required: true,
+      comment: 'Refund identifier at the provider',
+    },
+
+    // Refunded amount
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+      comment: 'Refunded amount',
+    },
+
+    // Key sent to the provider so a retried refund is only made once
+    idempotency_key: {
+      type: String,
+      default: null,
+      comment: 'Key sent to the provider so a retried refund is only made once',
+    },
+
+    // Reason of the refund
+    reason: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Reason of the refund',
+    },
+
+    // Date of the refund
+    created_at: {
+      type: Date,
+      default: Date.now,
+      comment: 'Date of the refund',
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const paymentSchema = new mongoose.Schema(
+  {
+    // Reference to the paid order
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      comment: 'Reference to paid order',
+    },
+
+    // Reference to the paying account
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      required: true,
+      comment: 'Reference to paying account',
+    },
+
+    // Provider adapter that handled the payment
+    provider: {
+      type: String,
+      required: true,
+      comment: 'Payment provider name',
+    },
+
+    // Payment intent identifier at the provider
+    intent_id: {
+      type: String,
+      unique: true,
+      sparse: true,
+      comment: 'Payment intent identifier at the provider',
+    },
+
+    // Charged amount (order total when the intent was created)
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+      comment: 'Charged amount',
+    },
+
+    // ISO currency code
+    currency: {
+      type: String,
+      required: true,
+      lowercase: true,
+      comment: 'ISO currency code',
+    },
+
+    // Current state of the payment
+    status: {
+      type: String,
+      required: true,
+      enum: Object.values(PAYMENT_STATUS),
+      default: PAYMENT_STATUS.PENDING,
+      comment: 'Current state of the payment',
+    },
+
+    // Payment method token used to confirm
+    payment_method: {
+      type: String,
+      default: null,
+      comment: 'Payment method token',
+    },
+
+    // Provider failure code and message
+    failure_code: {
+      type: String,
+      default: null,
+      comment: 'Provider failure code',
+    },
+
+    failure_message: {
+      type: String,
+      default: null,
+      comment: 'Provider failure message',
+    },
+
+    // Date the payment succeeded
+    paid_at: {
+      type: Date,
+      default: null,
+      comment: 'Date the payment succeeded',
+    },
+
+    // Total refunded amount
+    refunded_amount: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+      comment: 'Total refunded amount',
+    },
+
+    // Refunds made on the payment
+    refunds: {
+      type: [refundSchema],
+      default: [],
+      comment: 'Refunds made on the payment',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+paymentSchema.index({ order: 1, status: 1 });
+
+export default mongoose.model('Payment', paymentSchema);
@@ -5,11 +5,108 @@
 // File: person.model.js
 // Author: Anthony Bañon
 // Created: 2025-10-21
-// Last Updated: 2025-10-29
-// Changes: Delete detailed validation and comments
+// Last Updated: 2026-10-19
+// Changes: Stored images with renditions, original and responsive sources
 // ==========================================
 
 import mongoose from 'mongoose';
+import { imageSchema } from './imageSchema.js';
+
+const addressSchema = new mongoose.Schema(
+  {
+    // Name to tell addresses apart (e.g. Home, Work)
+    label: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Short name of the address',
+    },
+
+    // Person receiving the parcel
+    recipient: {
+      type: String,
+      required: true,
+      trim: true,
+      comment: 'Full name of the recipient',
+    },
+
+    // Street and number
+    line1: {
+      type: String,
+      required: true,
+      trim: true,
+      comment: 'Street and number',
+    },
+
+    // Apartment, floor, etc.
+    line2: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Apartment, floor, etc.',
+    },
+
+    // City
+    city: {
+      type: String,
+      required: true,
+      trim: true,
+      comment: 'City',
+    },
+
+    // State or province
+    state: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'State or province',
+    },
+
+    // Postal code
+    postal_code: {
+      type: String,
+      required: true,
+      trim: true,
+      comment: 'Postal code',
+    },
+
+    // ISO 3166-1 alpha-2 country code
+    country: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      minlength: 2,
+      maxlength: 2,
+      comment: 'ISO 3166-1 alpha-2 country code',
+    },
+
+    // Contact phone for the carrier
+    phone: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Contact phone for the carrier',
+    },
+
+    // Used when an order does not choose an address
+    is_default_shipping: {
+      type: Boolean,
+      default: false,
+      comment: 'Default shipping address',
+    },
+
+    // Used for invoices when none is chosen
+    is_default_billing: {
+      type: Boolean,
+      default: false,
+      comment: 'Default billing address',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
 
 const personSchema = new mongoose.Schema(
   {
@@ -40,11 +137,7 @@ const personSchema = new mongoose.Schema(
 
     // URL to profile image
     image: {
-      type: {
-        desktop: String,
-        mobile: String,
-        thumbnail: String,
-      },
+      type: imageSchema,
       default: null,
       comment: 'Person image URLs for different sizes',
     },
@@ -59,6 +152,13 @@ const personSchema = new mongoose.Schema(
       comment: 'Unique email address',
     },
 
+    // Address book (at most one default shipping and one default billing)
+    addresses: {
+      type: [addressSchema],
+      default: [],
+      comment: 'Saved addresses',
+    },
+
     // Account active status
     is_active: {
       type: Boolean,
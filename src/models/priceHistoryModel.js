@@ -0,0 +1,86 @@
+// ==========================================
+//
+// Description: Represents a change of the prices of a product
+//
+// File: priceHistoryModel.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import mongoose from 'mongoose';
+
+const priceChangeSchema = new mongoose.Schema(
+  {
+    // Changed field (price, compare_at_price, sale_price, sale_starts_at or sale_ends_at)
+    field: {
+      type: String,
+      required: true,
+      comment: 'Changed field',
+    },
+
+    // Value before the change
+    from: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+      comment: 'Value before the change',
+    },
+
+    // Value after the change
+    to: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+      comment: 'Value after the change',
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const priceHistorySchema = new mongoose.Schema(
+  {
+    // Product whose prices changed
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      comment: 'Product reference',
+    },
+
+    // Fields changed by the update
+    changes: {
+      type: [priceChangeSchema],
+      required: true,
+      comment: 'Changed price fields',
+    },
+
+    // Account that made the change (null for system changes)
+    changed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      default: null,
+      comment: 'Account that made the change',
+    },
+
+    // Date of the change
+    changed_at: {
+      type: Date,
+      required: true,
+      default: Date.now,
+      comment: 'Date of the change',
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+// Timeline of a product
+priceHistorySchema.index({ product: 1, changed_at: 1 });
+
+export default mongoose.model(
+  'PriceHistory',
+  priceHistorySchema,
+  'price_history'
+);
@@ -5,8 +5,8 @@
 // File: product.model.js
 // Author: Anthony Bañon
 // Created: 2025-10-21
-// Last Updated: 2025-10-29
-// Changes: Added product model with basic validations
+// Last Updated: 2026-10-19
+// Changes: Images store storage keys and build their URLs when read
 // ==========================================
 
 // ==========================================
@@ -15,6 +15,144 @@
 // ==========================================
 
 import mongoose from 'mongoose';
+import { PRODUCT_GALLERY } from '../config/constants.js';
+import {
+  imageSchema,
+  imageFields,
+  imageFile,
+  imageJsonOptions,
+} from './imageSchema.js';
+
+// One picture of the product gallery, in the same renditions as the main image
+const galleryImageSchema = new mongoose.Schema(
+  {
+    ...imageFields,
+    desktop: { type: String, required: true, ...imageFile },
+    mobile: { type: String, required: true, ...imageFile },
+    thumbnail: { type: String, required: true, ...imageFile },
+
+    // Display order, 0 first (kept equal to the array index)
+    position: {
+      type: Number,
+      required: true,
+      min: 0,
+      comment: 'Display order in the gallery',
+    },
+
+    // Accessibility text
+    alt: {
+      type: String,
+      trim: true,
+      maxlength: PRODUCT_GALLERY.MAX_ALT_LENGTH,
+      default: null,
+      comment: 'Alternative text',
+    },
+
+    // Variant the picture shows (null for general pictures)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      comment: 'Reference to the pictured variant',
+    },
+
+    // Color the picture shows (filters the gallery by color swatch)
+    color: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Pictured color',
+    },
+  },
+  {
+    versionKey: false,
+    toJSON: imageJsonOptions,
+  }
+);
+
+const variantSchema = new mongoose.Schema(
+  {
+    // Unique stock keeping unit (shared namespace with product SKUs)
+    sku: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      comment: 'Unique variant stock keeping unit',
+    },
+
+    // Size label (S, M, L, 42...)
+    size: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Size label',
+    },
+
+    // Color name
+    color: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Color name',
+    },
+
+    // Optional material
+    material: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Material',
+    },
+
+    // Price override (null uses the product price)
+    price: {
+      type: Number,
+      min: 0,
+      default: null,
+      comment: 'Price override, null uses the product price',
+    },
+
+    // Quantity in the warehouse
+    stock: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+      comment: 'Quantity in the warehouse',
+    },
+
+    // Quantity held by pending orders
+    reserved: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+      comment: 'Quantity held by active reservations',
+    },
+
+    // URLs of the variant image
+    image: {
+      type: imageSchema,
+      default: null,
+      comment: 'Variant image URLs for different sizes',
+    },
+  },
+  {
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Quantity of the variant that can still be sold
+variantSchema.virtual('available').get(function () {
+  return Math.max((this.stock ?? 0) - (this.reserved ?? 0), 0);
+});
+
+// Price charged for the variant (variant price overrides are not discounted by product sales)
+variantSchema.virtual('unit_price').get(function () {
+  return this.price ?? this.parent()?.current_price ?? null;
+});
 
 const productSchema = new mongoose.Schema(
   {
@@ -36,17 +174,38 @@ const productSchema = new mongoose.Schema(
       comment: 'Product name',
     },
 
+    // URL friendly identifier derived from the name (unique)
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+      lowercase: true,
+      trim: true,
+      comment: 'Product slug used in storefront URLs',
+    },
+
+    // Slugs used before a rename, answered with a redirect to the current one
+    slug_history: {
+      type: [String],
+      default: [],
+      index: true,
+      comment: 'Previous product slugs',
+    },
+
     // URL of product image
     image: {
-      type: {
-        desktop: String,
-        mobile: String,
-        thumbnail: String,
-      },
+      type: imageSchema,
       default: null,
       comment: 'Product image URLs for different sizes',
     },
 
+    // Gallery pictures, ordered by position (the main image stays the cover)
+    images: {
+      type: [galleryImageSchema],
+      default: [],
+      comment: 'Product gallery',
+    },
+
     // Product description
     description: {
       type: String,
@@ -62,12 +221,59 @@ const productSchema = new mongoose.Schema(
       comment: "The product's current price",
     },
 
-    // Available quantity
+    // Reference price shown crossed out ("was $40")
+    compare_at_price: {
+      type: Number,
+      min: 0,
+      default: null,
+      comment: 'Reference price shown crossed out',
+    },
+
+    // Price charged during the sale window
+    sale_price: {
+      type: Number,
+      min: 0,
+      default: null,
+      comment: 'Price charged during the sale window',
+    },
+
+    // Start of the sale (null = starts immediately)
+    sale_starts_at: {
+      type: Date,
+      default: null,
+      comment: 'Start of the sale window',
+    },
+
+    // End of the sale (null = no end)
+    sale_ends_at: {
+      type: Date,
+      default: null,
+      comment: 'End of the sale window',
+    },
+
+    // Shipping weight in kilograms
+    weight: {
+      type: Number,
+      default: 0,
+      min: 0,
+      comment: 'Shipping weight in kilograms',
+    },
+
+    // Quantity in the warehouse (sum of the variants when there are any)
     stock: {
       type: Number,
       required: true,
       default: 0,
-      comment: 'Available quantity',
+      comment: 'Quantity in the warehouse',
+    },
+
+    // Quantity held by pending orders
+    reserved: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+      comment: 'Quantity held by active reservations',
     },
 
     // Product active status
@@ -78,6 +284,13 @@ const productSchema = new mongoose.Schema(
       comment: 'Product active status',
     },
 
+    // Purchasable combinations of size, color and material
+    variants: {
+      type: [variantSchema],
+      default: [],
+      comment: 'Product variants',
+    },
+
     // Reference to category
     category: {
       type: mongoose.Schema.Types.ObjectId,
@@ -85,11 +298,83 @@ const productSchema = new mongoose.Schema(
       required: true,
       comment: 'Product category reference',
     },
+
+    // Average of the approved reviews (kept in sync by the review service)
+    rating_average: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5,
+      comment: 'Average rating of approved reviews',
+    },
+
+    // Number of approved reviews
+    rating_count: {
+      type: Number,
+      default: 0,
+      min: 0,
+      comment: 'Number of approved reviews',
+    },
   },
   {
     timestamps: true,
     versionKey: false,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Variant SKUs are unique across all products
+productSchema.index(
+  { 'variants.sku': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { 'variants.sku': { $exists: true } },
+  }
+);
+
+// Full-text search (one text index per collection); names rank above SKUs and descriptions
+productSchema.index(
+  { name: 'text', sku: 'text', 'variants.sku': 'text', description: 'text' },
+  {
+    name: 'product_search',
+    weights: { name: 10, sku: 5, 'variants.sku': 5, description: 1 },
   }
 );
 
+// Quantity that can still be sold
+productSchema.virtual('available').get(function () {
+  return Math.max((this.stock ?? 0) - (this.reserved ?? 0), 0);
+});
+
+// Whether the sale price applies at a given date
+productSchema.methods.isOnSale = function (date = new Date()) {
+  return (
+    this.sale_price !== null &&
+    this.sale_price !== undefined &&
+    (!this.sale_starts_at || this.sale_starts_at <= date) &&
+    (!this.sale_ends_at || this.sale_ends_at > date)
+  );
+};
+
+// Sale windows take effect on read, no job has to switch prices
+productSchema.virtual('on_sale').get(function () {
+  return this.isOnSale();
+});
+
+// Price charged now
+productSchema.virtual('current_price').get(function () {
+  return this.isOnSale() ? this.sale_price : this.price;
+});
+
+// Crossed out price ("was $40, now $25"), null when there is nothing to compare
+productSchema.virtual('was_price').get(function () {
+  const reference =
+    this.compare_at_price ?? (this.isOnSale() ? this.price : null);
+  return reference !== null && reference > this.current_price
+    ? reference
+    : null;
+});
+
 export default mongoose.model('Product', productSchema);
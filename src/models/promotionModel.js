@@ -0,0 +1,143 @@
+// ==========================================
+//
+// Description: Represents a promotion redeemed with a coupon code at checkout
+//
+// File: promotionModel.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import mongoose from 'mongoose';
+import { DISCOUNT_TYPE, PROMOTION_SCOPE } from '../config/constants.js';
+
+const promotionSchema = new mongoose.Schema(
+  {
+    // Coupon code typed by customers
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+      comment: 'Coupon code',
+    },
+
+    // Internal name
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      comment: 'Promotion name',
+    },
+
+    // Text shown to customers
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Promotion description',
+    },
+
+    // Percentage or fixed amount
+    discount_type: {
+      type: String,
+      required: true,
+      enum: Object.values(DISCOUNT_TYPE),
+      comment: 'Percentage or fixed amount',
+    },
+
+    // Percentage (0-100) or amount off
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+      comment: 'Percentage (0-100) or amount off',
+    },
+
+    // What the discount applies to
+    scope: {
+      type: String,
+      required: true,
+      enum: Object.values(PROMOTION_SCOPE),
+      default: PROMOTION_SCOPE.ORDER,
+      comment: 'What the discount applies to',
+    },
+
+    // Eligible products (product scope)
+    products: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+      default: [],
+      comment: 'Eligible products',
+    },
+
+    // Eligible categories (category scope)
+    categories: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+      default: [],
+      comment: 'Eligible categories',
+    },
+
+    // Minimum order subtotal to redeem the code
+    min_order_value: {
+      type: Number,
+      default: 0,
+      min: 0,
+      comment: 'Minimum order subtotal',
+    },
+
+    // Total redemptions allowed (null = unlimited)
+    max_uses: {
+      type: Number,
+      default: null,
+      min: 1,
+      comment: 'Total redemptions allowed',
+    },
+
+    // Redemptions allowed per account (null = unlimited)
+    max_uses_per_account: {
+      type: Number,
+      default: null,
+      min: 1,
+      comment: 'Redemptions allowed per account',
+    },
+
+    // Redemptions by orders that were not cancelled
+    uses: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+      comment: 'Current number of redemptions',
+    },
+
+    // Start of the promotion
+    starts_at: {
+      type: Date,
+      required: true,
+      default: Date.now,
+      comment: 'Start of the promotion',
+    },
+
+    // End of the promotion (null = no end)
+    ends_at: {
+      type: Date,
+      default: null,
+      comment: 'End of the promotion',
+    },
+
+    // Promotion active status
+    is_active: {
+      type: Boolean,
+      required: true,
+      default: true,
+      comment: 'Promotion active status',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+export default mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,204 @@
+// ==========================================
+//
+// Description: Represents a customer return of order lines
+//
+// File: returnModel.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import mongoose from 'mongoose';
+import { RETURN_STATUS, RETURN_REASON } from '../config/constants.js';
+
+const returnItemSchema = new mongoose.Schema(
+  {
+    // Returned order line
+    order_detail: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrderDetail',
+      required: true,
+      comment: 'Reference to the returned order line',
+    },
+
+    // Product and variant of the line (copied from the order line)
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      comment: 'Reference to the returned product',
+    },
+
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      comment: 'Reference to the returned product variant',
+    },
+
+    // Returned quantity
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+      comment: 'Returned quantity',
+    },
+
+    // Reason code
+    reason: {
+      type: String,
+      required: true,
+      enum: Object.values(RETURN_REASON),
+      comment: 'Return reason code',
+    },
+
+    // Customer explanation
+    note: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Customer explanation',
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const returnHistorySchema = new mongoose.Schema(
+  {
+    // Status before the change (null for the initial entry)
+    from: {
+      type: String,
+      enum: [...Object.values(RETURN_STATUS), null],
+      default: null,
+      comment: 'Status before the change',
+    },
+
+    // Status after the change
+    to: {
+      type: String,
+      required: true,
+      enum: Object.values(RETURN_STATUS),
+      comment: 'Status after the change',
+    },
+
+    // Account that made the change
+    changed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      default: null,
+      comment: 'Account that made the change',
+    },
+
+    // Date of the change
+    changed_at: {
+      type: Date,
+      required: true,
+      default: Date.now,
+      comment: 'Date of the change',
+    },
+
+    // Note about the change
+    note: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Note about the change',
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const returnSchema = new mongoose.Schema(
+  {
+    // Unique return merchandise authorization number
+    return_number: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+      comment: 'Unique return identifier',
+    },
+
+    // Reference to the order
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      comment: 'Reference to the returned order',
+    },
+
+    // Reference to the customer account
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      required: true,
+      comment: 'Reference to customer account',
+    },
+
+    // Returned lines
+    items: {
+      type: [returnItemSchema],
+      required: true,
+      comment: 'Returned order lines',
+    },
+
+    // Current state of the return
+    status: {
+      type: String,
+      required: true,
+      enum: Object.values(RETURN_STATUS),
+      default: RETURN_STATUS.REQUESTED,
+      comment: 'Current state of the return',
+    },
+
+    // Every status change, oldest first
+    status_history: {
+      type: [returnHistorySchema],
+      default: [],
+      comment: 'Status change history',
+    },
+
+    // Date the goods were put back in stock
+    restocked_at: {
+      type: Date,
+      default: null,
+      comment: 'Date the returned goods were restocked',
+    },
+
+    // Amount to give back (computed when the goods are received)
+    refund_amount: {
+      type: Number,
+      default: null,
+      min: 0,
+      comment: 'Amount to refund',
+    },
+
+    // Payment the refund was recorded against (null if refunded outside the system)
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      default: null,
+      comment: 'Payment the refund was recorded against',
+    },
+
+    // Date of the refund
+    refunded_at: {
+      type: Date,
+      default: null,
+      comment: 'Date of the refund',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+returnSchema.index({ order: 1, status: 1 });
+returnSchema.index({ account: 1, createdAt: -1 });
+
+export default mongoose.model('Return', returnSchema);
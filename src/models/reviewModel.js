@@ -0,0 +1,119 @@
+// ==========================================
+//
+// Description: Represents a product review written by a verified purchaser
+//
+// File: reviewModel.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Stored images with renditions, original and responsive sources
+// ==========================================
+
+import mongoose from 'mongoose';
+import { REVIEW, REVIEW_STATUS } from '../config/constants.js';
+import { imageSchema } from './imageSchema.js';
+
+const reviewSchema = new mongoose.Schema(
+  {
+    // Reviewed product
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      comment: 'Reference to the reviewed product',
+    },
+
+    // Author of the review
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      required: true,
+      comment: 'Reference to the author account',
+    },
+
+    // Delivered order line that proves the purchase
+    order_detail: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrderDetail',
+      required: true,
+      comment: 'Order line of the verified purchase',
+    },
+
+    // Star rating
+    rating: {
+      type: Number,
+      required: true,
+      min: REVIEW.MIN_RATING,
+      max: REVIEW.MAX_RATING,
+      comment: 'Star rating',
+    },
+
+    // Short summary
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: REVIEW.MAX_TITLE_LENGTH,
+      comment: 'Review title',
+    },
+
+    // Review text
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: REVIEW.MAX_BODY_LENGTH,
+      comment: 'Review text',
+    },
+
+    // Customer photos (same renditions as product images)
+    photos: {
+      type: [imageSchema],
+      default: [],
+      comment: 'Customer photos',
+    },
+
+    // Moderation state (only approved reviews are public)
+    status: {
+      type: String,
+      required: true,
+      enum: Object.values(REVIEW_STATUS),
+      default: REVIEW_STATUS.PENDING,
+      comment: 'Moderation state',
+    },
+
+    // Admin that approved or rejected the review
+    moderated_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      default: null,
+      comment: 'Account that moderated the review',
+    },
+
+    // Date of the moderation
+    moderated_at: {
+      type: Date,
+      default: null,
+      comment: 'Date of the moderation',
+    },
+
+    // Reason given to the author (e.g. why it was rejected)
+    moderation_note: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Moderation note',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// One review per product and account
+reviewSchema.index({ product: 1, account: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+export default mongoose.model('Review', reviewSchema);
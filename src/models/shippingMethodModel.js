@@ -0,0 +1,89 @@
+// ==========================================
+//
+// Description: Represents a shipping method offered at checkout
+//
+// File: shippingMethodModel.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import mongoose from 'mongoose';
+import { SHIPPING_RATE_TYPE } from '../config/constants.js';
+
+const shippingMethodSchema = new mongoose.Schema(
+  {
+    // Name shown to customers
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      comment: 'Name shown to customers',
+    },
+
+    // Carrier handling the parcels (default for shipments)
+    carrier: {
+      type: String,
+      trim: true,
+      default: null,
+      comment: 'Carrier handling the parcels',
+    },
+
+    // How the cost is calculated
+    rate_type: {
+      type: String,
+      required: true,
+      enum: Object.values(SHIPPING_RATE_TYPE),
+      default: SHIPPING_RATE_TYPE.FLAT,
+      comment: 'How the cost is calculated',
+    },
+
+    // Flat cost, or base cost of weight-based methods
+    base_rate: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+      comment: 'Flat cost or base cost of weight-based methods',
+    },
+
+    // Cost per kilogram (weight-based methods)
+    rate_per_kg: {
+      type: Number,
+      default: 0,
+      min: 0,
+      comment: 'Cost per kilogram for weight-based methods',
+    },
+
+    // Minimum delivery time in days
+    eta_min_days: {
+      type: Number,
+      required: true,
+      min: 0,
+      comment: 'Minimum delivery time in days',
+    },
+
+    // Maximum delivery time in days
+    eta_max_days: {
+      type: Number,
+      required: true,
+      min: 0,
+      comment: 'Maximum delivery time in days',
+    },
+
+    // Only active methods are offered at checkout
+    is_active: {
+      type: Boolean,
+      required: true,
+      default: true,
+      comment: 'Shipping method active status',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+export default mongoose.model('ShippingMethod', shippingMethodSchema);
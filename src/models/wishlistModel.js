@@ -0,0 +1,67 @@
+// ==========================================
+//
+// Description: Represents the products an account saved for later
+//
+// File: wishlistModel.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import mongoose from 'mongoose';
+
+const wishlistItemSchema = new mongoose.Schema(
+  {
+    // Reference to the saved product
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      comment: 'Reference to the saved product',
+    },
+
+    // Variant of the product (null when no size or color was chosen)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      comment: 'Reference to the product variant',
+    },
+
+    // Date the product was saved
+    added_at: {
+      type: Date,
+      required: true,
+      default: Date.now,
+      comment: 'Date the product was saved',
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
+const wishlistSchema = new mongoose.Schema(
+  {
+    // Owner account
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account',
+      required: true,
+      unique: true,
+      comment: 'Reference to owner account (1:1 relationship)',
+    },
+
+    // Saved products, oldest first
+    items: {
+      type: [wishlistItemSchema],
+      default: [],
+      comment: 'Saved products',
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+export default mongoose.model('Wishlist', wishlistSchema);
@@ -0,0 +1,39 @@
+// ==========================================
+//
+// Description: Console mail driver
+//
+// File: consoleMailDriver.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import crypto from 'crypto';
+import { MailDriver } from './mailDriver.js';
+
+/**
+ * Messages printed to the server log instead of being sent (development)
+ * Only the text body is printed, links can be copied from it.
+ */
+export class ConsoleMailDriver extends MailDriver {
+  constructor() {
+    super('console');
+  }
+
+  async send({ from, to, subject, text }) {
+    const id = `<${crypto.randomUUID()}@console>`;
+    console.log(
+      [
+        `📧 Mail ${id}`,
+        `From: ${from}`,
+        `To: ${[].concat(to).join(', ')}`,
+        `Subject: ${subject}`,
+        '',
+        text,
+      ].join('\n')
+    );
+    return { id };
+  }
+}
+
+export default ConsoleMailDriver;
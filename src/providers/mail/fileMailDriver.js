@@ -0,0 +1,46 @@
+// ==========================================
+//
+// Description: File mail driver
+//
+// File: fileMailDriver.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import fs from 'fs/promises';
+import path from 'path';
+import { MailDriver } from './mailDriver.js';
+import { MailError } from '../../errors/businessError.js';
+
+/**
+ * Messages written as .eml files instead of being sent (offline development)
+ * Any mail client opens them; the file path is printed to the server log.
+ */
+export class FileMailDriver extends MailDriver {
+  constructor({ directory = 'mail' } = {}) {
+    super('file');
+    this.root = path.resolve(process.cwd(), directory);
+  }
+
+  async send(message) {
+    const { id, raw } = this.buildMessage(message);
+    const filename = `${Date.now()}-${id.slice(1, 9)}.eml`;
+    const filepath = path.join(this.root, filename);
+
+    try {
+      await fs.mkdir(this.root, { recursive: true });
+      await fs.writeFile(filepath, raw);
+    } catch (error) {
+      throw new MailError(
+        `Could not write '${filename}': ${error.message}`,
+        'WRITE_FAILED'
+      );
+    }
+
+    console.log(`📧 Mail to ${[].concat(message.to).join(', ')}: ${filepath}`);
+    return { id };
+  }
+}
+
+export default FileMailDriver;
@@ -0,0 +1,64 @@
+// ==========================================
+//
+// Description: Mail driver registry
+//
+// File: index.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { ConsoleMailDriver } from './consoleMailDriver.js';
+import { FileMailDriver } from './fileMailDriver.js';
+import { SmtpMailDriver } from './smtpMailDriver.js';
+import { MemoryMailDriver } from './memoryMailDriver.js';
+import { MailError } from '../../errors/businessError.js';
+import { getMailConfig } from '../../config/mailConfig.js';
+
+// Driver name -> factory receiving the mail config
+const factories = {
+  console: () => new ConsoleMailDriver(),
+  file: (config) => new FileMailDriver(config.file),
+  smtp: (config) => new SmtpMailDriver(config.smtp),
+  memory: () => new MemoryMailDriver(),
+};
+
+let instance = null;
+
+/**
+ * Register a mail driver factory
+ *
+ * param {string} name - Value of MAIL_DRIVER selecting the driver
+ * param {Function} factory - Receives the mail config, returns a MailDriver
+ */
+export const registerMailDriver = (name, factory) => {
+  factories[name] = factory;
+  instance = null;
+};
+
+/**
+ * Get the configured driver (created on first use)
+ *
+ * returns {MailDriver} Mail driver
+ * throws {MailError} If the configured driver is not registered
+ */
+export const getMailDriver = () => {
+  if (!instance) {
+    const config = getMailConfig();
+    const factory = factories[config.driver];
+    if (!factory) {
+      throw new MailError(
+        `Unknown mail driver '${config.driver}'`,
+        'DRIVER_NOT_CONFIGURED'
+      );
+    }
+    instance = factory(config);
+  }
+  return instance;
+};
+
+export { MailDriver } from './mailDriver.js';
+export { ConsoleMailDriver } from './consoleMailDriver.js';
+export { FileMailDriver } from './fileMailDriver.js';
+export { SmtpMailDriver } from './smtpMailDriver.js';
+export { MemoryMailDriver } from './memoryMailDriver.js';
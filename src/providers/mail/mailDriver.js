@@ -0,0 +1,118 @@
+// ==========================================
+//
+// Description: Mail driver interface for outgoing messages
+//
+// File: mailDriver.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import crypto from 'crypto';
+
+/**
+ * Base class for mail drivers
+ * Messages are { from, to, subject, text, html }, where to is an address or a
+ * list of addresses and html is optional. Drivers that store or transmit the
+ * raw message build it with buildMessage.
+ */
+export class MailDriver {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Deliver a message
+   *
+   * param {Object} message - { from, to, subject, text, html }
+   * returns {Promise<{id: string}>} Message-ID of the delivered message
+   * throws {MailError} If the message cannot be delivered
+   */
+  async send(message) {
+    throw new Error(`${this.name} driver does not implement send`);
+  }
+
+  /**
+   * Build the MIME source of a message (RFC 5322, CRLF line endings)
+   * Bodies are base64 encoded so any text survives 7-bit transports.
+   *
+   * param {Object} message - { from, to, subject, text, html }
+   * returns {{id: string, raw: string}} Message-ID and message source
+   */
+  buildMessage({ from, to, subject, text, html = null }) {
+    const domain = getAddress(from).split('@')[1] || 'localhost';
+    const id = `<${crypto.randomUUID()}@${domain}>`;
+
+    const headers = [
+      `From: ${encodeAddress(from)}`,
+      `To: ${[].concat(to).map(encodeAddress).join(', ')}`,
+      `Subject: ${encodeHeader(cleanHeader(subject))}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: ${id}`,
+      'MIME-Version: 1.0',
+    ];
+
+    let body;
+    if (html) {
+      const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+      headers.push(
+        `Content-Type: multipart/alternative; boundary="${boundary}"`
+      );
+      body = [
+        `--${boundary}`,
+        ...encodePart('text/plain', text),
+        `--${boundary}`,
+        ...encodePart('text/html', html),
+        `--${boundary}--`,
+      ];
+    } else {
+      const [contentType, encoding, , content] = encodePart('text/plain', text);
+      headers.push(contentType, encoding);
+      body = [content];
+    }
+
+    return { id, raw: [...headers, '', ...body, ''].join('\r\n') };
+  }
+}
+
+/**
+ * Email address of a sender or recipient ("Name <a@b.com>" -> a@b.com)
+ *
+ * param {string} value - Address with or without a display name
+ * returns {string} Bare address
+ */
+export const getAddress = (value) => {
+  const match = String(value).match(/<([^<>]+)>\s*$/);
+  return (match ? match[1] : String(value)).trim();
+};
+
+// ============ PRIVATE HELPERS ============
+
+// Line breaks in a header value would start new headers
+const cleanHeader = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+// Non-ASCII header values as an RFC 2047 encoded word
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+
+// Display names are encoded, the address itself must stay ASCII
+const encodeAddress = (value) => {
+  const clean = cleanHeader(value);
+  const match = clean.match(/^(.*?)\s*<([^<>]+)>\s*$/);
+  if (!match || /^[\x20-\x7e]*$/.test(match[1])) return clean;
+  return `${encodeHeader(match[1].replace(/^"|"$/g, ''))} <${match[2]}>`;
+};
+
+// Part headers, blank line and body in 76 character base64 lines
+const encodePart = (type, content) => [
+  `Content-Type: ${type}; charset=utf-8`,
+  'Content-Transfer-Encoding: base64',
+  '',
+  Buffer.from(content || '')
+    .toString('base64')
+    .replace(/.{76}(?=.)/g, '$&\r\n'),
+];
+
+export default MailDriver;
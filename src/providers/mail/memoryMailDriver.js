@@ -0,0 +1,30 @@
+// ==========================================
+//
+// Description: In-memory mail driver
+//
+// File: memoryMailDriver.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { MailDriver } from './mailDriver.js';
+
+/**
+ * Messages kept in process memory (tests)
+ * Sent messages are appended to messages, with their Message-ID.
+ */
+export class MemoryMailDriver extends MailDriver {
+  constructor() {
+    super('memory');
+    this.messages = [];
+  }
+
+  async send(message) {
+    const { id } = this.buildMessage(message);
+    this.messages.push({ id, ...message });
+    return { id };
+  }
+}
+
+export default MemoryMailDriver;
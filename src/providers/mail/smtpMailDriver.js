@@ -0,0 +1,104 @@
+// ==========================================
+//
+// Description: SMTP mail driver
+//
+// File: smtpMailDriver.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: SMTP delivery through nodemailer
+// ==========================================
+
+import nodemailer from 'nodemailer';
+import { MailDriver, getAddress } from './mailDriver.js';
+import { MailError } from '../../errors/businessError.js';
+
+// nodemailer error codes raised before the server could answer
+const CONNECTION_ERRORS = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS'];
+
+/**
+ * Messages sent to an SMTP server through nodemailer, one connection per message
+ * Implicit TLS when secure is set (port 465), otherwise STARTTLS whenever the
+ * server offers it. Credentials are never sent over an unencrypted connection.
+ */
+export class SmtpMailDriver extends MailDriver {
+  constructor({
+    host = 'localhost',
+    port = 587,
+    secure = false,
+    user = null,
+    pass = null,
+    timeoutMs = 10000,
+  } = {}) {
+    super('smtp');
+    this.host = host;
+    this.port = port;
+    this.secure = secure;
+    this.user = user;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      // STARTTLS is mandatory before sending credentials
+      requireTLS: Boolean(user),
+      auth: user ? { user, pass: pass || '' } : undefined,
+      connectionTimeout: timeoutMs,
+      greetingTimeout: timeoutMs,
+      socketTimeout: timeoutMs,
+    });
+  }
+
+  async send(message) {
+    // The message is built here so every driver produces the same source
+    const { id, raw } = this.buildMessage(message);
+
+    try {
+      await this.transport.sendMail({
+        envelope: {
+          from: getAddress(message.from),
+          to: [].concat(message.to).map(getAddress),
+        },
+        raw,
+      });
+    } catch (error) {
+      throw this.toMailError(error);
+    }
+
+    return { id };
+  }
+
+  // ============ PRIVATE METHODS ============
+
+  /**
+   * Translate a nodemailer error into the MailError codes of the drivers
+   */
+  toMailError(error) {
+    if (CONNECTION_ERRORS.includes(error.code)) {
+      return new MailError(
+        `Could not connect to ${this.host}:${this.port}: ${error.message}`,
+        'UNREACHABLE'
+      );
+    }
+    if (error.code === 'ETLS') {
+      // A refused STARTTLS leaves only a plain connection for the credentials
+      if (this.user && !this.secure && error.responseCode) {
+        return new MailError(
+          `${this.host} does not offer TLS, credentials were not sent`,
+          'INSECURE'
+        );
+      }
+      return new MailError(
+        `SMTP TLS handshake failed: ${error.message}`,
+        'TLS'
+      );
+    }
+    return new MailError(
+      `SMTP ${error.command || 'delivery'} rejected: ${
+        error.response || error.message
+      }`,
+      'REJECTED'
+    );
+  }
+}
+
+export default SmtpMailDriver;
@@ -0,0 +1,135 @@
+// ==========================================
+//
+// Description: Deterministic in-process payment provider for development and tests
+//
+// File: fakePaymentProvider.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Refunds accept an idempotency key
+// ==========================================
+
+import crypto from 'crypto';
+import { PaymentProvider } from './paymentProvider.js';
+import { PaymentError } from '../../errors/businessError.js';
+
+// Payment method tokens and the outcome they always produce
+export const FAKE_PAYMENT_METHODS = {
+  pm_card_visa: { status: 'succeeded' },
+  pm_card_mastercard: { status: 'succeeded' },
+  pm_card_declined: {
+    status: 'failed',
+    failure_code: 'card_declined',
+    failure_message: 'Your card was declined',
+  },
+  pm_card_insufficient_funds: {
+    status: 'failed',
+    failure_code: 'insufficient_funds',
+    failure_message: 'Your card has insufficient funds',
+  },
+  pm_card_expired: {
+    status: 'failed',
+    failure_code: 'expired_card',
+    failure_message: 'Your card has expired',
+  },
+};
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+/**
+ * Payment provider that never leaves the process (never use it in production)
+ * Identifiers are derived from the inputs and outcomes from the payment method
+ * token, so the same calls always give the same results.
+ */
+export class FakePaymentProvider extends PaymentProvider {
+  constructor({ webhookSecret = null } = {}) {
+    super('fake');
+    if (!webhookSecret) {
+      throw new PaymentError(
+        'A webhook secret is required',
+        'PROVIDER_NOT_CONFIGURED'
+      );
+    }
+    this.webhookSecret = webhookSecret;
+  }
+
+  async createIntent({ amount, currency, reference }) {
+    return {
+      id: `pi_fake_${this.hash(reference)}`,
+      status: 'requires_confirmation',
+      amount,
+      currency,
+    };
+  }
+
+  async confirm(intentId, { paymentMethod }) {
+    const outcome = FAKE_PAYMENT_METHODS[paymentMethod];
+    if (!outcome) {
+      throw new PaymentError(
+        `Unknown payment method '${paymentMethod}'`,
+        'INVALID_PAYMENT_METHOD'
+      );
+    }
+
+    return {
+      id: intentId,
+      failure_code: null,
+      failure_message: null,
+      ...outcome,
+    };
+  }
+
+  async refund(intentId, amount, { idempotencyKey = null } = {}) {
+    const key = idempotencyKey || `${amount}:${Date.now()}`;
+    return {
+      id: `re_fake_${this.hash(`${intentId}:${key}`)}`,
+      status: 'succeeded',
+      amount,
+    };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    const signature = headers[SIGNATURE_HEADER];
+    const expected = this.signWebhook(rawBody);
+    const valid =
+      typeof signature === 'string' &&
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    if (!valid) {
+      throw new PaymentError(
+        'Invalid webhook signature',
+        'INVALID_WEBHOOK_SIGNATURE'
+      );
+    }
+
+    try {
+      return JSON.parse(rawBody.toString());
+    } catch (error) {
+      throw new PaymentError('Invalid webhook payload', 'INVALID_WEBHOOK');
+    }
+  }
+
+  /**
+   * Sign a webhook body the way the provider would (useful to simulate events)
+   *
+   * param {Buffer|string} rawBody - Webhook body
+   * returns {string} Hex HMAC-SHA256 signature for the x-fake-signature header
+   */
+  signWebhook(rawBody) {
+    return crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(rawBody)
+      .digest('hex');
+  }
+
+  hash(value) {
+    return crypto
+      .createHash('sha256')
+      .update(String(value))
+      .digest('hex')
+      .slice(0, 24);
+  }
+}
+
+export default FakePaymentProvider;
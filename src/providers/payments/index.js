@@ -0,0 +1,61 @@
+// ==========================================
+//
+// Description: Payment provider registry
+//
+// File: index.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Required payment settings and refused the fake provider in production
+// ==========================================
+
+import { FakePaymentProvider } from './fakePaymentProvider.js';
+import { PaymentError } from '../../errors/businessError.js';
+import {
+  getPaymentConfig,
+  validatePaymentConfig,
+} from '../../config/paymentConfig.js';
+
+// Provider name -> factory receiving the payment config
+const factories = {
+  fake: (config) => new FakePaymentProvider(config),
+};
+
+let instance = null;
+
+/**
+ * Register a provider adapter factory
+ *
+ * param {string} name - Value of PAYMENT_PROVIDER selecting the adapter
+ * param {Function} factory - Receives the payment config, returns a PaymentProvider
+ */
+export const registerPaymentProvider = (name, factory) => {
+  factories[name] = factory;
+  instance = null;
+};
+
+/**
+ * Get the configured provider (created on first use)
+ *
+ * returns {PaymentProvider} Provider adapter
+ * throws {PaymentError} If the configured provider is not registered, the
+ * settings are incomplete or the provider is not allowed in production
+ */
+export const getPaymentProvider = () => {
+  if (!instance) {
+    const config = getPaymentConfig();
+    validatePaymentConfig(config);
+    const factory = factories[config.provider];
+    if (!factory) {
+      throw new PaymentError(
+        `Unknown payment provider '${config.provider}'`,
+        'PROVIDER_NOT_CONFIGURED'
+      );
+    }
+    instance = factory(config);
+  }
+  return instance;
+};
+
+export { PaymentProvider } from './paymentProvider.js';
+export { FakePaymentProvider } from './fakePaymentProvider.js';
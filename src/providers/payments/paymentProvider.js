@@ -0,0 +1,80 @@
+// ==========================================
+//
+// Description: Payment provider adapter interface
+//
+// File: paymentProvider.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Refunds accept an idempotency key
+// ==========================================
+
+/**
+ * Base class for payment provider adapters
+ * Adapters translate provider APIs into the shapes below, so the payment
+ * service never depends on a specific gateway.
+ *
+ * Intent: { id, status, amount, currency }
+ * Confirmation: { id, status: 'succeeded' | 'failed', failure_code, failure_message }
+ * Refund: { id, status: 'succeeded' | 'failed', amount }
+ * Webhook event: { id, type: 'payment.succeeded' | 'payment.failed' | 'payment.refunded', intent_id, data }
+ */
+export class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Create a payment intent for an amount
+   *
+   * param {Object} params
+   * param {number} params.amount - Amount in currency units
+   * param {string} params.currency - ISO currency code
+   * param {string} params.reference - Internal payment reference
+   * returns {Promise<Object>} Intent
+   */
+  async createIntent(params) {
+    throw new Error(`${this.name} provider does not implement createIntent`);
+  }
+
+  /**
+   * Confirm an intent with a payment method
+   *
+   * param {string} intentId - Provider intent ID
+   * param {Object} params
+   * param {string} params.paymentMethod - Payment method token
+   * returns {Promise<Object>} Confirmation
+   */
+  async confirm(intentId, params) {
+    throw new Error(`${this.name} provider does not implement confirm`);
+  }
+
+  /**
+   * Refund part or all of a confirmed intent
+   * Calls with the same idempotency key must return the first refund instead
+   * of making a new one.
+   *
+   * param {string} intentId - Provider intent ID
+   * param {number} amount - Amount to refund
+   * param {Object} [options]
+   * param {string} [options.idempotencyKey] - Key identifying the refund across retries
+   * returns {Promise<Object>} Refund
+   */
+  async refund(intentId, amount, { idempotencyKey = null } = {}) {
+    throw new Error(`${this.name} provider does not implement refund`);
+  }
+
+  /**
+   * Verify the signature of a webhook and parse its event
+   *
+   * param {Buffer|string} rawBody - Raw request body
+   * param {Object} headers - Request headers
+   * returns {Object} Webhook event
+   * throws {PaymentError} If the signature is invalid
+   */
+  verifyWebhook(rawBody, headers) {
+    throw new Error(`${this.name} provider does not implement verifyWebhook`);
+  }
+}
+
+export default PaymentProvider;
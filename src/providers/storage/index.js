@@ -0,0 +1,67 @@
+// ==========================================
+//
+// Description: Storage driver registry
+//
+// File: index.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { LocalStorageDriver } from './localStorageDriver.js';
+import { S3StorageDriver } from './s3StorageDriver.js';
+import { MemoryStorageDriver } from './memoryStorageDriver.js';
+import { StorageError } from '../../errors/businessError.js';
+import { getStorageConfig } from '../../config/storageConfig.js';
+
+// Driver name -> factory receiving the storage config
+const factories = {
+  local: (config) =>
+    new LocalStorageDriver({
+      ...config.local,
+      publicBaseUrl: config.publicBaseUrl,
+    }),
+  s3: (config) =>
+    new S3StorageDriver({ ...config.s3, publicBaseUrl: config.publicBaseUrl }),
+  memory: (config) =>
+    new MemoryStorageDriver({ publicBaseUrl: config.publicBaseUrl }),
+};
+
+let instance = null;
+
+/**
+ * Register a storage driver factory
+ *
+ * param {string} name - Value of STORAGE_DRIVER selecting the driver
+ * param {Function} factory - Receives the storage config, returns a StorageDriver
+ */
+export const registerStorageDriver = (name, factory) => {
+  factories[name] = factory;
+  instance = null;
+};
+
+/**
+ * Get the configured driver (created on first use)
+ *
+ * returns {StorageDriver} Storage driver
+ * throws {StorageError} If the configured driver is not registered or misconfigured
+ */
+export const getStorageDriver = () => {
+  if (!instance) {
+    const config = getStorageConfig();
+    const factory = factories[config.driver];
+    if (!factory) {
+      throw new StorageError(
+        `Unknown storage driver '${config.driver}'`,
+        'DRIVER_NOT_CONFIGURED'
+      );
+    }
+    instance = factory(config);
+  }
+  return instance;
+};
+
+export { StorageDriver } from './storageDriver.js';
+export { LocalStorageDriver } from './localStorageDriver.js';
+export { S3StorageDriver } from './s3StorageDriver.js';
+export { MemoryStorageDriver } from './memoryStorageDriver.js';
@@ -0,0 +1,114 @@
+// ==========================================
+//
+// Description: Local disk storage driver
+//
+// File: localStorageDriver.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import fs from 'fs/promises';
+import path from 'path';
+import { StorageDriver } from './storageDriver.js';
+import { StorageError } from '../../errors/businessError.js';
+
+// Path the directory is served under by express.static
+export const LOCAL_URL_PREFIX = '/uploads';
+
+/**
+ * Files on the server disk, served by the API under /uploads
+ * Not suitable for serverless deploys, where the disk is not kept between requests.
+ */
+export class LocalStorageDriver extends StorageDriver {
+  constructor({ directory = 'uploads', publicBaseUrl = null } = {}) {
+    super('local', { publicBaseUrl });
+    this.root = path.resolve(process.cwd(), directory);
+  }
+
+  async put(key, body) {
+    const filepath = this.resolvePath(key);
+    try {
+      await fs.mkdir(path.dirname(filepath), { recursive: true });
+      await fs.writeFile(filepath, body);
+    } catch (error) {
+      throw new StorageError(
+        `Could not write '${key}': ${error.message}`,
+        'WRITE_FAILED'
+      );
+    }
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new StorageError(
+        `Could not read '${key}': ${error.message}`,
+        'READ_FAILED'
+      );
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw new StorageError(
+        `Could not delete '${key}': ${error.message}`,
+        'DELETE_FAILED'
+      );
+    }
+  }
+
+  async list(prefix = '') {
+    // Only the directory holding the prefix is walked
+    const folder = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+    try {
+      const files = await this.walk(folder);
+      return files.filter((file) => file.key.startsWith(prefix));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw new StorageError(
+        `Could not list '${prefix}': ${error.message}`,
+        'LIST_FAILED'
+      );
+    }
+  }
+
+  getDefaultUrl(key) {
+    return `${LOCAL_URL_PREFIX}/${key}`;
+  }
+
+  /**
+   * Files under a folder of the root (folder/ or '' for the whole root)
+   */
+  async walk(folder) {
+    const entries = await fs.readdir(
+      path.join(this.root, ...folder.split('/')),
+      { withFileTypes: true }
+    );
+    const files = [];
+    for (const entry of entries) {
+      const key = `${folder}${entry.name}`;
+      if (entry.isDirectory()) {
+        files.push(...(await this.walk(`${key}/`)));
+      } else if (entry.isFile()) {
+        const { size, mtime } = await fs.stat(
+          path.join(this.root, ...key.split('/'))
+        );
+        files.push({ key, size, lastModified: mtime });
+      }
+    }
+    return files;
+  }
+
+  resolvePath(key) {
+    this.validateKey(key);
+    return path.join(this.root, ...key.split('/'));
+  }
+}
+
+export default LocalStorageDriver;
@@ -0,0 +1,57 @@
+// ==========================================
+//
+// Description: In-memory storage driver
+//
+// File: memoryStorageDriver.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { StorageDriver } from './storageDriver.js';
+
+/**
+ * Files kept in process memory (tests and local experiments)
+ * Everything is lost when the process stops and nothing serves the URLs.
+ */
+export class MemoryStorageDriver extends StorageDriver {
+  constructor({ publicBaseUrl = null } = {}) {
+    super('memory', { publicBaseUrl });
+    this.files = new Map();
+  }
+
+  async put(key, body, { contentType = null } = {}) {
+    this.validateKey(key);
+    this.files.set(key, {
+      body: Buffer.from(body),
+      contentType,
+      lastModified: new Date(),
+    });
+  }
+
+  async get(key) {
+    this.validateKey(key);
+    return this.files.get(key)?.body ?? null;
+  }
+
+  async delete(key) {
+    this.validateKey(key);
+    this.files.delete(key);
+  }
+
+  async list(prefix = '') {
+    return [...this.files]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, file]) => ({
+        key,
+        size: file.body.length,
+        lastModified: file.lastModified,
+      }));
+  }
+
+  getDefaultUrl(key) {
+    return `memory://${key}`;
+  }
+}
+
+export default MemoryStorageDriver;
@@ -0,0 +1,158 @@
+// ==========================================
+//
+// Description: S3-compatible storage driver (AWS S3, MinIO, R2)
+//
+// File: s3StorageDriver.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Requests are sent through the AWS SDK S3 client
+// ==========================================
+
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { StorageDriver } from './storageDriver.js';
+import { StorageError } from '../../errors/businessError.js';
+
+/**
+ * Objects in an S3-compatible bucket, sent through the AWS SDK client
+ * Objects are read through their public URL, so the bucket (or the CDN in
+ * front of it) must allow public reads.
+ */
+export class S3StorageDriver extends StorageDriver {
+  constructor({
+    endpoint,
+    region,
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle = true,
+    publicBaseUrl = null,
+    client = null,
+  } = {}) {
+    super('s3', { publicBaseUrl });
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new StorageError(
+        'S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY',
+        'NOT_CONFIGURED'
+      );
+    }
+    this.endpoint = new URL(endpoint);
+    this.bucket = bucket;
+    this.forcePathStyle = forcePathStyle;
+    // Tests pass their own client to avoid the network
+    this.client =
+      client ??
+      new S3Client({
+        endpoint,
+        region,
+        forcePathStyle,
+        credentials: { accessKeyId, secretAccessKey },
+      });
+  }
+
+  async put(key, body, { contentType = 'application/octet-stream' } = {}) {
+    this.validateKey(key);
+    await this.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+      }),
+      'WRITE_FAILED',
+      key
+    );
+  }
+
+  async get(key) {
+    this.validateKey(key);
+    const response = await this.send(
+      new GetObjectCommand({ Bucket: this.bucket, Key: key }),
+      'READ_FAILED',
+      key
+    );
+    if (!response) return null;
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  async delete(key) {
+    this.validateKey(key);
+    await this.send(
+      new DeleteObjectCommand({ Bucket: this.bucket, Key: key }),
+      'DELETE_FAILED',
+      key
+    );
+  }
+
+  async list(prefix = '') {
+    const files = [];
+    let token;
+    do {
+      // One page of up to 1000 keys per request
+      const page = await this.send(
+        new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: prefix,
+          ContinuationToken: token,
+        }),
+        'LIST_FAILED',
+        prefix
+      );
+      for (const object of page.Contents ?? []) {
+        files.push({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified,
+        });
+      }
+      token = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (token);
+
+    return files;
+  }
+
+  getDefaultUrl(key) {
+    const { protocol, host } = this.endpoint;
+    return this.forcePathStyle
+      ? `${protocol}//${host}/${this.bucket}/${key}`
+      : `${protocol}//${this.bucket}.${host}/${key}`;
+  }
+
+  // ============ PRIVATE METHODS ============
+
+  /**
+   * Send a command, turning SDK errors into StorageErrors
+   * A missing object resolves to null instead of failing.
+   */
+  async send(command, code, key) {
+    try {
+      return await this.client.send(command);
+    } catch (error) {
+      const status = error.$metadata?.httpStatusCode;
+      if (
+        error.name === 'NoSuchKey' ||
+        (status === 404 && error.name !== 'NoSuchBucket')
+      ) {
+        return null;
+      }
+      if (!status) {
+        throw new StorageError(
+          `S3 endpoint unreachable: ${error.message}`,
+          'UNREACHABLE'
+        );
+      }
+      throw new StorageError(
+        `S3 request for '${key}' failed: ${error.name || status}`,
+        code
+      );
+    }
+  }
+}
+
+export default S3StorageDriver;
@@ -0,0 +1,167 @@
+// ==========================================
+//
+// Description: Storage driver interface for uploaded files
+//
+// File: storageDriver.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Images store storage keys and build their URLs when read
+// ==========================================
+
+import { StorageError } from '../../errors/businessError.js';
+
+// Object keys look like products/product-123-desktop.webp
+const KEY_REGEX = /^[A-Za-z0-9._-]+(\/[A-Za-z0-9._-]+)*$/;
+
+/**
+ * Base class for storage drivers
+ * Files are addressed by a key (folder/filename). The database keeps the key
+ * of each file and the public URL is built when it is read, so the public
+ * base URL can change. Images saved before keys were kept store their URL,
+ * which getKey translates back while it is under the current base.
+ */
+export class StorageDriver {
+  /**
+   * param {string} name - Driver name
+   * param {Object} [options]
+   * param {string} [options.publicBaseUrl] - CDN or public base URL placed before keys
+   */
+  constructor(name, { publicBaseUrl = null } = {}) {
+    this.name = name;
+    this.publicBaseUrl = publicBaseUrl;
+  }
+
+  /**
+   * Store a file, replacing any file with the same key
+   *
+   * param {string} key - Object key
+   * param {Buffer} body - File content
+   * param {Object} [options]
+   * param {string} [options.contentType] - MIME type
+   * returns {Promise<void>}
+   * throws {StorageError} If the file cannot be stored
+   */
+  async put(key, body, options) {
+    throw new Error(`${this.name} driver does not implement put`);
+  }
+
+  /**
+   * Read a file
+   *
+   * param {string} key - Object key
+   * returns {Promise<Buffer|null>} File content or null if it does not exist
+   * throws {StorageError} If the backend cannot be reached
+   */
+  async get(key) {
+    throw new Error(`${this.name} driver does not implement get`);
+  }
+
+  /**
+   * Delete a file (deleting a missing file is not an error)
+   *
+   * param {string} key - Object key
+   * returns {Promise<void>}
+   * throws {StorageError} If the backend cannot be reached
+   */
+  async delete(key) {
+    throw new Error(`${this.name} driver does not implement delete`);
+  }
+
+  /**
+   * List the files whose key starts with a prefix
+   *
+   * param {string} prefix - Key prefix (e.g. products/)
+   * returns {Promise<Array<Object>>} Files {key, size, lastModified}
+   * throws {StorageError} If the backend cannot be reached
+   */
+  async list(prefix) {
+    throw new Error(`${this.name} driver does not implement list`);
+  }
+
+  /**
+   * URL the driver serves a key from when no public base URL is configured
+   *
+   * param {string} key - Object key
+   * returns {string} URL
+   */
+  getDefaultUrl(key) {
+    throw new Error(`${this.name} driver does not implement getDefaultUrl`);
+  }
+
+  /**
+   * Public URL of a key
+   *
+   * param {string} key - Object key
+   * returns {string} URL
+   */
+  getUrl(key) {
+    this.validateKey(key);
+    return this.publicBaseUrl
+      ? `${this.publicBaseUrl}/${key}`
+      : this.getDefaultUrl(key);
+  }
+
+  /**
+   * URL of a value stored in the database
+   *
+   * param {string} value - Object key, or the URL of an image saved before keys were kept
+   * returns {string} URL (stored URLs are returned as they are)
+   */
+  resolveUrl(value) {
+    return this.isKey(value) ? this.getUrl(value) : value;
+  }
+
+  /**
+   * Key of a stored value (inverse of getUrl)
+   *
+   * param {string} value - Object key, or a URL saved in the database
+   * returns {string|null} Object key, or null if the URL is not served by this driver
+   */
+  getKey(value) {
+    if (typeof value !== 'string') return null;
+    if (this.isKey(value)) return value;
+
+    const url = value;
+    const prefixes = [this.publicBaseUrl, this.getDefaultUrl('')]
+      .filter(Boolean)
+      .map((prefix) => (prefix.endsWith('/') ? prefix : `${prefix}/`));
+    const prefix = prefixes.find((candidate) => url.startsWith(candidate));
+    if (!prefix) return null;
+
+    const key = url.slice(prefix.length);
+    return this.isKey(key) ? key : null;
+  }
+
+  /**
+   * Whether a value is an object key (URLs always contain a colon or start with /)
+   *
+   * param {string} value - Stored value
+   * returns {boolean} True for keys
+   */
+  isKey(value) {
+    return (
+      typeof value === 'string' &&
+      KEY_REGEX.test(value) &&
+      !this.hasDotSegment(value)
+    );
+  }
+
+  /**
+   * Reject keys that could escape the storage root
+   *
+   * param {string} key - Object key
+   * throws {StorageError} If the key is not valid
+   */
+  validateKey(key) {
+    if (!this.isKey(key)) {
+      throw new StorageError(`Invalid storage key '${key}'`, 'INVALID_KEY');
+    }
+  }
+
+  hasDotSegment(key) {
+    return key.split('/').some((segment) => /^\.+$/.test(segment));
+  }
+}
+
+export default StorageDriver;
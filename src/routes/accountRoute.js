@@ -5,7 +5,8 @@
 // File: accountRoutes.js
 // Author: Anthony Bañon
 // Created: 2025-11-04
-// Last Updated: 2025-11-04
+// Last Updated: 2026-10-19
+// Changes: Added cursor pagination to list endpoints
 // ==========================================
 
 import express from 'express';
@@ -32,6 +33,7 @@ import {
   updateUsernameValidation,
   updateRoleValidation,
 } from '../validations/accountValidation.js';
+import { paginationValidation } from '../validations/paginationValidation.js';
 
 import {
   authenticateToken,
@@ -43,7 +45,14 @@ import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
 const router = express.Router();
 
 // GET all accounts (Admin only)
-router.get('/', authenticateToken, requireRole(['admin']), getAllAccounts);
+router.get(
+  '/',
+  authenticateToken,
+  requireRole(['admin']),
+  paginationValidation,
+  handleValidationErrors,
+  getAllAccounts
+);
 
 // GET one account by ID
 router.get(
@@ -6,6 +6,14 @@ import authRoute from './authRoute.js';
 import accountRoute from './accountRoute.js';
 import orderRoute from './orderRoute.js';
 import orderDetailRoute from './orderDetailRoute.js';
+import cartRoute from './cartRoute.js';
+import paymentRoute from './paymentRoute.js';
+import returnRoute from './returnRoute.js';
+import shippingMethodRoute from './shippingMethodRoute.js';
+import promotionRoute from './promotionRoute.js';
+import reviewRoute from './reviewRoute.js';
+import wishlistRoute from './wishlistRoute.js';
+import imageRoute from './imageRoute.js';
 
 const router = express.Router();
 
@@ -17,5 +25,13 @@ router.use('/persons', personRoute);
 router.use('/auth', authRoute);
 router.use('/orders', orderRoute);
 router.use('/order-details', orderDetailRoute);
+router.use('/cart', cartRoute);
+router.use('/payments', paymentRoute);
+router.use('/returns', returnRoute);
+router.use('/shipping-methods', shippingMethodRoute);
+router.use('/promotions', promotionRoute);
+router.use('/reviews', reviewRoute);
+router.use('/wishlist', wishlistRoute);
+router.use('/images', imageRoute);
 
 export default router;
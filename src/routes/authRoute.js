@@ -5,7 +5,8 @@
 // File: authRoute.js
 // Author: Anthony Bañon
 // Created: 2025-11-08
-// Last Updated: 2025-11-08
+// Last Updated: 2026-10-19
+// Changes: Added email verification and password reset
 // ==========================================
 
 import express from 'express';
@@ -16,12 +17,19 @@ import {
   validateToken,
   refreshToken,
   logout,
+  sendEmailVerification,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
 } from '../controllers/authController.js';
 import {
   loginValidation,
   changePasswordValidation,
   refreshTokenValidation,
   validateTokenValidation,
+  verifyEmailValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
 } from '../validations/authValidation.js';
 import {
   authenticateToken,
@@ -66,4 +74,31 @@ router.post(
 // POST /api/auth/logout
 router.post('/logout', authenticateToken, logout);
 
+// POST /api/auth/verify-email/send (protegida) - Email a new verification link
+router.post('/verify-email/send', authenticateToken, sendEmailVerification);
+
+// POST /api/auth/verify-email
+router.post(
+  '/verify-email',
+  verifyEmailValidation,
+  handleValidationErrors,
+  verifyEmail
+);
+
+// POST /api/auth/forgot-password
+router.post(
+  '/forgot-password',
+  forgotPasswordValidation,
+  handleValidationErrors,
+  forgotPassword
+);
+
+// POST /api/auth/reset-password
+router.post(
+  '/reset-password',
+  resetPasswordValidation,
+  handleValidationErrors,
+  resetPassword
+);
+
 export default router;
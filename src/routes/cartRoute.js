@@ -0,0 +1,64 @@
+// ==========================================
+//
+// Description: Cart routes
+//
+// File: cartRoute.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { Router } from 'express';
+import {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+} from '../controllers/cartController.js';
+import {
+  addCartItemValidation,
+  updateCartItemValidation,
+  cartItemValidation,
+} from '../validations/cartValidation.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import { optionalAuth } from '../middlewares/authMiddleware.js';
+
+const router = Router();
+
+// 🔓 OPTIONAL AUTH ROUTES (account cart when logged in, guest cart via X-Cart-Token otherwise)
+
+// GET /api/cart - Get current cart with live totals
+router.get('/', optionalAuth, getCart);
+
+// POST /api/cart/items - Add a product to the cart
+router.post(
+  '/items',
+  optionalAuth,
+  addCartItemValidation,
+  handleValidationErrors,
+  addCartItem
+);
+
+// PATCH /api/cart/items/:productId - Update quantity (0 removes the line)
+router.patch(
+  '/items/:productId',
+  optionalAuth,
+  updateCartItemValidation,
+  handleValidationErrors,
+  updateCartItem
+);
+
+// DELETE /api/cart/items/:productId - Remove a product from the cart
+router.delete(
+  '/items/:productId',
+  optionalAuth,
+  cartItemValidation,
+  handleValidationErrors,
+  removeCartItem
+);
+
+// DELETE /api/cart - Clear the cart
+router.delete('/', optionalAuth, clearCart);
+
+export default router;
@@ -5,14 +5,16 @@
 // File: categoryRouter.js
 // Author: Anthony Bañon
 // Created: 2025-10-14
-// Last Updated: 2025-11-02
-// Changes: Added middleware for image upload
+// Last Updated: 2026-10-19
+// Changes: Added slugs with redirect history
 // ==========================================
 
 import { Router } from 'express';
 import {
   getAllCategories,
   getOneCategory,
+  getCategoryTree,
+  getCategoryBySlug,
   createOneCategory,
   updateOneCategory,
   updatePartialCategory,
@@ -27,7 +29,10 @@ import {
   categoryIdValidation,
   updateCategoryStatusValidation,
   updatePartialCategoryValidation,
+  categoryTreeValidation,
+  categorySlugValidation,
 } from '../validations/categoryValidation.js';
+import { paginationValidation } from '../validations/paginationValidation.js';
 
 // Middlewares
 import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
@@ -40,6 +45,20 @@ import {
 const router = Router();
 
 // 🔓 PUBLIC ROUTES (no authentication)
+// GET category tree - Registered before /:id so 'tree' is not read as an ID
+router.get(
+  '/tree',
+  categoryTreeValidation,
+  handleValidationErrors,
+  getCategoryTree
+);
+// GET one category by slug (old slugs answer 301 with the current one)
+router.get(
+  '/slug/:slug',
+  categorySlugValidation,
+  handleValidationErrors,
+  getCategoryBySlug
+);
 // GET one category by ID - ID validation only
 router.get(
   '/:id',
@@ -47,8 +66,8 @@ router.get(
   handleValidationErrors,
   getOneCategory
 );
-// GET all categories - NO validation needed (read-only)
-router.get('/', getAllCategories);
+// GET all categories - Pagination query validation only
+router.get('/', paginationValidation, handleValidationErrors, getAllCategories);
 
 // 🔐 PROTECTED ROUTES (require authentication)
 // POST a new category - Full validation required
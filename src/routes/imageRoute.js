@@ -0,0 +1,45 @@
+// ==========================================
+//
+// Description: Image profile routes
+//
+// File: imageRoute.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { Router } from 'express';
+import {
+  getImageProfiles,
+  regenerateImages,
+} from '../controllers/imageController.js';
+import { regenerateImagesValidation } from '../validations/imageValidation.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import {
+  authenticateToken,
+  requireRole,
+} from '../middlewares/authMiddleware.js';
+
+const router = Router();
+
+// 👑 ADMIN ROUTES
+
+// GET /api/images/profiles - Rendition profiles and their current version
+router.get(
+  '/profiles',
+  authenticateToken,
+  requireRole(['admin']),
+  getImageProfiles
+);
+
+// POST /api/images/profiles/:profile/regenerate - Render the images again after a profile change
+router.post(
+  '/profiles/:profile/regenerate',
+  authenticateToken,
+  requireRole(['admin']),
+  regenerateImagesValidation,
+  handleValidationErrors,
+  regenerateImages
+);
+
+export default router;
@@ -5,7 +5,8 @@
 // File: OrderDetailRoute.js
 // Author: Anthony Bañon
 // Created: 2025-11-07
-// Last Updated: 2025-11-07
+// Last Updated: 2026-10-19
+// Changes: Prices set by the server, line changes limited to admins on pending orders
 // ==========================================
 
 import { Router } from 'express';
@@ -29,6 +30,7 @@ import {
   bulkOrderDetailValidation,
   orderDetailsByOrderValidation,
 } from '../validations/orderDetailValidation.js';
+import { paginationValidation } from '../validations/paginationValidation.js';
 import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
 import {
   authenticateToken,
@@ -41,7 +43,14 @@ const router = Router();
 // 🔐 PROTECTED ROUTES
 
 // GET /api/order-details - Get all order details (admin only)
-router.get('/', authenticateToken, requireRole(['admin']), getAllOrderDetails);
+router.get(
+  '/',
+  authenticateToken,
+  requireRole(['admin']),
+  paginationValidation,
+  handleValidationErrors,
+  getAllOrderDetails
+);
 
 // GET /api/order-details/:id - Get specific order detail
 router.get(
@@ -57,6 +66,7 @@ router.get(
   '/order/:orderId',
   authenticateToken,
   orderDetailsByOrderValidation,
+  paginationValidation,
   handleValidationErrors,
   getOrderDetailsByOrder
 );
@@ -66,58 +76,66 @@ router.get(
   '/product/:productId',
   authenticateToken,
   requireRole(['admin']),
+  paginationValidation,
+  handleValidationErrors,
   getOrderDetailsByProduct
 );
 
-// POST /api/order-details - Create new order detail
+// POST /api/order-details - Create new order detail (admin only)
 router.post(
   '/',
   authenticateToken,
+  requireRole(['admin']),
   createOrderDetailValidation,
   handleValidationErrors,
   createOneOrderDetail
 );
 
-// POST /api/order-details/bulk - Create multiple order details
+// POST /api/order-details/bulk - Create multiple order details (admin only)
 router.post(
   '/bulk',
   authenticateToken,
+  requireRole(['admin']),
   bulkOrderDetailValidation,
   handleValidationErrors,
   createMultipleOrderDetails
 );
 
-// PUT /api/order-details/:id - Full update
+// PUT /api/order-details/:id - Full update (admin only)
 router.put(
   '/:id',
   authenticateToken,
+  requireRole(['admin']),
   updateOrderDetailValidation,
   handleValidationErrors,
   updateOneOrderDetail
 );
 
-// PATCH /api/order-details/:id - Partial update
+// PATCH /api/order-details/:id - Partial update (admin only)
 router.patch(
   '/:id',
   authenticateToken,
+  requireRole(['admin']),
   updatePartialOrderDetailValidation,
   handleValidationErrors,
   updateOneOrderDetail
 );
 
-// PATCH /api/order-details/:id/quantity - Update quantity only
+// PATCH /api/order-details/:id/quantity - Update quantity only (admin only)
 router.patch(
   '/:id/quantity',
   authenticateToken,
+  requireRole(['admin']),
   orderDetailIdValidation,
   handleValidationErrors,
   updateOrderDetailQuantity
 );
 
-// DELETE /api/order-details/:id - Delete order detail
+// DELETE /api/order-details/:id - Delete order detail (admin only)
 router.delete(
   '/:id',
   authenticateToken,
+  requireRole(['admin']),
   orderDetailIdValidation,
   handleValidationErrors,
   deleteOneOrderDetail
@@ -13,23 +13,37 @@ import {
   getAllOrders,
   getMyOrders,
   createOneOrder,
+  checkoutOrder,
   updateOneOrder,
   updatePartialOrder,
   updateOrderStatus,
+  updateOrderShipment,
   deleteOneOrder,
 } from '../controllers/orderController.js';
 import {
   createOrderValidation,
+  checkoutValidation,
   updateOrderValidation,
   updatePartialOrderValidation,
   orderIdValidation,
   updateOrderStatusValidation,
+  updateShipmentValidation,
 } from '../validations/orderValidation.js';
+import {
+  createOrderReturn,
+  getOrderReturns,
+} from '../controllers/returnController.js';
+import {
+  createReturnValidation,
+  orderReturnsValidation,
+} from '../validations/returnValidation.js';
+import { paginationValidation } from '../validations/paginationValidation.js';
 import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
 import {
   authenticateToken,
   requireRole,
   requireOwnershipOrRole,
+  requireVerifiedEmail,
 } from '../middlewares/authMiddleware.js';
 
 const router = Router();
@@ -37,10 +51,22 @@ const router = Router();
 // 🔐 PROTECTED ROUTES
 
 // GET /api/orders - Get all orders (admin sees all, users see their own)
-router.get('/', authenticateToken, getAllOrders);
+router.get(
+  '/',
+  authenticateToken,
+  paginationValidation,
+  handleValidationErrors,
+  getAllOrders
+);
 
 // GET /api/orders/my-orders - Get current user's orders
-router.get('/my-orders', authenticateToken, getMyOrders);
+router.get(
+  '/my-orders',
+  authenticateToken,
+  paginationValidation,
+  handleValidationErrors,
+  getMyOrders
+);
 
 // GET /api/orders/:id - Get specific order (users can only see their own)
 router.get(
@@ -56,11 +82,22 @@ router.get(
 router.post(
   '/',
   authenticateToken,
+  requireVerifiedEmail,
   createOrderValidation,
   handleValidationErrors,
   createOneOrder
 );
 
+// POST /api/orders/checkout - Place an order from a cart (order, details and stock in one transaction)
+router.post(
+  '/checkout',
+  authenticateToken,
+  requireVerifiedEmail,
+  checkoutValidation,
+  handleValidationErrors,
+  checkoutOrder
+);
+
 // PUT /api/orders/:id - Full update (users can only update their own)
 router.put(
   '/:id',
@@ -91,6 +128,34 @@ router.patch(
   updateOrderStatus
 );
 
+// PUT /api/orders/:id/shipment - Record carrier and tracking (admin only, required to ship)
+router.put(
+  '/:id/shipment',
+  authenticateToken,
+  requireRole(['admin']),
+  updateShipmentValidation,
+  handleValidationErrors,
+  updateOrderShipment
+);
+
+// POST /api/orders/:id/returns - Request a return for a delivered order
+router.post(
+  '/:id/returns',
+  authenticateToken,
+  createReturnValidation,
+  handleValidationErrors,
+  createOrderReturn
+);
+
+// GET /api/orders/:id/returns - Returns of an order (owner or admin)
+router.get(
+  '/:id/returns',
+  authenticateToken,
+  orderReturnsValidation,
+  handleValidationErrors,
+  getOrderReturns
+);
+
 // DELETE /api/orders/:id - Delete order (admin only)
 router.delete(
   '/:id',
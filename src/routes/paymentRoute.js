@@ -0,0 +1,90 @@
+// ==========================================
+//
+// Description: Payment routes
+//
+// File: paymentRoute.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { Router } from 'express';
+import {
+  createPaymentIntent,
+  confirmPayment,
+  refundPayment,
+  getOnePayment,
+  getOrderPayments,
+  handlePaymentWebhook,
+} from '../controllers/paymentController.js';
+import {
+  createPaymentIntentValidation,
+  confirmPaymentValidation,
+  refundPaymentValidation,
+  paymentIdValidation,
+  orderPaymentsValidation,
+} from '../validations/paymentValidation.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import {
+  authenticateToken,
+  requireRole,
+} from '../middlewares/authMiddleware.js';
+
+const router = Router();
+
+// 🔓 PUBLIC ROUTES (authenticated by the provider signature)
+
+// POST /api/payments/webhook - Provider events
+router.post('/webhook', handlePaymentWebhook);
+
+// 🔐 PROTECTED ROUTES (owner or admin)
+
+// POST /api/payments/intents - Create a payment intent for an order
+router.post(
+  '/intents',
+  authenticateToken,
+  createPaymentIntentValidation,
+  handleValidationErrors,
+  createPaymentIntent
+);
+
+// GET /api/payments/order/:orderId - Payments of an order
+router.get(
+  '/order/:orderId',
+  authenticateToken,
+  orderPaymentsValidation,
+  handleValidationErrors,
+  getOrderPayments
+);
+
+// GET /api/payments/:id - Get one payment
+router.get(
+  '/:id',
+  authenticateToken,
+  paymentIdValidation,
+  handleValidationErrors,
+  getOnePayment
+);
+
+// POST /api/payments/:id/confirm - Confirm with a payment method
+router.post(
+  '/:id/confirm',
+  authenticateToken,
+  confirmPaymentValidation,
+  handleValidationErrors,
+  confirmPayment
+);
+
+// 👑 ADMIN ROUTES
+
+// POST /api/payments/:id/refund - Refund part or all of a payment
+router.post(
+  '/:id/refund',
+  authenticateToken,
+  requireRole(['admin']),
+  refundPaymentValidation,
+  handleValidationErrors,
+  refundPayment
+);
+
+export default router;
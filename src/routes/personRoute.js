@@ -8,6 +8,10 @@ import {
   updatePersonStatus,
   deletePersonImage,
   deleteOnePerson,
+  getPersonAddresses,
+  addPersonAddress,
+  updatePersonAddress,
+  deletePersonAddress,
 } from '../controllers/personController.js';
 import {
   createPersonValidation,
@@ -15,7 +19,11 @@ import {
   updatePartialPersonValidation,
   personIdValidation,
   updatePersonStatusValidation,
+  createAddressValidation,
+  updateAddressValidation,
+  addressIdParamsValidation,
 } from '../validations/personValidation.js';
+import { paginationValidation } from '../validations/paginationValidation.js';
 // Middleware to handle validation errors
 import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
 // Middleware for image upload
@@ -29,7 +37,14 @@ import {
 const router = Router();
 
 // 🔐 PROTECTED ROUTES
-router.get('/', authenticateToken, requireRole(['admin']), getAllPersons);
+router.get(
+  '/',
+  authenticateToken,
+  requireRole(['admin']),
+  paginationValidation,
+  handleValidationErrors,
+  getAllPersons
+);
 
 router.get(
   '/:id',
@@ -83,6 +98,43 @@ router.delete(
   deletePersonImage
 );
 
+// Address book (owner or admin)
+router.get(
+  '/:id/addresses',
+  authenticateToken,
+  requireOwnershipOrRole(['admin']),
+  personIdValidation,
+  handleValidationErrors,
+  getPersonAddresses
+);
+
+router.post(
+  '/:id/addresses',
+  authenticateToken,
+  requireOwnershipOrRole(['admin']),
+  createAddressValidation,
+  handleValidationErrors,
+  addPersonAddress
+);
+
+router.patch(
+  '/:id/addresses/:addressId',
+  authenticateToken,
+  requireOwnershipOrRole(['admin']),
+  updateAddressValidation,
+  handleValidationErrors,
+  updatePersonAddress
+);
+
+router.delete(
+  '/:id/addresses/:addressId',
+  authenticateToken,
+  requireOwnershipOrRole(['admin']),
+  addressIdParamsValidation,
+  handleValidationErrors,
+  deletePersonAddress
+);
+
 router.delete(
   '/:id',
   authenticateToken,
@@ -5,8 +5,8 @@
 // File: productRouter.js
 // Author: Anthony Bañon
 // Created: 2025-10-14
-// Last Updated: 2025-11-05
-// Changes: Added JWT authentication and role-based access control
+// Last Updated: 2026-10-19
+// Changes: Added multi-image product galleries
 // ==========================================
 
 import { Router } from 'express';
@@ -15,14 +15,28 @@ import {
   getOneProduct,
   getAllProducts,
   getProductsByCategory,
+  getProductBySlug,
   createOneProduct,
   updateOneProduct,
   updatePartialProduct,
   updateProductStock,
   updateProductStatus,
+  addProductVariant,
+  updateProductVariant,
+  deleteProductVariant,
   deleteProductImage,
+  addProductImages,
+  updateProductImage,
+  reorderProductImages,
+  deleteProductGalleryImage,
   deleteOneProduct,
+  getProductPriceHistory,
+  searchProducts,
 } from '../controllers/productController.js';
+import {
+  getProductReviews,
+  createProductReview,
+} from '../controllers/reviewController.js';
 // Validations
 import {
   createProductValidation,
@@ -31,27 +45,83 @@ import {
   stockUpdateValidation,
   productIdValidation,
   updateProductStatusValidation,
+  createVariantValidation,
+  updateVariantValidation,
+  variantIdValidation,
+  searchProductsValidation,
+  productsByCategoryValidation,
+  productSlugValidation,
+  addProductImagesValidation,
+  updateProductImageValidation,
+  reorderProductImagesValidation,
+  galleryImageIdValidation,
 } from '../validations/productValidation.js';
+import {
+  productReviewsValidation,
+  createReviewValidation,
+} from '../validations/reviewValidation.js';
+import { paginationValidation } from '../validations/paginationValidation.js';
 // Middlewares
 import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
-import { uploadImage } from '../middlewares/uploadMiddleware.js';
+import { uploadImage, uploadImages } from '../middlewares/uploadMiddleware.js';
 import {
   authenticateToken,
   requireRole,
 } from '../middlewares/authMiddleware.js';
+import { PRODUCT_GALLERY, REVIEW } from '../config/constants.js';
 
 const router = Router();
 // 🔓 PUBLIC ROUTES (no authentication)
-// GET all products - NO validation needed (read-only)
-router.get('/', getAllProducts);
+// GET all products - Pagination query validation only
+router.get('/', paginationValidation, handleValidationErrors, getAllProducts);
 
-// GET products by category - NO validation needed (read-only)
-router.get('/category/:categoryId', getProductsByCategory);
+// GET search products by text with facets - Query validation only
+router.get(
+  '/search',
+  searchProductsValidation,
+  handleValidationErrors,
+  searchProducts
+);
+
+// GET one product by slug (old slugs answer 301 with the current one)
+router.get(
+  '/slug/:slug',
+  productSlugValidation,
+  handleValidationErrors,
+  getProductBySlug
+);
+
+// GET products by category - Category ID and query validation
+router.get(
+  '/category/:categoryId',
+  productsByCategoryValidation,
+  handleValidationErrors,
+  getProductsByCategory
+);
 
 // GET one product by ID - ID validation only
 router.get('/:id', productIdValidation, handleValidationErrors, getOneProduct);
 
+// GET approved reviews of a product - ID and pagination validation
+router.get(
+  '/:id/reviews',
+  productReviewsValidation,
+  paginationValidation,
+  handleValidationErrors,
+  getProductReviews
+);
+
 // 🔐 PROTECTED ROUTES (require authentication)
+// POST a review - Customers with a delivered order of the product (optional photos)
+router.post(
+  '/:id/reviews',
+  authenticateToken,
+  uploadImages('photos', REVIEW.MAX_PHOTOS),
+  createReviewValidation,
+  handleValidationErrors,
+  createProductReview
+);
+
 // POST a new product - Full validation required
 router.post(
   '/',
@@ -85,6 +155,16 @@ router.patch(
   updatePartialProduct
 );
 
+// GET price timeline of a product - ID validation only
+router.get(
+  '/:id/price-history',
+  authenticateToken,
+  requireRole(['admin']),
+  productIdValidation,
+  handleValidationErrors,
+  getProductPriceHistory
+);
+
 // PATCH update product stock - Quantity validation only
 router.patch(
   '/:id/stock',
@@ -104,6 +184,79 @@ router.patch(
   handleValidationErrors,
   updateProductStatus
 );
+// POST a new product variant - Full validation required
+router.post(
+  '/:id/variants',
+  authenticateToken,
+  requireRole(['admin']),
+  uploadImage,
+  createVariantValidation,
+  handleValidationErrors,
+  addProductVariant
+);
+
+// PATCH update a product variant (stock changes go through /:id/stock)
+router.patch(
+  '/:id/variants/:variantId',
+  authenticateToken,
+  requireRole(['admin']),
+  uploadImage,
+  updateVariantValidation,
+  handleValidationErrors,
+  updateProductVariant
+);
+
+// DELETE a product variant - ID validation only
+router.delete(
+  '/:id/variants/:variantId',
+  authenticateToken,
+  requireRole(['admin']),
+  variantIdValidation,
+  handleValidationErrors,
+  deleteProductVariant
+);
+
+// POST gallery pictures - Several files under 'images' (multipart)
+router.post(
+  '/:id/images',
+  authenticateToken,
+  requireRole(['admin']),
+  uploadImages('images', PRODUCT_GALLERY.MAX_UPLOAD),
+  addProductImagesValidation,
+  handleValidationErrors,
+  addProductImages
+);
+
+// PATCH gallery order - Every picture ID in the new order
+router.patch(
+  '/:id/images/order',
+  authenticateToken,
+  requireRole(['admin']),
+  reorderProductImagesValidation,
+  handleValidationErrors,
+  reorderProductImages
+);
+
+// PATCH a gallery picture - Alt text and variant/color link
+router.patch(
+  '/:id/images/:imageId',
+  authenticateToken,
+  requireRole(['admin']),
+  updateProductImageValidation,
+  handleValidationErrors,
+  updateProductImage
+);
+
+// DELETE a gallery picture - Files are removed from disk
+router.delete(
+  '/:id/images/:imageId',
+  authenticateToken,
+  requireRole(['admin']),
+  galleryImageIdValidation,
+  handleValidationErrors,
+  deleteProductGalleryImage
+);
+
 // DELETE product image - ID validation only
 router.delete(
   '/:id/image',
@@ -0,0 +1,98 @@
+// ==========================================
+//
+// Description: Promotion (coupon) routes
+//
+// File: promotionRoute.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { Router } from 'express';
+import {
+  getAllPromotions,
+  getOnePromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  validatePromotionCode,
+} from '../controllers/promotionController.js';
+import {
+  createPromotionValidation,
+  updatePromotionValidation,
+  promotionIdParamValidation,
+  getPromotionsValidation,
+  validateCodeValidation,
+} from '../validations/promotionValidation.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import {
+  authenticateToken,
+  requireRole,
+} from '../middlewares/authMiddleware.js';
+
+const router = Router();
+
+// 🔐 PROTECTED ROUTES
+
+// POST /api/promotions/validate - Check a coupon against a cart (nothing is redeemed)
+router.post(
+  '/validate',
+  authenticateToken,
+  validateCodeValidation,
+  handleValidationErrors,
+  validatePromotionCode
+);
+
+// 👑 ADMIN ROUTES
+
+// GET /api/promotions - List promotions (?active=true for running ones)
+router.get(
+  '/',
+  authenticateToken,
+  requireRole(['admin']),
+  getPromotionsValidation,
+  handleValidationErrors,
+  getAllPromotions
+);
+
+// GET /api/promotions/:id - Get one promotion
+router.get(
+  '/:id',
+  authenticateToken,
+  requireRole(['admin']),
+  promotionIdParamValidation,
+  handleValidationErrors,
+  getOnePromotion
+);
+
+// POST /api/promotions - Create a promotion
+router.post(
+  '/',
+  authenticateToken,
+  requireRole(['admin']),
+  createPromotionValidation,
+  handleValidationErrors,
+  createPromotion
+);
+
+// PATCH /api/promotions/:id - Update a promotion
+router.patch(
+  '/:id',
+  authenticateToken,
+  requireRole(['admin']),
+  updatePromotionValidation,
+  handleValidationErrors,
+  updatePromotion
+);
+
+// DELETE /api/promotions/:id - Delete a promotion
+router.delete(
+  '/:id',
+  authenticateToken,
+  requireRole(['admin']),
+  promotionIdParamValidation,
+  handleValidationErrors,
+  deletePromotion
+);
+
+export default router;
@@ -0,0 +1,65 @@
+// ==========================================
+//
+// Description: Return (RMA) routes
+//
+// File: returnRoute.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { Router } from 'express';
+import {
+  getAllReturns,
+  getOneReturn,
+  updateReturnStatus,
+} from '../controllers/returnController.js';
+import {
+  getReturnsValidation,
+  returnIdValidation,
+  updateReturnStatusValidation,
+} from '../validations/returnValidation.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import {
+  authenticateToken,
+  requireRole,
+} from '../middlewares/authMiddleware.js';
+
+const router = Router();
+
+// Customers open returns under /api/orders/:id/returns
+
+// 🔐 PROTECTED ROUTES (owner or admin)
+
+// GET /api/returns/:id - Get one return
+router.get(
+  '/:id',
+  authenticateToken,
+  returnIdValidation,
+  handleValidationErrors,
+  getOneReturn
+);
+
+// 👑 ADMIN ROUTES
+
+// GET /api/returns - Review queue, optionally filtered by status
+router.get(
+  '/',
+  authenticateToken,
+  requireRole(['admin']),
+  getReturnsValidation,
+  handleValidationErrors,
+  getAllReturns
+);
+
+// PATCH /api/returns/:id/status - Approve, reject, receive or refund a return
+router.patch(
+  '/:id/status',
+  authenticateToken,
+  requireRole(['admin']),
+  updateReturnStatusValidation,
+  handleValidationErrors,
+  updateReturnStatus
+);
+
+export default router;
@@ -0,0 +1,89 @@
+// ==========================================
+//
+// Description: Review routes
+//
+// File: reviewRoute.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { Router } from 'express';
+import {
+  getAllReviews,
+  getOneReview,
+  updateReview,
+  deleteReview,
+  moderateReview,
+} from '../controllers/reviewController.js';
+import {
+  reviewIdValidation,
+  updateReviewValidation,
+  moderateReviewValidation,
+} from '../validations/reviewValidation.js';
+import { paginationValidation } from '../validations/paginationValidation.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import { uploadImages } from '../middlewares/uploadMiddleware.js';
+import {
+  authenticateToken,
+  requireRole,
+} from '../middlewares/authMiddleware.js';
+import { REVIEW } from '../config/constants.js';
+
+const router = Router();
+
+// Customers write reviews under /api/products/:id/reviews
+
+// 🔐 PROTECTED ROUTES (author or admin)
+
+// GET /api/reviews/:id - Get one review, whatever its moderation state
+router.get(
+  '/:id',
+  authenticateToken,
+  reviewIdValidation,
+  handleValidationErrors,
+  getOneReview
+);
+
+// PATCH /api/reviews/:id - Edit a review (author only, goes back to moderation)
+router.patch(
+  '/:id',
+  authenticateToken,
+  uploadImages('photos', REVIEW.MAX_PHOTOS),
+  updateReviewValidation,
+  handleValidationErrors,
+  updateReview
+);
+
+// DELETE /api/reviews/:id - Delete a review
+router.delete(
+  '/:id',
+  authenticateToken,
+  reviewIdValidation,
+  handleValidationErrors,
+  deleteReview
+);
+
+// 👑 ADMIN ROUTES
+
+// GET /api/reviews - Moderation queue (filter[status]=pending)
+router.get(
+  '/',
+  authenticateToken,
+  requireRole(['admin']),
+  paginationValidation,
+  handleValidationErrors,
+  getAllReviews
+);
+
+// PATCH /api/reviews/:id/status - Approve or reject a review
+router.patch(
+  '/:id/status',
+  authenticateToken,
+  requireRole(['admin']),
+  moderateReviewValidation,
+  handleValidationErrors,
+  moderateReview
+);
+
+export default router;
@@ -0,0 +1,78 @@
+// ==========================================
+//
+// Description: Shipping method routes
+//
+// File: shippingMethodRoute.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { Router } from 'express';
+import {
+  getAllShippingMethods,
+  getOneShippingMethod,
+  createShippingMethod,
+  updateShippingMethod,
+  deleteShippingMethod,
+} from '../controllers/shippingMethodController.js';
+import {
+  createShippingMethodValidation,
+  updateShippingMethodValidation,
+  shippingMethodIdParamValidation,
+} from '../validations/shippingMethodValidation.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import {
+  authenticateToken,
+  requireRole,
+  optionalAuth,
+} from '../middlewares/authMiddleware.js';
+
+const router = Router();
+
+// 🔓 PUBLIC ROUTES
+
+// GET /api/shipping-methods - Active methods (admins also see disabled ones)
+router.get('/', optionalAuth, getAllShippingMethods);
+
+// GET /api/shipping-methods/:id - Get one method
+router.get(
+  '/:id',
+  shippingMethodIdParamValidation,
+  handleValidationErrors,
+  getOneShippingMethod
+);
+
+// 👑 ADMIN ROUTES
+
+// POST /api/shipping-methods - Create a method
+router.post(
+  '/',
+  authenticateToken,
+  requireRole(['admin']),
+  createShippingMethodValidation,
+  handleValidationErrors,
+  createShippingMethod
+);
+
+// PATCH /api/shipping-methods/:id - Update a method
+router.patch(
+  '/:id',
+  authenticateToken,
+  requireRole(['admin']),
+  updateShippingMethodValidation,
+  handleValidationErrors,
+  updateShippingMethod
+);
+
+// DELETE /api/shipping-methods/:id - Delete a method
+router.delete(
+  '/:id',
+  authenticateToken,
+  requireRole(['admin']),
+  shippingMethodIdParamValidation,
+  handleValidationErrors,
+  deleteShippingMethod
+);
+
+export default router;
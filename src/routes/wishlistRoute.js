@@ -0,0 +1,59 @@
+// ==========================================
+//
+// Description: Wishlist routes
+//
+// File: wishlistRoute.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { Router } from 'express';
+import {
+  getWishlist,
+  addWishlistItem,
+  removeWishlistItem,
+  moveWishlistItemToCart,
+} from '../controllers/wishlistController.js';
+import {
+  addWishlistItemValidation,
+  wishlistItemValidation,
+  moveWishlistItemValidation,
+} from '../validations/wishlistValidation.js';
+import { handleValidationErrors } from '../middlewares/validationMiddleware.js';
+import { authenticateToken } from '../middlewares/authMiddleware.js';
+
+const router = Router();
+
+// 🔐 PROTECTED ROUTES (wishlist of the authenticated account)
+// GET /api/wishlist - Saved products with live price and stock
+router.get('/', authenticateToken, getWishlist);
+
+// POST /api/wishlist/items - Save a product for later
+router.post(
+  '/items',
+  authenticateToken,
+  addWishlistItemValidation,
+  handleValidationErrors,
+  addWishlistItem
+);
+
+// DELETE /api/wishlist/items/:productId - Remove a saved product
+router.delete(
+  '/items/:productId',
+  authenticateToken,
+  wishlistItemValidation,
+  handleValidationErrors,
+  removeWishlistItem
+);
+
+// POST /api/wishlist/items/:productId/move-to-cart - Add to the cart and unsave
+router.post(
+  '/items/:productId/move-to-cart',
+  authenticateToken,
+  moveWishlistItemValidation,
+  handleValidationErrors,
+  moveWishlistItemToCart
+);
+
+export default router;
@@ -0,0 +1,50 @@
+// ==========================================
+//
+// Description: Command reporting (or deleting) orphaned upload files
+//
+// Usage: npm run uploads:gc                  (dry run, report only)
+//        npm run uploads:gc -- --delete      (delete orphaned files)
+//        npm run uploads:gc -- --min-age=30  (minutes before a file can be an orphan)
+//
+// File: collectUploads.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import env from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDatabase } from '../config/database.js';
+import { collectOrphanedUploads } from '../jobs/uploadCollector.js';
+
+env.config();
+
+const args = process.argv.slice(2);
+const minAgeArg = args.find((arg) => arg.startsWith('--min-age='));
+const minAgeMinutes = minAgeArg ? Number(minAgeArg.split('=')[1]) : null;
+
+if (minAgeArg && !(minAgeMinutes >= 0)) {
+  console.error('❌ --min-age must be a number of minutes');
+  process.exit(1);
+}
+
+await connectDatabase();
+
+const report = await collectOrphanedUploads({
+  dryRun: !args.includes('--delete'),
+  ...(minAgeArg && { minAgeMinutes }),
+});
+
+await mongoose.disconnect();
+
+if (!report) {
+  process.exit(1);
+}
+
+console.log(JSON.stringify(report, null, 2));
+console.log(
+  report.dry_run
+    ? `🔎 Dry run: ${report.orphaned.length} orphaned file(s) (${report.orphaned_bytes} bytes) would be deleted`
+    : `🗑️ Deleted ${report.deleted} of ${report.orphaned.length} orphaned file(s)`
+);
+process.exit(report.errors.length > 0 ? 1 : 0);
@@ -0,0 +1,31 @@
+// ==========================================
+//
+// Description: Command replacing the image URLs stored before storage keys
+// were kept with their key (run it before changing STORAGE_PUBLIC_URL)
+//
+// Usage: npm run uploads:keys
+//
+// File: storeUploadKeys.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import env from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDatabase } from '../config/database.js';
+import imageService from '../services/imageService.js';
+
+env.config();
+
+await connectDatabase();
+
+const summary = await imageService.storeKeys();
+
+await mongoose.disconnect();
+
+console.log(JSON.stringify(summary, null, 2));
+console.log(
+  `🔑 Stored keys in ${summary.converted} of ${summary.documents} document(s) with images`
+);
+process.exit(summary.failed > 0 ? 1 : 0);
@@ -5,7 +5,8 @@
 // File: accountService.js
 // Author: Anthony Bañon
 // Created: 2025-11-04
-// Last Updated: 2025-11-04
+// Last Updated: 2026-10-19
+// Changes: Sent email verification on account creation
 // ==========================================
 
 import Account from '../models/accountModel.js';
@@ -24,6 +25,29 @@ import {
 } from '../utils/validationUtils.js';
 import bcrypt from 'bcrypt';
 import authConfig from '../config/authConfig.js';
+import { paginate } from '../utils/pagination.js';
+import { buildListQuery } from '../utils/queryBuilder.js';
+import AuthService from './authService.js';
+
+// Fields admins may filter and sort account listings by
+const ACCOUNT_LIST_QUERY = {
+  entity: 'Account',
+  filterable: {
+    username: { type: 'string', operators: ['eq', 'in', 'regex'] },
+    role: { type: 'string', operators: ['eq', 'in'] },
+    person: { type: 'objectId', operators: ['eq', 'in'] },
+    createdAt: { type: 'date', operators: ['gte', 'lte'] },
+  },
+  sortable: ['createdAt', 'updatedAt', 'username'],
+  defaultSort: '-createdAt',
+};
+
+// Fields only the email verification and password reset flows change
+const VERIFICATION_FIELDS = [
+  'email_verified_at',
+  'email_verification_jti',
+  'password_reset_jti',
+];
 
 class AccountService {
   async getOne(id) {
@@ -34,11 +58,24 @@ class AccountService {
     return account;
   }
 
-  async getAll() {
-    return await Account.find({ is_active: true }).populate('person').exec();
+  /* Get active accounts, one page at a time
+   *
+   * @param {Object} params - filter[field][operator], sort, page or after/before cursors
+   * @returns {Promise<Object>} - { items, pagination } list envelope
+   * @throws {ValidationError} - On unknown filter or sort fields
+   */
+  async getAll(params = {}) {
+    const { filter, sort } = buildListQuery(params, ACCOUNT_LIST_QUERY);
+
+    return await paginate(Account, { ...filter, is_active: true }, params, {
+      sort,
+      populate: 'person',
+    });
   }
 
-  /* Create a new account
+  /* Create a new account and email its verification link
+   * The account starts unverified; a failed email is logged and the link
+   * can be sent again (POST /api/auth/verify-email/send).
    *
    * @param {Object} data - The account data
    * @returns {Promise<Account>} - The created account
@@ -46,6 +83,7 @@ class AccountService {
    * @throws {ValidationError} - If required fields are missing
    */
   async create(data) {
+    VERIFICATION_FIELDS.forEach((field) => delete data[field]);
     validateRequiredFields(data, ['username', 'password', 'person']);
     await validateUniqueness(Account, 'username', data.username);
 
@@ -63,8 +101,15 @@ class AccountService {
       password: hashedPassword,
     };
 
-    const newAccount = new Account(accountData);
-    return await newAccount.save();
+    const newAccount = await new Account(accountData).save();
+
+    try {
+      await AuthService.sendEmailVerification(newAccount._id);
+    } catch (error) {
+      console.error('❌ Verification email failed:', error);
+    }
+
+    return newAccount;
   }
 
   /* Update account details
@@ -76,6 +121,8 @@ class AccountService {
    * @throws {DuplicateError} - If the username is already taken
    */
   async update(id, data) {
+    VERIFICATION_FIELDS.forEach((field) => delete data[field]);
+
     // Fetch existing account
     const account = await this.getOne(id);
 
@@ -93,6 +140,7 @@ class AccountService {
       // When changing password, invalidate tokens
       data.refreshToken = null;
       data.refreshTokenExpires = null;
+      data.password_reset_jti = null;
     }
 
     Object.assign(account, data);
@@ -200,6 +248,7 @@ class AccountService {
     // Invalidate tokens after password change
     account.refreshToken = null;
     account.refreshTokenExpires = null;
+    account.password_reset_jti = null;
 
     return await account.save();
   }
@@ -1,5 +1,7 @@
 // /services/authService.js
+import crypto from 'crypto';
 import Account from '../models/accountModel.js';
+import Person from '../models/personModel.js';
 import JWTUtils from '../utils/jwtUtils.js';
 import {
   ValidationError,
@@ -7,20 +9,25 @@ import {
   InvalidCredentialsError,
   InvalidTokenError,
   TokenExpiredError,
+  InvalidOperationError,
 } from '../errors/businessError.js';
 import bcrypt from 'bcrypt';
 import authConfig from '../config/authConfig.js';
+import cartService from './cartService.js';
+import mailService from './mailService.js';
+import { ACCOUNT_TOKEN } from '../config/constants.js';
 
 class AuthService {
   /**
    * Login user and generate JWT token
    * param {string} username - The username
    * param {string} password - The password
+   * param {string} [guestCartToken] - Guest cart to merge into the account cart
    * returns {Object} - Object containing token and user data
    * throws {InvalidCredentialsError} - If username or password is incorrect
    * throws {ValidationError} - If required fields are missing
    */
-  async login(username, password) {
+  async login(username, password, guestCartToken = null) {
     // Validate required fields
     if (!username?.trim() || !password?.trim()) {
       throw new ValidationError('Auth', 'Username and password are required');
@@ -62,6 +69,9 @@ class AuthService {
     account.refreshTokenExpires = refreshTokenExpires;
     await account.save();
 
+    // Carry over the cart built while browsing as a guest
+    await cartService.mergeGuestCart(account._id, guestCartToken);
+
     // Return information (without password)
     return {
       accessToken,
@@ -142,6 +152,8 @@ class AuthService {
       authConfig.bcrypt.saltRounds
     );
     account.password = hashedPassword;
+    // Reset links sent before no longer apply
+    account.password_reset_jti = null;
 
     await account.save();
 
@@ -229,6 +241,191 @@ class AuthService {
 
     return account;
   }
+
+  /**
+   * Email a verification link to the account person
+   * Links sent before stop working.
+   *
+   * param {string} accountId - Account ID
+   * returns {Promise<Object>} - Account
+   * throws {NotFoundError} - If account not found
+   * throws {InvalidOperationError} - If the email is already verified
+   * throws {MailError} - If the email cannot be delivered
+   */
+  async sendEmailVerification(accountId) {
+    const account = await Account.findById(accountId).populate('person');
+    if (!account) {
+      throw new NotFoundError('Account', accountId);
+    }
+    if (account.email_verified_at) {
+      throw new InvalidOperationError('Account', 'Email is already verified');
+    }
+
+    const { email } = account.person;
+    const { emailVerificationExpiresIn: expiresIn } = authConfig.accountTokens;
+    // The token names the address, a later email change makes it useless
+    const token = await this.issueAccountToken(
+      account,
+      ACCOUNT_TOKEN.EMAIL_VERIFICATION,
+      expiresIn,
+      { email }
+    );
+
+    await mailService.sendEmailVerification({
+      to: email,
+      name: account.person.first_name,
+      token,
+      expiresIn,
+    });
+
+    return account;
+  }
+
+  /**
+   * Verify the account email with the emailed token (single use)
+   *
+   * param {string} token - Email verification token
+   * returns {Promise<Object>} - Verified account
+   * throws {InvalidTokenError} - If token is invalid, used or replaced
+   * throws {TokenExpiredError} - If token has expired
+   */
+  async verifyEmail(token) {
+    const decoded = JWTUtils.verifyAccountToken(
+      token,
+      ACCOUNT_TOKEN.EMAIL_VERIFICATION
+    );
+
+    const account = await Account.findOne({
+      _id: decoded.id,
+      email_verification_jti: decoded.jti,
+      is_active: true,
+    }).populate('person');
+
+    if (!account || account.person?.email !== decoded.email) {
+      throw new InvalidTokenError();
+    }
+
+    // Conditional on the token id, so a token used twice at once verifies once
+    const verifiedAccount = await Account.findOneAndUpdate(
+      { _id: account._id, email_verification_jti: decoded.jti },
+      { email_verified_at: new Date(), email_verification_jti: null },
+      { new: true }
+    ).populate('person');
+
+    if (!verifiedAccount) {
+      throw new InvalidTokenError();
+    }
+
+    return verifiedAccount;
+  }
+
+  /**
+   * Email a password reset link if the address belongs to an active account
+   * The outcome is never reported (nor delivery failures, which are logged)
+   * so the request cannot tell which addresses have accounts.
+   *
+   * param {string} email - Email of the account person
+   * returns {Promise<void>}
+   */
+  async requestPasswordReset(email) {
+    const person = await Person.findOne({
+      email: String(email).toLowerCase().trim(),
+    });
+    const account =
+      person &&
+      (await Account.findOne({ person: person._id, is_active: true }));
+
+    if (!account) return;
+
+    const { passwordResetExpiresIn: expiresIn } = authConfig.accountTokens;
+    const token = await this.issueAccountToken(
+      account,
+      ACCOUNT_TOKEN.PASSWORD_RESET,
+      expiresIn
+    );
+
+    try {
+      await mailService.sendPasswordReset({
+        to: person.email,
+        name: person.first_name,
+        token,
+        expiresIn,
+      });
+    } catch (error) {
+      console.error('❌ Password reset email failed:', error);
+    }
+  }
+
+  /**
+   * Set a new password with the emailed token (single use)
+   * Every session of the account is closed.
+   *
+   * param {string} token - Password reset token
+   * param {string} newPassword - New password
+   * returns {Promise<Object>} - Updated account
+   * throws {ValidationError} - If the password is too short
+   * throws {InvalidTokenError} - If token is invalid, used or replaced
+   * throws {TokenExpiredError} - If token has expired
+   */
+  async resetPassword(token, newPassword) {
+    if (!newPassword || newPassword.length < 6) {
+      throw new ValidationError(
+        'Auth',
+        'Password must be at least 6 characters',
+        {
+          field: 'password',
+          minLength: 6,
+          actualLength: newPassword?.length || 0,
+        }
+      );
+    }
+
+    const decoded = JWTUtils.verifyAccountToken(
+      token,
+      ACCOUNT_TOKEN.PASSWORD_RESET
+    );
+
+    const hashedPassword = await bcrypt.hash(
+      newPassword,
+      authConfig.bcrypt.saltRounds
+    );
+
+    // Conditional on the token id, so each token sets a password only once
+    const account = await Account.findOneAndUpdate(
+      { _id: decoded.id, password_reset_jti: decoded.jti, is_active: true },
+      {
+        password: hashedPassword,
+        password_reset_jti: null,
+        refreshToken: null,
+        refreshTokenExpires: null,
+      },
+      { new: true }
+    ).populate('person');
+
+    if (!account) {
+      throw new InvalidTokenError();
+    }
+
+    return account;
+  }
+
+  // ============ PRIVATE METHODS ============
+
+  /**
+   * Sign a token for an account action and store its id on the account
+   * (in <purpose>_jti); only the last token of each purpose is accepted.
+   */
+  async issueAccountToken(account, purpose, expiresIn, claims = {}) {
+    const jti = crypto.randomUUID();
+    account[`${purpose}_jti`] = jti;
+    await account.save();
+
+    return JWTUtils.generateAccountToken(
+      purpose,
+      { id: account._id.toString(), jti, ...claims },
+      expiresIn
+    );
+  }
 }
 
 export default new AuthService();
@@ -0,0 +1,355 @@
+// ==========================================
+//
+// Description: Cart service handling business logic
+//
+// File: cartService.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Loaded the sale fields used by cart prices
+// ==========================================
+
+import crypto from 'crypto';
+import Cart from '../models/cartModel.js';
+import Product from '../models/productModel.js';
+import {
+  NotFoundError,
+  ValidationError,
+  InvalidOperationError,
+  InsufficientResourceError,
+} from '../errors/businessError.js';
+import { validateNumericRange } from '../utils/validationUtils.js';
+import { LIMIT } from '../config/constants.js';
+import productService from './productService.js';
+
+class CartService {
+  /**
+   * Get the cart of an owner with totals recalculated against live products
+   *
+   * param {Object} owner - Cart owner
+   * param {string} [owner.accountId] - Authenticated account ID
+   * param {string} [owner.guestToken] - Guest cart token
+   * returns {Promise<Object>} Cart summary
+   */
+  async getCart(owner) {
+    const cart = await this.findCart(owner);
+    return await this.buildSummary(cart);
+  }
+
+  /**
+   * Add a product to the cart, merging with an existing line
+   *
+   * param {Object} owner - Cart owner
+   * param {string} productId - Product ID
+   * param {number} quantity - Quantity to add
+   * param {string} [variantId] - Variant ID (required for products with variants)
+   * returns {Promise<Object>} Cart summary
+   * throws {NotFoundError} If product or variant not found
+   * throws {ValidationError} If the product has variants and none is given
+   * throws {InvalidOperationError} If product is inactive
+   * throws {InsufficientResourceError} If there is not enough stock
+   */
+  async addItem(owner, productId, quantity = 1, variantId = null) {
+    this.validateQuantity(quantity);
+    const cart = await this.findOrCreateCart(owner);
+
+    const item = this.findLine(cart, productId, variantId);
+    const newQuantity = (item?.quantity || 0) + quantity;
+    await this.validateProductAvailability(productId, newQuantity, variantId);
+
+    if (item) {
+      item.quantity = newQuantity;
+    } else {
+      cart.items.push({
+        product: productId,
+        variant: variantId || null,
+        quantity,
+      });
+    }
+
+    await cart.save();
+    return await this.buildSummary(cart);
+  }
+
+  /**
+   * Set the quantity of a cart line (0 removes the line)
+   *
+   * param {Object} owner - Cart owner
+   * param {string} productId - Product ID
+   * param {number} quantity - New quantity
+   * param {string} [variantId] - Variant ID of the line
+   * returns {Promise<Object>} Cart summary
+   * throws {NotFoundError} If the product is not in the cart
+   * throws {InsufficientResourceError} If there is not enough stock
+   */
+  async updateItemQuantity(owner, productId, quantity, variantId = null) {
+    if (quantity === 0) {
+      return await this.removeItem(owner, productId, variantId);
+    }
+    this.validateQuantity(quantity);
+
+    const cart = await this.findCart(owner);
+    const item = this.findLine(cart, productId, variantId);
+    if (!item) {
+      throw new NotFoundError('CartItem', productId);
+    }
+    await this.validateProductAvailability(productId, quantity, variantId);
+
+    item.quantity = quantity;
+    await cart.save();
+    return await this.buildSummary(cart);
+  }
+
+  /**
+   * Remove a product from the cart
+   *
+   * param {Object} owner - Cart owner
+   * param {string} productId - Product ID
+   * param {string} [variantId] - Variant ID of the line
+   * returns {Promise<Object>} Cart summary
+   * throws {NotFoundError} If the product is not in the cart
+   */
+  async removeItem(owner, productId, variantId = null) {
+    const cart = await this.findCart(owner);
+    const item = this.findLine(cart, productId, variantId);
+    if (!item) {
+      throw new NotFoundError('CartItem', productId);
+    }
+
+    cart.items.pull(item);
+    await cart.save();
+    return await this.buildSummary(cart);
+  }
+
+  /**
+   * Remove every line from the cart
+   *
+   * param {Object} owner - Cart owner
+   * returns {Promise<Object>} Cart summary
+   */
+  async clear(owner) {
+    const cart = await this.findCart(owner);
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+    return await this.buildSummary(cart);
+  }
+
+  /**
+   * Merge a guest cart into the account cart and discard the guest cart
+   * Quantities of product variants present in both carts are added together.
+   *
+   * param {string} accountId - Account ID
+   * param {string} guestToken - Guest cart token
+   * returns {Promise<Object|null>} Account cart or null if there was nothing to merge
+   */
+  async mergeGuestCart(accountId, guestToken) {
+    if (!guestToken) return null;
+
+    const guestCart = await Cart.findOne({ guest_token: guestToken }).exec();
+    if (!guestCart) return null;
+
+    const cart = await this.findOrCreateCart({ accountId });
+    for (const guestItem of guestCart.items) {
+      const item = this.findLine(cart, guestItem.product, guestItem.variant);
+      if (item) {
+        item.quantity = Math.min(
+          item.quantity + guestItem.quantity,
+          LIMIT.CART_ITEM_QUANTITY
+        );
+      } else {
+        cart.items.push({
+          product: guestItem.product,
+          variant: guestItem.variant,
+          quantity: guestItem.quantity,
+        });
+      }
+    }
+
+    await cart.save();
+    await Cart.deleteOne({ _id: guestCart._id }).exec();
+    return cart;
+  }
+
+  // ============ PRIVATE METHODS ============
+
+  /**
+   * Find the cart of an owner (account carts take precedence)
+   */
+  async findCart({ accountId, guestToken } = {}) {
+    if (accountId) {
+      return await Cart.findOne({ account: accountId }).exec();
+    }
+    if (guestToken) {
+      return await Cart.findOne({ guest_token: guestToken }).exec();
+    }
+    return null;
+  }
+
+  /**
+   * Find the cart of an owner or create it (guests get a new token)
+   */
+  async findOrCreateCart(owner = {}) {
+    const cart = await this.findCart(owner);
+    if (cart) {
+      // Keep active guest carts alive
+      if (!cart.account) {
+        cart.expires_at = new Date(Date.now() + LIMIT.GUEST_CART);
+      }
+      return cart;
+    }
+
+    if (owner.accountId) {
+      return new Cart({ account: owner.accountId });
+    }
+    return new Cart({
+      guest_token: crypto.randomBytes(24).toString('hex'),
+      expires_at: new Date(Date.now() + LIMIT.GUEST_CART),
+    });
+  }
+
+  /**
+   * Find the cart line of a product variant
+   */
+  findLine(cart, productId, variantId = null) {
+    return cart?.items.find(
+      (line) =>
+        line.product.equals(productId) &&
+        String(line.variant ?? '') === String(variantId ?? '')
+    );
+  }
+
+  /**
+   * Validate a cart line quantity
+   */
+  validateQuantity(quantity) {
+    if (!Number.isInteger(quantity)) {
+      throw new ValidationError('Cart', 'Quantity must be an integer', {
+        field: 'quantity',
+        value: quantity,
+      });
+    }
+    validateNumericRange(
+      quantity,
+      1,
+      LIMIT.CART_ITEM_QUANTITY,
+      'quantity',
+      'Cart'
+    );
+  }
+
+  /**
+   * Validate that a product can be added to the cart in the given quantity
+   */
+  async validateProductAvailability(productId, quantity, variantId = null) {
+    const product = await Product.findById(productId).exec();
+    if (!product) {
+      throw new NotFoundError('Product', productId);
+    }
+    if (!product.is_active) {
+      throw new InvalidOperationError('Cart', 'Product is not available', {
+        product: productId,
+      });
+    }
+    if (!variantId && product.variants.length > 0) {
+      throw new ValidationError(
+        'Cart',
+        'A variant is required for products with variants',
+        { field: 'variant', product: productId }
+      );
+    }
+
+    const item = variantId
+      ? productService.getVariant(product, variantId)
+      : product;
+    if (item.available < quantity) {
+      throw new InsufficientResourceError(
+        'Product',
+        'STOCK',
+        item.available,
+        quantity
+      );
+    }
+  }
+
+  /**
+   * Build the cart summary with live prices, availability and totals
+   */
+  async buildSummary(cart) {
+    if (!cart) {
+      return {
+        cart_token: null,
+        items: [],
+        totals: { subtotal: 0, itemCount: 0, totalQuantity: 0 },
+        has_issues: false,
+      };
+    }
+
+    await cart.populate(
+      'items.product',
+      'sku name image price compare_at_price sale_price sale_starts_at sale_ends_at stock reserved is_active variants'
+    );
+
+    const items = cart.items.map((item) => {
+      const product = item.product;
+      // Lines of products with variants are priced and stocked by the variant
+      const variant = item.variant ? product?.variants.id(item.variant) : null;
+      const stockItem = item.variant ? variant : product;
+      const unitPrice = variant ? variant.unit_price : product?.current_price;
+
+      let issue = null;
+      if (!product) {
+        issue = 'not_found';
+      } else if (item.variant && !variant) {
+        issue = 'variant_not_found';
+      } else if (!item.variant && product.variants.length > 0) {
+        issue = 'variant_required';
+      } else if (!product.is_active) {
+        issue = 'inactive';
+      } else if (stockItem.available < item.quantity) {
+        issue = 'insufficient_stock';
+      }
+
+      return {
+        product,
+        variant: variant
+          ? {
+              _id: variant._id,
+              sku: variant.sku,
+              size: variant.size,
+              color: variant.color,
+              material: variant.material,
+              image: variant.image,
+            }
+          : null,
+        quantity: item.quantity,
+        unit_price: unitPrice ?? null,
+        line_total: issue ? 0 : unitPrice * item.quantity,
+        available: product?.is_active && stockItem ? stockItem.available : 0,
+        issue,
+      };
+    });
+
+    // Only lines that can be purchased count towards the totals
+    const purchasable = items.filter((item) => !item.issue);
+    return {
+      cart_token: cart.account ? null : cart.guest_token,
+      items,
+      totals: {
+        subtotal: purchasable.reduce(
+          (total, item) => total + item.line_total,
+          0
+        ),
+        itemCount: purchasable.length,
+        totalQuantity: purchasable.reduce(
+          (total, item) => total + item.quantity,
+          0
+        ),
+      },
+      has_issues: purchasable.length !== items.length,
+    };
+  }
+}
+
+export default new CartService();
@@ -5,12 +5,16 @@
 // File: categoryService.js
 // Author: Anthony Bañon
 // Created: 2025-10-27
-// Last Updated: 2025-10-30
-// Changes: Add JSDoc annotations for methods
+// Last Updated: 2026-10-19
+// Changes: Images store storage keys and build their URLs when read
 // ==========================================
 
 import Category from '../models/categoryModel.js';
-import { NotFoundError } from '../errors/businessError.js';
+import Product from '../models/productModel.js';
+import {
+  NotFoundError,
+  InvalidOperationError,
+} from '../errors/businessError.js';
 import {
   validateUniqueness,
   validateRequiredFields,
@@ -19,10 +23,36 @@ import {
   saveImageAndGetUrl,
   deleteImageFiles,
   processImageUpdate,
+  resolveImage,
 } from '../utils/imageUtils.js';
 
-import { buildQuery } from '../utils/queryBuilder.js';
-import { buildPagination } from '../utils/pagination.js';
+import { buildListQuery } from '../utils/queryBuilder.js';
+import { paginate } from '../utils/pagination.js';
+import { runInTransaction } from '../utils/transaction.js';
+import {
+  slugify,
+  generateUniqueSlug,
+  buildSlugChange,
+  findBySlug,
+} from '../utils/slugUtils.js';
+import { CATEGORY } from '../config/constants.js';
+
+// Fields clients may filter and sort category listings by
+const CATEGORY_LIST_QUERY = {
+  entity: 'Category',
+  filterable: {
+    name: { type: 'string', operators: ['eq', 'in', 'regex'] },
+    description: { type: 'string', operators: ['regex', 'exists'] },
+    parent: { type: 'objectId', operators: ['eq', 'in'] },
+    ancestors: { type: 'objectId', operators: ['eq', 'in'] },
+    depth: { type: 'number', operators: ['eq', 'gte', 'lte'] },
+    slug: { type: 'string', operators: ['eq', 'in'] },
+    path: { type: 'string', operators: ['eq', 'regex'] },
+    createdAt: { type: 'date', operators: ['gte', 'lte'] },
+  },
+  sortable: ['createdAt', 'updatedAt', 'name', 'depth'],
+  defaultSort: '-createdAt',
+};
 
 class CategoryService {
   /**
@@ -39,38 +69,125 @@ class CategoryService {
     return category;
   }
 
+  /**
+   * Get an active category by its slug
+   * Old slugs (from before a rename) still resolve, flagged as moved.
+   *
+   * param {string} slug - Current or previous category slug
+   * returns {Promise<Object>} { category, moved }
+   * throws {NotFoundError} If no active category uses or used the slug
+   */
+  async getBySlug(slug) {
+    const { document, moved } = await findBySlug(Category, slug, {
+      is_active: true,
+    });
+    return { category: document, moved };
+  }
+
   /**
    * Get all active categories
-   * returns {Promise<Array>} List of categories
+   * param {Object} filters - filter[field][operator], sort plus page or after/before cursors
+   * returns {Promise<Object>} { items, pagination } list envelope
+   * throws {ValidationError} On unknown filter or sort fields
    */
   async getAll(filters = {}) {
     // LÓGICA DE NEGOCIO: Construye query específica de categorías
-    const defaultQuery = { is_active: true };
-    const query = buildQuery(filters, defaultQuery);
-    const { page, limit, offset, sort } = buildPagination(filters);
-
-    // LÓGICA DE NEGOCIO: Operaciones específicas de Category
-    const [categories, totalItems] = await Promise.all([
-      Category.find(query).sort(sort).skip(offset).limit(limit).exec(),
-      Category.countDocuments(query),
-    ]);
+    const { filter, sort } = buildListQuery(filters, CATEGORY_LIST_QUERY);
+    // Inactive records never leave the service, whatever the filter says
+    const query = { ...filter, is_active: true };
 
-    // Retorna DATOS CRUDOS (sin formato HTTP)
-    return {
-      categories,
-      totalItems,
-      totalPages: Math.ceil(totalItems / limit),
-      currentPage: page,
-      hasNextPage: page < Math.ceil(totalItems / limit),
-      hasPrevPage: page > 1,
-    };
+    // LÓGICA DE NEGOCIO: Cursor por defecto, offset si se pide una página
+    return await paginate(Category, query, filters, { sort });
+  }
+
+  /**
+   * Get active categories as a nested tree
+   * param {Object} [options]
+   * param {string} [options.root] - Only return the subtree of this category
+   * returns {Promise<Array>} Root nodes, each with a children array
+   * throws {NotFoundError} If the root category does not exist
+   */
+  async getTree({ root = null } = {}) {
+    const query = { is_active: true };
+    if (root) {
+      await this.getOne(root);
+      query.$or = [{ _id: root }, { ancestors: root }];
+    }
+
+    const categories = await Category.find(query)
+      .select('name slug description image parent depth path')
+      .sort({ depth: 1, name: 1 })
+      .lean()
+      .exec();
+
+    const nodes = new Map(
+      categories.map((category) => [
+        String(category._id),
+        // Lean reads skip the getters that turn image keys into URLs
+        { ...category, image: resolveImage(category.image), children: [] },
+      ])
+    );
+
+    const roots = [];
+    for (const node of nodes.values()) {
+      if (!node.parent || String(node._id) === String(root)) {
+        roots.push(node);
+        continue;
+      }
+      // Children of an inactive category are hidden along with it
+      nodes.get(String(node.parent))?.children.push(node);
+    }
+
+    return roots;
+  }
+
+  /**
+   * Breadcrumb trail of a category, root first and the category itself last
+   * param {Object} category - Category document
+   * returns {Promise<Array>} [{ _id, name, slug, path }]
+   */
+  async getBreadcrumbs(category) {
+    const ancestors = await Category.find({ _id: { $in: category.ancestors } })
+      .select('name slug path')
+      .lean()
+      .exec();
+
+    const byId = new Map(
+      ancestors.map((ancestor) => [String(ancestor._id), ancestor])
+    );
+
+    return [
+      ...category.ancestors.map((id) => byId.get(String(id))).filter(Boolean),
+      {
+        _id: category._id,
+        name: category.name,
+        slug: category.slug,
+        path: category.path,
+      },
+    ].map(({ _id, name, slug, path }) => ({ _id, name, slug, path }));
+  }
+
+  /**
+   * Get the IDs of every category below the given one
+   * param {string} id - Category ID
+   * param {Object} [options]
+   * param {boolean} [options.activeOnly=true] - Skip inactive subcategories
+   * returns {Promise<Array>} Descendant category IDs
+   */
+  async getDescendantIds(id, { activeOnly = true } = {}) {
+    return await Category.find({
+      ancestors: id,
+      ...(activeOnly && { is_active: true }),
+    })
+      .distinct('_id')
+      .exec();
   }
   /**
    * Create a new category
    * param {Object} data - Category data
    * returns {Promise<Object>} Created category
    * throws {DuplicateError} If category name already exists
-   * throws {ValidationError} If required fields are missing
+   * throws {ValidationError} If required fields are missing or the name has no letters or digits
    */
   async create(data) {
     // Validate required fields
@@ -79,6 +196,11 @@ class CategoryService {
     // Validate uniqueness of category name
     await validateUniqueness(Category, 'name', data.name, null, 'Category');
 
+    // Unique slug from the name, then the tree position (parent, ancestors, depth and path)
+    delete data.slug_history;
+    data.slug = await generateUniqueSlug(Category, data.name);
+    Object.assign(data, await this.resolveHierarchy(data.parent, data.slug));
+
     // If there is an image, save it and get URL
     if (data.image && Buffer.isBuffer(data.image)) {
       const imageUrls = await saveImageAndGetUrl(
@@ -115,6 +237,9 @@ class CategoryService {
       throw new NotFoundError('Category', id);
     }
 
+    // Moving, renaming or toggling the status must keep the tree consistent
+    const hierarchyChanged = await this.prepareTreeChanges(category, data);
+
     // Save the old image for possible deletion
     const oldImage = category.image;
 
@@ -134,8 +259,14 @@ class CategoryService {
 
     Object.assign(category, data);
 
-    // Validates entire schema with save()
-    return await category.save();
+    // Validates entire schema with save(), subcategories follow in the same transaction
+    return await runInTransaction(async (session) => {
+      const saved = await category.save({ session });
+      if (hierarchyChanged) {
+        await this.rebuildDescendants(saved, session);
+      }
+      return saved;
+    });
   }
 
   /**
@@ -152,6 +283,12 @@ class CategoryService {
       await validateUniqueness(Category, 'name', updates.name, id, 'Category');
     }
 
+    // Moving, renaming or toggling the status must keep the tree consistent
+    const hierarchyChanged = await this.prepareTreeChanges(
+      await this.getOne(id),
+      updates
+    );
+
     // Process image using helper function
     if (updates.image !== undefined) {
       // If there is a current image, get it for possible deletion
@@ -176,37 +313,70 @@ class CategoryService {
       }
     }
 
-    // Partial update with validators
-    const updatedCategory = await Category.findByIdAndUpdate(id, updates, {
-      new: true,
-      runValidators: true,
-    }).exec();
-    // Validate existence
-    if (!updatedCategory) {
-      throw new NotFoundError('Category', id);
-    }
-    return updatedCategory;
+    // Partial update with validators, subcategories follow in the same transaction
+    return await runInTransaction(async (session) => {
+      const updatedCategory = await Category.findByIdAndUpdate(id, updates, {
+        new: true,
+        runValidators: true,
+        session,
+      }).exec();
+      // Validate existence
+      if (!updatedCategory) {
+        throw new NotFoundError('Category', id);
+      }
+      if (hierarchyChanged) {
+        await this.rebuildDescendants(updatedCategory, session);
+      }
+      return updatedCategory;
+    });
   }
 
   /**
-   * Soft delete a category by setting is_active to false
+   * Soft delete (or restore) a category by setting is_active
+   *
+   * Deactivating never leaves active content under an inactive category:
+   * - without cascade it is refused while active subcategories or products remain
+   * - with cascade the whole subtree and the products in it are deactivated too
+   * Restoring only reactivates the category itself, and its parent must be active.
+   *
    * param {string} id - Category ID
-   * returns {Promise<Object>} Deleted category
+   * param {boolean} [is_active=false] - New status
+   * param {Object} [options]
+   * param {boolean} [options.cascade=false] - Also deactivate subcategories and their products
+   * returns {Promise<Object>} Updated category
    * throws {NotFoundError} If category not found
+   * throws {InvalidOperationError} If active content remains or the parent is inactive
    */
-  async updateStatus(id, is_active = false) {
-    // Validate category exists and update status
-    const updatedCategory = await Category.findByIdAndUpdate(
-      id,
-      { is_active },
-      { new: true }
-    ).exec();
-    // Validate existence
-    if (!updatedCategory) {
-      throw new NotFoundError('Category', id);
+  async updateStatus(id, is_active = false, { cascade = false } = {}) {
+    const category = await this.getOne(id);
+
+    if (is_active) {
+      await this.validateParentActive(category.parent);
+      return await Category.findByIdAndUpdate(
+        id,
+        { is_active: true },
+        { new: true }
+      ).exec();
     }
 
-    return updatedCategory;
+    const categoryIds = [category._id, ...(await this.getDescendantIds(id))];
+    if (!cascade) {
+      await this.validateNoActiveContent(category._id, categoryIds);
+    }
+
+    return await runInTransaction(async (session) => {
+      await Category.updateMany(
+        { _id: { $in: categoryIds } },
+        { is_active: false },
+        { session }
+      );
+      await Product.updateMany(
+        { category: { $in: categoryIds }, is_active: true },
+        { is_active: false },
+        { session }
+      );
+      return await Category.findById(id).session(session).exec();
+    });
   }
 
   /**
@@ -242,8 +412,18 @@ class CategoryService {
    * param {string} id - Category ID
    * returns {Promise<Object>} Deleted category
    * throws {NotFoundError} If category not found
+   * throws {InvalidOperationError} If the category has subcategories
    */
   async delete(id) {
+    // Subcategories would be left pointing at a missing parent
+    if (await Category.exists({ parent: id })) {
+      throw new InvalidOperationError(
+        'Category',
+        'Move or delete its subcategories first',
+        { id }
+      );
+    }
+
     // Validate category exists and delete
     const deletedCategory = await Category.findByIdAndDelete(id).exec();
 
@@ -256,6 +436,215 @@ class CategoryService {
     }
     return deletedCategory;
   }
+
+  // ============ PRIVATE METHODS ============
+
+  /**
+   * Work out the tree position of a category under the given parent
+   * param {string|null} parentId - Parent category ID (null for a root category)
+   * param {string} slug - Category slug, it ends the path
+   * param {Object} [category] - Category being moved (for cycle and depth checks)
+   * returns {Promise<Object>} { parent, ancestors, depth, path }
+   * throws {NotFoundError} If the parent does not exist
+   * throws {InvalidOperationError} On cycles, inactive parents or too deep trees
+   */
+  async resolveHierarchy(parentId, slug, category = null) {
+    if (!parentId) {
+      return { parent: null, ancestors: [], depth: 0, path: slug };
+    }
+
+    const parent = await Category.findById(parentId)
+      .select('name slug is_active ancestors depth path')
+      .exec();
+    if (!parent) {
+      throw new NotFoundError('Category', parentId);
+    }
+
+    // A category cannot end up inside its own subtree
+    if (
+      category &&
+      [parent._id, ...parent.ancestors].some((ancestor) =>
+        ancestor.equals(category._id)
+      )
+    ) {
+      throw new InvalidOperationError(
+        'Category',
+        'A category cannot be moved under itself or one of its subcategories',
+        { id: category._id, parent: parentId }
+      );
+    }
+
+    if (!parent.is_active) {
+      throw new InvalidOperationError(
+        'Category',
+        'Parent category is inactive',
+        {
+          parent: parentId,
+        }
+      );
+    }
+
+    const depth = parent.depth + 1;
+    const subtreeHeight = category ? await this.getSubtreeHeight(category) : 0;
+    if (depth + subtreeHeight > CATEGORY.MAX_DEPTH) {
+      throw new InvalidOperationError(
+        'Category',
+        `Categories cannot be nested more than ${CATEGORY.MAX_DEPTH} levels deep`,
+        { depth: depth + subtreeHeight }
+      );
+    }
+
+    return {
+      parent: parent._id,
+      ancestors: [...parent.ancestors, parent._id],
+      depth,
+      path: [parent.path ?? parent.slug ?? slugify(parent.name), slug].join(
+        CATEGORY.PATH_SEPARATOR
+      ),
+    };
+  }
+
+  /**
+   * Validate tree related changes of an update and add the new position to it
+   * param {Object} category - Current category document
+   * param {Object} data - Update data (mutated with slug, parent, ancestors, depth and path)
+   * returns {Promise<boolean>} Whether the subcategories must be rebuilt
+   */
+  async prepareTreeChanges(category, data) {
+    // Tree position and slugs are derived, never taken from the request
+    ['slug', 'slug_history', 'ancestors', 'depth', 'path'].forEach(
+      (field) => delete data[field]
+    );
+
+    if (data.is_active !== undefined && data.is_active !== category.is_active) {
+      if (data.is_active) {
+        await this.validateParentActive(category.parent);
+      } else {
+        await this.validateNoActiveContent(category._id, [
+          category._id,
+          ...(await this.getDescendantIds(category._id)),
+        ]);
+      }
+    }
+
+    const parent =
+      data.parent !== undefined ? data.parent || null : category.parent;
+    const name = data.name ?? category.name;
+    const moved = String(parent ?? '') !== String(category.parent ?? '');
+
+    // A rename regenerates the slug and keeps the old one for redirects
+    const slugChange =
+      name !== category.name || !category.slug
+        ? await buildSlugChange(Category, category, name)
+        : null;
+    if (slugChange) Object.assign(data, slugChange);
+
+    // Legacy categories get their path on the first update
+    if (!moved && !slugChange && category.path) {
+      delete data.parent;
+      return false;
+    }
+
+    Object.assign(
+      data,
+      await this.resolveHierarchy(
+        parent,
+        data.slug ?? category.slug,
+        moved ? category : null
+      )
+    );
+    return true;
+  }
+
+  /**
+   * Recompute ancestors, depth and path of every category below the given one
+   * param {Object} category - Category with its new position
+   * param {ClientSession} session - Running transaction
+   */
+  async rebuildDescendants(category, session) {
+    // Parents always come before their children when sorted by depth
+    const descendants = await Category.find({ ancestors: category._id })
+      .select('name slug parent depth')
+      .sort({ depth: 1 })
+      .session(session)
+      .exec();
+    if (!descendants.length) return;
+
+    const positions = new Map([
+      [
+        String(category._id),
+        { ancestors: category.ancestors, path: category.path },
+      ],
+    ]);
+
+    const operations = descendants.map((child) => {
+      const parent = positions.get(String(child.parent));
+      const ancestors = [...parent.ancestors, child.parent];
+      const path = [parent.path, child.slug ?? slugify(child.name)].join(
+        CATEGORY.PATH_SEPARATOR
+      );
+      positions.set(String(child._id), { ancestors, path });
+
+      return {
+        updateOne: {
+          filter: { _id: child._id },
+          update: { $set: { ancestors, depth: ancestors.length, path } },
+        },
+      };
+    });
+
+    await Category.bulkWrite(operations, { session });
+  }
+
+  /**
+   * Levels below a category (0 for a leaf)
+   */
+  async getSubtreeHeight(category) {
+    const deepest = await Category.findOne({ ancestors: category._id })
+      .select('depth')
+      .sort({ depth: -1 })
+      .exec();
+    return deepest ? deepest.depth - category.depth : 0;
+  }
+
+  /**
+   * Validate that a category can be active under its parent
+   * throws {InvalidOperationError} If the parent category is inactive
+   */
+  async validateParentActive(parentId) {
+    if (!parentId) return;
+
+    const parent = await Category.findById(parentId).select('is_active').exec();
+    if (parent && !parent.is_active) {
+      throw new InvalidOperationError(
+        'Category',
+        'Cannot activate a category under an inactive parent',
+        { parent: parentId }
+      );
+    }
+  }
+
+  /**
+   * Validate that deactivating a category would not hide active content
+   * param {ObjectId} id - Category being deactivated
+   * param {Array} categoryIds - The category and its active descendants
+   * throws {InvalidOperationError} If active subcategories or products remain
+   */
+  async validateNoActiveContent(id, categoryIds) {
+    const activeSubcategories = categoryIds.length - 1;
+    const activeProducts = await Product.countDocuments({
+      category: { $in: categoryIds },
+      is_active: true,
+    });
+
+    if (activeSubcategories || activeProducts) {
+      throw new InvalidOperationError(
+        'Category',
+        'Deactivate or move its subcategories and products first, or deactivate with cascade',
+        { id, activeSubcategories, activeProducts }
+      );
+    }
+  }
 }
 
 export default new CategoryService();
@@ -0,0 +1,396 @@
+// ==========================================
+//
+// Description: Image service handling rendition profiles and regeneration
+//
+// File: imageService.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: deleteImageFiles returns the files it could not delete
+// ==========================================
+
+import Product from '../models/productModel.js';
+import Category from '../models/categoryModel.js';
+import Person from '../models/personModel.js';
+import Review from '../models/reviewModel.js';
+import {
+  getImageProfile,
+  getImageUrls,
+  regenerateImage,
+  deleteImageFiles,
+} from '../utils/imageUtils.js';
+import { getStorageDriver } from '../providers/storage/index.js';
+import { getImageConfig } from '../config/imageConfig.js';
+import { getStorageConfig } from '../config/storageConfig.js';
+import { InvalidOperationError } from '../errors/businessError.js';
+
+// Model storing the images of each profile and the fields holding them
+// - path: document field with an image or an array of images
+// - field: image field of each array item (variants.image)
+const IMAGE_SOURCES = {
+  products: {
+    model: Product,
+    fields: [
+      { path: 'image' },
+      { path: 'images' },
+      { path: 'variants', field: 'image' },
+    ],
+  },
+  categories: { model: Category, fields: [{ path: 'image' }] },
+  persons: { model: Person, fields: [{ path: 'image' }] },
+  reviews: { model: Review, fields: [{ path: 'photos' }] },
+};
+
+class ImageService {
+  /**
+   * Get the rendition profiles with their current version
+   *
+   * returns {Array<Object>} Profiles {name, version, formats, aspectRatio, fit, renditions}
+   */
+  getProfiles() {
+    return Object.keys(getImageConfig().profiles).map((name) => {
+      const { version, formats, aspectRatio, fit, renditions } =
+        getImageProfile(name);
+      return { name, version, formats, aspectRatio, fit, renditions };
+    });
+  }
+
+  /**
+   * Render again the images of a profile from their originals
+   * Only images made with an older profile version are regenerated unless
+   * forced, so the operation can be repeated after a failure. Images uploaded
+   * before originals were kept cannot be regenerated and are reported as skipped.
+   *
+   * param {string} profileName - Profile (upload folder) name
+   * param {Object} [options]
+   * param {boolean} [options.force] - Also regenerate up to date images
+   * returns {Promise<Object>} Summary with image counts (regenerated, up_to_date,
+   * skipped) and document counts (documents, failed)
+   * throws {NotFoundError} If the profile does not exist
+   */
+  async regenerate(profileName, { force = false } = {}) {
+    const profile = getImageProfile(profileName);
+    const summary = {
+      profile: profile.name,
+      version: profile.version,
+      force,
+      documents: 0,
+      regenerated: 0,
+      up_to_date: 0,
+      skipped: 0,
+      failed: 0,
+      errors: [],
+    };
+
+    const source = IMAGE_SOURCES[profile.name];
+    if (!source) return summary;
+
+    // Documents with at least one image
+    const cursor = source.model.find(this.getImageQuery(source)).cursor();
+
+    for await (const document of cursor) {
+      summary.documents += 1;
+      await this.regenerateDocument(document, source, profile, summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Compare the stored upload files with the images the documents reference
+   * Orphaned files are stored but referenced by no document; dangling
+   * references point at files the storage does not have (or does not serve).
+   * Files younger than the minimum age are left alone, their document may
+   * still be saving. Nothing is deleted unless dryRun is false, and never
+   * while a reference is not served: the file it means cannot be told apart
+   * from an orphan.
+   *
+   * param {Object} [options]
+   * param {boolean} [options.dryRun] - Only report (default true)
+   * param {number} [options.minAgeMinutes] - Age before a file can be an orphan
+   * returns {Promise<Object>} Report {folders, files, referenced, recent, orphaned, dangling, deleted, errors...}
+   * throws {InvalidOperationError} If deleting while references are not served
+   */
+  async collectOrphans({
+    dryRun = true,
+    minAgeMinutes = getStorageConfig().collector.minAgeMinutes,
+  } = {}) {
+    const storage = getStorageDriver();
+    const folders = Object.keys(IMAGE_SOURCES);
+    const cutoff = new Date(Date.now() - minAgeMinutes * 60 * 1000);
+
+    const { referenced, dangling } = await this.collectReferences(storage);
+
+    const report = {
+      dry_run: dryRun,
+      min_age_minutes: minAgeMinutes,
+      folders,
+      files: 0,
+      referenced: 0,
+      recent: 0,
+      orphaned: [],
+      orphaned_bytes: 0,
+      dangling,
+      deleted: 0,
+      errors: [],
+    };
+
+    const stored = new Set();
+    for (const folder of folders) {
+      for (const file of await storage.list(`${folder}/`)) {
+        report.files += 1;
+        stored.add(file.key);
+
+        if (referenced.has(file.key)) {
+          report.referenced += 1;
+        } else if (file.lastModified > cutoff) {
+          report.recent += 1;
+        } else {
+          report.orphaned.push({
+            key: file.key,
+            size: file.size,
+            last_modified: file.lastModified,
+          });
+          report.orphaned_bytes += file.size;
+        }
+      }
+    }
+
+    for (const [key, references] of referenced) {
+      if (stored.has(key)) continue;
+      for (const reference of references) {
+        report.dangling.push({ ...reference, reason: 'missing' });
+      }
+    }
+
+    const notServed = dangling.filter(({ reason }) => reason === 'not_served');
+    if (!dryRun && notServed.length > 0) {
+      throw new InvalidOperationError(
+        'Uploads',
+        `${notServed.length} image reference(s) use URLs the storage does not serve, no file was deleted`,
+        notServed
+      );
+    }
+
+    if (!dryRun) {
+      for (const { key } of report.orphaned) {
+        try {
+          await storage.delete(key);
+          report.deleted += 1;
+        } catch (error) {
+          report.errors.push({ key, message: error.message });
+        }
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Replace the URLs stored by images saved before keys were kept with their
+   * storage key, so they follow later changes of the public base URL
+   * Only URLs under the current public base (or the driver URL) can be
+   * converted; run it before changing STORAGE_PUBLIC_URL.
+   *
+   * returns {Promise<Object>} Summary {documents, converted, failed, errors}
+   */
+  async storeKeys() {
+    const storage = getStorageDriver();
+    const summary = { documents: 0, converted: 0, failed: 0, errors: [] };
+
+    for (const source of Object.values(IMAGE_SOURCES)) {
+      const cursor = source.model.find(this.getImageQuery(source)).cursor();
+
+      for await (const document of cursor) {
+        summary.documents += 1;
+        const targets = source.fields
+          .flatMap((field) => this.getTargets(document, field))
+          .filter((target) =>
+            getImageUrls(target.get()).some(
+              (value) => !storage.isKey(value) && storage.getKey(value)
+            )
+          );
+        if (targets.length === 0) continue;
+
+        try {
+          // The setters store the key of every URL the driver serves
+          for (const target of targets) {
+            target.set(target.get().toObject());
+          }
+          await document.save();
+          summary.converted += 1;
+        } catch (error) {
+          summary.failed += 1;
+          summary.errors.push({
+            model: source.model.modelName,
+            id: document._id,
+            message: error.message,
+          });
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  // ============ PRIVATE METHODS ============
+
+  /**
+   * Regenerate the images of one document and save it
+   * Old renditions are deleted once the document points at the new ones.
+   */
+  async regenerateDocument(document, source, profile, summary) {
+    const replaced = [];
+    try {
+      const targets = source.fields.flatMap((field) =>
+        this.getTargets(document, field)
+      );
+      for (const target of targets) {
+        const image = target.get();
+        if (!image?.desktop) continue;
+        if (!summary.force && image.profile_version === profile.version) {
+          summary.up_to_date += 1;
+          continue;
+        }
+
+        const regenerated = await regenerateImage(image, profile.name);
+        if (!regenerated) {
+          summary.skipped += 1;
+          continue;
+        }
+        replaced.push({ old: image.toObject(), regenerated });
+        target.set(regenerated);
+      }
+
+      if (replaced.length === 0) return;
+      await document.save();
+    } catch (error) {
+      // The new files are not referenced, the document keeps the old ones
+      for (const { regenerated } of replaced) {
+        await this.deleteFiles(regenerated, document, source, profile, summary);
+      }
+      summary.failed += 1;
+      summary.errors.push({
+        model: source.model.modelName,
+        id: document._id,
+        message: error.message,
+      });
+      return;
+    }
+
+    for (const { old } of replaced) {
+      await this.deleteFiles(old, document, source, profile, summary);
+    }
+    summary.regenerated += replaced.length;
+  }
+
+  /**
+   * Delete the renditions of an image no longer used, adding the files that
+   * could not be deleted to the summary errors
+   */
+  async deleteFiles(image, document, source, profile, summary) {
+    const { failed } = await deleteImageFiles(image, profile.name, {
+      keepOriginal: true,
+    });
+    for (const { key, message } of failed) {
+      summary.errors.push({
+        model: source.model.modelName,
+        id: document._id,
+        key,
+        message: `Could not delete '${key}': ${message}`,
+      });
+    }
+  }
+
+  /**
+   * Images of a document for one source, with their path (images.2) and a
+   * setter to replace each one. Array items keep their own fields (position,
+   * alt...) when replaced.
+   */
+  getTargets(document, { path, field }) {
+    const value = document[path];
+    if (field) {
+      return value.map((item, index) => ({
+        path: `${path}.${index}.${field}`,
+        get: () => item[field],
+        set: (image) => item.set(field, image),
+      }));
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => ({
+        path: `${path}.${index}`,
+        get: () => item,
+        set: (image) => item.set(image),
+      }));
+    }
+    return [
+      {
+        path,
+        get: () => value,
+        set: (image) => document.set(path, image),
+      },
+    ];
+  }
+
+  /**
+   * Storage keys referenced by the documents, with where each one is used
+   * URLs the driver does not serve (another driver, an external host) are
+   * returned as dangling references straight away.
+   */
+  async collectReferences(storage) {
+    const referenced = new Map();
+    const dangling = [];
+
+    for (const [folder, source] of Object.entries(IMAGE_SOURCES)) {
+      const cursor = source.model
+        .find(this.getImageQuery(source))
+        .select(source.fields.map(({ path }) => path).join(' '))
+        .cursor();
+
+      for await (const document of cursor) {
+        for (const field of source.fields) {
+          for (const target of this.getTargets(document, field)) {
+            for (const url of getImageUrls(target.get())) {
+              const reference = {
+                model: source.model.modelName,
+                id: document._id,
+                path: target.path,
+                url,
+              };
+              const key = storage.getKey(url);
+              if (!key || !key.startsWith(`${folder}/`)) {
+                dangling.push({ ...reference, reason: 'not_served' });
+                continue;
+              }
+              if (!referenced.has(key)) referenced.set(key, []);
+              referenced.get(key).push(reference);
+            }
+          }
+        }
+      }
+    }
+
+    return { referenced, dangling };
+  }
+
+  /**
+   * Query matching the documents that store at least one image
+   */
+  getImageQuery(source) {
+    return {
+      $or: source.fields.map((field) => ({
+        [this.getImagePath(field)]: { $exists: true },
+      })),
+    };
+  }
+
+  /**
+   * Query path that exists when a document stores an image in the source
+   */
+  getImagePath({ path, field }) {
+    return [path, field, 'desktop'].filter(Boolean).join('.');
+  }
+}
+
+// Export single instance (Singleton)
+export default new ImageService();
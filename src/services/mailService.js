@@ -0,0 +1,134 @@
+// ==========================================
+//
+// Description: Mail service composing the account emails
+//
+// File: mailService.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { getMailDriver } from '../providers/mail/index.js';
+import { getMailConfig } from '../config/mailConfig.js';
+
+// Units of the token lifetimes (jsonwebtoken expiresIn strings)
+const DURATION_UNITS = { s: 'second', m: 'minute', h: 'hour', d: 'day' };
+
+class MailService {
+  /**
+   * Send the link confirming a person email
+   *
+   * param {Object} params
+   * param {string} params.to - Email address to verify
+   * param {string} params.name - Name used in the greeting
+   * param {string} params.token - Email verification token
+   * param {string} params.expiresIn - Token lifetime (24h)
+   * returns {Promise<{id: string}>} Message-ID
+   * throws {MailError} If the message cannot be delivered
+   */
+  async sendEmailVerification({ to, name, token, expiresIn }) {
+    const link = this.buildLink(getMailConfig().links.verifyEmail, token);
+
+    return await this.send({
+      to,
+      subject: 'Confirm your email address',
+      name,
+      paragraphs: [
+        'Please confirm your email address to start placing orders.',
+        `This link expires in ${this.describeDuration(expiresIn)}.`,
+      ],
+      action: { label: 'Confirm email', link },
+      footer: 'If you did not create an account, ignore this email.',
+    });
+  }
+
+  /**
+   * Send the link setting a new password
+   *
+   * param {Object} params
+   * param {string} params.to - Email address of the account person
+   * param {string} params.name - Name used in the greeting
+   * param {string} params.token - Password reset token
+   * param {string} params.expiresIn - Token lifetime (30m)
+   * returns {Promise<{id: string}>} Message-ID
+   * throws {MailError} If the message cannot be delivered
+   */
+  async sendPasswordReset({ to, name, token, expiresIn }) {
+    const link = this.buildLink(getMailConfig().links.resetPassword, token);
+
+    return await this.send({
+      to,
+      subject: 'Reset your password',
+      name,
+      paragraphs: [
+        'We received a request to reset the password of your account.',
+        `This link can be used once and expires in ${this.describeDuration(
+          expiresIn
+        )}.`,
+      ],
+      action: { label: 'Choose a new password', link },
+      footer:
+        'If you did not ask for a new password, ignore this email. Your password stays the same.',
+    });
+  }
+
+  // ============ PRIVATE METHODS ============
+
+  /**
+   * Render the text and HTML bodies and hand the message to the driver
+   */
+  async send({ to, subject, name, paragraphs, action, footer }) {
+    const greeting = name ? `Hi ${name},` : 'Hi,';
+
+    const text = [
+      greeting,
+      ...paragraphs,
+      `${action.label}: ${action.link}`,
+      footer,
+    ].join('\n\n');
+
+    const html = [
+      `<p>${this.escapeHtml(greeting)}</p>`,
+      ...paragraphs.map((paragraph) => `<p>${this.escapeHtml(paragraph)}</p>`),
+      `<p><a href="${this.escapeHtml(action.link)}">${this.escapeHtml(
+        action.label
+      )}</a></p>`,
+      `<p>${this.escapeHtml(footer)}</p>`,
+    ].join('\n');
+
+    return await getMailDriver().send({
+      from: getMailConfig().from,
+      to,
+      subject,
+      text,
+      html,
+    });
+  }
+
+  buildLink(page, token) {
+    const url = new URL(page);
+    url.searchParams.set('token', token);
+    return url.toString();
+  }
+
+  /**
+   * Readable lifetime ('30m' -> '30 minutes'); other formats are kept as is
+   */
+  describeDuration(value) {
+    const match = String(value).match(/^(\d+)\s*([smhd])$/);
+    if (!match) return String(value);
+    const [, amount, unit] = match;
+    return `${amount} ${DURATION_UNITS[unit]}${amount === '1' ? '' : 's'}`;
+  }
+
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Export single instance (Singleton)
+export default new MailService();
@@ -3,9 +3,20 @@
 // File: orderDetailService.js
 // ==========================================
 
+import Order from '../models/orderModel.js';
 import OrderDetail from '../models/orderDetailModel.js';
-import { NotFoundError, ValidationError } from '../errors/businessError.js';
+import Product from '../models/productModel.js';
+import OrderService from './orderService.js';
+import productService from './productService.js';
+import {
+  NotFoundError,
+  ValidationError,
+  InvalidOperationError,
+} from '../errors/businessError.js';
 import { validateEntityExists } from '../utils/validationUtils.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { paginate } from '../utils/pagination.js';
+import { ORDER_STATUS, INVENTORY_STATUS } from '../config/constants.js';
 
 export class OrderDetailService {
   /**
@@ -26,10 +37,11 @@ export class OrderDetailService {
 
   /**
    * Get all order details with optional filtering
+   *
+   * returns {Promise<Object>} { items, pagination } list envelope
    */
   static async getAll(filters = {}) {
-    const { orderId, productId, minQuantity, maxQuantity, page, limit } =
-      filters;
+    const { orderId, productId, minQuantity, maxQuantity, ...params } = filters;
 
     const filter = {};
 
@@ -41,65 +53,59 @@ export class OrderDetailService {
       if (maxQuantity) filter.quantity.$lte = maxQuantity;
     }
 
-    const query = OrderDetail.find(filter)
-      .populate('order', 'order_number status')
-      .populate('product', 'name sku price')
-      .sort({ createdAt: -1 });
-
-    if (page && limit) {
-      const skip = (page - 1) * limit;
-      query.skip(skip).limit(limit);
-    }
-
-    return await query.exec();
+    return await paginate(OrderDetail, filter, params, {
+      populate: [
+        { path: 'order', select: 'order_number status' },
+        { path: 'product', select: 'name sku price' },
+      ],
+    });
   }
 
   /**
    * Get order details by order ID
+   *
+   * returns {Promise<Object>} { items, pagination } list envelope
    */
   static async getByOrder(orderId, options = {}) {
-    await validateEntityExists(OrderDetail, orderId, 'Order');
-
-    const query = OrderDetail.find({ order: orderId })
-      .populate('product', 'name sku price images category')
-      .sort({ createdAt: 1 });
-
-    if (options.page && options.limit) {
-      const skip = (options.page - 1) * options.limit;
-      query.skip(skip).limit(options.limit);
-    }
+    await validateEntityExists(Order, orderId, 'Order');
 
-    return await query.exec();
+    // Lines read in the order they were added
+    return await paginate(OrderDetail, { order: orderId }, options, {
+      sort: { createdAt: 1 },
+      populate: { path: 'product', select: 'name sku price images category' },
+    });
   }
 
   /**
    * Get order details by product ID
+   *
+   * returns {Promise<Object>} { items, pagination } list envelope
    */
   static async getByProduct(productId, options = {}) {
-    await validateEntityExists(OrderDetail, productId, 'Product');
-
-    const query = OrderDetail.find({ product: productId })
-      .populate('order', 'order_number status date')
-      .sort({ createdAt: -1 });
+    await validateEntityExists(Product, productId, 'Product');
 
-    if (options.page && options.limit) {
-      const skip = (options.page - 1) * options.limit;
-      query.skip(skip).limit(options.limit);
-    }
-
-    return await query.exec();
+    return await paginate(OrderDetail, { product: productId }, options, {
+      populate: { path: 'order', select: 'order_number status date' },
+    });
   }
 
   /**
    * Create a new order detail
+   * The price is the current product (or variant) price, never the client's.
+   *
+   * throws {ValidationError} If data is invalid or a price is sent
+   * throws {InvalidOperationError} If the order is no longer pending
    */
   static async create(orderDetailData) {
     this.validateOrderDetailData(orderDetailData);
 
-    // Check if order-product combination already exists
+    orderDetailData = await this.applyProductSnapshot(orderDetailData);
+
+    // Check if order-product-variant combination already exists
     const existingDetail = await OrderDetail.findOne({
       order: orderDetailData.order,
       product: orderDetailData.product,
+      variant: orderDetailData.variant,
     });
 
     if (existingDetail) {
@@ -109,8 +115,14 @@ export class OrderDetailService {
       );
     }
 
-    const orderDetail = new OrderDetail(orderDetailData);
-    return await orderDetail.save();
+    return await runInTransaction(async (session) => {
+      await this.validateEditableOrder(orderDetailData.order, session);
+      const [orderDetail] = await OrderDetail.create([orderDetailData], {
+        session,
+      });
+      await this.syncOrderTotals([orderDetail.order], session);
+      return orderDetail;
+    });
   }
 
   /**
@@ -128,11 +140,16 @@ export class OrderDetailService {
     for (const detailData of orderDetailsData) {
       this.validateOrderDetailData(detailData);
     }
+    orderDetailsData = await Promise.all(
+      orderDetailsData.map((detailData) =>
+        this.applyProductSnapshot(detailData)
+      )
+    );
 
     // Check for duplicates in the batch
     const orderProductCombinations = new Set();
     for (const detailData of orderDetailsData) {
-      const key = `${detailData.order}-${detailData.product}`;
+      const key = `${detailData.order}-${detailData.product}-${detailData.variant}`;
       if (orderProductCombinations.has(key)) {
         throw new ValidationError(
           'OrderDetail',
@@ -147,6 +164,7 @@ export class OrderDetailService {
       $or: orderDetailsData.map((detail) => ({
         order: detail.order,
         product: detail.product,
+        variant: detail.variant,
       })),
     });
 
@@ -157,7 +175,20 @@ export class OrderDetailService {
       );
     }
 
-    return await OrderDetail.insertMany(orderDetailsData);
+    return await runInTransaction(async (session) => {
+      const orderIds = new Set(orderDetailsData.map(({ order }) => order));
+      for (const orderId of orderIds) {
+        await this.validateEditableOrder(orderId, session);
+      }
+      const orderDetails = await OrderDetail.insertMany(orderDetailsData, {
+        session,
+      });
+      await this.syncOrderTotals(
+        orderDetails.map((detail) => detail.order),
+        session
+      );
+      return orderDetails;
+    });
   }
 
   /**
@@ -166,18 +197,41 @@ export class OrderDetailService {
   static async update(id, updateData) {
     this.validateOrderDetailData(updateData, true);
 
-    const orderDetail = await OrderDetail.findByIdAndUpdate(id, updateData, {
-      new: true,
-      runValidators: true,
-    })
-      .populate('order', 'order_number status')
-      .populate('product', 'name sku price');
+    return await runInTransaction(async (session) => {
+      const previous = await OrderDetail.findById(id).session(session);
+      if (!previous) {
+        throw new NotFoundError('OrderDetail', id);
+      }
+      await this.validateEditableOrder(previous.order, session);
+      if (
+        updateData.order &&
+        String(updateData.order) !== String(previous.order)
+      ) {
+        await this.validateEditableOrder(updateData.order, session);
+      }
+      if (updateData.product || updateData.variant !== undefined) {
+        // A new product without a variant drops the previous variant
+        updateData = await this.applyProductSnapshot({
+          product: previous.product,
+          variant: updateData.product ? null : previous.variant,
+          ...updateData,
+        });
+      }
 
-    if (!orderDetail) {
-      throw new NotFoundError('OrderDetail', id);
-    }
+      const orderDetail = await OrderDetail.findByIdAndUpdate(id, updateData, {
+        new: true,
+        runValidators: true,
+        session,
+      });
 
-    return orderDetail;
+      // The line may have moved to another order: both need new totals
+      await this.syncOrderTotals([previous.order, orderDetail.order], session);
+
+      return await orderDetail.populate([
+        { path: 'order', select: 'order_number status' },
+        { path: 'product', select: 'name sku price' },
+      ]);
+    });
   }
 
   /**
@@ -191,40 +245,75 @@ export class OrderDetailService {
       );
     }
 
-    const orderDetail = await OrderDetail.findByIdAndUpdate(
-      id,
-      { quantity },
-      { new: true }
-    )
-      .populate('order', 'order_number status')
-      .populate('product', 'name sku price');
+    return await runInTransaction(async (session) => {
+      const previous = await OrderDetail.findById(id).session(session);
+      if (!previous) {
+        throw new NotFoundError('OrderDetail', id);
+      }
+      await this.validateEditableOrder(previous.order, session);
 
-    if (!orderDetail) {
-      throw new NotFoundError('OrderDetail', id);
-    }
+      const orderDetail = await OrderDetail.findByIdAndUpdate(
+        id,
+        { quantity },
+        { new: true, session }
+      );
 
-    return orderDetail;
+      await this.syncOrderTotals([orderDetail.order], session);
+
+      return await orderDetail.populate([
+        { path: 'order', select: 'order_number status' },
+        { path: 'product', select: 'name sku price' },
+      ]);
+    });
   }
 
   /**
    * Delete an order detail
    */
   static async delete(id) {
-    const orderDetail = await OrderDetail.findByIdAndDelete(id);
+    return await runInTransaction(async (session) => {
+      const previous = await OrderDetail.findById(id).session(session);
+      if (!previous) {
+        throw new NotFoundError('OrderDetail', id);
+      }
+      await this.validateEditableOrder(previous.order, session);
 
-    if (!orderDetail) {
-      throw new NotFoundError('OrderDetail', id);
-    }
+      const orderDetail = await OrderDetail.findByIdAndDelete(id, { session });
 
-    return orderDetail;
+      await this.syncOrderTotals([orderDetail.order], session, {
+        required: false,
+      });
+
+      return orderDetail;
+    });
   }
 
   /**
    * Delete all order details for an order
+   *
+   * param {string} orderId - Order ID
+   * param {Object} [options]
+   * param {ClientSession} [options.session] - Session of a running transaction to join
+   * throws {InvalidOperationError} If called on its own for an order that is not editable
    */
-  static async deleteByOrder(orderId) {
-    const result = await OrderDetail.deleteMany({ order: orderId });
-    return result;
+  static async deleteByOrder(orderId, { session = null } = {}) {
+    return await runInTransaction(
+      async (transaction) => {
+        // Order deletion joins with a session once the stock is given back
+        if (!session) {
+          await this.validateEditableOrder(orderId, transaction);
+        }
+        const result = await OrderDetail.deleteMany(
+          { order: orderId },
+          { session: transaction }
+        );
+        await this.syncOrderTotals([orderId], transaction, {
+          required: false,
+        });
+        return result;
+      },
+      { session }
+    );
   }
 
   /**
@@ -236,14 +325,36 @@ export class OrderDetailService {
 
   /**
    * Calculate totals for multiple order details
+   *
+   * param {Array} orderDetails - Order lines
+   * param {Object} [adjustments] - Order level adjustments
+   * param {number} [adjustments.discount] - Discount applied to the subtotal
+   * param {number} [adjustments.taxRate] - Tax rate applied to the discounted subtotal
+   * param {number} [adjustments.shipping] - Shipping cost
+   * returns {Object} Subtotal, discount, tax, shipping, total and counters
    */
-  static calculateOrderTotals(orderDetails) {
-    const subtotal = orderDetails.reduce((total, detail) => {
-      return total + detail.quantity * detail.historical_price;
-    }, 0);
+  static calculateOrderTotals(
+    orderDetails,
+    { discount = 0, taxRate = 0, shipping = 0 } = {}
+  ) {
+    const subtotal = this.roundAmount(
+      orderDetails.reduce((total, detail) => {
+        return total + detail.quantity * detail.historical_price;
+      }, 0)
+    );
+    // A discount can never make the order negative
+    const appliedDiscount = this.roundAmount(Math.min(discount, subtotal));
+    const tax = this.roundAmount((subtotal - appliedDiscount) * taxRate);
+    const appliedShipping = this.roundAmount(shipping);
 
     return {
       subtotal,
+      discount: appliedDiscount,
+      tax,
+      shipping: appliedShipping,
+      total: this.roundAmount(
+        subtotal - appliedDiscount + tax + appliedShipping
+      ),
       itemCount: orderDetails.length,
       totalQuantity: orderDetails.reduce(
         (total, detail) => total + detail.quantity,
@@ -252,13 +363,102 @@ export class OrderDetailService {
     };
   }
 
+  /**
+   * Round a monetary amount to cents
+   */
+  static roundAmount(amount) {
+    return Math.round((amount + Number.EPSILON) * 100) / 100;
+  }
+
   // ============ PRIVATE METHODS ============
 
+  /**
+   * Resolve the product and variant of a line and store their snapshot
+   * (price included) on the server side only, as checkout does
+   */
+  static async applyProductSnapshot(detailData) {
+    const product = await Product.findById(detailData.product).exec();
+    if (!product) {
+      throw new NotFoundError('Product', detailData.product);
+    }
+
+    const data = {
+      ...detailData,
+      variant: null,
+      variant_sku: null,
+      variant_options: null,
+      historical_price: product.current_price,
+    };
+    if (!detailData.variant) {
+      if (product.variants.length > 0) {
+        throw new ValidationError(
+          'OrderDetail',
+          'A variant is required for products with variants',
+          { field: 'variant', product: detailData.product }
+        );
+      }
+      return data;
+    }
+
+    const variant = productService.getVariant(product, detailData.variant);
+    return {
+      ...data,
+      historical_price: variant.unit_price,
+      ...OrderService.buildVariantSnapshot(variant),
+    };
+  }
+
+  /**
+   * Lines can only change while their order is pending and has not touched
+   * stock (a reservation covers exactly the lines it was made for)
+   */
+  static async validateEditableOrder(orderId, session) {
+    const order = await Order.findById(orderId)
+      .select('status inventory_status')
+      .session(session);
+    if (!order) {
+      throw new NotFoundError('Order', orderId);
+    }
+    if (order.status !== ORDER_STATUS.PENDING) {
+      throw new InvalidOperationError(
+        'OrderDetail',
+        `Lines of a ${order.status} order cannot change`,
+        { order: orderId, status: order.status }
+      );
+    }
+    if (order.inventory_status !== INVENTORY_STATUS.NONE) {
+      throw new InvalidOperationError(
+        'OrderDetail',
+        `Lines of an order with ${order.inventory_status} stock cannot change`,
+        { order: orderId, inventory_status: order.inventory_status }
+      );
+    }
+  }
+
+  /**
+   * Recompute the stored totals of every order touched by a line change
+   */
+  static async syncOrderTotals(orderIds, session, { required = true } = {}) {
+    const uniqueIds = [...new Set(orderIds.map((orderId) => String(orderId)))];
+    for (const orderId of uniqueIds) {
+      await OrderService.recalculateTotals(orderId, { session, required });
+    }
+  }
+
   /**
    * Validate order detail data
    */
   static validateOrderDetailData(orderDetailData, isUpdate = false) {
-    const requiredFields = ['quantity', 'historical_price', 'order', 'product'];
+    const requiredFields = ['quantity', 'order', 'product'];
+
+    // Prices come from the catalog, a client price is never trusted
+    if (orderDetailData.historical_price !== undefined) {
+      throw new ValidationError(
+        'OrderDetail',
+        'historical_price is set by the server',
+        { field: 'historical_price' }
+      );
+    }
 
     if (!isUpdate) {
       const missingFields = requiredFields.filter(
@@ -284,16 +484,6 @@ export class OrderDetailService {
         throw new ValidationError('OrderDetail', 'Quantity must be an integer');
       }
     }
-
-    // Validate historical price
-    if (orderDetailData.historical_price !== undefined) {
-      if (orderDetailData.historical_price < 0) {
-        throw new ValidationError(
-          'OrderDetail',
-          'Historical price cannot be negative'
-        );
-      }
-    }
   }
 }
 
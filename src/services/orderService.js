@@ -4,8 +4,70 @@
 // ==========================================
 
 import Order from '../models/orderModel.js';
-import { NotFoundError, ValidationError } from '../errors/businessError.js';
-import { validateEntityExists } from '../utils/validationUtils.js';
+import OrderDetail from '../models/orderDetailModel.js';
+import Product from '../models/productModel.js';
+import productService from './productService.js';
+import personService from './personService.js';
+import shippingMethodService from './shippingMethodService.js';
+import promotionService from './promotionService.js';
+import OrderDetailService from './orderDetailService.js';
+import {
+  NotFoundError,
+  ValidationError,
+  OutOfStockError,
+  InsufficientResourceError,
+  InvalidOperationError,
+  ShippingError,
+} from '../errors/businessError.js';
+import {
+  validateEntityExists,
+  validateAllowedValues,
+} from '../utils/validationUtils.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { paginate } from '../utils/pagination.js';
+import { buildListQuery } from '../utils/queryBuilder.js';
+import { getPricingConfig } from '../config/pricingConfig.js';
+import { getInventoryConfig } from '../config/inventoryConfig.js';
+import {
+  ORDER_STATUS,
+  ORDER_STATUS_TRANSITIONS,
+  INVENTORY_STATUS,
+  ADDRESS_TYPE,
+} from '../config/constants.js';
+
+// Fields computed or managed by the server (never accepted from clients)
+const COMPUTED_FIELDS = [
+  'subtotal',
+  'discount',
+  'tax',
+  'shipping',
+  'total_amount',
+  'inventory_status',
+  'reserved_until',
+  'shipping_method',
+  'shipment',
+  'promotion',
+];
+
+// The delivery address is final once the order leaves the warehouse
+const SHIPPING_ADDRESS_EDITABLE = [ORDER_STATUS.PENDING, ORDER_STATUS.PAID];
+
+// Fields clients may filter and sort order listings by
+const ORDER_LIST_QUERY = {
+  entity: 'Order',
+  filterable: {
+    order_number: { type: 'string', operators: ['eq', 'in', 'regex'] },
+    status: { type: 'string', operators: ['eq', 'in'] },
+    inventory_status: { type: 'string', operators: ['eq', 'in'] },
+    account: { type: 'objectId', operators: ['eq', 'in'] },
+    shipping_method: { type: 'objectId', operators: ['eq', 'in', 'exists'] },
+    'promotion.code': { type: 'string', operators: ['eq', 'in', 'exists'] },
+    total_amount: { type: 'number', operators: ['eq', 'gte', 'lte'] },
+    createdAt: { type: 'date', operators: ['gte', 'lte'] },
+  },
+  sortable: ['createdAt', 'updatedAt', 'order_number', 'total_amount'],
+  defaultSort: '-createdAt',
+};
 
 export class OrderService {
   /**
@@ -30,28 +92,22 @@ export class OrderService {
 
   /**
    * Get all orders with optional account filtering
+   *
+   * param {string|null} accountId - Restrict to this account (null for admins)
+   * param {Object} params - filter[field][operator], sort plus page or after/before cursors
+   * returns {Promise<Object>} { items, pagination } list envelope
+   * throws {ValidationError} On unknown filter or sort fields
    */
-  static async getAll(accountId = null, options = {}) {
-    const filter = accountId ? { account: accountId } : {};
+  static async getAll(accountId = null, params = {}) {
+    const { filter, sort } = buildListQuery(params, ORDER_LIST_QUERY);
 
-    // Add additional filters if provided
-    if (options.status) filter.status = options.status;
-    if (options.dateFrom) filter.createdAt = { $gte: options.dateFrom };
-    if (options.dateTo) {
-      filter.createdAt = { ...filter.createdAt, $lte: options.dateTo };
-    }
-
-    const query = Order.find(filter)
-      .populate('account', 'username email')
-      .sort({ createdAt: -1 });
+    // Customers only ever see their own orders, whatever the filter says
+    if (accountId) filter.account = accountId;
 
-    // Add pagination if provided
-    if (options.page && options.limit) {
-      const skip = (options.page - 1) * options.limit;
-      query.skip(skip).limit(options.limit);
-    }
-
-    return await query.exec();
+    return await paginate(Order, filter, params, {
+      sort,
+      populate: { path: 'account', select: 'username email' },
+    });
   }
 
   /**
@@ -63,8 +119,11 @@ export class OrderService {
 
   /**
    * Create a new order
+   *
+   * param {Object} orderData - Order data
+   * param {string} [actorId] - Account creating the order (recorded in the status history)
    */
-  static async create(orderData) {
+  static async create(orderData, actorId = null) {
     // Auto-generate order number if not provided
     if (!orderData.order_number) {
       orderData.order_number = await this.generateOrderNumber();
@@ -73,22 +132,201 @@ export class OrderService {
     // Validate required fields
     this.validateOrderData(orderData);
 
-    const order = new Order(orderData);
+    // Orders always start at the beginning of the workflow
+    if (orderData.status && orderData.status !== ORDER_STATUS.PENDING) {
+      throw new InvalidOperationError(
+        'Order',
+        `New orders must start as '${ORDER_STATUS.PENDING}'`,
+        { status: orderData.status }
+      );
+    }
+
+    // Totals start at zero and follow the lines added through order details
+    const order = new Order({
+      ...this.stripComputedFields(orderData),
+      status: ORDER_STATUS.PENDING,
+      status_history: [
+        this.buildHistoryEntry(null, ORDER_STATUS.PENDING, actorId),
+      ],
+    });
     return await order.save();
   }
 
+  /**
+   * Checkout a cart: create the order, its details and reserve stock atomically
+   * The stock stays reserved until the order is paid, cancelled or the reservation expires.
+   *
+   * param {string} accountId - Account placing the order
+   * param {Array<{product: string, variant?: string, quantity: number}>} items - Cart lines
+   * param {Object} [shipping]
+   * param {string} [shipping.personId] - Person owning the address book
+   * param {string} [shipping.address] - Address book entry (defaults to the default shipping address)
+   * param {string} [shipping.method] - Shipping method (defaults to the flat shipping rate)
+   * param {string} [shipping.coupon] - Promotion code to redeem
+   * returns {Promise<{order: Object, details: Array}>} Created order and lines
+   * throws {ValidationError} If the cart is empty or malformed
+   * throws {NotFoundError} If a product or the address does not exist
+   * throws {ShippingError} If the shipping method is not available
+   * throws {InvalidOperationError} If the coupon cannot be redeemed for this order
+   * throws {OutOfStockError} If a line cannot be filled (details.lines lists every failing line)
+   * throws {InsufficientResourceError} If a line asks for more than the available stock
+   */
+  static async checkout(
+    accountId,
+    items,
+    { personId = null, address = null, method = null, coupon = null } = {}
+  ) {
+    const lines = this.normalizeCartItems(items);
+    const shippingAddress = await this.resolveShippingAddress(
+      personId,
+      address
+    );
+    const shippingMethod = method
+      ? await shippingMethodService.getAvailable(method)
+      : null;
+
+    return await runInTransaction(async (session) => {
+      const products = await Product.find({
+        _id: { $in: lines.map((line) => line.product) },
+      }).session(session);
+      const productsById = new Map(
+        products.map((product) => [product._id.toString(), product])
+      );
+
+      // Check every line before touching stock so the client gets all failures at once
+      const failedLines = [];
+      for (const line of lines) {
+        const product = productsById.get(line.product);
+        if (!product) {
+          throw new NotFoundError('Product', line.product);
+        }
+        line.item = line.variant
+          ? productService.getVariant(product, line.variant)
+          : product;
+        if (!line.variant && product.variants.length > 0) {
+          throw new ValidationError(
+            'Order',
+            'A variant is required for products with variants',
+            { field: 'items', product: line.product }
+          );
+        }
+        const available = product.is_active ? line.item.available : 0;
+        if (available < line.quantity) {
+          failedLines.push({
+            product: line.product,
+            variant: line.variant,
+            sku: line.item.sku,
+            requested: line.quantity,
+            available,
+            reason: product.is_active ? 'insufficient_stock' : 'inactive',
+          });
+        }
+      }
+      if (failedLines.length > 0) {
+        throw this.buildStockError(failedLines);
+      }
+
+      // Method rates are quoted once here; later line edits keep this cost
+      const weight = lines.reduce(
+        (total, line) =>
+          total + (productsById.get(line.product).weight || 0) * line.quantity,
+        0
+      );
+
+      // Coupons apply to the checkout prices; the terms are copied on the order
+      const applied = coupon
+        ? await promotionService.evaluate(
+            coupon,
+            lines.map((line) => ({
+              product: line.product,
+              category: productsById.get(line.product).category,
+              amount:
+                (line.variant
+                  ? line.item.unit_price
+                  : line.item.current_price) * line.quantity,
+            })),
+            accountId,
+            { session }
+          )
+        : null;
+      if (applied) {
+        await promotionService.redeem(applied.promotion, session);
+      }
+
+      const [order] = await Order.create(
+        [
+          {
+            order_number: await this.generateOrderNumber(),
+            account: accountId,
+            inventory_status: INVENTORY_STATUS.RESERVED,
+            reserved_until: this.getReservationExpiry(),
+            shipping_address: shippingAddress,
+            ...(applied && {
+              discount: applied.discount,
+              promotion: promotionService.buildSnapshot(applied.promotion),
+            }),
+            ...(shippingMethod && {
+              shipping_method: shippingMethod._id,
+              shipping: shippingMethodService.calculateRate(
+                shippingMethod,
+                weight
+              ),
+            }),
+            status_history: [
+              this.buildHistoryEntry(
+                null,
+                ORDER_STATUS.PENDING,
+                accountId,
+                'Checkout'
+              ),
+            ],
+          },
+        ],
+        { session }
+      );
+
+      const details = await OrderDetail.insertMany(
+        lines.map((line) => ({
+          order: order._id,
+          product: line.product,
+          quantity: line.quantity,
+          // Snapshot the price and variant the customer saw at checkout
+          historical_price: line.variant
+            ? line.item.unit_price
+            : line.item.current_price,
+          ...(line.variant && this.buildVariantSnapshot(line.item)),
+        })),
+        { session }
+      );
+
+      for (const line of lines) {
+        await productService.reserveStock(line.product, line.quantity, {
+          session,
+          variant: line.variant,
+        });
+      }
+
+      const pricedOrder = await this.recalculateTotals(order._id, { session });
+      return { order: pricedOrder, details };
+    });
+  }
+
   /**
    * Update an order completely
    */
   static async update(id, updateData, accountId = null) {
-    await this.validateOrderExistsAndOwned(id, accountId);
+    const current = await this.validateOrderExistsAndOwned(id, accountId);
 
     this.validateOrderData(updateData, true);
 
-    const order = await Order.findByIdAndUpdate(id, updateData, {
-      new: true,
-      runValidators: true,
-    }).populate('account', 'username email');
+    const order = await Order.findByIdAndUpdate(
+      id,
+      this.prepareUpdateData(current, updateData),
+      {
+        new: true,
+        runValidators: true,
+      }
+    ).populate('account', 'username email');
 
     return order;
   }
@@ -97,56 +335,317 @@ export class OrderService {
    * Update an order partially
    */
   static async updatePartial(id, updateData, accountId = null) {
-    await this.validateOrderExistsAndOwned(id, accountId);
+    const current = await this.validateOrderExistsAndOwned(id, accountId);
 
-    const order = await Order.findByIdAndUpdate(id, updateData, {
-      new: true,
-      runValidators: true,
-    }).populate('account', 'username email');
+    const order = await Order.findByIdAndUpdate(
+      id,
+      this.prepareUpdateData(current, updateData),
+      {
+        new: true,
+        runValidators: true,
+      }
+    ).populate('account', 'username email');
 
     return order;
   }
 
   /**
-   * Update order status
+   * Update order status following the allowed transitions
+   *
+   * param {string} id - Order ID
+   * param {string} status - New status
+   * param {Object} [options]
+   * param {string} [options.actor] - Account making the change (null for system changes)
+   * param {string} [options.reason] - Reason recorded in the history
+   * param {ClientSession} [options.session] - Transaction session
+   * returns {Promise<Object>} Updated order with its status history
+   * throws {ValidationError} If the status is unknown
+   * throws {NotFoundError} If the order does not exist
+   * throws {InvalidOperationError} If the transition is not allowed
    */
-  static async updateStatus(id, status) {
-    const allowedStatuses = [
-      'pending',
-      'confirmed',
-      'shipped',
-      'delivered',
-      'cancelled',
-    ];
+  static async updateStatus(
+    id,
+    status,
+    { actor = null, reason = null, session = null } = {}
+  ) {
+    validateAllowedValues(
+      status,
+      Object.values(ORDER_STATUS),
+      'status',
+      'Order'
+    );
+
+    return await runInTransaction(
+      async (transaction) => {
+        const current = await Order.findById(id).session(transaction);
+        if (!current) {
+          throw new NotFoundError('Order', id);
+        }
+        this.validateTransition(current.status, status);
+
+        if (
+          status === ORDER_STATUS.SHIPPED &&
+          !current.shipment?.tracking_number
+        ) {
+          throw new ShippingError(
+            'A shipment with a tracking number is required to ship the order',
+            'TRACKING_REQUIRED'
+          );
+        }
+        if (status === ORDER_STATUS.PAID) {
+          await this.commitInventory(id, transaction);
+        }
+        if (status === ORDER_STATUS.CANCELLED) {
+          await this.releaseInventory(id, transaction);
+          await this.releasePromotion(current, transaction);
+        }
+
+        // Conditional update: fails if another request changed the status meanwhile
+        const order = await Order.findOneAndUpdate(
+          { _id: id, status: current.status },
+          {
+            $set: {
+              status,
+              ...(status === ORDER_STATUS.SHIPPED && {
+                'shipment.shipped_at': new Date(),
+              }),
+            },
+            $push: {
+              status_history: this.buildHistoryEntry(
+                current.status,
+                status,
+                actor,
+                reason
+              ),
+            },
+          },
+          { new: true, runValidators: true, session: transaction }
+        ).populate('account', 'username email');
+
+        if (!order) {
+          throw new InvalidOperationError(
+            'Order',
+            'Order status was changed by another request, please retry',
+            { status }
+          );
+        }
+
+        return order;
+      },
+      { session }
+    );
+  }
 
-    if (!allowedStatuses.includes(status)) {
-      throw new ValidationError(
+  /**
+   * Record the carrier and tracking number of an order
+   * The tracking can be corrected after shipping; it is required to mark the order as shipped.
+   *
+   * param {string} id - Order ID
+   * param {Object} shipment - Shipment data
+   * param {string} [shipment.carrier] - Carrier (defaults to the carrier of the shipping method)
+   * param {string} shipment.tracking_number - Tracking number
+   * param {string} [shipment.tracking_url] - Public tracking page
+   * returns {Promise<Object>} Updated order
+   * throws {NotFoundError} If the order does not exist
+   * throws {InvalidOperationError} If the order is not paid or shipped
+   * throws {ShippingError} If no carrier is given or known
+   */
+  static async updateShipment(
+    id,
+    { carrier = null, tracking_number, tracking_url = null }
+  ) {
+    const order = await Order.findById(id).populate('shipping_method');
+    if (!order) {
+      throw new NotFoundError('Order', id);
+    }
+    if (![ORDER_STATUS.PAID, ORDER_STATUS.SHIPPED].includes(order.status)) {
+      throw new InvalidOperationError(
         'Order',
-        `Status must be one of: ${allowedStatuses.join(', ')}`
+        'Shipments can only be recorded for paid or shipped orders',
+        { status: order.status }
       );
     }
 
-    const order = await Order.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true }
-    ).populate('account', 'username email');
-
-    if (!order) {
-      throw new NotFoundError('Order', id);
+    const shipmentCarrier =
+      carrier || order.shipment?.carrier || order.shipping_method?.carrier;
+    if (!shipmentCarrier) {
+      throw new ShippingError('A carrier is required', 'CARRIER_REQUIRED');
     }
 
-    return order;
+    order.shipment = {
+      carrier: shipmentCarrier,
+      tracking_number,
+      tracking_url,
+      shipped_at: order.shipment?.shipped_at || null,
+    };
+    return await order.save();
   }
 
   /**
-   * Delete an order
+   * Delete an order with its details
+   * Stock is given back if the order could still have been cancelled (not shipped yet).
    */
   static async delete(id, accountId = null) {
     await this.validateOrderExistsAndOwned(id, accountId);
 
-    const order = await Order.findByIdAndDelete(id);
-    return order;
+    return await runInTransaction(async (session) => {
+      const order = await Order.findById(id).session(session);
+      if (!order) {
+        throw new NotFoundError('Order', id);
+      }
+
+      if (this.isCancellable(order.status)) {
+        await this.releaseInventory(id, session);
+        await this.releasePromotion(order, session);
+      }
+      await OrderDetailService.deleteByOrder(id, { session });
+
+      return await Order.findByIdAndDelete(id, { session });
+    });
+  }
+
+  /**
+   * Give the stock held or consumed by an order back to its products
+   * The inventory status is switched in the same conditional update that claims the
+   * release, so retried or concurrent requests can never give the stock back twice.
+   *
+   * param {string} id - Order ID
+   * param {ClientSession} session - Transaction session
+   * returns {Promise<boolean>} True if stock was given back by this call
+   */
+  static async releaseInventory(id, session) {
+    const from = await this.claimInventory(
+      id,
+      {
+        [INVENTORY_STATUS.RESERVED]: INVENTORY_STATUS.RELEASED,
+        [INVENTORY_STATUS.COMMITTED]: INVENTORY_STATUS.RESTORED,
+      },
+      session
+    );
+    if (!from) {
+      return false;
+    }
+
+    const details = await OrderDetail.find({ order: id }).session(session);
+    for (const detail of details) {
+      const options = { session, variant: detail.variant };
+      if (from === INVENTORY_STATUS.RESERVED) {
+        await productService.releaseStock(
+          detail.product,
+          detail.quantity,
+          options
+        );
+      } else {
+        await productService.restoreStock(
+          detail.product,
+          detail.quantity,
+          options
+        );
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Consume the stock reserved by an order (once it is paid)
+   *
+   * param {string} id - Order ID
+   * param {ClientSession} session - Transaction session
+   * returns {Promise<boolean>} True if stock was consumed by this call
+   */
+  static async commitInventory(id, session) {
+    const from = await this.claimInventory(
+      id,
+      { [INVENTORY_STATUS.RESERVED]: INVENTORY_STATUS.COMMITTED },
+      session
+    );
+    if (!from) {
+      return false;
+    }
+
+    const details = await OrderDetail.find({ order: id }).session(session);
+    for (const detail of details) {
+      await productService.commitStock(detail.product, detail.quantity, {
+        session,
+        variant: detail.variant,
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Cancel the pending orders whose stock reservation has expired
+   *
+   * param {Date} [now] - Reference date
+   * returns {Promise<number>} Number of orders cancelled
+   */
+  static async expireReservations(now = new Date()) {
+    const expired = await Order.find({
+      status: ORDER_STATUS.PENDING,
+      inventory_status: INVENTORY_STATUS.RESERVED,
+      reserved_until: { $lte: now },
+    })
+      .select('_id')
+      .lean();
+
+    let cancelled = 0;
+    for (const { _id } of expired) {
+      try {
+        await this.updateStatus(_id, ORDER_STATUS.CANCELLED, {
+          reason: 'Reservation expired',
+        });
+        cancelled++;
+      } catch (error) {
+        // Paid or cancelled by another request in the meantime
+        if (
+          !(error instanceof InvalidOperationError) &&
+          !(error instanceof NotFoundError)
+        ) {
+          throw error;
+        }
+      }
+    }
+    return cancelled;
+  }
+
+  /**
+   * Recompute and store the order totals from its lines
+   *
+   * param {string} id - Order ID
+   * param {Object} [options]
+   * param {ClientSession} [options.session] - Transaction session
+   * param {boolean} [options.required=true] - Throw if the order does not exist
+   * returns {Promise<Object|null>} Updated order (null if missing and not required)
+   * throws {NotFoundError} If the order does not exist and is required
+   */
+  static async recalculateTotals(id, { session = null, required = true } = {}) {
+    const order = await Order.findById(id).session(session);
+    if (!order) {
+      if (required) throw new NotFoundError('Order', id);
+      return null;
+    }
+
+    const details = await OrderDetail.find({ order: id }).session(session);
+    const { taxRate } = getPricingConfig();
+    const { subtotal } = OrderDetailService.calculateOrderTotals(details);
+
+    const totals = OrderDetailService.calculateOrderTotals(details, {
+      discount: order.discount,
+      taxRate,
+      // Orders with a shipping method keep the cost quoted at checkout
+      shipping: order.shipping_method
+        ? order.shipping
+        : this.calculateShipping(subtotal, details.length),
+    });
+
+    order.set({
+      subtotal: totals.subtotal,
+      discount: totals.discount,
+      tax: totals.tax,
+      shipping: totals.shipping,
+      total_amount: totals.total,
+    });
+    return await order.save({ session });
   }
 
   /**
@@ -160,6 +659,242 @@ export class OrderService {
 
   // ============ PRIVATE METHODS ============
 
+  /**
+   * Calculate the shipping cost for an order subtotal
+   */
+  static calculateShipping(subtotal, lineCount) {
+    const { shipping } = getPricingConfig();
+    if (lineCount === 0) return 0;
+    if (shipping.freeThreshold > 0 && subtotal >= shipping.freeThreshold) {
+      return 0;
+    }
+    return shipping.flatRate;
+  }
+
+  /**
+   * Validate that an order can move from one status to another
+   */
+  static validateTransition(from, to) {
+    const allowed = ORDER_STATUS_TRANSITIONS[from] || [];
+    if (!allowed.includes(to)) {
+      throw new InvalidOperationError(
+        'Order',
+        `Cannot change status from '${from}' to '${to}'`,
+        { from, to, allowed }
+      );
+    }
+  }
+
+  /**
+   * Atomically move the order inventory status to the next one
+   *
+   * param {string} id - Order ID
+   * param {Object} transitions - Map of current inventory status -> next one
+   * param {ClientSession} session - Transaction session
+   * returns {Promise<string|null>} Previous inventory status, or null if nothing changed
+   */
+  static async claimInventory(id, transitions, session) {
+    const order = await Order.findById(id)
+      .select('inventory_status')
+      .session(session);
+    const from = order?.inventory_status;
+    if (!transitions[from]) {
+      return null;
+    }
+
+    const result = await Order.updateOne(
+      { _id: id, inventory_status: from },
+      { $set: { inventory_status: transitions[from], reserved_until: null } },
+      { session }
+    );
+    return result.modifiedCount === 1 ? from : null;
+  }
+
+  /**
+   * Calculate when a reservation made now expires
+   */
+  static getReservationExpiry() {
+    const { reservationMinutes } = getInventoryConfig();
+    return new Date(Date.now() + reservationMinutes * 60 * 1000);
+  }
+
+  /**
+   * Check whether an order in the given status can still be cancelled
+   */
+  static isCancellable(status) {
+    return (ORDER_STATUS_TRANSITIONS[status] || []).includes(
+      ORDER_STATUS.CANCELLED
+    );
+  }
+
+  /**
+   * Build a status history entry
+   */
+  static buildHistoryEntry(from, to, actor = null, reason = null) {
+    return {
+      from,
+      to,
+      changed_by: actor,
+      changed_at: new Date(),
+      reason,
+    };
+  }
+
+  /**
+   * Prepare client data for a generic update
+   * Status changes must go through updateStatus so the workflow and history are kept.
+   * The shipping address can only change before the order is shipped.
+   */
+  static prepareUpdateData(order, updateData) {
+    if (updateData.status && updateData.status !== order.status) {
+      throw new InvalidOperationError(
+        'Order',
+        'Status can only be changed through the status endpoint',
+        { status: updateData.status }
+      );
+    }
+    if (
+      updateData.shipping_address !== undefined &&
+      !SHIPPING_ADDRESS_EDITABLE.includes(order.status)
+    ) {
+      throw new InvalidOperationError(
+        'Order',
+        `The shipping address of a ${order.status} order cannot change`,
+        { status: order.status }
+      );
+    }
+
+    const data = this.stripComputedFields(updateData);
+    delete data.status_history;
+    return data;
+  }
+
+  /**
+   * Remove server-computed amounts from client data
+   */
+  static stripComputedFields(orderData) {
+    const data = { ...orderData };
+    for (const field of COMPUTED_FIELDS) {
+      delete data[field];
+    }
+    return data;
+  }
+
+  /**
+   * Give the coupon redemption of an order back
+   */
+  static async releasePromotion(order, session) {
+    if (order.promotion) {
+      await promotionService.release(order.promotion.promotion, session);
+    }
+  }
+
+  /**
+   * Copy of the delivery address stored on the order
+   * Uses the default shipping address when none is chosen (null if the person has none).
+   */
+  static async resolveShippingAddress(personId, addressId = null) {
+    if (!personId) return null;
+
+    let address;
+    if (addressId) {
+      const addresses = await personService.getAddresses(personId);
+      address = addresses.id(addressId);
+      if (!address) {
+        throw new NotFoundError('Address', addressId);
+      }
+    } else {
+      address = await personService.getDefaultAddress(
+        personId,
+        ADDRESS_TYPE.SHIPPING
+      );
+    }
+    if (!address) return null;
+
+    const {
+      recipient,
+      line1,
+      line2,
+      city,
+      state,
+      postal_code,
+      country,
+      phone,
+    } = address;
+    return {
+      recipient,
+      line1,
+      line2,
+      city,
+      state,
+      postal_code,
+      country,
+      phone,
+    };
+  }
+
+  /**
+   * Snapshot of the purchased variant stored on the order line
+   */
+  static buildVariantSnapshot(variant) {
+    return {
+      variant: variant._id,
+      variant_sku: variant.sku,
+      variant_options: {
+        size: variant.size,
+        color: variant.color,
+        material: variant.material,
+      },
+    };
+  }
+
+  /**
+   * Validate cart items and merge repeated product variants into a single line
+   */
+  static normalizeCartItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('Order', 'Items must be a non-empty array');
+    }
+
+    const lines = new Map();
+    for (const item of items) {
+      const quantity = Number(item?.quantity);
+      if (!item?.product || !Number.isInteger(quantity) || quantity <= 0) {
+        throw new ValidationError(
+          'Order',
+          'Each item needs a product and a positive integer quantity',
+          { field: 'items', value: item }
+        );
+      }
+      const product = item.product.toString();
+      const variant = item.variant ? item.variant.toString() : null;
+      const key = `${product}:${variant}`;
+      const line = lines.get(key) || { product, variant, quantity: 0 };
+      line.quantity += quantity;
+      lines.set(key, line);
+    }
+
+    return [...lines.values()];
+  }
+
+  /**
+   * Build the stock error for the lines that cannot be filled
+   */
+  static buildStockError(failedLines) {
+    const [first] = failedLines;
+    const error =
+      first.available === 0
+        ? new OutOfStockError('Product', first.product)
+        : new InsufficientResourceError(
+            'Product',
+            'STOCK',
+            first.available,
+            first.requested
+          );
+    error.details.lines = failedLines;
+    return error;
+  }
+
   /**
    * Validate order exists and is owned by account (if provided)
    */
@@ -181,7 +916,7 @@ export class OrderService {
    * Validate order data
    */
   static validateOrderData(orderData, isUpdate = false) {
-    const requiredFields = ['account', 'items', 'total_amount'];
+    const requiredFields = ['account'];
 
     if (!isUpdate) {
       const missingFields = requiredFields.filter((field) => !orderData[field]);
@@ -192,19 +927,6 @@ export class OrderService {
         );
       }
     }
-
-    // Validate items array
-    if (
-      orderData.items &&
-      (!Array.isArray(orderData.items) || orderData.items.length === 0)
-    ) {
-      throw new ValidationError('Order', 'Items must be a non-empty array');
-    }
-
-    // Validate total amount
-    if (orderData.total_amount && orderData.total_amount < 0) {
-      throw new ValidationError('Order', 'Total amount must be positive');
-    }
   }
 }
 
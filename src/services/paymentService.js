@@ -0,0 +1,459 @@
+// ==========================================
+//
+// Description: Payment service handling business logic
+//
+// File: paymentService.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Refunds claim their amount before the provider call
+// ==========================================
+
+import Payment from '../models/paymentModel.js';
+import OrderService from './orderService.js';
+import OrderDetailService from './orderDetailService.js';
+import { getPaymentProvider } from '../providers/payments/index.js';
+import { getPaymentConfig } from '../config/paymentConfig.js';
+import {
+  NotFoundError,
+  ValidationError,
+  InvalidOperationError,
+  PaymentError,
+} from '../errors/businessError.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { ORDER_STATUS, PAYMENT_STATUS } from '../config/constants.js';
+
+// Payments holding money that can be given back
+const REFUNDABLE_STATUSES = [
+  PAYMENT_STATUS.SUCCEEDED,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+  PAYMENT_STATUS.REQUIRES_REVIEW,
+];
+
+class PaymentService {
+  /**
+   * Get one payment by ID with optional ownership validation
+   *
+   * param {string} id - Payment ID
+   * param {string} [accountId] - Only return the payment if owned by this account
+   * returns {Promise<Object>} Payment document
+   * throws {NotFoundError} If payment not found or not owned
+   */
+  async getOne(id, accountId = null) {
+    const payment = await Payment.findById(id).exec();
+    if (!payment || (accountId && payment.account.toString() !== accountId)) {
+      throw new NotFoundError('Payment', id);
+    }
+    return payment;
+  }
+
+  /**
+   * Get the payments of an order
+   *
+   * param {string} orderId - Order ID
+   * param {string} [accountId] - Only return payments if the order is owned by this account
+   * returns {Promise<Array>} Payments, newest first
+   * throws {NotFoundError} If order not found or not owned
+   */
+  async getByOrder(orderId, accountId = null) {
+    await OrderService.getOne(orderId, accountId);
+    return await Payment.find({ order: orderId })
+      .sort({ createdAt: -1 })
+      .exec();
+  }
+
+  /**
+   * Create a payment intent for the total of a pending order
+   * A pending intent for the same amount is reused, so retries do not create new ones.
+   *
+   * param {string} orderId - Order ID
+   * param {string} [accountId] - Paying account (ownership is validated)
+   * returns {Promise<Object>} Pending payment
+   * throws {NotFoundError} If order not found or not owned
+   * throws {InvalidOperationError} If the order is not pending or has nothing to pay
+   */
+  async createIntent(orderId, accountId = null) {
+    const order = await OrderService.getOne(orderId, accountId);
+    this.validatePayableOrder(order);
+
+    const existing = await Payment.findOne({
+      order: order._id,
+      status: PAYMENT_STATUS.PENDING,
+      amount: order.total_amount,
+    }).exec();
+    if (existing) {
+      return existing;
+    }
+
+    const provider = getPaymentProvider();
+    const { currency } = getPaymentConfig();
+    const payment = new Payment({
+      order: order._id,
+      account: order.account._id,
+      provider: provider.name,
+      amount: order.total_amount,
+      currency,
+    });
+
+    const intent = await provider.createIntent({
+      amount: payment.amount,
+      currency,
+      reference: payment._id.toString(),
+    });
+    payment.intent_id = intent.id;
+    return await payment.save();
+  }
+
+  /**
+   * Confirm a pending payment with a payment method
+   * On success the order moves to 'paid' through the order service. A charge
+   * whose order can no longer be paid is refunded (or left for review).
+   *
+   * param {string} id - Payment ID
+   * param {string} paymentMethod - Payment method token
+   * param {string} [accountId] - Paying account (ownership is validated)
+   * returns {Promise<Object>} Succeeded payment
+   * throws {NotFoundError} If payment not found or not owned
+   * throws {InvalidOperationError} If the payment or its order cannot be paid
+   * throws {PaymentError} If the provider rejects the payment
+   */
+  async confirm(id, paymentMethod, accountId = null) {
+    const payment = await this.getOne(id, accountId);
+    if (payment.status !== PAYMENT_STATUS.PENDING) {
+      throw new InvalidOperationError(
+        'Payment',
+        `Payment is already ${payment.status}`,
+        { status: payment.status }
+      );
+    }
+    // Do not charge orders that were cancelled or changed since the intent
+    const order = await OrderService.getOne(payment.order);
+    this.validatePayableOrder(order);
+    if (order.total_amount !== payment.amount) {
+      throw new InvalidOperationError(
+        'Payment',
+        'Order total changed, create a new payment intent',
+        { amount: payment.amount, total_amount: order.total_amount }
+      );
+    }
+
+    const result = await getPaymentProvider().confirm(payment.intent_id, {
+      paymentMethod,
+    });
+    payment.payment_method = paymentMethod;
+    await payment.save();
+
+    if (result.status !== PAYMENT_STATUS.SUCCEEDED) {
+      await this.markFailed(payment._id, result);
+      throw new PaymentError(
+        result.failure_message || 'Payment failed',
+        (result.failure_code || 'failed').toUpperCase()
+      );
+    }
+
+    try {
+      return await this.markSucceeded(payment._id, { actor: accountId });
+    } catch (error) {
+      // Charged, but the order was cancelled or expired in the meantime
+      await this.refundUnpaidCharge(payment, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refund part or all of a succeeded payment
+   *
+   * param {string} id - Payment ID
+   * param {number} [amount] - Amount to refund (defaults to everything still refundable)
+   * param {Object} [options]
+   * param {string} [options.reason] - Reason stored with the refund
+   * param {string} [options.idempotencyKey] - Key making retries of the same refund safe
+   * param {ClientSession} [options.session] - Session of a running transaction to join
+   * returns {Promise<Object>} Updated payment
+   * throws {NotFoundError} If payment not found
+   * throws {InvalidOperationError} If the payment was not charged
+   * throws {ValidationError} If the amount exceeds what is refundable
+   * throws {PaymentError} If the provider rejects the refund
+   */
+  async refund(
+    id,
+    amount = null,
+    { reason = null, idempotencyKey = null, session = null } = {}
+  ) {
+    const payment = await Payment.findById(id).session(session);
+    if (!payment) {
+      throw new NotFoundError('Payment', id);
+    }
+    // A retried refund that was already recorded is not made again
+    if (
+      idempotencyKey &&
+      payment.refunds.some(
+        (refund) => refund.idempotency_key === idempotencyKey
+      )
+    ) {
+      return payment;
+    }
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+      throw new InvalidOperationError(
+        'Payment',
+        `Cannot refund a ${payment.status} payment`,
+        { status: payment.status }
+      );
+    }
+
+    const refundable = OrderDetailService.roundAmount(
+      payment.amount - payment.refunded_amount
+    );
+    const value = OrderDetailService.roundAmount(amount ?? refundable);
+    if (value <= 0 || value > refundable) {
+      throw new ValidationError(
+        'Payment',
+        `Refund amount must be between 0 and ${refundable}`,
+        { field: 'amount', value, refundable }
+      );
+    }
+
+    // Claim the amount first, so concurrent refunds cannot exceed the charge
+    const claimed = await Payment.findOneAndUpdate(
+      {
+        _id: id,
+        status: { $in: REFUNDABLE_STATUSES },
+        refunded_amount: {
+          $lte: OrderDetailService.roundAmount(payment.amount - value),
+        },
+      },
+      this.buildRefundedAmountUpdate(value),
+      { new: true, session }
+    );
+    if (!claimed) {
+      throw new ValidationError(
+        'Payment',
+        'Refund amount exceeds what is still refundable',
+        { field: 'amount', value }
+      );
+    }
+
+    let result;
+    try {
+      result = await getPaymentProvider().refund(payment.intent_id, value, {
+        idempotencyKey,
+      });
+      if (result.status !== PAYMENT_STATUS.SUCCEEDED) {
+        throw new PaymentError('Refund was rejected', 'REFUND_FAILED');
+      }
+    } catch (error) {
+      await Payment.updateOne(
+        { _id: id },
+        this.buildRefundedAmountUpdate(-value),
+        { session }
+      );
+      throw error;
+    }
+
+    const refund = {
+      provider_refund_id: result.id,
+      amount: value,
+      idempotency_key: idempotencyKey,
+      reason,
+      created_at: new Date(),
+    };
+    return await Payment.findOneAndUpdate(
+      { _id: id },
+      [
+        {
+          $set: {
+            // $literal keeps a reason starting with $ from being read as a field
+            refunds: { $concatArrays: ['$refunds', [{ $literal: refund }]] },
+          },
+        },
+        {
+          // Status follows the refunds the provider accepted, not the claims
+          $set: {
+            status: {
+              $cond: [
+                { $gte: [{ $sum: '$refunds.amount' }, '$amount'] },
+                PAYMENT_STATUS.REFUNDED,
+                PAYMENT_STATUS.PARTIALLY_REFUNDED,
+              ],
+            },
+          },
+        },
+      ],
+      { new: true, session }
+    );
+  }
+
+  /**
+   * Handle a provider webhook
+   * Events are applied idempotently: a payment that already reached the state is left as is.
+   *
+   * param {Buffer|string} rawBody - Raw request body
+   * param {Object} headers - Request headers (carry the signature)
+   * returns {Promise<Object>} Handled event type and payment
+   * throws {PaymentError} If the signature is invalid
+   * throws {NotFoundError} If no payment matches the event
+   */
+  async handleWebhook(rawBody, headers) {
+    const event = getPaymentProvider().verifyWebhook(rawBody, headers);
+
+    const payment = await Payment.findOne({ intent_id: event.intent_id });
+    if (!payment) {
+      throw new NotFoundError('Payment', event.intent_id);
+    }
+
+    let result = payment;
+    if (event.type === 'payment.succeeded') {
+      result = await this.markSucceeded(payment._id);
+    } else if (event.type === 'payment.failed') {
+      result = await this.markFailed(payment._id, event.data || {});
+    }
+
+    return { type: event.type, payment: result };
+  }
+
+  // ============ PRIVATE METHODS ============
+
+  /**
+   * Mark a pending payment as succeeded and the order as paid in one transaction
+   */
+  async markSucceeded(id, { actor = null } = {}) {
+    return await runInTransaction(async (session) => {
+      const payment = await Payment.findOneAndUpdate(
+        { _id: id, status: PAYMENT_STATUS.PENDING },
+        {
+          $set: {
+            status: PAYMENT_STATUS.SUCCEEDED,
+            paid_at: new Date(),
+            failure_code: null,
+            failure_message: null,
+          },
+        },
+        { new: true, session }
+      );
+      // Already handled (confirmation and webhook can both report the success)
+      if (!payment) {
+        return await Payment.findById(id).session(session);
+      }
+
+      await OrderService.updateStatus(payment.order, ORDER_STATUS.PAID, {
+        actor,
+        reason: `Payment ${payment._id}`,
+        session,
+      });
+      return payment;
+    });
+  }
+
+  /**
+   * Give back a charge whose order could not be paid
+   * The payment is first claimed for review, so a webhook arriving meanwhile
+   * does not pay the order; it stays in review if the refund fails.
+   */
+  async refundUnpaidCharge(payment, cause) {
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: PAYMENT_STATUS.PENDING },
+      {
+        $set: {
+          status: PAYMENT_STATUS.REQUIRES_REVIEW,
+          // Claimed so no other refund runs alongside this one
+          refunded_amount: payment.amount,
+          paid_at: new Date(),
+          failure_code: 'ORDER_NOT_PAID',
+          failure_message: cause.message,
+        },
+      },
+      { new: true }
+    ).exec();
+    // Already handled by a webhook or another confirmation
+    if (!claimed) return;
+
+    try {
+      const idempotencyKey = `unpaid_${payment._id}`;
+      const result = await getPaymentProvider().refund(
+        payment.intent_id,
+        payment.amount,
+        { idempotencyKey }
+      );
+      if (result.status !== PAYMENT_STATUS.SUCCEEDED) {
+        throw new PaymentError('Refund was rejected', 'REFUND_FAILED');
+      }
+
+      await Payment.updateOne(
+        { _id: payment._id, status: PAYMENT_STATUS.REQUIRES_REVIEW },
+        {
+          $set: { status: PAYMENT_STATUS.REFUNDED },
+          $push: {
+            refunds: {
+              provider_refund_id: result.id,
+              amount: payment.amount,
+              idempotency_key: idempotencyKey,
+              reason: 'Order could not be paid',
+            },
+          },
+        }
+      ).exec();
+    } catch (error) {
+      // Left for review with the charge still refundable
+      await Payment.updateOne(
+        { _id: payment._id, status: PAYMENT_STATUS.REQUIRES_REVIEW },
+        { $set: { refunded_amount: 0 } }
+      ).exec();
+      console.error(
+        `❌ Payment ${payment._id} was charged but not refunded:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Pipeline adding an amount to the refunded total (negative to give back a
+   * claim whose provider refund failed)
+   */
+  buildRefundedAmountUpdate(amount) {
+    return [
+      {
+        $set: {
+          refunded_amount: {
+            $round: [{ $add: ['$refunded_amount', amount] }, 2],
+          },
+        },
+      },
+    ];
+  }
+
+  /**
+   * Mark a pending payment as failed
+   */
+  async markFailed(id, { failure_code = null, failure_message = null } = {}) {
+    const payment = await Payment.findOneAndUpdate(
+      { _id: id, status: PAYMENT_STATUS.PENDING },
+      {
+        $set: { status: PAYMENT_STATUS.FAILED, failure_code, failure_message },
+      },
+      { new: true }
+    ).exec();
+    return payment || (await Payment.findById(id).exec());
+  }
+
+  /**
+   * Validate that an order can be paid
+   */
+  validatePayableOrder(order) {
+    if (order.status !== ORDER_STATUS.PENDING) {
+      throw new InvalidOperationError(
+        'Payment',
+        `Only pending orders can be paid, order is ${order.status}`,
+        { order: order._id, status: order.status }
+      );
+    }
+    if (order.total_amount <= 0) {
+      throw new InvalidOperationError('Payment', 'Order has nothing to pay', {
+        order: order._id,
+        total_amount: order.total_amount,
+      });
+    }
+  }
+}
+
+// Export single instance (Singleton)
+export default new PaymentService();
@@ -5,11 +5,14 @@
 // File: personService.js
 // Author: Anthony Bañon
 // Created: 2025-11-07
-// Last Updated: 2025-11-07
+// Last Updated: 2026-10-19
+// Changes: Reset email verification when the email changes
 // ==========================================
 
 import Person from '../models/personModel.js';
+import Account from '../models/accountModel.js';
 import { NotFoundError } from '../errors/businessError.js';
+import { ADDRESS_TYPE } from '../config/constants.js';
 import {
   validateUniqueness,
   validateRequiredFields,
@@ -20,8 +23,23 @@ import {
   processImageUpdate,
 } from '../utils/imageUtils.js';
 
-import { buildQuery } from '../utils/queryBuilder.js';
-import { buildPagination } from '../utils/pagination.js';
+import { buildListQuery } from '../utils/queryBuilder.js';
+import { paginate } from '../utils/pagination.js';
+
+// Fields admins may filter and sort person listings by
+const PERSON_LIST_QUERY = {
+  entity: 'Person',
+  filterable: {
+    first_name: { type: 'string', operators: ['eq', 'regex'] },
+    last_name: { type: 'string', operators: ['eq', 'regex'] },
+    dni: { type: 'string', operators: ['eq', 'in'] },
+    email: { type: 'string', operators: ['eq', 'in', 'regex'] },
+    'addresses.country': { type: 'string', operators: ['eq', 'in'] },
+    createdAt: { type: 'date', operators: ['gte', 'lte'] },
+  },
+  sortable: ['createdAt', 'updatedAt', 'first_name', 'last_name', 'email'],
+  defaultSort: '-createdAt',
+};
 
 class PersonService {
   /**
@@ -40,29 +58,18 @@ class PersonService {
 
   /**
    * Get all active persons
-   * returns {Promise<Array>} List of active persons
+   * param {Object} filters - filter[field][operator], sort plus page or after/before cursors
+   * returns {Promise<Object>} { items, pagination } list envelope
+   * throws {ValidationError} On unknown filter or sort fields
    */
   async getAll(filters = {}) {
     // LÓGICA DE NEGOCIO: Construye query específica de persons
-    const defaultQuery = { is_active: true };
-    const query = buildQuery(filters, defaultQuery);
-    const { page, limit, offset, sort } = buildPagination(filters);
-
-    // LÓGICA DE NEGOCIO: Operaciones específicas de Person
-    const [persons, totalItems] = await Promise.all([
-      Person.find(query).sort(sort).skip(offset).limit(limit).exec(),
-      Person.countDocuments(query),
-    ]);
-
-    // Retorna DATOS CRUDOS (sin formato HTTP)
-    return {
-      persons,
-      totalItems,
-      totalPages: Math.ceil(totalItems / limit),
-      currentPage: page,
-      hasNextPage: page < Math.ceil(totalItems / limit),
-      hasPrevPage: page > 1,
-    };
+    const { filter, sort } = buildListQuery(filters, PERSON_LIST_QUERY);
+    // Inactive records never leave the service, whatever the filter says
+    const query = { ...filter, is_active: true };
+
+    // LÓGICA DE NEGOCIO: Cursor por defecto, offset si se pide una página
+    return await paginate(Person, query, filters, { sort });
   }
 
   /**
@@ -106,6 +113,9 @@ class PersonService {
    * throws {DuplicateError} If dni or email already exists
    */
   async update(id, data) {
+    // Addresses are managed through the address book methods
+    delete data.addresses;
+
     // Validate uniqueness for updated fields
     if (data.dni) {
       await validateUniqueness(Person, 'dni', data.dni, id, 'Person');
@@ -133,11 +143,17 @@ class PersonService {
         await deleteImageFiles(oldImage, 'persons');
       }
     }
+    const previousEmail = person.email;
+
     // Full update
     Object.assign(person, data);
 
     // Update person
-    return await person.save();
+    const updatedPerson = await person.save();
+    if (updatedPerson.email !== previousEmail) {
+      await this.resetEmailVerification(id);
+    }
+    return updatedPerson;
   }
 
   /**
@@ -149,6 +165,8 @@ class PersonService {
    * throws {DuplicateError} If dni or email already exists
    */
   async updatePartial(id, updates) {
+    delete updates.addresses;
+
     // Validate uniqueness only for fields being updated
     if (updates.dni) {
       await validateUniqueness(Person, 'dni', updates.dni, id, 'Person');
@@ -156,6 +174,9 @@ class PersonService {
     if (updates.email) {
       await validateUniqueness(Person, 'email', updates.email, id, 'Person');
     }
+    const previousEmail = updates.email
+      ? (await Person.findById(id).select('email').exec())?.email
+      : null;
 
     // Process image using helper function
     if (updates.image !== undefined) {
@@ -188,6 +209,9 @@ class PersonService {
     if (!updatedPerson) {
       throw new NotFoundError('Person', id);
     }
+    if (previousEmail && updatedPerson.email !== previousEmail) {
+      await this.resetEmailVerification(id);
+    }
     // Partial update
     return updatedPerson;
   }
@@ -258,6 +282,141 @@ class PersonService {
     }
     return deletedPerson;
   }
+
+  // ============ ADDRESS BOOK ============
+
+  /**
+   * Get the addresses of a person
+   * param {String} id - Person ID
+   * returns {Promise<Array>} Saved addresses
+   * throws {NotFoundError} If person not found
+   */
+  async getAddresses(id) {
+    const person = await this.getOne(id);
+    return person.addresses;
+  }
+
+  /**
+   * Get the default address of a person for a purpose
+   * param {String} id - Person ID
+   * param {String} type - Address type (shipping or billing)
+   * returns {Promise<Object|null>} Default address, null if none is set
+   */
+  async getDefaultAddress(id, type = ADDRESS_TYPE.SHIPPING) {
+    const person = await Person.findById(id).select('addresses').exec();
+    const flag = this.getDefaultFlag(type);
+    return person?.addresses.find((address) => address[flag]) || null;
+  }
+
+  /**
+   * Add an address to the address book
+   * The first address becomes the default for shipping and billing.
+   *
+   * param {String} id - Person ID
+   * param {Object} data - Address data
+   * returns {Promise<Object>} Created address
+   * throws {NotFoundError} If person not found
+   */
+  async addAddress(id, data) {
+    const person = await this.getOne(id);
+
+    if (person.addresses.length === 0) {
+      data.is_default_shipping = true;
+      data.is_default_billing = true;
+    }
+    person.addresses.push(data);
+
+    const address = person.addresses[person.addresses.length - 1];
+    this.applyAddressDefaults(person, address);
+    await person.save();
+    return address;
+  }
+
+  /**
+   * Update an address of the address book
+   * param {String} id - Person ID
+   * param {String} addressId - Address ID
+   * param {Object} data - Fields to change
+   * returns {Promise<Object>} Updated address
+   * throws {NotFoundError} If person or address not found
+   */
+  async updateAddress(id, addressId, data) {
+    const person = await this.getOne(id);
+    const address = this.findAddress(person, addressId);
+
+    address.set(data);
+    this.applyAddressDefaults(person, address);
+    await person.save();
+    return address;
+  }
+
+  /**
+   * Delete an address of the address book
+   * If it was a default, the oldest remaining address takes its place.
+   *
+   * param {String} id - Person ID
+   * param {String} addressId - Address ID
+   * returns {Promise<Object>} Deleted address
+   * throws {NotFoundError} If person or address not found
+   */
+  async deleteAddress(id, addressId) {
+    const person = await this.getOne(id);
+    const address = this.findAddress(person, addressId);
+
+    person.addresses.pull(address._id);
+    for (const type of Object.values(ADDRESS_TYPE)) {
+      const flag = this.getDefaultFlag(type);
+      if (address[flag] && person.addresses.length > 0) {
+        person.addresses[0][flag] = true;
+      }
+    }
+
+    await person.save();
+    return address;
+  }
+
+  // ============ PRIVATE METHODS ============
+
+  /**
+   * Find an address of a person
+   */
+  findAddress(person, addressId) {
+    const address = person.addresses.id(addressId);
+    if (!address) {
+      throw new NotFoundError('Address', addressId);
+    }
+    return address;
+  }
+
+  /**
+   * Keep a single default per type: the given address wins
+   */
+  applyAddressDefaults(person, address) {
+    for (const type of Object.values(ADDRESS_TYPE)) {
+      const flag = this.getDefaultFlag(type);
+      if (!address[flag]) continue;
+      for (const other of person.addresses) {
+        if (!other._id.equals(address._id)) other[flag] = false;
+      }
+    }
+  }
+
+  /**
+   * A new email is unverified: the account of the person must verify it again
+   */
+  async resetEmailVerification(personId) {
+    await Account.updateOne(
+      { person: personId },
+      { email_verified_at: null, email_verification_jti: null }
+    );
+  }
+
+  /**
+   * Name of the default flag of an address type
+   */
+  getDefaultFlag(type) {
+    return `is_default_${type}`;
+  }
 }
 
 export default new PersonService();
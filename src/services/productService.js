@@ -5,28 +5,72 @@
 // File: productService.js
 // Author: Anthony Bañon
 // Created: 2025-10-21
-// Last Updated: 2025-10-30
-// Changes: Add JSDoc annotations for methods
+// Last Updated: 2026-10-19
+// Changes: Search answers with the shared list envelope
 // ==========================================
 
+import mongoose from 'mongoose';
 import Product from '../models/productModel.js';
+import PriceHistory from '../models/priceHistoryModel.js';
+import categoryService from './categoryService.js';
 import {
   NotFoundError,
+  DuplicateError,
   InsufficientResourceError,
+  InvalidOperationError,
+  OutOfStockError,
   ValidationError,
 } from '../errors/businessError.js';
+import { validateRequiredFields } from '../utils/validationUtils.js';
 import {
-  validateUniqueness,
-  validateRequiredFields,
-} from '../utils/validationUtils.js';
+  generateUniqueSlug,
+  buildSlugChange,
+  findBySlug,
+} from '../utils/slugUtils.js';
 import {
   saveImageAndGetUrl,
   deleteImageFiles,
   processImageUpdate,
 } from '../utils/imageUtils.js';
 
-import { buildQuery } from '../utils/queryBuilder.js';
-import { buildPagination } from '../utils/pagination.js';
+import { buildListQuery } from '../utils/queryBuilder.js';
+import { paginate, buildOffsetPagination } from '../utils/pagination.js';
+import {
+  PAGINATION,
+  PRODUCT_GALLERY,
+  SEARCH,
+  SEARCH_SORT,
+} from '../config/constants.js';
+
+// Fields recorded in the price history when they change
+const PRICE_FIELDS = [
+  'price',
+  'compare_at_price',
+  'sale_price',
+  'sale_starts_at',
+  'sale_ends_at',
+];
+
+// Fields clients may filter and sort product listings by
+const PRODUCT_LIST_QUERY = {
+  entity: 'Product',
+  filterable: {
+    name: { type: 'string', operators: ['eq', 'in', 'regex'] },
+    slug: { type: 'string', operators: ['eq', 'in'] },
+    sku: { type: 'string', operators: ['eq', 'in', 'regex'] },
+    category: { type: 'objectId', operators: ['eq', 'in'] },
+    price: { type: 'number', operators: ['eq', 'gte', 'lte'] },
+    sale_price: { type: 'number', operators: ['gte', 'lte', 'exists'] },
+    stock: { type: 'number', operators: ['eq', 'gte', 'lte'] },
+    rating_average: { type: 'number', operators: ['gte', 'lte'] },
+    'variants.size': { type: 'string', operators: ['eq', 'in', 'exists'] },
+    'variants.color': { type: 'string', operators: ['eq', 'in', 'exists'] },
+    createdAt: { type: 'date', operators: ['gte', 'lte'] },
+  },
+  // Only fields every product has, cursors cannot walk past missing values
+  sortable: ['createdAt', 'updatedAt', 'name', 'sku', 'price', 'stock'],
+  defaultSort: '-createdAt',
+};
 
 class ProductService {
   /**
@@ -44,32 +88,36 @@ class ProductService {
     return product;
   }
 
+  /**
+   * Get an active product by its slug
+   * Old slugs (from before a rename) still resolve, flagged as moved.
+   *
+   * param {string} slug - Current or previous product slug
+   * returns {Promise<Object>} { product, moved }
+   * throws {NotFoundError} If no active product uses or used the slug
+   */
+  async getBySlug(slug) {
+    const { document, moved } = await findBySlug(Product, slug, {
+      is_active: true,
+    });
+    return { product: document, moved };
+  }
+
   /**
    * Get all active products
    *
-   * returns {Promise<Array>} List of products
+   * param {Object} filters - filter[field][operator], sort plus page or after/before cursors
+   * returns {Promise<Object>} { items, pagination } list envelope
+   * throws {ValidationError} On unknown filter or sort fields
    */
   async getAll(filters = {}) {
     // LÓGICA DE NEGOCIO: Construye query específica de productos
-    const defaultQuery = { is_active: true };
-    const query = buildQuery(filters, defaultQuery);
-    const { page, limit, offset, sort } = buildPagination(filters);
-
-    // LÓGICA DE NEGOCIO: Operaciones específicas de Product
-    const [products, totalItems] = await Promise.all([
-      Product.find(query).sort(sort).skip(offset).limit(limit).exec(),
-      Product.countDocuments(query),
-    ]);
+    const { filter, sort } = buildListQuery(filters, PRODUCT_LIST_QUERY);
+    // Inactive records never leave the service, whatever the filter says
+    const query = { ...filter, is_active: true };
 
-    // Retorna DATOS CRUDOS (sin formato HTTP)
-    return {
-      products,
-      totalItems,
-      totalPages: Math.ceil(totalItems / limit),
-      currentPage: page,
-      hasNextPage: page < Math.ceil(totalItems / limit),
-      hasPrevPage: page > 1,
-    };
+    // LÓGICA DE NEGOCIO: Cursor por defecto, offset si se pide una página
+    return await paginate(Product, query, filters, { sort });
   }
   /**
    * Create a new product
@@ -85,8 +133,20 @@ class ProductService {
       ['sku', 'name', 'price', 'category'],
       'Product'
     );
-    // Validate uniqueness of SKU
-    await validateUniqueness(Product, 'sku', data.sku, null, 'Product');
+    // Validate uniqueness of SKU (also against variant SKUs)
+    await this.validateSkuUnique(data.sku);
+    this.validatePricing(data);
+    // Variants and reservations have their own operations
+    delete data.variants;
+    delete data.reserved;
+    // The slug always follows the name
+    delete data.slug_history;
+    data.slug = await generateUniqueSlug(Product, data.name);
+    // Rating stats follow the approved reviews
+    delete data.rating_average;
+    delete data.rating_count;
+    // Gallery pictures have their own operations
+    delete data.images;
 
     // If there is an image, save it and get URL
     if (data.image && Buffer.isBuffer(data.image)) {
@@ -109,20 +169,27 @@ class ProductService {
    *
    * param {string} id - Product ID
    * param {Object} data - Complete product data
+   * param {Object} [options]
+   * param {string} [options.actor] - Account making the change (recorded in the price history)
    * returns {Promise<Object>} Updated product
    * throws {NotFoundError} If product not found
    * throws {DuplicateError} If SKU already exists
+   * throws {ValidationError} If the sale price or window is inconsistent
    */
-  async update(id, data) {
+  async update(id, data, { actor = null } = {}) {
     // Business validation IN THE SERVICE
     if (data.sku) {
-      await validateUniqueness(Product, 'sku', data.sku, id, 'Product');
+      await this.validateSkuUnique(data.sku, { productId: id });
     }
     // Find existing product
     const product = await Product.findById(id);
     if (!product) {
       throw new NotFoundError('Product', id);
     }
+    this.stripManagedFields(product, data);
+    const previousPricing = this.getPricing(product);
+    this.validatePricing({ ...previousPricing, ...data });
+    Object.assign(data, await this.getSlugChange(product, data.name));
 
     // Save the old image for possible deletion
     const oldImage = product.image;
@@ -139,7 +206,15 @@ class ProductService {
     // Update fields
     Object.assign(product, data);
     // Validates entire schema with save()
-    return await product.save();
+    const updatedProduct = await product.save();
+
+    await this.recordPriceChange(
+      updatedProduct,
+      previousPricing,
+      this.getPricing(updatedProduct),
+      actor
+    );
+    return updatedProduct;
   }
 
   /**
@@ -147,15 +222,29 @@ class ProductService {
    *
    * param {string} id - Product ID
    * param {Object} updates - Partial product data
+   * param {Object} [options]
+   * param {string} [options.actor] - Account making the change (recorded in the price history)
    * returns {Promise<Object>} Updated product
    * throws {NotFoundError} If product not found
    * throws {DuplicateError} If SKU already exists
+   * throws {ValidationError} If the sale price or window is inconsistent
    */
-  async updatePartial(id, updates) {
+  async updatePartial(id, updates, { actor = null } = {}) {
     // Business validation IN THE SERVICE
     if (updates.sku) {
-      await validateUniqueness(Product, 'sku', updates.sku, id, 'Product');
+      await this.validateSkuUnique(updates.sku, { productId: id });
     }
+    // Stock rules depend on whether the product has variants
+    const current = await Product.findById(id)
+      .select(['variants', 'name', 'slug', 'slug_history', ...PRICE_FIELDS])
+      .exec();
+    if (!current) {
+      throw new NotFoundError('Product', id);
+    }
+    this.stripManagedFields(current, updates);
+    const previousPricing = this.getPricing(current);
+    this.validatePricing({ ...previousPricing, ...updates });
+    Object.assign(updates, await this.getSlugChange(current, updates.name));
 
     // Process image using helper function
     if (updates.image !== undefined) {
@@ -191,9 +280,40 @@ class ProductService {
       throw new NotFoundError('Product', id);
     }
 
+    await this.recordPriceChange(
+      updatedProduct,
+      previousPricing,
+      this.getPricing(updatedProduct),
+      actor
+    );
     return updatedProduct;
   }
 
+  /**
+   * Get the price timeline of a product
+   *
+   * param {string} id - Product ID
+   * returns {Promise<{current: Object, history: Array}>} Prices now and every change, oldest first
+   * throws {NotFoundError} If product not found
+   */
+  async getPriceHistory(id) {
+    const product = await this.getOne(id);
+    const history = await PriceHistory.find({ product: id })
+      .populate('changed_by', 'username email')
+      .sort({ changed_at: 1 })
+      .exec();
+
+    return {
+      current: {
+        ...this.getPricing(product),
+        current_price: product.current_price,
+        was_price: product.was_price,
+        on_sale: product.on_sale,
+      },
+      history,
+    };
+  }
+
   /**
    * Update product status (soft delete)
    *
@@ -252,6 +372,175 @@ class ProductService {
     return updatedProduct;
   }
 
+  /**
+   * Add pictures to the product gallery
+   * Pictures are appended after the current ones, in upload order.
+   *
+   * param {string} id - Product ID
+   * param {Array<Buffer>} buffers - Compressed images
+   * param {Object} [meta]
+   * param {Array<string>|string} [meta.alt] - Alternative text, one per picture or shared by all
+   * param {string} [meta.variant] - Variant shown in the pictures
+   * param {string} [meta.color] - Color shown in the pictures
+   * returns {Promise<Object>} Updated product
+   * throws {NotFoundError} If product or variant not found
+   * throws {ValidationError} If no picture is sent, the gallery is full or the color is unknown
+   */
+  async addImages(
+    id,
+    buffers,
+    { alt = null, variant = null, color = null } = {}
+  ) {
+    const product = await Product.findById(id);
+    if (!product) {
+      throw new NotFoundError('Product', id);
+    }
+    if (!buffers?.length) {
+      throw new ValidationError('Product', 'At least one image is required', {
+        field: 'images',
+      });
+    }
+    if (product.images.length + buffers.length > PRODUCT_GALLERY.MAX_IMAGES) {
+      throw new ValidationError(
+        'Product',
+        `A product can have up to ${PRODUCT_GALLERY.MAX_IMAGES} images`,
+        { field: 'images', current: product.images.length }
+      );
+    }
+    const link = this.resolveImageLink(product, { variant, color });
+    const alts = Array.isArray(alt) ? alt : buffers.map(() => alt);
+
+    const saved = [];
+    try {
+      for (const [index, buffer] of buffers.entries()) {
+        // The index keeps pictures saved in the same millisecond apart
+        saved.push(
+          await saveImageAndGetUrl(
+            buffer,
+            'products',
+            `gallery-${product._id}-${index}`
+          )
+        );
+      }
+      saved.forEach((urls, index) => {
+        product.images.push({
+          ...urls,
+          position: product.images.length,
+          alt: alts[index] || null,
+          ...link,
+        });
+      });
+      return await product.save();
+    } catch (error) {
+      for (const urls of saved) {
+        await deleteImageFiles(urls, 'products');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change the alternative text or the variant/color link of a gallery picture
+   * Linking a variant also links its color.
+   *
+   * param {string} id - Product ID
+   * param {string} imageId - Gallery picture ID
+   * param {Object} data - alt, variant and color (null removes the link)
+   * returns {Promise<Object>} Updated product
+   * throws {NotFoundError} If product, picture or variant not found
+   * throws {ValidationError} If the color is unknown or does not match the variant
+   */
+  async updateImage(id, imageId, data) {
+    const product = await Product.findById(id);
+    if (!product) {
+      throw new NotFoundError('Product', id);
+    }
+    const image = this.getImage(product, imageId);
+
+    if (data.alt !== undefined) {
+      image.alt = data.alt || null;
+    }
+    if (data.variant !== undefined || data.color !== undefined) {
+      // A new variant brings its own color unless one is given
+      const variantChanged = data.variant !== undefined;
+      image.set(
+        this.resolveImageLink(product, {
+          variant: variantChanged ? data.variant : image.variant,
+          color:
+            data.color !== undefined
+              ? data.color
+              : variantChanged
+              ? null
+              : image.color,
+        })
+      );
+    }
+
+    return await product.save();
+  }
+
+  /**
+   * Reorder the product gallery
+   *
+   * param {string} id - Product ID
+   * param {Array<string>} order - Every gallery picture ID, in the new order
+   * returns {Promise<Object>} Updated product
+   * throws {NotFoundError} If product not found
+   * throws {ValidationError} If the order does not list every picture exactly once
+   */
+  async reorderImages(id, order) {
+    const product = await Product.findById(id);
+    if (!product) {
+      throw new NotFoundError('Product', id);
+    }
+
+    const current = product.images.map((image) => image._id.toString());
+    const requested = (order || []).map(String);
+    const isPermutation =
+      requested.length === current.length &&
+      new Set(requested).size === requested.length &&
+      requested.every((imageId) => current.includes(imageId));
+    if (!isPermutation) {
+      throw new ValidationError(
+        'Product',
+        'Order must list every image of the product exactly once',
+        { field: 'order', expected: current.length }
+      );
+    }
+
+    product.images = requested.map((imageId, position) => ({
+      ...product.images.id(imageId).toObject(),
+      position,
+    }));
+    return await product.save();
+  }
+
+  /**
+   * Delete one picture of the product gallery
+   *
+   * param {string} id - Product ID
+   * param {string} imageId - Gallery picture ID
+   * returns {Promise<Object>} Updated product
+   * throws {NotFoundError} If product or picture not found
+   */
+  async deleteGalleryImage(id, imageId) {
+    const product = await Product.findById(id);
+    if (!product) {
+      throw new NotFoundError('Product', id);
+    }
+    const image = this.getImage(product, imageId);
+
+    product.images.pull(image._id);
+    product.images.forEach((picture, position) => {
+      picture.position = position;
+    });
+    const updatedProduct = await product.save();
+
+    // Files go once the document no longer points at them
+    await deleteImageFiles(image, 'products');
+    return updatedProduct;
+  }
+
   async delete(id) {
     const deleteProduct = await Product.findByIdAndDelete(id).exec();
     // Validate existence
@@ -263,6 +552,9 @@ class ProductService {
     if (deleteProduct.image) {
       await deleteImageFiles(deleteProduct.image, 'products');
     }
+    for (const image of deleteProduct.images) {
+      await deleteImageFiles(image, 'products');
+    }
 
     return deleteProduct;
   }
@@ -271,27 +563,185 @@ class ProductService {
    * Get products by category
    *
    * param {string} categoryId - Category ID
+   * param {Object} [options]
+   * param {boolean} [options.includeDescendants=false] - Also products of active subcategories
    * returns {Promise<Array>} List of products in category
    */
-  async getByCategory(categoryId) {
+  async getByCategory(categoryId, { includeDescendants = false } = {}) {
+    const categories = includeDescendants
+      ? [categoryId, ...(await categoryService.getDescendantIds(categoryId))]
+      : [categoryId];
+
     return await Product.find({
-      category: categoryId,
+      category: { $in: categories },
       is_active: true,
     }).exec();
   }
 
+  /**
+   * Search active products with facet counts
+   * Each facet is counted with every filter except its own, so the sidebar keeps
+   * showing the other values of a facet once one of them is selected.
+   *
+   * param {Object} [params]
+   * param {string} [params.q] - Text searched in name, SKU and description
+   * param {string} [params.category] - Category ID
+   * param {number} [params.minPrice] - Minimum current price
+   * param {number} [params.maxPrice] - Maximum current price
+   * param {Array<string>} [params.size] - Variant sizes (any of)
+   * param {Array<string>} [params.color] - Variant colors (any of)
+   * param {boolean} [params.inStock] - Only products that can be sold
+   * param {string} [params.sort] - One of SEARCH_SORT (relevance by default when searching text)
+   * param {number} [params.page] - Page number
+   * param {number} [params.limit] - Page size
+   * returns {Promise<Object>} { items, pagination } list envelope with the facets
+   */
+  async search({
+    q = null,
+    category = null,
+    minPrice = null,
+    maxPrice = null,
+    size = [],
+    color = [],
+    inStock = null,
+    sort = null,
+    page = PAGINATION.DEFAULT_PAGE,
+    limit = PAGINATION.DEFAULT_LIMIT,
+  } = {}) {
+    const filters = this.buildSearchFilters({
+      category,
+      minPrice,
+      maxPrice,
+      size,
+      color,
+      inStock,
+    });
+    const matchExcept = (facet) => ({
+      $match: Object.assign(
+        {},
+        ...Object.entries(filters)
+          .filter(([name]) => name !== facet)
+          .map(([, filter]) => filter)
+      ),
+    });
+
+    const [result] = await Product.aggregate([
+      // $text must be the first stage to use the text index
+      {
+        $match: {
+          is_active: true,
+          ...(q && { $text: { $search: q } }),
+        },
+      },
+      {
+        $addFields: {
+          score: q ? { $meta: 'textScore' } : 0,
+          effective_price: this.buildEffectivePriceExpression(),
+          available_stock: {
+            $max: [{ $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] }, 0],
+          },
+        },
+      },
+      {
+        $facet: {
+          products: [
+            matchExcept(null),
+            { $sort: this.buildSearchSort(sort, Boolean(q)) },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                effective_price: 0,
+                available_stock: 0,
+                ...(!q && { score: 0 }),
+              },
+            },
+          ],
+          total: [matchExcept(null), { $count: 'count' }],
+          categories: [
+            matchExcept('category'),
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            {
+              $lookup: {
+                from: 'categories',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'category',
+              },
+            },
+            {
+              $project: {
+                _id: 0,
+                category: '$_id',
+                name: { $arrayElemAt: ['$category.name', 0] },
+                count: 1,
+              },
+            },
+            { $sort: { count: -1, name: 1 } },
+          ],
+          price: [
+            matchExcept('price'),
+            {
+              $bucket: {
+                groupBy: '$effective_price',
+                boundaries: [...SEARCH.PRICE_BUCKETS, Infinity],
+                default: 'other',
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          sizes: this.buildVariantFacet(matchExcept('size'), 'size'),
+          colors: this.buildVariantFacet(matchExcept('color'), 'color'),
+          in_stock: [
+            matchExcept('inStock'),
+            {
+              $group: {
+                _id: { $gt: ['$available_stock', 0] },
+                count: { $sum: 1 },
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    return {
+      // Hydrate so the results carry the same virtuals as other catalog reads
+      items: result.products.map((doc) => Product.hydrate(doc).toJSON()),
+      pagination: buildOffsetPagination({
+        page,
+        limit,
+        totalItems: result.total[0]?.count || 0,
+      }),
+      facets: {
+        categories: result.categories,
+        price: this.formatPriceBuckets(result.price),
+        sizes: result.sizes,
+        colors: result.colors,
+        in_stock: {
+          in_stock: result.in_stock.find((row) => row._id)?.count || 0,
+          out_of_stock: result.in_stock.find((row) => !row._id)?.count || 0,
+        },
+      },
+    };
+  }
+
   /**
    * Update product stock with validation
    *
    * param {string} id - Product ID
    * param {number} quantity - Quantity to add/subtract
+   * param {Object} [options] - Query options
+   * param {ClientSession} [options.session] - Transaction session
+   * param {string} [options.variant] - Variant ID (required for products with variants)
    * returns {Promise<Object>} Updated product
-   * throws {NotFoundError} If product not found
+   * throws {NotFoundError} If product or variant not found
+   * throws {ValidationError} If quantity is not a number or the variant is missing
    * throws {InsufficientResourceError} If stock would go negative
    */
-  async updateStock(id, quantity) {
+  async updateStock(id, quantity, { session = null, variant = null } = {}) {
     // Validate product exists
-    const product = await Product.findById(id);
+    const product = await Product.findById(id).session(session);
     // Validate existence
     if (!product) {
       throw new NotFoundError('Product', id);
@@ -303,25 +753,734 @@ class ProductService {
         value: quantity,
       });
     }
-    //Do not allow negative stock
-    const newStock = product.stock + quantity;
-    if (newStock < 0) {
+    const target = this.getStockTarget(product, variant);
+    //Do not allow negative stock or less stock than is reserved
+    const newStock = target.stock + quantity;
+    if (newStock < (target.reserved ?? 0)) {
       throw new InsufficientResourceError(
         'Product',
         'STOCK',
-        product.stock,
+        target.available,
         Math.abs(quantity)
       );
     }
-    // Update stock atomically
-    const updatedProduct = await Product.findByIdAndUpdate(
+    // Update stock atomically, guarding against concurrent decrements and reservations
+    const { filter, update } = this.buildStockOperation(
       id,
-      { $inc: { stock: quantity } },
-      { new: true, runValidators: true }
-    ).exec();
+      variant,
+      variant
+        ? {
+            reserved: target.reserved,
+            stock: { $gte: target.reserved - quantity },
+          }
+        : {
+            $expr: {
+              $gte: [
+                { $add: ['$stock', quantity] },
+                { $ifNull: ['$reserved', 0] },
+              ],
+            },
+          },
+      { stock: quantity }
+    );
+    const updatedProduct = await Product.findOneAndUpdate(filter, update, {
+      new: true,
+      runValidators: true,
+      session,
+    }).exec();
+
+    if (!updatedProduct) {
+      throw new InsufficientResourceError(
+        'Product',
+        'STOCK',
+        target.available,
+        Math.abs(quantity)
+      );
+    }
 
     return updatedProduct;
   }
+
+  /**
+   * Hold stock for a pending order
+   *
+   * param {string} id - Product ID
+   * param {number} quantity - Quantity to reserve
+   * param {Object} [options]
+   * param {ClientSession} [options.session] - Transaction session
+   * param {string} [options.variant] - Variant ID (required for products with variants)
+   * returns {Promise<Object>} Updated product
+   * throws {NotFoundError} If product or variant not found
+   * throws {OutOfStockError} If the product is inactive or nothing is available
+   * throws {InsufficientResourceError} If less than the quantity is available
+   */
+  async reserveStock(id, quantity, { session = null, variant = null } = {}) {
+    const product = await Product.findById(id).session(session);
+    if (!product) {
+      throw new NotFoundError('Product', id);
+    }
+    const target = this.getStockTarget(product, variant);
+
+    // Reserve atomically: only if the unreserved stock covers the quantity
+    const { filter, update } = this.buildStockOperation(
+      id,
+      variant,
+      variant
+        ? {
+            reserved: target.reserved,
+            stock: { $gte: target.reserved + quantity },
+          }
+        : {
+            $expr: {
+              $gte: [
+                { $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] },
+                quantity,
+              ],
+            },
+          },
+      { reserved: quantity }
+    );
+    filter.is_active = true;
+    const updatedProduct = await Product.findOneAndUpdate(filter, update, {
+      new: true,
+      session,
+    }).exec();
+
+    if (!updatedProduct) {
+      const available = product.is_active ? target.available : 0;
+      if (available === 0) {
+        throw new OutOfStockError('Product', variant ? target.sku : id);
+      }
+      throw new InsufficientResourceError(
+        'Product',
+        'STOCK',
+        available,
+        quantity
+      );
+    }
+
+    return updatedProduct;
+  }
+
+  /**
+   * Give back stock held by a reservation
+   *
+   * param {string} id - Product ID
+   * param {number} quantity - Reserved quantity to release
+   * param {Object} [options]
+   * param {ClientSession} [options.session] - Transaction session
+   * param {string} [options.variant] - Variant ID
+   * returns {Promise<void>}
+   * throws {InsufficientResourceError} If less than the quantity is reserved
+   */
+  async releaseStock(id, quantity, { session = null, variant = null } = {}) {
+    const { filter, update } = this.buildStockOperation(
+      id,
+      variant,
+      { reserved: { $gte: quantity } },
+      { reserved: -quantity }
+    );
+    const result = await Product.updateOne(filter, update, { session }).exec();
+    if (result.matchedCount === 1) {
+      return;
+    }
+
+    // Products or variants removed since the reservation have nothing to release
+    const product = await Product.findById(id).session(session);
+    const target = variant ? product?.variants.id(variant) : product;
+    if (!target) {
+      return;
+    }
+    throw new InsufficientResourceError(
+      'Product',
+      'RESERVED_STOCK',
+      target.reserved,
+      quantity
+    );
+  }
+
+  /**
+   * Turn reserved stock into sold stock
+   *
+   * param {string} id - Product ID
+   * param {number} quantity - Reserved quantity to consume
+   * param {Object} [options]
+   * param {ClientSession} [options.session] - Transaction session
+   * param {string} [options.variant] - Variant ID
+   * returns {Promise<Object>} Updated product
+   * throws {NotFoundError} If product not found
+   * throws {InsufficientResourceError} If the reservation no longer covers the quantity
+   */
+  async commitStock(id, quantity, { session = null, variant = null } = {}) {
+    const { filter, update } = this.buildStockOperation(
+      id,
+      variant,
+      { reserved: { $gte: quantity }, stock: { $gte: quantity } },
+      { stock: -quantity, reserved: -quantity }
+    );
+    const updatedProduct = await Product.findOneAndUpdate(filter, update, {
+      new: true,
+      session,
+    }).exec();
+
+    if (!updatedProduct) {
+      const product = await Product.findById(id).session(session);
+      if (!product) {
+        throw new NotFoundError('Product', id);
+      }
+      throw new InsufficientResourceError(
+        'Product',
+        'RESERVED_STOCK',
+        product.reserved,
+        quantity
+      );
+    }
+
+    return updatedProduct;
+  }
+
+  /**
+   * Put sold stock back (cancelled or returned orders)
+   *
+   * param {string} id - Product ID
+   * param {number} quantity - Quantity to put back
+   * param {Object} [options]
+   * param {ClientSession} [options.session] - Transaction session
+   * param {string} [options.variant] - Variant ID
+   * returns {Promise<void>}
+   */
+  async restoreStock(id, quantity, { session = null, variant = null } = {}) {
+    // Products or variants removed from the catalog have nothing to restore
+    const { filter, update } = this.buildStockOperation(
+      id,
+      variant,
+      {},
+      {
+        stock: quantity,
+      }
+    );
+    await Product.updateOne(filter, update, { session }).exec();
+  }
+
+  /**
+   * Add a variant to a product
+   *
+   * param {string} id - Product ID
+   * param {Object} data - Variant data
+   * returns {Promise<Object>} Updated product
+   * throws {NotFoundError} If product not found
+   * throws {DuplicateError} If the SKU is already used
+   * throws {ValidationError} If the combination already exists
+   */
+  async addVariant(id, data) {
+    const product = await Product.findById(id);
+    if (!product) {
+      throw new NotFoundError('Product', id);
+    }
+    validateRequiredFields(data, ['sku'], 'Product');
+    await this.validateSkuUnique(data.sku);
+    this.validateVariantOptions(product, data);
+
+    // Stock moves through updateStock once the variant exists
+    const variant = { ...data, stock: data.stock ?? 0, reserved: 0 };
+    if (data.image && Buffer.isBuffer(data.image)) {
+      variant.image = await saveImageAndGetUrl(
+        data.image,
+        'products',
+        'variant'
+      );
+    } else {
+      variant.image = null;
+    }
+
+    // Products with variants sell only through them
+    if (product.variants.length === 0) {
+      product.stock = 0;
+    }
+    product.variants.push(variant);
+    product.stock += variant.stock;
+    return await product.save();
+  }
+
+  /**
+   * Update a product variant (stock is changed through updateStock)
+   *
+   * param {string} id - Product ID
+   * param {string} variantId - Variant ID
+   * param {Object} data - Variant fields to change
+   * returns {Promise<Object>} Updated product
+   * throws {NotFoundError} If product or variant not found
+   * throws {DuplicateError} If the SKU is already used
+   */
+  async updateVariant(id, variantId, data) {
+    const product = await Product.findById(id);
+    if (!product) {
+      throw new NotFoundError('Product', id);
+    }
+    const variant = this.getVariant(product, variantId);
+
+    const updates = { ...data };
+    delete updates.stock;
+    delete updates.reserved;
+    if (updates.sku) {
+      await this.validateSkuUnique(updates.sku, { variantId });
+    }
+    this.validateVariantOptions(
+      product,
+      { ...variant.toObject(), ...updates },
+      variantId
+    );
+
+    if (updates.image !== undefined) {
+      const oldImage = variant.image;
+      updates.image = await processImageUpdate(
+        updates.image,
+        'products',
+        'variant'
+      );
+      if (updates.image && oldImage) {
+        await deleteImageFiles(oldImage, 'products');
+      }
+    }
+
+    variant.set(updates);
+    return await product.save();
+  }
+
+  /**
+   * Remove a variant from a product
+   *
+   * param {string} id - Product ID
+   * param {string} variantId - Variant ID
+   * returns {Promise<Object>} Updated product
+   * throws {NotFoundError} If product or variant not found
+   * throws {InvalidOperationError} If pending orders still hold the variant
+   */
+  async deleteVariant(id, variantId) {
+    const product = await Product.findById(id);
+    if (!product) {
+      throw new NotFoundError('Product', id);
+    }
+    const variant = this.getVariant(product, variantId);
+    if (variant.reserved > 0) {
+      throw new InvalidOperationError(
+        'Product',
+        'Variant is reserved by pending orders',
+        { variant: variantId, reserved: variant.reserved }
+      );
+    }
+
+    const image = variant.image;
+    product.stock = Math.max(product.stock - variant.stock, 0);
+    product.variants.pull(variant._id);
+    // Gallery pictures of the variant stay, linked to its color only
+    product.images.forEach((picture) => {
+      if (picture.variant?.equals(variant._id)) picture.variant = null;
+    });
+    const updatedProduct = await product.save();
+
+    if (image) {
+      await deleteImageFiles(image, 'products');
+    }
+    return updatedProduct;
+  }
+
+  /**
+   * Build the size/color/material matrix of a product with availability
+   *
+   * param {Object} product - Product document
+   * returns {Object} Option values and one entry per variant
+   */
+  buildVariantMatrix(product) {
+    const distinct = (field) => [
+      ...new Set(
+        product.variants.map((variant) => variant[field]).filter(Boolean)
+      ),
+    ];
+
+    return {
+      sizes: distinct('size'),
+      colors: distinct('color'),
+      materials: distinct('material'),
+      variants: product.variants.map((variant) => {
+        const available = product.is_active ? variant.available : 0;
+        return {
+          _id: variant._id,
+          sku: variant.sku,
+          size: variant.size,
+          color: variant.color,
+          material: variant.material,
+          price: variant.unit_price,
+          image: variant.image,
+          available,
+          in_stock: available > 0,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Find a variant of a product
+   *
+   * param {Object} product - Product document
+   * param {string} variantId - Variant ID
+   * returns {Object} Variant subdocument
+   * throws {NotFoundError} If the variant does not belong to the product
+   */
+  getVariant(product, variantId) {
+    const variant = variantId ? product.variants.id(variantId) : null;
+    if (!variant) {
+      throw new NotFoundError('ProductVariant', variantId);
+    }
+    return variant;
+  }
+
+  // ============ PRIVATE METHODS ============
+
+  /**
+   * Find a picture of the product gallery
+   */
+  getImage(product, imageId) {
+    const image = product.images.id(imageId);
+    if (!image) {
+      throw new NotFoundError('ProductImage', imageId);
+    }
+    return image;
+  }
+
+  /**
+   * Resolve the variant/color a gallery picture is linked to
+   * Colors must be one of the variant colors when the product has variants.
+   */
+  resolveImageLink(product, { variant = null, color = null }) {
+    if (variant) {
+      const linked = this.getVariant(product, variant);
+      if (color && linked.color && color !== linked.color) {
+        throw new ValidationError(
+          'Product',
+          'Color does not match the linked variant',
+          { field: 'color', value: color, variant_color: linked.color }
+        );
+      }
+      return { variant: linked._id, color: color || linked.color || null };
+    }
+
+    if (color && product.variants.length > 0) {
+      const colors = [
+        ...new Set(product.variants.map((item) => item.color).filter(Boolean)),
+      ];
+      if (!colors.includes(color)) {
+        throw new ValidationError('Product', `Unknown color '${color}'`, {
+          field: 'color',
+          allowed: colors,
+        });
+      }
+    }
+    return { variant: null, color: color || null };
+  }
+
+  /**
+   * Match conditions of the search filters, keyed by facet
+   */
+  buildSearchFilters({ category, minPrice, maxPrice, size, color, inStock }) {
+    const filters = {};
+    if (category) {
+      filters.category = {
+        category: new mongoose.Types.ObjectId(String(category)),
+      };
+    }
+    if (minPrice !== null || maxPrice !== null) {
+      filters.price = {
+        effective_price: {
+          ...(minPrice !== null && { $gte: Number(minPrice) }),
+          ...(maxPrice !== null && { $lte: Number(maxPrice) }),
+        },
+      };
+    }
+    if (size.length > 0) {
+      filters.size = { 'variants.size': { $in: size } };
+    }
+    if (color.length > 0) {
+      filters.color = { 'variants.color': { $in: color } };
+    }
+    if (inStock !== null) {
+      filters.inStock = {
+        available_stock: inStock ? { $gt: 0 } : { $lte: 0 },
+      };
+    }
+    return filters;
+  }
+
+  /**
+   * Aggregation expression of the current price (sale price inside the sale window)
+   */
+  buildEffectivePriceExpression() {
+    return {
+      $cond: [
+        {
+          $and: [
+            { $ne: [{ $ifNull: ['$sale_price', null] }, null] },
+            {
+              $lte: [{ $ifNull: ['$sale_starts_at', new Date(0)] }, '$$NOW'],
+            },
+            {
+              $or: [
+                { $eq: [{ $ifNull: ['$sale_ends_at', null] }, null] },
+                { $gt: ['$sale_ends_at', '$$NOW'] },
+              ],
+            },
+          ],
+        },
+        '$sale_price',
+        '$price',
+      ],
+    };
+  }
+
+  /**
+   * Sort stage of the search (_id keeps the order stable between pages)
+   */
+  buildSearchSort(sort, hasText) {
+    const orders = {
+      [SEARCH_SORT.RELEVANCE]: { score: -1 },
+      [SEARCH_SORT.NEWEST]: { createdAt: -1 },
+      [SEARCH_SORT.PRICE_ASC]: { effective_price: 1 },
+      [SEARCH_SORT.PRICE_DESC]: { effective_price: -1 },
+    };
+    const selected =
+      sort || (hasText ? SEARCH_SORT.RELEVANCE : SEARCH_SORT.NEWEST);
+    // Without text every score is 0, so relevance falls back to newest
+    const order =
+      selected === SEARCH_SORT.RELEVANCE && !hasText
+        ? orders[SEARCH_SORT.NEWEST]
+        : orders[selected];
+    return { ...order, _id: 1 };
+  }
+
+  /**
+   * Facet of a variant option: number of products offering each value
+   */
+  buildVariantFacet(match, option) {
+    const field = `variants.${option}`;
+    return [
+      match,
+      { $unwind: '$variants' },
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $group: { _id: { value: `$${field}`, product: '$_id' } } },
+      { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+      { $project: { _id: 0, value: '$_id', count: 1 } },
+      { $sort: { value: 1 } },
+    ];
+  }
+
+  /**
+   * Price buckets as { min, max, count } ranges (max is null for the last one)
+   */
+  formatPriceBuckets(buckets) {
+    const bounds = SEARCH.PRICE_BUCKETS;
+    return buckets
+      .filter((bucket) => bucket._id !== 'other')
+      .map((bucket) => {
+        const index = bounds.indexOf(bucket._id);
+        return {
+          min: bucket._id,
+          max: index < bounds.length - 1 ? bounds[index + 1] : null,
+          count: bucket.count,
+        };
+      });
+  }
+
+  /**
+   * Price fields of a product
+   */
+  getPricing(product) {
+    return Object.fromEntries(
+      PRICE_FIELDS.map((field) => [field, product[field] ?? null])
+    );
+  }
+
+  /**
+   * Validate the sale price and window against the regular price
+   */
+  validatePricing(pricing) {
+    const { price, sale_price, sale_starts_at, sale_ends_at } = pricing;
+
+    if (
+      sale_price !== null &&
+      sale_price !== undefined &&
+      Number(sale_price) >= Number(price)
+    ) {
+      throw new ValidationError(
+        'Product',
+        'Sale price must be lower than the regular price',
+        { field: 'sale_price', value: sale_price }
+      );
+    }
+    if (
+      sale_starts_at &&
+      sale_ends_at &&
+      new Date(sale_ends_at) <= new Date(sale_starts_at)
+    ) {
+      throw new ValidationError(
+        'Product',
+        'Sale end date must be after the start date',
+        { field: 'sale_ends_at', value: sale_ends_at }
+      );
+    }
+  }
+
+  /**
+   * Store the changed price fields (nothing is written if no price changed)
+   */
+  async recordPriceChange(product, before, after, actor = null) {
+    const changes = PRICE_FIELDS.filter(
+      (field) => !this.isSamePriceValue(before[field], after[field])
+    ).map((field) => ({ field, from: before[field], to: after[field] }));
+
+    if (changes.length === 0) return null;
+    return await PriceHistory.create({
+      product: product._id,
+      changes,
+      changed_by: actor,
+    });
+  }
+
+  /**
+   * Compare price or date values
+   */
+  isSamePriceValue(a, b) {
+    if (a === null || b === null) return a === b;
+    return (
+      (a instanceof Date ? a.getTime() : a) ===
+      (b instanceof Date ? b.getTime() : b)
+    );
+  }
+
+  /**
+   * New slug for a renamed product (the old one is kept for redirects)
+   * Products created before slugs existed get one on their next update.
+   */
+  async getSlugChange(product, name) {
+    if (product.slug && (name === undefined || name === product.name)) {
+      return {};
+    }
+    const change = await buildSlugChange(
+      Product,
+      product,
+      name ?? product.name
+    );
+    return change ?? {};
+  }
+
+  /**
+   * Remove fields that have their own operations from generic product updates
+   * The stock of a product with variants is the sum of the variant stocks.
+   */
+  stripManagedFields(product, data) {
+    delete data.variants;
+    delete data.reserved;
+    delete data.slug;
+    delete data.slug_history;
+    delete data.rating_average;
+    delete data.rating_count;
+    delete data.images;
+    if (product.variants.length > 0 && data.stock !== undefined) {
+      throw new ValidationError(
+        'Product',
+        'Stock of a product with variants is managed per variant',
+        { field: 'stock' }
+      );
+    }
+  }
+
+  /**
+   * Resolve the stock counters affected by a change: the variant or the product
+   */
+  getStockTarget(product, variantId) {
+    if (variantId) {
+      return this.getVariant(product, variantId);
+    }
+    if (product.variants.length > 0) {
+      throw new ValidationError(
+        'Product',
+        'A variant is required for products with variants',
+        { field: 'variant', product: product._id }
+      );
+    }
+    return product;
+  }
+
+  /**
+   * Build the atomic filter and update for a stock change
+   * Variant counters are changed together with the product totals.
+   */
+  buildStockOperation(id, variantId, condition, increments) {
+    const filter = { _id: id };
+    const update = { $inc: {} };
+
+    if (variantId) {
+      filter.variants = { $elemMatch: { _id: variantId, ...condition } };
+    } else {
+      Object.assign(filter, condition);
+    }
+
+    for (const [field, amount] of Object.entries(increments)) {
+      update.$inc[field] = amount;
+      if (variantId) {
+        update.$inc[`variants.$.${field}`] = amount;
+      }
+    }
+    return { filter, update };
+  }
+
+  /**
+   * Validate that a SKU is not used by any product or variant
+   * Product and variant SKUs share the same namespace.
+   */
+  async validateSkuUnique(sku, { productId = null, variantId = null } = {}) {
+    const value = String(sku).trim().toUpperCase();
+    const productFilter = { sku: value };
+    if (productId) productFilter._id = { $ne: productId };
+    const variantFilter = { sku: value };
+    if (variantId) variantFilter._id = { $ne: variantId };
+
+    const conflict = await Product.exists({
+      $or: [productFilter, { variants: { $elemMatch: variantFilter } }],
+    });
+    if (conflict) {
+      throw new DuplicateError('Product', 'sku', value);
+    }
+  }
+
+  /**
+   * Validate that a variant has options and does not repeat an existing combination
+   */
+  validateVariantOptions(product, data, variantId = null) {
+    if (!data.size && !data.color && !data.material) {
+      throw new ValidationError(
+        'Product',
+        'A variant needs at least a size, a color or a material',
+        { field: 'variant' }
+      );
+    }
+
+    const key = (variant) =>
+      ['size', 'color', 'material']
+        .map((field) => (variant[field] || '').toLowerCase())
+        .join('|');
+    const duplicate = product.variants.find(
+      (variant) =>
+        key(variant) === key(data) &&
+        (!variantId || !variant._id.equals(variantId))
+    );
+    if (duplicate) {
+      throw new ValidationError(
+        'Product',
+        'A variant with the same size, color and material already exists',
+        { field: 'variant', variant: duplicate._id }
+      );
+    }
+  }
 }
 
 // Export single instance (Singleton)
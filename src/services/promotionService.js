@@ -0,0 +1,396 @@
+// ==========================================
+//
+// Description: Promotion (coupon) service handling business logic
+//
+// File: promotionService.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Charge the current (sale) price
+// ==========================================
+
+import Promotion from '../models/promotionModel.js';
+import Order from '../models/orderModel.js';
+import Product from '../models/productModel.js';
+import OrderDetailService from './orderDetailService.js';
+import {
+  NotFoundError,
+  ValidationError,
+  InvalidOperationError,
+} from '../errors/businessError.js';
+import {
+  validateUniqueness,
+  validateRequiredFields,
+} from '../utils/validationUtils.js';
+import {
+  DISCOUNT_TYPE,
+  PROMOTION_SCOPE,
+  ORDER_STATUS,
+} from '../config/constants.js';
+
+// Counters managed by the server
+const MANAGED_FIELDS = ['uses'];
+
+class PromotionService {
+  /**
+   * Get one promotion by ID
+   * param {string} id - Promotion ID
+   * returns {Promise<Object>} Promotion document
+   * throws {NotFoundError} If promotion not found
+   */
+  async getOne(id) {
+    const promotion = await Promotion.findById(id).exec();
+    if (!promotion) {
+      throw new NotFoundError('Promotion', id);
+    }
+    return promotion;
+  }
+
+  /**
+   * Get all promotions, newest first
+   * param {Object} [filters]
+   * param {boolean} [filters.active] - Only promotions running now
+   * returns {Promise<Array>} List of promotions
+   */
+  async getAll({ active } = {}) {
+    const now = new Date();
+    const query = active
+      ? {
+          is_active: true,
+          starts_at: { $lte: now },
+          $or: [{ ends_at: null }, { ends_at: { $gt: now } }],
+        }
+      : {};
+    return await Promotion.find(query).sort({ createdAt: -1 }).exec();
+  }
+
+  /**
+   * Create a promotion
+   * param {Object} data - Promotion data
+   * returns {Promise<Object>} Created promotion
+   * throws {ValidationError} If required fields are missing or the rules are inconsistent
+   * throws {DuplicateError} If the code already exists
+   */
+  async create(data) {
+    validateRequiredFields(
+      data,
+      ['code', 'name', 'discount_type', 'value'],
+      'Promotion'
+    );
+    await validateUniqueness(
+      Promotion,
+      'code',
+      data.code.toUpperCase(),
+      null,
+      'Promotion'
+    );
+
+    const promotion = new Promotion(this.stripManagedFields(data));
+    this.validateRules(promotion);
+    return await promotion.save();
+  }
+
+  /**
+   * Partially update a promotion
+   * param {string} id - Promotion ID
+   * param {Object} updates - Fields to change
+   * returns {Promise<Object>} Updated promotion
+   * throws {NotFoundError} If promotion not found
+   * throws {DuplicateError} If the code already exists
+   * throws {ValidationError} If the rules are inconsistent
+   */
+  async update(id, updates) {
+    const promotion = await this.getOne(id);
+
+    if (updates.code) {
+      await validateUniqueness(
+        Promotion,
+        'code',
+        updates.code.toUpperCase(),
+        id,
+        'Promotion'
+      );
+    }
+
+    promotion.set(this.stripManagedFields(updates));
+    this.validateRules(promotion);
+    return await promotion.save();
+  }
+
+  /**
+   * Delete a promotion
+   * Orders keep the discount and code they were placed with.
+   *
+   * param {string} id - Promotion ID
+   * returns {Promise<Object>} Deleted promotion
+   * throws {NotFoundError} If promotion not found
+   */
+  async delete(id) {
+    const promotion = await Promotion.findByIdAndDelete(id).exec();
+    if (!promotion) {
+      throw new NotFoundError('Promotion', id);
+    }
+    return promotion;
+  }
+
+  /**
+   * Check a coupon against a cart without redeeming it
+   *
+   * param {string} code - Coupon code
+   * param {Array<{product: string, variant?: string, quantity: number}>} items - Cart lines
+   * param {string} accountId - Account redeeming the code
+   * returns {Promise<{promotion: Object, subtotal: number, eligible: number, discount: number}>}
+   * throws {NotFoundError} If the code or a product does not exist
+   * throws {InvalidOperationError} If the code cannot be redeemed for this cart
+   */
+  async preview(code, items, accountId) {
+    const products = await Product.find({
+      _id: { $in: items.map((item) => item.product) },
+    }).exec();
+    const productsById = new Map(
+      products.map((product) => [product._id.toString(), product])
+    );
+
+    const lines = items.map((item) => {
+      const product = productsById.get(String(item.product));
+      if (!product) {
+        throw new NotFoundError('Product', item.product);
+      }
+      const variant = item.variant ? product.variants.id(item.variant) : null;
+      return {
+        product: product._id,
+        category: product.category,
+        amount:
+          (variant ? variant.unit_price : product.current_price) *
+          item.quantity,
+      };
+    });
+
+    return await this.evaluate(code, lines, accountId);
+  }
+
+  /**
+   * Validate a coupon for priced order lines and compute its discount
+   *
+   * param {string} code - Coupon code
+   * param {Array<{product: ObjectId, category: ObjectId, amount: number}>} lines - Priced lines
+   * param {string} accountId - Account redeeming the code
+   * param {Object} [options]
+   * param {ClientSession} [options.session] - Transaction session
+   * returns {Promise<{promotion: Object, subtotal: number, eligible: number, discount: number}>}
+   * throws {NotFoundError} If the code does not exist
+   * throws {InvalidOperationError} If the code is not running, exhausted or the order does not qualify
+   */
+  async evaluate(code, lines, accountId, { session = null } = {}) {
+    const promotion = await Promotion.findOne({
+      code: String(code).trim().toUpperCase(),
+    }).session(session);
+    if (!promotion) {
+      throw new NotFoundError('Promotion', code);
+    }
+
+    this.validateRunning(promotion);
+    await this.validateAccountUsage(promotion, accountId, session);
+
+    const subtotal = OrderDetailService.roundAmount(
+      lines.reduce((total, line) => total + line.amount, 0)
+    );
+    if (subtotal < promotion.min_order_value) {
+      throw new InvalidOperationError(
+        'Promotion',
+        `Order subtotal must be at least ${promotion.min_order_value}`,
+        { code: promotion.code, subtotal, min: promotion.min_order_value }
+      );
+    }
+
+    const eligible = OrderDetailService.roundAmount(
+      lines
+        .filter((line) => this.isEligible(promotion, line))
+        .reduce((total, line) => total + line.amount, 0)
+    );
+    if (eligible === 0) {
+      throw new InvalidOperationError(
+        'Promotion',
+        'No items in the order qualify for this code',
+        { code: promotion.code }
+      );
+    }
+
+    return {
+      promotion,
+      subtotal,
+      eligible,
+      discount: this.calculateDiscount(promotion, eligible),
+    };
+  }
+
+  /**
+   * Count a redemption (checkout)
+   * The conditional update keeps concurrent checkouts from exceeding max_uses.
+   *
+   * param {Object} promotion - Promotion document
+   * param {ClientSession} session - Transaction session
+   * throws {InvalidOperationError} If the overall limit was reached
+   */
+  async redeem(promotion, session) {
+    const redeemed = await Promotion.findOneAndUpdate(
+      {
+        _id: promotion._id,
+        $or: [{ max_uses: null }, { $expr: { $lt: ['$uses', '$max_uses'] } }],
+      },
+      { $inc: { uses: 1 } },
+      { new: true, session }
+    );
+    if (!redeemed) {
+      throw new InvalidOperationError(
+        'Promotion',
+        'This code has reached its usage limit',
+        { code: promotion.code }
+      );
+    }
+    return redeemed;
+  }
+
+  /**
+   * Give a redemption back (order cancelled or deleted before shipping)
+   *
+   * param {string} id - Promotion ID
+   * param {ClientSession} session - Transaction session
+   */
+  async release(id, session) {
+    await Promotion.updateOne(
+      { _id: id, uses: { $gt: 0 } },
+      { $inc: { uses: -1 } },
+      { session }
+    );
+  }
+
+  /**
+   * Terms copied on the order
+   */
+  buildSnapshot(promotion) {
+    return {
+      promotion: promotion._id,
+      code: promotion.code,
+      discount_type: promotion.discount_type,
+      value: promotion.value,
+    };
+  }
+
+  // ============ PRIVATE METHODS ============
+
+  /**
+   * Discount for an eligible amount (never more than the amount)
+   */
+  calculateDiscount(promotion, eligible) {
+    const discount =
+      promotion.discount_type === DISCOUNT_TYPE.PERCENTAGE
+        ? (eligible * promotion.value) / 100
+        : promotion.value;
+    return OrderDetailService.roundAmount(Math.min(discount, eligible));
+  }
+
+  /**
+   * Whether a line counts towards the discount
+   */
+  isEligible(promotion, line) {
+    if (promotion.scope === PROMOTION_SCOPE.PRODUCT) {
+      return promotion.products.some((id) => id.equals(line.product));
+    }
+    if (promotion.scope === PROMOTION_SCOPE.CATEGORY) {
+      return promotion.categories.some((id) => id.equals(line.category));
+    }
+    return true;
+  }
+
+  /**
+   * Validate that the promotion is enabled, started, not ended and not exhausted
+   */
+  validateRunning(promotion, now = new Date()) {
+    let reason = null;
+    if (!promotion.is_active) reason = 'This code is not active';
+    else if (promotion.starts_at > now) reason = 'This code is not valid yet';
+    else if (promotion.ends_at && promotion.ends_at <= now)
+      reason = 'This code has expired';
+    else if (
+      promotion.max_uses !== null &&
+      promotion.uses >= promotion.max_uses
+    )
+      reason = 'This code has reached its usage limit';
+
+    if (reason) {
+      throw new InvalidOperationError('Promotion', reason, {
+        code: promotion.code,
+      });
+    }
+  }
+
+  /**
+   * Validate the per-account limit (orders that were not cancelled)
+   */
+  async validateAccountUsage(promotion, accountId, session = null) {
+    if (promotion.max_uses_per_account === null) return;
+
+    const used = await Order.countDocuments({
+      account: accountId,
+      'promotion.promotion': promotion._id,
+      status: { $ne: ORDER_STATUS.CANCELLED },
+    }).session(session);
+    if (used >= promotion.max_uses_per_account) {
+      throw new InvalidOperationError(
+        'Promotion',
+        'You have already used this code the maximum number of times',
+        { code: promotion.code, limit: promotion.max_uses_per_account }
+      );
+    }
+  }
+
+  /**
+   * Validate the consistency of the promotion rules
+   */
+  validateRules(promotion) {
+    if (
+      promotion.discount_type === DISCOUNT_TYPE.PERCENTAGE &&
+      promotion.value > 100
+    ) {
+      throw new ValidationError(
+        'Promotion',
+        'Percentage discounts cannot exceed 100',
+        { field: 'value', value: promotion.value }
+      );
+    }
+    if (promotion.ends_at && promotion.ends_at <= promotion.starts_at) {
+      throw new ValidationError(
+        'Promotion',
+        'End date must be after the start date',
+        { field: 'ends_at', value: promotion.ends_at }
+      );
+    }
+    const targets = {
+      [PROMOTION_SCOPE.PRODUCT]: 'products',
+      [PROMOTION_SCOPE.CATEGORY]: 'categories',
+    };
+    const field = targets[promotion.scope];
+    if (field && promotion[field].length === 0) {
+      throw new ValidationError(
+        'Promotion',
+        `A ${promotion.scope} promotion needs at least one entry in ${field}`,
+        { field }
+      );
+    }
+  }
+
+  /**
+   * Remove counters managed by the server from client data
+   */
+  stripManagedFields(data) {
+    const clean = { ...data };
+    for (const field of MANAGED_FIELDS) {
+      delete clean[field];
+    }
+    return clean;
+  }
+}
+
+// Export single instance (Singleton)
+export default new PromotionService();
@@ -0,0 +1,392 @@
+// ==========================================
+//
+// Description: Return (RMA) service handling business logic
+//
+// File: returnService.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Refunds carry an idempotency key from the return, returnable quantities checked in the transaction
+// ==========================================
+
+import Return from '../models/returnModel.js';
+import Order from '../models/orderModel.js';
+import OrderDetail from '../models/orderDetailModel.js';
+import Payment from '../models/paymentModel.js';
+import OrderService from './orderService.js';
+import OrderDetailService from './orderDetailService.js';
+import productService from './productService.js';
+import paymentService from './paymentService.js';
+import {
+  NotFoundError,
+  ValidationError,
+  InvalidOperationError,
+} from '../errors/businessError.js';
+import { validateAllowedValues } from '../utils/validationUtils.js';
+import { runInTransaction } from '../utils/transaction.js';
+import {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  RETURN_STATUS,
+  RETURN_STATUS_TRANSITIONS,
+} from '../config/constants.js';
+
+class ReturnService {
+  /**
+   * Get one return by ID with optional ownership validation
+   *
+   * param {string} id - Return ID
+   * param {string} [accountId] - Only return it if owned by this account
+   * returns {Promise<Object>} Return document
+   * throws {NotFoundError} If return not found or not owned
+   */
+  async getOne(id, accountId = null) {
+    const rma = await Return.findById(id)
+      .populate('order', 'order_number status total_amount')
+      .populate('items.product', 'sku name image')
+      .exec();
+    if (!rma || (accountId && rma.account.toString() !== accountId)) {
+      throw new NotFoundError('Return', id);
+    }
+    return rma;
+  }
+
+  /**
+   * Get all returns (admin review queue)
+   *
+   * param {Object} [filters]
+   * param {string} [filters.status] - Only returns in this status
+   * param {number} [filters.page] - Page number
+   * param {number} [filters.limit] - Page size
+   * returns {Promise<Array>} Returns, oldest first
+   */
+  async getAll({ status, page, limit } = {}) {
+    const filter = status ? { status } : {};
+    const query = Return.find(filter)
+      .populate('order', 'order_number status')
+      .populate('account', 'username email')
+      .sort({ createdAt: 1 });
+
+    if (page && limit) {
+      query.skip((page - 1) * limit).limit(limit);
+    }
+
+    return await query.exec();
+  }
+
+  /**
+   * Get the returns of an order
+   *
+   * param {string} orderId - Order ID
+   * param {string} [accountId] - Only if the order is owned by this account
+   * returns {Promise<Array>} Returns, newest first
+   * throws {NotFoundError} If order not found or not owned
+   */
+  async getByOrder(orderId, accountId = null) {
+    await OrderService.getOne(orderId, accountId);
+    return await Return.find({ order: orderId }).sort({ createdAt: -1 }).exec();
+  }
+
+  /**
+   * Open a return for lines of a delivered order
+   *
+   * param {string} orderId - Order ID
+   * param {Array<{order_detail: string, quantity: number, reason: string, note?: string}>} items - Lines to return
+   * param {Object} [options]
+   * param {string} [options.accountId] - Customer account (ownership is validated)
+   * param {string} [options.actor] - Account opening the return
+   * returns {Promise<Object>} Created return
+   * throws {NotFoundError} If the order or a line does not exist
+   * throws {InvalidOperationError} If the order was not delivered or a quantity exceeds what can be returned
+   */
+  async create(orderId, items, { accountId = null, actor = null } = {}) {
+    const order = await OrderService.getOne(orderId, accountId);
+    if (order.status !== ORDER_STATUS.DELIVERED) {
+      throw new InvalidOperationError(
+        'Return',
+        'Only delivered orders can be returned',
+        { order: orderId, status: order.status }
+      );
+    }
+    this.validateItems(items);
+
+    return await runInTransaction(async (session) => {
+      // Writing the order makes concurrent returns of it conflict, so the
+      // returned quantities read below cannot be used twice
+      await Order.updateOne(
+        { _id: order._id },
+        { $currentDate: { updatedAt: true } },
+        { session, timestamps: false }
+      );
+
+      const details = await OrderDetail.find({
+        order: order._id,
+        _id: { $in: items.map((item) => item.order_detail) },
+      }).session(session);
+      const detailsById = new Map(
+        details.map((detail) => [detail._id.toString(), detail])
+      );
+      const returned = await this.getReturnedQuantities(order._id, session);
+
+      const lines = items.map((item) => {
+        const detail = detailsById.get(String(item.order_detail));
+        if (!detail) {
+          throw new NotFoundError('OrderDetail', item.order_detail);
+        }
+        const returnable =
+          detail.quantity - (returned.get(detail._id.toString()) || 0);
+        if (item.quantity > returnable) {
+          throw new InvalidOperationError(
+            'Return',
+            'Quantity exceeds what can still be returned',
+            {
+              order_detail: item.order_detail,
+              requested: item.quantity,
+              returnable,
+            }
+          );
+        }
+
+        return {
+          order_detail: detail._id,
+          product: detail.product,
+          variant: detail.variant,
+          quantity: item.quantity,
+          reason: item.reason,
+          note: item.note || null,
+        };
+      });
+
+      const [rma] = await Return.create(
+        [
+          {
+            return_number: this.generateReturnNumber(),
+            order: order._id,
+            account: order.account._id,
+            items: lines,
+            status_history: [
+              this.buildHistoryEntry(null, RETURN_STATUS.REQUESTED, actor),
+            ],
+          },
+        ],
+        { session }
+      );
+      return rma;
+    });
+  }
+
+  /**
+   * Move a return along its workflow
+   * Receiving restocks the goods and computes the refund amount; refunding records
+   * the refund against the order payment.
+   *
+   * param {string} id - Return ID
+   * param {string} status - New status
+   * param {Object} [options]
+   * param {string} [options.actor] - Account making the change
+   * param {string} [options.note] - Note recorded in the history
+   * returns {Promise<Object>} Updated return
+   * throws {NotFoundError} If return not found
+   * throws {InvalidOperationError} If the transition is not allowed
+   */
+  async updateStatus(id, status, { actor = null, note = null } = {}) {
+    validateAllowedValues(
+      status,
+      Object.values(RETURN_STATUS),
+      'status',
+      'Return'
+    );
+
+    return await runInTransaction(async (session) => {
+      const current = await Return.findById(id).session(session);
+      if (!current) {
+        throw new NotFoundError('Return', id);
+      }
+      this.validateTransition(current.status, status);
+
+      // Claim the transition first so restock and refund can only run once
+      const rma = await Return.findOneAndUpdate(
+        { _id: id, status: current.status },
+        {
+          $set: { status },
+          $push: {
+            status_history: this.buildHistoryEntry(
+              current.status,
+              status,
+              actor,
+              note
+            ),
+          },
+        },
+        { new: true, session }
+      );
+      if (!rma) {
+        throw new InvalidOperationError(
+          'Return',
+          'Return status was changed by another request, please retry',
+          { status }
+        );
+      }
+
+      if (status === RETURN_STATUS.RECEIVED) {
+        await this.restock(rma, session);
+        rma.restocked_at = new Date();
+        rma.refund_amount = await this.calculateRefundAmount(rma, session);
+      }
+      if (status === RETURN_STATUS.REFUNDED) {
+        rma.payment = await this.refund(rma, session);
+        rma.refunded_at = new Date();
+      }
+
+      return await rma.save({ session });
+    });
+  }
+
+  // ============ PRIVATE METHODS ============
+
+  /**
+   * Put the returned quantities back in stock
+   */
+  async restock(rma, session) {
+    for (const item of rma.items) {
+      await productService.restoreStock(item.product, item.quantity, {
+        session,
+        variant: item.variant,
+      });
+    }
+  }
+
+  /**
+   * Amount to give back for the returned lines
+   * Lines keep their share of the order discount and tax; shipping is not refunded.
+   */
+  async calculateRefundAmount(rma, session) {
+    const order = await Order.findById(rma.order).session(session);
+    if (!order || !order.subtotal) return 0;
+
+    const details = await OrderDetail.find({
+      _id: { $in: rma.items.map((item) => item.order_detail) },
+    }).session(session);
+    const pricesById = new Map(
+      details.map((detail) => [detail._id.toString(), detail.historical_price])
+    );
+    const value = rma.items.reduce(
+      (total, item) =>
+        total +
+        item.quantity * (pricesById.get(item.order_detail.toString()) || 0),
+      0
+    );
+
+    const ratio =
+      (order.subtotal - order.discount + order.tax) / order.subtotal;
+    return OrderDetailService.roundAmount(value * ratio);
+  }
+
+  /**
+   * Refund the return amount on the order payment
+   * Orders paid outside the system have no payment; the refund is then only recorded.
+   * The provider call runs inside the transaction, so it carries a key derived from
+   * the return: a retried transaction or request gets the first refund back.
+   */
+  async refund(rma, session) {
+    const payment = await Payment.findOne({
+      order: rma.order,
+      status: {
+        $in: [PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.PARTIALLY_REFUNDED],
+      },
+    }).session(session);
+    if (!payment || !rma.refund_amount) {
+      return null;
+    }
+
+    const refundable = OrderDetailService.roundAmount(
+      payment.amount - payment.refunded_amount
+    );
+    if (refundable <= 0) {
+      return null;
+    }
+    await paymentService.refund(
+      payment._id,
+      Math.min(rma.refund_amount, refundable),
+      {
+        reason: `Return ${rma.return_number}`,
+        idempotencyKey: `return_${rma._id}`,
+        session,
+      }
+    );
+    return payment._id;
+  }
+
+  /**
+   * Quantities already returned per order line (rejected returns do not count)
+   */
+  async getReturnedQuantities(orderId, session = null) {
+    const returns = await Return.find({
+      order: orderId,
+      status: { $ne: RETURN_STATUS.REJECTED },
+    }).session(session);
+
+    const quantities = new Map();
+    for (const rma of returns) {
+      for (const item of rma.items) {
+        const key = item.order_detail.toString();
+        quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+      }
+    }
+    return quantities;
+  }
+
+  /**
+   * Validate the requested lines
+   */
+  validateItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('Return', 'Items must be a non-empty array');
+    }
+    const seen = new Set();
+    for (const item of items) {
+      const key = String(item.order_detail);
+      if (seen.has(key)) {
+        throw new ValidationError(
+          'Return',
+          'Each order line can only appear once',
+          { field: 'items', value: key }
+        );
+      }
+      seen.add(key);
+    }
+  }
+
+  /**
+   * Validate that a return can move from one status to another
+   */
+  validateTransition(from, to) {
+    const allowed = RETURN_STATUS_TRANSITIONS[from] || [];
+    if (!allowed.includes(to)) {
+      throw new InvalidOperationError(
+        'Return',
+        `Cannot change status from '${from}' to '${to}'`,
+        { from, to, allowed }
+      );
+    }
+  }
+
+  /**
+   * Build a status history entry
+   */
+  buildHistoryEntry(from, to, actor = null, note = null) {
+    return { from, to, changed_by: actor, changed_at: new Date(), note };
+  }
+
+  /**
+   * Generate unique return number
+   */
+  generateReturnNumber() {
+    const timestamp = Date.now().toString().slice(-6);
+    const random = Math.random().toString(36).substring(2, 5).toUpperCase();
+    return `RMA-${timestamp}-${random}`;
+  }
+}
+
+// Export single instance (Singleton)
+export default new ReturnService();
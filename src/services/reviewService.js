@@ -0,0 +1,417 @@
+// ==========================================
+//
+// Description: Review service handling business logic
+//
+// File: reviewService.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Reviews only count lines that existed when the order was delivered
+// ==========================================
+
+import mongoose from 'mongoose';
+import Review from '../models/reviewModel.js';
+import Product from '../models/productModel.js';
+import Order from '../models/orderModel.js';
+import OrderDetail from '../models/orderDetailModel.js';
+import {
+  NotFoundError,
+  DuplicateError,
+  InvalidOperationError,
+} from '../errors/businessError.js';
+import {
+  validateRequiredFields,
+  validateAllowedValues,
+} from '../utils/validationUtils.js';
+import { saveImageAndGetUrl, deleteImageFiles } from '../utils/imageUtils.js';
+import { runInTransaction } from '../utils/transaction.js';
+import { buildListQuery } from '../utils/queryBuilder.js';
+import { paginate } from '../utils/pagination.js';
+import { ORDER_STATUS, REVIEW_STATUS } from '../config/constants.js';
+
+// Fields clients may filter and sort review listings by
+const REVIEW_LIST_QUERY = {
+  entity: 'Review',
+  filterable: {
+    status: { type: 'string', operators: ['eq', 'in'] },
+    product: { type: 'objectId', operators: ['eq', 'in'] },
+    account: { type: 'objectId', operators: ['eq', 'in'] },
+    rating: { type: 'number', operators: ['eq', 'in', 'gte', 'lte'] },
+    createdAt: { type: 'date', operators: ['gte', 'lte'] },
+  },
+  sortable: ['createdAt', 'updatedAt', 'rating'],
+  defaultSort: '-createdAt',
+};
+
+// Review fields the author can change
+const EDITABLE_FIELDS = ['rating', 'title', 'body'];
+
+class ReviewService {
+  /**
+   * Get one review by ID with optional ownership validation
+   *
+   * param {string} id - Review ID
+   * param {string} [accountId] - Only return it if written by this account
+   * returns {Promise<Object>} Review document
+   * throws {NotFoundError} If review not found or not owned
+   */
+  async getOne(id, accountId = null) {
+    const review = await Review.findById(id)
+      .populate('product', 'sku name slug image')
+      .populate('account', 'username')
+      .exec();
+    if (!review || (accountId && String(review.account?._id) !== accountId)) {
+      throw new NotFoundError('Review', id);
+    }
+    return review;
+  }
+
+  /**
+   * Get all reviews (admin moderation queue)
+   *
+   * param {Object} [params] - filter, sort and pagination query parameters
+   * returns {Promise<Object>} { items, pagination }
+   * throws {ValidationError} If a filter, sort or cursor is not allowed
+   */
+  async getAll(params = {}) {
+    const { filter, sort } = buildListQuery(params, REVIEW_LIST_QUERY);
+
+    return await paginate(Review, filter, params, {
+      sort,
+      populate: [
+        { path: 'product', select: 'sku name slug' },
+        { path: 'account', select: 'username email' },
+      ],
+    });
+  }
+
+  /**
+   * Get the published reviews of a product
+   *
+   * param {string} productId - Product ID
+   * param {Object} [params] - filter, sort and pagination query parameters
+   * returns {Promise<Object>} { items, pagination }
+   * throws {NotFoundError} If the product does not exist or is inactive
+   */
+  async getByProduct(productId, params = {}) {
+    await this.getActiveProduct(productId);
+    const { filter, sort } = buildListQuery(params, REVIEW_LIST_QUERY);
+
+    // Only approved reviews of this product are public, whatever the filter says
+    const query = {
+      ...filter,
+      product: new mongoose.Types.ObjectId(productId),
+      status: REVIEW_STATUS.APPROVED,
+    };
+
+    return await paginate(Review, query, params, {
+      sort,
+      populate: { path: 'account', select: 'username' },
+    });
+  }
+
+  /**
+   * Write a review for a product the account received
+   * The review waits for moderation before it is published.
+   *
+   * param {string} productId - Product ID
+   * param {string} accountId - Author account
+   * param {Object} data - rating, title, body and photos (image buffers)
+   * returns {Promise<Object>} Created review
+   * throws {NotFoundError} If the product does not exist or is inactive
+   * throws {InvalidOperationError} If the account has no delivered order with the product
+   * throws {DuplicateError} If the account already reviewed the product
+   */
+  async create(productId, accountId, data) {
+    validateRequiredFields(data, ['rating', 'title', 'body'], 'Review');
+    const product = await this.getActiveProduct(productId);
+
+    const purchase = await this.findDeliveredPurchase(product._id, accountId);
+    if (!purchase) {
+      throw new InvalidOperationError(
+        'Review',
+        'Only customers who received this product can review it',
+        { product: productId }
+      );
+    }
+
+    if (await Review.exists({ product: product._id, account: accountId })) {
+      throw new DuplicateError('Review', 'product', productId);
+    }
+
+    const photos = await this.savePhotos(data.photos, accountId);
+    try {
+      return await Review.create({
+        product: product._id,
+        account: accountId,
+        order_detail: purchase._id,
+        rating: data.rating,
+        title: data.title,
+        body: data.body,
+        photos,
+      });
+    } catch (error) {
+      await this.deletePhotos(photos);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a review (author only)
+   * The review goes back to moderation, so a published one stops counting in the
+   * product rating until it is approved again. New photos replace the old ones.
+   *
+   * param {string} id - Review ID
+   * param {string} accountId - Author account
+   * param {Object} data - rating, title, body and photos (image buffers)
+   * returns {Promise<Object>} Updated review
+   * throws {NotFoundError} If review not found or not owned
+   */
+  async update(id, accountId, data) {
+    const photos = data.photos?.length
+      ? await this.savePhotos(data.photos, accountId)
+      : null;
+
+    let result;
+    try {
+      result = await runInTransaction(async (session) => {
+        const review = await Review.findOne({
+          _id: id,
+          account: accountId,
+        }).session(session);
+        if (!review) {
+          throw new NotFoundError('Review', id);
+        }
+        const wasApproved = review.status === REVIEW_STATUS.APPROVED;
+        const replaced = photos
+          ? review.photos.map((photo) => photo.toObject())
+          : [];
+
+        for (const field of EDITABLE_FIELDS) {
+          if (data[field] !== undefined) review[field] = data[field];
+        }
+        if (photos) review.photos = photos;
+        Object.assign(review, this.buildModeration(REVIEW_STATUS.PENDING));
+        await review.save({ session });
+
+        if (wasApproved) {
+          await this.syncProductRating(review.product, session);
+        }
+        return { review, replaced };
+      });
+    } catch (error) {
+      await this.deletePhotos(photos || []);
+      throw error;
+    }
+
+    // Old files are only removed once the new ones are stored
+    await this.deletePhotos(result.replaced);
+    return result.review;
+  }
+
+  /**
+   * Delete a review (author or admin)
+   *
+   * param {string} id - Review ID
+   * param {string} [accountId] - Only delete it if written by this account
+   * returns {Promise<Object>} Deleted review
+   * throws {NotFoundError} If review not found or not owned
+   */
+  async delete(id, accountId = null) {
+    const review = await runInTransaction(async (session) => {
+      const review = await Review.findOneAndDelete(
+        { _id: id, ...(accountId && { account: accountId }) },
+        { session }
+      );
+      if (!review) {
+        throw new NotFoundError('Review', id);
+      }
+      if (review.status === REVIEW_STATUS.APPROVED) {
+        await this.syncProductRating(review.product, session);
+      }
+      return review;
+    });
+
+    await this.deletePhotos(review.photos);
+    return review;
+  }
+
+  /**
+   * Approve or reject a review (admin)
+   * The product rating is recalculated whenever a published review appears or disappears.
+   *
+   * param {string} id - Review ID
+   * param {string} status - approved or rejected
+   * param {Object} [options]
+   * param {string} [options.actor] - Admin making the change
+   * param {string} [options.note] - Note for the author
+   * returns {Promise<Object>} Updated review
+   * throws {NotFoundError} If review not found
+   * throws {InvalidOperationError} If the review already has that status
+   */
+  async moderate(id, status, { actor = null, note = null } = {}) {
+    validateAllowedValues(
+      status,
+      [REVIEW_STATUS.APPROVED, REVIEW_STATUS.REJECTED],
+      'status',
+      'Review'
+    );
+
+    return await runInTransaction(async (session) => {
+      // Only match a review that is not in the target status yet
+      const previous = await Review.findOneAndUpdate(
+        { _id: id, status: { $ne: status } },
+        { $set: this.buildModeration(status, actor, note) },
+        { session }
+      );
+      if (!previous) {
+        await this.validateExists(id, session);
+        throw new InvalidOperationError(
+          'Review',
+          `Review is already ${status}`,
+          {
+            status,
+          }
+        );
+      }
+
+      if (
+        previous.status === REVIEW_STATUS.APPROVED ||
+        status === REVIEW_STATUS.APPROVED
+      ) {
+        await this.syncProductRating(previous.product, session);
+      }
+
+      return await Review.findById(id).session(session);
+    });
+  }
+
+  // ============ PRIVATE METHODS ============
+
+  /**
+   * Recalculate the denormalized rating of a product from its approved reviews
+   */
+  async syncProductRating(productId, session = null) {
+    const [stats] = await Review.aggregate([
+      {
+        $match: {
+          product: new mongoose.Types.ObjectId(String(productId)),
+          status: REVIEW_STATUS.APPROVED,
+        },
+      },
+      {
+        $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } },
+      },
+    ]).session(session);
+
+    await Product.updateOne(
+      { _id: productId },
+      {
+        $set: {
+          rating_average: stats ? Math.round(stats.average * 10) / 10 : 0,
+          rating_count: stats ? stats.count : 0,
+        },
+      },
+      { session }
+    );
+  }
+
+  /**
+   * Latest delivered order line of the product bought by the account
+   * Only lines that existed when their order was delivered count.
+   */
+  async findDeliveredPurchase(productId, accountId) {
+    const orders = await Order.find({
+      account: accountId,
+      status: ORDER_STATUS.DELIVERED,
+    })
+      .select('_id status_history')
+      .lean()
+      .exec();
+
+    const deliveries = orders
+      .map((order) => ({
+        order: order._id,
+        deliveredAt: order.status_history?.findLast(
+          (entry) => entry.to === ORDER_STATUS.DELIVERED
+        )?.changed_at,
+      }))
+      .filter(({ deliveredAt }) => deliveredAt);
+    if (deliveries.length === 0) return null;
+
+    return await OrderDetail.findOne({
+      product: productId,
+      $or: deliveries.map(({ order, deliveredAt }) => ({
+        order,
+        createdAt: { $lte: deliveredAt },
+      })),
+    })
+      .sort({ createdAt: -1 })
+      .exec();
+  }
+
+  /**
+   * Get a product that can be reviewed (exists and is active)
+   */
+  async getActiveProduct(productId) {
+    const product = await Product.findOne({ _id: productId, is_active: true })
+      .select('_id')
+      .exec();
+    if (!product) {
+      throw new NotFoundError('Product', productId);
+    }
+    return product;
+  }
+
+  /**
+   * Validate that a review exists
+   */
+  async validateExists(id, session = null) {
+    if (!(await Review.exists({ _id: id }).session(session))) {
+      throw new NotFoundError('Review', id);
+    }
+  }
+
+  /**
+   * Moderation fields for a status change
+   */
+  buildModeration(status, actor = null, note = null) {
+    const moderated = status !== REVIEW_STATUS.PENDING;
+    return {
+      status,
+      moderated_by: moderated ? actor : null,
+      moderated_at: moderated ? new Date() : null,
+      moderation_note: note,
+    };
+  }
+
+  /**
+   * Save uploaded photos with the product image renditions
+   */
+  async savePhotos(buffers = [], accountId) {
+    const photos = [];
+    for (const [index, buffer] of (buffers || []).entries()) {
+      // The index keeps photos saved in the same millisecond apart
+      photos.push(
+        await saveImageAndGetUrl(
+          buffer,
+          'reviews',
+          `review-${accountId}-${index}`
+        )
+      );
+    }
+    return photos;
+  }
+
+  /**
+   * Remove photo files from disk
+   */
+  async deletePhotos(photos = []) {
+    for (const photo of photos) {
+      await deleteImageFiles(photo, 'reviews');
+    }
+  }
+}
+
+// Export single instance (Singleton)
+export default new ReviewService();
@@ -0,0 +1,172 @@
+// ==========================================
+//
+// Description: Shipping method service handling business logic
+//
+// File: shippingMethodService.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import ShippingMethod from '../models/shippingMethodModel.js';
+import {
+  NotFoundError,
+  ValidationError,
+  ShippingError,
+} from '../errors/businessError.js';
+import {
+  validateUniqueness,
+  validateRequiredFields,
+} from '../utils/validationUtils.js';
+import { SHIPPING_RATE_TYPE } from '../config/constants.js';
+
+class ShippingMethodService {
+  /**
+   * Get one shipping method by ID
+   * param {string} id - Shipping method ID
+   * returns {Promise<Object>} Shipping method document
+   * throws {NotFoundError} If shipping method not found
+   */
+  async getOne(id) {
+    const method = await ShippingMethod.findById(id).exec();
+    if (!method) {
+      throw new NotFoundError('ShippingMethod', id);
+    }
+    return method;
+  }
+
+  /**
+   * Get shipping methods, cheapest first
+   * param {Object} [options]
+   * param {boolean} [options.includeInactive=false] - Also return disabled methods
+   * returns {Promise<Array>} List of shipping methods
+   */
+  async getAll({ includeInactive = false } = {}) {
+    const query = includeInactive ? {} : { is_active: true };
+    return await ShippingMethod.find(query)
+      .sort({ base_rate: 1, name: 1 })
+      .exec();
+  }
+
+  /**
+   * Create a shipping method
+   * param {Object} data - Shipping method data
+   * returns {Promise<Object>} Created shipping method
+   * throws {ValidationError} If required fields are missing or the ETA range is invalid
+   * throws {DuplicateError} If the name already exists
+   */
+  async create(data) {
+    validateRequiredFields(
+      data,
+      ['name', 'eta_min_days', 'eta_max_days'],
+      'ShippingMethod'
+    );
+    await validateUniqueness(
+      ShippingMethod,
+      'name',
+      data.name,
+      null,
+      'ShippingMethod'
+    );
+    this.validateEta(data);
+
+    const method = new ShippingMethod(data);
+    return await method.save();
+  }
+
+  /**
+   * Partially update a shipping method
+   * param {string} id - Shipping method ID
+   * param {Object} updates - Fields to change
+   * returns {Promise<Object>} Updated shipping method
+   * throws {NotFoundError} If shipping method not found
+   * throws {DuplicateError} If the name already exists
+   * throws {ValidationError} If the ETA range is invalid
+   */
+  async update(id, updates) {
+    const method = await this.getOne(id);
+
+    if (updates.name) {
+      await validateUniqueness(
+        ShippingMethod,
+        'name',
+        updates.name,
+        id,
+        'ShippingMethod'
+      );
+    }
+
+    method.set(updates);
+    this.validateEta(method);
+    return await method.save();
+  }
+
+  /**
+   * Delete a shipping method
+   * Orders keep their stored shipping cost; disable the method to hide it instead.
+   *
+   * param {string} id - Shipping method ID
+   * returns {Promise<Object>} Deleted shipping method
+   * throws {NotFoundError} If shipping method not found
+   */
+  async delete(id) {
+    const method = await ShippingMethod.findByIdAndDelete(id).exec();
+    if (!method) {
+      throw new NotFoundError('ShippingMethod', id);
+    }
+    return method;
+  }
+
+  /**
+   * Get an active shipping method for checkout
+   * param {string} id - Shipping method ID
+   * returns {Promise<Object>} Shipping method document
+   * throws {ShippingError} If the method does not exist or is disabled
+   */
+  async getAvailable(id) {
+    const method = await ShippingMethod.findById(id).exec();
+    if (!method || !method.is_active) {
+      throw new ShippingError(
+        'Shipping method is not available',
+        'UNSUPPORTED_METHOD'
+      );
+    }
+    return method;
+  }
+
+  /**
+   * Shipping cost of a parcel
+   * param {Object} method - Shipping method
+   * param {number} [weight=0] - Parcel weight in kilograms
+   * returns {number} Cost rounded to cents
+   */
+  calculateRate(method, weight = 0) {
+    const cost =
+      method.rate_type === SHIPPING_RATE_TYPE.WEIGHT
+        ? method.base_rate + method.rate_per_kg * weight
+        : method.base_rate;
+    return Math.round(cost * 100) / 100;
+  }
+
+  // ============ PRIVATE METHODS ============
+
+  /**
+   * Validate that the delivery window is not reversed
+   */
+  validateEta({ eta_min_days, eta_max_days }) {
+    if (
+      eta_min_days !== undefined &&
+      eta_max_days !== undefined &&
+      Number(eta_min_days) > Number(eta_max_days)
+    ) {
+      throw new ValidationError(
+        'ShippingMethod',
+        'Minimum ETA cannot be greater than maximum ETA',
+        { field: 'eta_min_days', value: eta_min_days }
+      );
+    }
+  }
+}
+
+// Export single instance (Singleton)
+export default new ShippingMethodService();
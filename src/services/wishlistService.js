@@ -0,0 +1,206 @@
+// ==========================================
+//
+// Description: Wishlist service handling business logic
+//
+// File: wishlistService.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import Wishlist from '../models/wishlistModel.js';
+import Product from '../models/productModel.js';
+import { NotFoundError } from '../errors/businessError.js';
+import productService from './productService.js';
+import cartService from './cartService.js';
+
+class WishlistService {
+  /**
+   * Get the wishlist of an account with live prices and availability
+   *
+   * param {string} accountId - Account ID
+   * returns {Promise<Object>} Wishlist summary
+   */
+  async getWishlist(accountId) {
+    const wishlist = await this.findWishlist(accountId);
+    return await this.buildSummary(wishlist);
+  }
+
+  /**
+   * Save a product (or one of its variants) for later
+   * Saving a product that is already in the wishlist does nothing.
+   *
+   * param {string} accountId - Account ID
+   * param {string} productId - Product ID
+   * param {string} [variantId] - Variant ID
+   * returns {Promise<Object>} Wishlist summary
+   * throws {NotFoundError} If product or variant not found, or product is inactive
+   */
+  async addItem(accountId, productId, variantId = null) {
+    const product = await Product.findOne({
+      _id: productId,
+      is_active: true,
+    }).exec();
+    if (!product) {
+      throw new NotFoundError('Product', productId);
+    }
+    if (variantId) {
+      productService.getVariant(product, variantId);
+    }
+
+    const wishlist =
+      (await this.findWishlist(accountId)) ??
+      new Wishlist({ account: accountId });
+
+    if (!this.findLine(wishlist, productId, variantId)) {
+      wishlist.items.push({ product: productId, variant: variantId || null });
+      await wishlist.save();
+    }
+
+    return await this.buildSummary(wishlist);
+  }
+
+  /**
+   * Remove a product from the wishlist
+   *
+   * param {string} accountId - Account ID
+   * param {string} productId - Product ID
+   * param {string} [variantId] - Variant ID of the line
+   * returns {Promise<Object>} Wishlist summary
+   * throws {NotFoundError} If the product is not in the wishlist
+   */
+  async removeItem(accountId, productId, variantId = null) {
+    const wishlist = await this.findWishlist(accountId);
+    const item = this.findLine(wishlist, productId, variantId);
+    if (!item) {
+      throw new NotFoundError('WishlistItem', productId);
+    }
+
+    wishlist.items.pull(item);
+    await wishlist.save();
+    return await this.buildSummary(wishlist);
+  }
+
+  /**
+   * Move a saved product to the cart of the account
+   * The line is only removed from the wishlist once the cart accepted it, so an
+   * inactive or out of stock product stays saved. A line saved without a variant
+   * can be moved by choosing one.
+   *
+   * param {string} accountId - Account ID
+   * param {string} productId - Product ID
+   * param {Object} [options]
+   * param {string} [options.variantId] - Variant of the line, or the one chosen for a line without variant
+   * param {number} [options.quantity] - Quantity to add to the cart
+   * returns {Promise<Object>} { cart, wishlist } summaries
+   * throws {NotFoundError} If the product is not in the wishlist
+   * throws {InvalidOperationError} If product is inactive
+   * throws {InsufficientResourceError} If there is not enough stock
+   */
+  async moveToCart(
+    accountId,
+    productId,
+    { variantId = null, quantity = 1 } = {}
+  ) {
+    const wishlist = await this.findWishlist(accountId);
+    const item =
+      this.findLine(wishlist, productId, variantId) ??
+      this.findLine(wishlist, productId, null);
+    if (!item) {
+      throw new NotFoundError('WishlistItem', productId);
+    }
+
+    const cart = await cartService.addItem(
+      { accountId },
+      productId,
+      quantity,
+      variantId ?? item.variant
+    );
+
+    wishlist.items.pull(item);
+    await wishlist.save();
+
+    return { cart, wishlist: await this.buildSummary(wishlist) };
+  }
+
+  // ============ PRIVATE METHODS ============
+
+  /**
+   * Find the wishlist of an account
+   */
+  async findWishlist(accountId) {
+    return await Wishlist.findOne({ account: accountId }).exec();
+  }
+
+  /**
+   * Find the wishlist line of a product variant
+   */
+  findLine(wishlist, productId, variantId = null) {
+    return wishlist?.items.find(
+      (line) =>
+        line.product.equals(productId) &&
+        String(line.variant ?? '') === String(variantId ?? '')
+    );
+  }
+
+  /**
+   * Build the wishlist summary with live prices and availability
+   * Products that can no longer be bought are flagged instead of dropped.
+   */
+  async buildSummary(wishlist) {
+    if (!wishlist) {
+      return { items: [], itemCount: 0, has_issues: false };
+    }
+
+    await wishlist.populate(
+      'items.product',
+      'sku name slug image price compare_at_price sale_price sale_starts_at sale_ends_at stock reserved is_active variants'
+    );
+
+    const items = wishlist.items.map((item) => {
+      const product = item.product;
+      const variant = item.variant ? product?.variants.id(item.variant) : null;
+      const stockItem = item.variant ? variant : product;
+
+      let issue = null;
+      if (!product) {
+        issue = 'not_found';
+      } else if (item.variant && !variant) {
+        issue = 'variant_not_found';
+      } else if (!product.is_active) {
+        issue = 'inactive';
+      } else if (stockItem.available < 1) {
+        issue = 'out_of_stock';
+      }
+
+      return {
+        product,
+        variant: variant
+          ? {
+              _id: variant._id,
+              sku: variant.sku,
+              size: variant.size,
+              color: variant.color,
+              material: variant.material,
+              image: variant.image,
+            }
+          : null,
+        added_at: item.added_at,
+        unit_price: variant
+          ? variant.unit_price
+          : product?.current_price ?? null,
+        was_price: variant ? null : product?.was_price ?? null,
+        available: product?.is_active && stockItem ? stockItem.available : 0,
+        issue,
+      };
+    });
+
+    return {
+      items,
+      itemCount: items.length,
+      has_issues: items.some((item) => item.issue),
+    };
+  }
+}
+
+export default new WishlistService();
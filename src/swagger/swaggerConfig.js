@@ -31,6 +31,30 @@ const personSwagger = JSON.parse(
 const accountSwagger = JSON.parse(
   readFileSync(join(__dirname, 'accountSwagger.json'), 'utf8')
 );
+const cartSwagger = JSON.parse(
+  readFileSync(join(__dirname, 'cartSwagger.json'), 'utf8')
+);
+const paymentSwagger = JSON.parse(
+  readFileSync(join(__dirname, 'paymentSwagger.json'), 'utf8')
+);
+const returnSwagger = JSON.parse(
+  readFileSync(join(__dirname, 'returnSwagger.json'), 'utf8')
+);
+const shippingMethodSwagger = JSON.parse(
+  readFileSync(join(__dirname, 'shippingMethodSwagger.json'), 'utf8')
+);
+const promotionSwagger = JSON.parse(
+  readFileSync(join(__dirname, 'promotionSwagger.json'), 'utf8')
+);
+const reviewSwagger = JSON.parse(
+  readFileSync(join(__dirname, 'reviewSwagger.json'), 'utf8')
+);
+const wishlistSwagger = JSON.parse(
+  readFileSync(join(__dirname, 'wishlistSwagger.json'), 'utf8')
+);
+const imageSwagger = JSON.parse(
+  readFileSync(join(__dirname, 'imageSwagger.json'), 'utf8')
+);
 
 // Merge all swagger JSON files into a single specification
 const swaggerSpec = {
@@ -44,6 +68,14 @@ const swaggerSpec = {
     ...orderDetailSwagger.paths,
     ...personSwagger.paths,
     ...accountSwagger.paths,
+    ...cartSwagger.paths,
+    ...paymentSwagger.paths,
+    ...returnSwagger.paths,
+    ...shippingMethodSwagger.paths,
+    ...promotionSwagger.paths,
+    ...reviewSwagger.paths,
+    ...wishlistSwagger.paths,
+    ...imageSwagger.paths,
   },
   components: {
     ...swagger.components,
@@ -56,6 +88,14 @@ const swaggerSpec = {
       ...orderDetailSwagger.components?.schemas,
       ...personSwagger.components?.schemas,
       ...accountSwagger.components?.schemas,
+      ...cartSwagger.components?.schemas,
+      ...paymentSwagger.components?.schemas,
+      ...returnSwagger.components?.schemas,
+      ...shippingMethodSwagger.components?.schemas,
+      ...promotionSwagger.components?.schemas,
+      ...reviewSwagger.components?.schemas,
+      ...wishlistSwagger.components?.schemas,
+      ...imageSwagger.components?.schemas,
     },
   },
 };
@@ -0,0 +1,259 @@
+// ==========================================
+//
+// Description: Email verification and password reset tokens
+//
+// File: accountTokens.test.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import Account from '../models/accountModel.js';
+import Person from '../models/personModel.js';
+import authService from '../services/authService.js';
+import JWTUtils from '../utils/jwtUtils.js';
+import {
+  registerMailDriver,
+  MemoryMailDriver,
+} from '../providers/mail/index.js';
+import {
+  InvalidTokenError,
+  TokenExpiredError,
+} from '../errors/businessError.js';
+import { ACCOUNT_TOKEN } from '../config/constants.js';
+import { mockQuery } from './helpers/mongooseMocks.js';
+
+const ACCOUNT_ID = '64b000000000000000000031';
+const PERSON_ID = '64b000000000000000000032';
+const EMAIL = 'ana@example.com';
+
+let mailbox;
+
+const buildAccount = (fields = {}) => ({
+  _id: ACCOUNT_ID,
+  is_active: true,
+  email_verified_at: null,
+  person: { _id: PERSON_ID, email: EMAIL, first_name: 'Ana' },
+  save: jest.fn(async () => {}),
+  ...fields,
+});
+
+// Token carried by the link of the last email sent
+const lastToken = () =>
+  new URL(
+    mailbox.messages.at(-1).text.match(/https?:\/\/\S+/)[0]
+  ).searchParams.get('token');
+
+beforeEach(() => {
+  mailbox = new MemoryMailDriver();
+  registerMailDriver('memory', () => mailbox);
+  process.env.MAIL_DRIVER = 'memory';
+});
+
+describe('email verification', () => {
+  const sendVerification = async (account = buildAccount()) => {
+    jest.spyOn(Account, 'findById').mockReturnValue(mockQuery(account));
+    await authService.sendEmailVerification(ACCOUNT_ID);
+    return { account, token: lastToken() };
+  };
+
+  test('emails a link bound to the account, the address and a token id', async () => {
+    const { account, token } = await sendVerification();
+
+    const decoded = JWTUtils.verifyAccountToken(
+      token,
+      ACCOUNT_TOKEN.EMAIL_VERIFICATION
+    );
+    expect(mailbox.messages[0].to).toBe(EMAIL);
+    expect(decoded).toMatchObject({ id: ACCOUNT_ID, email: EMAIL });
+    expect(account.email_verification_jti).toBe(decoded.jti);
+    expect(account.save).toHaveBeenCalled();
+  });
+
+  test('verifies the email once with the last token', async () => {
+    const { account, token } = await sendVerification();
+    jest.spyOn(Account, 'findOne').mockReturnValue(mockQuery(account));
+    const verified = buildAccount({ email_verified_at: new Date() });
+    const claim = jest
+      .spyOn(Account, 'findOneAndUpdate')
+      .mockReturnValue(mockQuery(verified));
+
+    await expect(authService.verifyEmail(token)).resolves.toBe(verified);
+
+    expect(claim.mock.calls[0][0]).toEqual({
+      _id: ACCOUNT_ID,
+      email_verification_jti: account.email_verification_jti,
+    });
+    expect(claim.mock.calls[0][1].email_verification_jti).toBeNull();
+  });
+
+  test('a token used twice verifies only once', async () => {
+    const { account, token } = await sendVerification();
+    jest.spyOn(Account, 'findOne').mockReturnValue(mockQuery(account));
+    // The first use already cleared the token id
+    jest.spyOn(Account, 'findOneAndUpdate').mockReturnValue(mockQuery(null));
+
+    await expect(authService.verifyEmail(token)).rejects.toThrow(
+      InvalidTokenError
+    );
+  });
+
+  test('a token replaced by a newer one is refused', async () => {
+    const { token: previous } = await sendVerification();
+    const { account } = await sendVerification();
+    const lookup = jest
+      .spyOn(Account, 'findOne')
+      .mockImplementation((filter) =>
+        mockQuery(
+          filter.email_verification_jti === account.email_verification_jti
+            ? account
+            : null
+        )
+      );
+
+    await expect(authService.verifyEmail(previous)).rejects.toThrow(
+      InvalidTokenError
+    );
+    expect(lookup).toHaveBeenCalledTimes(1);
+  });
+
+  test('a token for a previous email address is refused', async () => {
+    const { account, token } = await sendVerification();
+    account.person = { ...account.person, email: 'new@example.com' };
+    jest.spyOn(Account, 'findOne').mockReturnValue(mockQuery(account));
+    const claim = jest.spyOn(Account, 'findOneAndUpdate');
+
+    await expect(authService.verifyEmail(token)).rejects.toThrow(
+      InvalidTokenError
+    );
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  test('an expired token is refused', async () => {
+    const token = JWTUtils.generateAccountToken(
+      ACCOUNT_TOKEN.EMAIL_VERIFICATION,
+      { id: ACCOUNT_ID, jti: 'expired', email: EMAIL },
+      -10
+    );
+
+    await expect(authService.verifyEmail(token)).rejects.toThrow(
+      TokenExpiredError
+    );
+  });
+
+  test('a password reset token cannot verify an email', async () => {
+    const token = JWTUtils.generateAccountToken(
+      ACCOUNT_TOKEN.PASSWORD_RESET,
+      { id: ACCOUNT_ID, jti: 'reset', email: EMAIL },
+      '30m'
+    );
+    const lookup = jest.spyOn(Account, 'findOne');
+
+    await expect(authService.verifyEmail(token)).rejects.toThrow(
+      InvalidTokenError
+    );
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  test('a tampered token is refused', async () => {
+    const { token } = await sendVerification();
+    const [header, , signature] = token.split('.');
+    const payload = Buffer.from(
+      JSON.stringify({ id: '64b000000000000000000099', email: EMAIL })
+    ).toString('base64url');
+
+    await expect(
+      authService.verifyEmail(`${header}.${payload}.${signature}`)
+    ).rejects.toThrow(InvalidTokenError);
+  });
+});
+
+describe('password reset', () => {
+  const requestReset = async (account = buildAccount()) => {
+    jest.spyOn(Person, 'findOne').mockResolvedValue(account.person);
+    jest.spyOn(Account, 'findOne').mockResolvedValue(account);
+    await authService.requestPasswordReset(` ${EMAIL.toUpperCase()} `);
+    return { account, token: lastToken() };
+  };
+
+  test('emails a single-use link to active accounts', async () => {
+    const { account, token } = await requestReset();
+
+    const decoded = JWTUtils.verifyAccountToken(
+      token,
+      ACCOUNT_TOKEN.PASSWORD_RESET
+    );
+    expect(Person.findOne).toHaveBeenCalledWith({ email: EMAIL });
+    expect(mailbox.messages[0].to).toBe(EMAIL);
+    expect(account.password_reset_jti).toBe(decoded.jti);
+  });
+
+  test('unknown addresses get no email and no error', async () => {
+    jest.spyOn(Person, 'findOne').mockResolvedValue(null);
+
+    await expect(
+      authService.requestPasswordReset('nobody@example.com')
+    ).resolves.toBeUndefined();
+    expect(mailbox.messages).toHaveLength(0);
+  });
+
+  test('delivery failures are not reported to the caller', async () => {
+    registerMailDriver('memory', () => ({
+      send: async () => {
+        throw new Error('SMTP down');
+      },
+    }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Person, 'findOne').mockResolvedValue(buildAccount().person);
+    jest.spyOn(Account, 'findOne').mockResolvedValue(buildAccount());
+
+    await expect(
+      authService.requestPasswordReset(EMAIL)
+    ).resolves.toBeUndefined();
+  });
+
+  test('sets the password once and closes every session', async () => {
+    const { account, token } = await requestReset();
+    const reset = jest
+      .spyOn(Account, 'findOneAndUpdate')
+      .mockReturnValue(mockQuery(account));
+
+    await authService.resetPassword(token, 'new-secret');
+
+    const [filter, update] = reset.mock.calls[0];
+    expect(filter).toEqual({
+      _id: ACCOUNT_ID,
+      password_reset_jti: account.password_reset_jti,
+      is_active: true,
+    });
+    expect(update.password).not.toBe('new-secret');
+    expect(update).toMatchObject({
+      password_reset_jti: null,
+      refreshToken: null,
+    });
+  });
+
+  test('a used reset token is refused', async () => {
+    const { token } = await requestReset();
+    jest.spyOn(Account, 'findOneAndUpdate').mockReturnValue(mockQuery(null));
+
+    await expect(
+      authService.resetPassword(token, 'new-secret')
+    ).rejects.toThrow(InvalidTokenError);
+  });
+
+  test('an email verification token cannot reset a password', async () => {
+    const token = JWTUtils.generateAccountToken(
+      ACCOUNT_TOKEN.EMAIL_VERIFICATION,
+      { id: ACCOUNT_ID, jti: 'verify', email: EMAIL },
+      '24h'
+    );
+    const reset = jest.spyOn(Account, 'findOneAndUpdate');
+
+    await expect(
+      authService.resetPassword(token, 'new-secret')
+    ).rejects.toThrow(InvalidTokenError);
+    expect(reset).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,81 @@
+// ==========================================
+//
+// Description: Cart summary prices during scheduled sales
+//
+// File: cartPricing.test.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { jest, describe, test, expect } from '@jest/globals';
+import Product from '../models/productModel.js';
+import cartService from '../services/cartService.js';
+
+const ACCOUNT_ID = '64b000000000000000000051';
+const PRODUCT_ID = '64b000000000000000000052';
+const DAY = 24 * 60 * 60 * 1000;
+
+const catalogProduct = (fields = {}) => ({
+  _id: PRODUCT_ID,
+  sku: 'TSHIRT-001',
+  name: 'Basic T-shirt',
+  price: 40,
+  stock: 10,
+  reserved: 0,
+  is_active: true,
+  variants: [],
+  ...fields,
+});
+
+/**
+ * Account cart with one line whose populate only loads the selected fields,
+ * like a populate against the database
+ */
+const mockCart = (product, quantity = 2) => {
+  const cart = {
+    account: ACCOUNT_ID,
+    items: [{ product: PRODUCT_ID, variant: null, quantity }],
+    populate: async (path, select) => {
+      const fields = ['_id', ...select.split(' ')];
+      const selected = Object.fromEntries(
+        Object.entries(product).filter(([field]) => fields.includes(field))
+      );
+      cart.items[0].product = Product.hydrate(selected);
+      return cart;
+    },
+  };
+  jest.spyOn(cartService, 'findCart').mockResolvedValue(cart);
+};
+
+describe('cartService.getCart prices', () => {
+  test('lines use the sale price while the sale is running', async () => {
+    mockCart(
+      catalogProduct({
+        compare_at_price: 45,
+        sale_price: 25,
+        sale_starts_at: new Date(Date.now() - DAY),
+        sale_ends_at: new Date(Date.now() + DAY),
+      })
+    );
+
+    const summary = await cartService.getCart({ accountId: ACCOUNT_ID });
+
+    expect(summary.items[0].unit_price).toBe(25);
+    expect(summary.items[0].line_total).toBe(50);
+    expect(summary.totals.subtotal).toBe(50);
+  });
+
+  test('lines go back to the regular price once the sale ends', async () => {
+    mockCart(
+      catalogProduct({
+        sale_price: 25,
+        sale_ends_at: new Date(Date.now() - DAY),
+      })
+    );
+
+    const summary = await cartService.getCart({ accountId: ACCOUNT_ID });
+
+    expect(summary.items[0].unit_price).toBe(40);
+  });
+});
@@ -0,0 +1,43 @@
+// ==========================================
+//
+// Description: Mongoose test doubles for service tests without a database
+//
+// File: mongooseMocks.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+/**
+ * Chainable query resolving to a value (find(...).select(...).session(...))
+ *
+ * param {any} value - Result of the query
+ * returns {Object} Thenable query double
+ */
+export const mockQuery = (value) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    exec: () => Promise.resolve(value),
+  };
+  for (const method of ['select', 'session', 'populate', 'lean', 'sort']) {
+    query[method] = () => query;
+  }
+  return query;
+};
+
+/**
+ * Run transactions in memory: withTransaction just calls the work once
+ *
+ * returns {Object} Session handed to the transaction callbacks
+ */
+export const mockTransactions = () => {
+  const session = {
+    withTransaction: async (work) => await work(),
+    endSession: jest.fn(async () => {}),
+  };
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+  return session;
+};
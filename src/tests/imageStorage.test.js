@@ -0,0 +1,241 @@
+// ==========================================
+//
+// Description: Images stored by storage key and read through the driver
+//
+// File: imageStorage.test.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import sharp from 'sharp';
+import Category from '../models/categoryModel.js';
+import Product from '../models/productModel.js';
+import Person from '../models/personModel.js';
+import Review from '../models/reviewModel.js';
+import imageService from '../services/imageService.js';
+import {
+  registerStorageDriver,
+  MemoryStorageDriver,
+} from '../providers/storage/index.js';
+import { InvalidOperationError } from '../errors/businessError.js';
+import {
+  saveImageAndGetUrl,
+  deleteImageFiles,
+  resolveImage,
+} from '../utils/imageUtils.js';
+
+const OLD_CDN = 'https://old-cdn.example.com';
+const NEW_CDN = 'https://cdn.example.com';
+
+let storage;
+
+// Serve the same files from another public base URL
+const useStorage = (publicBaseUrl) => {
+  const files = storage?.files;
+  storage = new MemoryStorageDriver({ publicBaseUrl });
+  if (files) storage.files = files;
+  registerStorageDriver('memory', () => storage);
+};
+
+const upload = async () => {
+  const picture = await sharp({
+    create: { width: 400, height: 400, channels: 3, background: '#c33' },
+  })
+    .png()
+    .toBuffer();
+  return await saveImageAndGetUrl(picture, 'categories', 'category');
+};
+
+beforeEach(() => {
+  process.env.STORAGE_DRIVER = 'memory';
+  storage = null;
+  useStorage(OLD_CDN);
+});
+
+describe('image storage keys', () => {
+  test('uploads store keys, not URLs', async () => {
+    const image = await upload();
+
+    expect(image.original).toMatch(/^categories\/category-\d+-original\.png$/);
+    expect(image.desktop).toMatch(/^categories\//);
+    expect(image.renditions.every(({ url }) => storage.isKey(url))).toBe(true);
+    expect(image.sources[0].srcset).toMatch(/^categories\/\S+ \d+w/);
+  });
+
+  test('documents return URLs under the current public base URL', async () => {
+    const category = new Category({ name: 'Shirts', image: await upload() });
+    useStorage(NEW_CDN);
+
+    const { image } = category.toJSON();
+
+    expect(category.image.toObject().desktop).toMatch(/^categories\//);
+    expect(image.desktop).toBe(
+      `${NEW_CDN}/${category.image.toObject().desktop}`
+    );
+    expect(image.renditions[0].url.startsWith(`${NEW_CDN}/categories/`)).toBe(
+      true
+    );
+    expect(image.sources[0].srcset).toMatch(
+      new RegExp(`^${NEW_CDN}/categories/\\S+ \\d+w`)
+    );
+  });
+
+  test('lean reads resolve keys the same way', async () => {
+    const stored = await upload();
+
+    expect(resolveImage(stored).desktop).toBe(`${OLD_CDN}/${stored.desktop}`);
+  });
+
+  test('URLs assigned to a document are stored as keys', async () => {
+    const stored = await upload();
+    const category = new Category({
+      name: 'Shirts',
+      image: { ...stored, desktop: `${OLD_CDN}/${stored.desktop}` },
+    });
+
+    expect(category.image.toObject().desktop).toBe(stored.desktop);
+  });
+
+  test('URLs stored before keys were kept are still read as they are', () => {
+    const category = Category.hydrate({
+      name: 'Shirts',
+      image: { desktop: `${OLD_CDN}/categories/category-1-desktop.webp` },
+    });
+
+    expect(category.toJSON().image.desktop).toBe(
+      `${OLD_CDN}/categories/category-1-desktop.webp`
+    );
+  });
+
+  test('files are deleted after the public base URL changed', async () => {
+    const image = await upload();
+    useStorage(NEW_CDN);
+
+    const { deleted, failed } = await deleteImageFiles(image, 'categories');
+
+    expect(deleted).toContain(image.desktop);
+    expect(failed).toEqual([]);
+    expect(await storage.list('categories/')).toEqual([]);
+  });
+
+  test('files that could not be deleted are returned', async () => {
+    const image = await upload();
+    jest.spyOn(storage, 'delete').mockImplementation(async (key) => {
+      if (key === image.mobile) throw new Error('Storage unavailable');
+      storage.files.delete(key);
+    });
+
+    const { deleted, failed } = await deleteImageFiles(image, 'categories');
+
+    expect(failed).toEqual([
+      { key: image.mobile, message: 'Storage unavailable' },
+    ]);
+    expect(deleted).not.toContain(image.mobile);
+    expect(await storage.list('categories/')).toEqual([
+      expect.objectContaining({ key: image.mobile }),
+    ]);
+  });
+
+  test('storeKeys replaces the URLs of images saved before keys', async () => {
+    const stored = await upload();
+    const category = Category.hydrate({
+      _id: '64b000000000000000000061',
+      name: 'Shirts',
+      image: {
+        ...stored,
+        desktop: `${OLD_CDN}/${stored.desktop}`,
+        renditions: stored.renditions.map((rendition) => ({
+          ...rendition,
+          url: `${OLD_CDN}/${rendition.url}`,
+        })),
+      },
+    });
+    category.save = jest.fn(async () => category);
+    for (const model of [Product, Person, Review]) {
+      jest.spyOn(model, 'find').mockReturnValue({ cursor: () => [] });
+    }
+    jest.spyOn(Category, 'find').mockReturnValue({ cursor: () => [category] });
+
+    const summary = await imageService.storeKeys();
+
+    const image = category.image.toObject();
+    expect(summary).toMatchObject({ documents: 1, converted: 1, failed: 0 });
+    expect(category.save).toHaveBeenCalled();
+    expect(image.desktop).toBe(stored.desktop);
+    expect(image.renditions[0].url).toBe(stored.renditions[0].url);
+  });
+});
+
+describe('orphaned uploads', () => {
+  // Categories referencing images, no other document stores one
+  const useCategories = (categories) => {
+    for (const model of [Product, Person, Review]) {
+      jest
+        .spyOn(model, 'find')
+        .mockReturnValue({ select: () => ({ cursor: () => [] }) });
+    }
+    jest
+      .spyOn(Category, 'find')
+      .mockReturnValue({ select: () => ({ cursor: () => categories }) });
+  };
+
+  const buildCategory = (image) =>
+    Category.hydrate({
+      _id: '64b000000000000000000062',
+      name: 'Shirts',
+      image,
+    });
+
+  test('deletes files no document references', async () => {
+    const kept = await upload();
+    await storage.put('categories/orphan.webp', Buffer.from('orphan'));
+    useCategories([buildCategory(kept)]);
+
+    const report = await imageService.collectOrphans({
+      dryRun: false,
+      minAgeMinutes: 0,
+    });
+
+    expect(report.orphaned.map(({ key }) => key)).toEqual([
+      'categories/orphan.webp',
+    ]);
+    expect(report.deleted).toBe(1);
+    expect(await storage.get('categories/orphan.webp')).toBeNull();
+    expect(await storage.get(kept.desktop)).not.toBeNull();
+  });
+
+  test('deletes nothing while a reference is not served', async () => {
+    const stored = await upload();
+    // Saved under another public base URL the driver no longer recognises
+    useStorage(NEW_CDN);
+    useCategories([
+      buildCategory({ ...stored, desktop: `${OLD_CDN}/${stored.desktop}` }),
+    ]);
+
+    await expect(
+      imageService.collectOrphans({ dryRun: false, minAgeMinutes: 0 })
+    ).rejects.toThrow(InvalidOperationError);
+    expect(await storage.get(stored.desktop)).not.toBeNull();
+  });
+
+  test('a dry run still reports references that are not served', async () => {
+    const stored = await upload();
+    await storage.put('categories/orphan.webp', Buffer.from('orphan'));
+    useStorage(NEW_CDN);
+    useCategories([
+      buildCategory({ ...stored, desktop: `${OLD_CDN}/${stored.desktop}` }),
+    ]);
+
+    const report = await imageService.collectOrphans({ minAgeMinutes: 0 });
+
+    expect(report.dangling).toEqual([
+      expect.objectContaining({ path: 'image', reason: 'not_served' }),
+    ]);
+    expect(report.orphaned.map(({ key }) => key)).toContain(
+      'categories/orphan.webp'
+    );
+    expect(report.deleted).toBe(0);
+  });
+});
@@ -0,0 +1,298 @@
+// ==========================================
+//
+// Description: Stock reservation transitions of orders and their lines
+//
+// File: orderInventory.test.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import Order from '../models/orderModel.js';
+import OrderDetail from '../models/orderDetailModel.js';
+import Product from '../models/productModel.js';
+import OrderService from '../services/orderService.js';
+import OrderDetailService from '../services/orderDetailService.js';
+import productService from '../services/productService.js';
+import {
+  InsufficientResourceError,
+  InvalidOperationError,
+  ValidationError,
+} from '../errors/businessError.js';
+import { INVENTORY_STATUS, ORDER_STATUS } from '../config/constants.js';
+import { mockQuery, mockTransactions } from './helpers/mongooseMocks.js';
+
+const ORDER_ID = '64b000000000000000000001';
+const PRODUCT_ID = '64b000000000000000000002';
+const LINE_ID = '64b000000000000000000003';
+
+const lines = [{ product: PRODUCT_ID, variant: null, quantity: 2 }];
+
+beforeEach(() => {
+  mockTransactions();
+});
+
+describe('productService stock counters', () => {
+  test('reserveStock holds stock that is available', async () => {
+    const product = { _id: PRODUCT_ID, is_active: true, variants: [] };
+    jest.spyOn(Product, 'findById').mockReturnValue(mockQuery(product));
+    const update = jest
+      .spyOn(Product, 'findOneAndUpdate')
+      .mockReturnValue(mockQuery({ ...product, reserved: 2 }));
+
+    await productService.reserveStock(PRODUCT_ID, 2);
+
+    expect(update.mock.calls[0][1]).toEqual({ $inc: { reserved: 2 } });
+  });
+
+  test('reserveStock rejects more than the available stock', async () => {
+    const product = {
+      _id: PRODUCT_ID,
+      is_active: true,
+      variants: [],
+      available: 1,
+    };
+    jest.spyOn(Product, 'findById').mockReturnValue(mockQuery(product));
+    jest.spyOn(Product, 'findOneAndUpdate').mockReturnValue(mockQuery(null));
+
+    await expect(productService.reserveStock(PRODUCT_ID, 2)).rejects.toThrow(
+      InsufficientResourceError
+    );
+  });
+
+  test('releaseStock gives the reservation back', async () => {
+    const update = jest
+      .spyOn(Product, 'updateOne')
+      .mockReturnValue(mockQuery({ matchedCount: 1 }));
+
+    await productService.releaseStock(PRODUCT_ID, 2);
+
+    expect(update.mock.calls[0][0]).toEqual({
+      _id: PRODUCT_ID,
+      reserved: { $gte: 2 },
+    });
+  });
+
+  test('releaseStock refuses to release more than is reserved', async () => {
+    jest
+      .spyOn(Product, 'updateOne')
+      .mockReturnValue(mockQuery({ matchedCount: 0 }));
+    jest
+      .spyOn(Product, 'findById')
+      .mockReturnValue(mockQuery({ _id: PRODUCT_ID, reserved: 1 }));
+
+    await expect(productService.releaseStock(PRODUCT_ID, 2)).rejects.toThrow(
+      InsufficientResourceError
+    );
+  });
+
+  test('releaseStock ignores products removed since the reservation', async () => {
+    jest
+      .spyOn(Product, 'updateOne')
+      .mockReturnValue(mockQuery({ matchedCount: 0 }));
+    jest.spyOn(Product, 'findById').mockReturnValue(mockQuery(null));
+
+    await expect(
+      productService.releaseStock(PRODUCT_ID, 2)
+    ).resolves.toBeUndefined();
+  });
+});
+
+describe('OrderService inventory transitions', () => {
+  const mockInventory = (status, modifiedCount = 1) => {
+    jest
+      .spyOn(Order, 'findById')
+      .mockReturnValue(mockQuery({ inventory_status: status }));
+    const claim = jest
+      .spyOn(Order, 'updateOne')
+      .mockResolvedValue({ modifiedCount });
+    jest.spyOn(OrderDetail, 'find').mockReturnValue(mockQuery(lines));
+    return claim;
+  };
+
+  test('releasing a reservation gives every line back once', async () => {
+    const claim = mockInventory(INVENTORY_STATUS.RESERVED);
+    const release = jest
+      .spyOn(productService, 'releaseStock')
+      .mockResolvedValue();
+
+    await expect(OrderService.releaseInventory(ORDER_ID, null)).resolves.toBe(
+      true
+    );
+
+    expect(claim.mock.calls[0][0]).toEqual({
+      _id: ORDER_ID,
+      inventory_status: INVENTORY_STATUS.RESERVED,
+    });
+    expect(claim.mock.calls[0][1].$set.inventory_status).toBe(
+      INVENTORY_STATUS.RELEASED
+    );
+    expect(release).toHaveBeenCalledTimes(1);
+    expect(release).toHaveBeenCalledWith(PRODUCT_ID, 2, {
+      session: null,
+      variant: null,
+    });
+  });
+
+  test('releasing committed stock restores it', async () => {
+    mockInventory(INVENTORY_STATUS.COMMITTED);
+    const restore = jest
+      .spyOn(productService, 'restoreStock')
+      .mockResolvedValue();
+    const release = jest.spyOn(productService, 'releaseStock');
+
+    await OrderService.releaseInventory(ORDER_ID, null);
+
+    expect(restore).toHaveBeenCalledTimes(1);
+    expect(release).not.toHaveBeenCalled();
+  });
+
+  test('an already released reservation is not released again', async () => {
+    const claim = mockInventory(INVENTORY_STATUS.RELEASED);
+    const release = jest.spyOn(productService, 'releaseStock');
+
+    await expect(OrderService.releaseInventory(ORDER_ID, null)).resolves.toBe(
+      false
+    );
+
+    expect(claim).not.toHaveBeenCalled();
+    expect(release).not.toHaveBeenCalled();
+  });
+
+  test('a claim lost to a concurrent request touches no stock', async () => {
+    mockInventory(INVENTORY_STATUS.RESERVED, 0);
+    const release = jest.spyOn(productService, 'releaseStock');
+
+    await expect(OrderService.releaseInventory(ORDER_ID, null)).resolves.toBe(
+      false
+    );
+    expect(release).not.toHaveBeenCalled();
+  });
+
+  test('paying commits the reservation', async () => {
+    const claim = mockInventory(INVENTORY_STATUS.RESERVED);
+    const commit = jest
+      .spyOn(productService, 'commitStock')
+      .mockResolvedValue();
+
+    await expect(OrderService.commitInventory(ORDER_ID, null)).resolves.toBe(
+      true
+    );
+
+    expect(claim.mock.calls[0][1].$set.inventory_status).toBe(
+      INVENTORY_STATUS.COMMITTED
+    );
+    expect(commit).toHaveBeenCalledTimes(1);
+  });
+
+  test('a released reservation cannot be committed', async () => {
+    mockInventory(INVENTORY_STATUS.RELEASED);
+    const commit = jest.spyOn(productService, 'commitStock');
+
+    await expect(OrderService.commitInventory(ORDER_ID, null)).resolves.toBe(
+      false
+    );
+    expect(commit).not.toHaveBeenCalled();
+  });
+});
+
+describe('OrderDetailService line changes', () => {
+  const mockOrder = (order) =>
+    jest.spyOn(Order, 'findById').mockReturnValue(mockQuery(order));
+
+  const mockCatalog = () => {
+    jest
+      .spyOn(Product, 'findById')
+      .mockReturnValue(
+        mockQuery({ _id: PRODUCT_ID, current_price: 25, variants: [] })
+      );
+    jest.spyOn(OrderDetail, 'findOne').mockResolvedValue(null);
+  };
+
+  const lineData = { order: ORDER_ID, product: PRODUCT_ID, quantity: 2 };
+
+  test('lines are priced from the catalog on editable orders', async () => {
+    mockCatalog();
+    mockOrder({
+      status: ORDER_STATUS.PENDING,
+      inventory_status: INVENTORY_STATUS.NONE,
+    });
+    const create = jest
+      .spyOn(OrderDetail, 'create')
+      .mockImplementation(async ([data]) => [data]);
+    jest.spyOn(OrderDetailService, 'syncOrderTotals').mockResolvedValue();
+
+    const line = await OrderDetailService.create(lineData);
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(line.historical_price).toBe(25);
+  });
+
+  test('a price sent by the client is rejected', async () => {
+    await expect(
+      OrderDetailService.create({ ...lineData, historical_price: 0.01 })
+    ).rejects.toThrow(ValidationError);
+  });
+
+  test.each([INVENTORY_STATUS.RESERVED, INVENTORY_STATUS.COMMITTED])(
+    'lines cannot be added while stock is %s',
+    async (inventoryStatus) => {
+      mockCatalog();
+      mockOrder({
+        status: ORDER_STATUS.PENDING,
+        inventory_status: inventoryStatus,
+      });
+      const create = jest.spyOn(OrderDetail, 'create');
+
+      await expect(OrderDetailService.create(lineData)).rejects.toThrow(
+        InvalidOperationError
+      );
+      expect(create).not.toHaveBeenCalled();
+    }
+  );
+
+  test('lines of a paid order cannot be added', async () => {
+    mockCatalog();
+    mockOrder({
+      status: ORDER_STATUS.PAID,
+      inventory_status: INVENTORY_STATUS.NONE,
+    });
+
+    await expect(OrderDetailService.create(lineData)).rejects.toThrow(
+      InvalidOperationError
+    );
+  });
+
+  test('quantities of reserved lines cannot change', async () => {
+    jest
+      .spyOn(OrderDetail, 'findById')
+      .mockReturnValue(mockQuery({ _id: LINE_ID, order: ORDER_ID }));
+    mockOrder({
+      status: ORDER_STATUS.PENDING,
+      inventory_status: INVENTORY_STATUS.RESERVED,
+    });
+    const update = jest.spyOn(OrderDetail, 'findByIdAndUpdate');
+
+    await expect(OrderDetailService.updateQuantity(LINE_ID, 5)).rejects.toThrow(
+      InvalidOperationError
+    );
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test('reserved lines cannot be deleted', async () => {
+    jest
+      .spyOn(OrderDetail, 'findById')
+      .mockReturnValue(mockQuery({ _id: LINE_ID, order: ORDER_ID }));
+    mockOrder({
+      status: ORDER_STATUS.PENDING,
+      inventory_status: INVENTORY_STATUS.RESERVED,
+    });
+    const remove = jest.spyOn(OrderDetail, 'findByIdAndDelete');
+
+    await expect(OrderDetailService.delete(LINE_ID)).rejects.toThrow(
+      InvalidOperationError
+    );
+    expect(remove).not.toHaveBeenCalled();
+  });
+});
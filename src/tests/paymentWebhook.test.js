@@ -0,0 +1,295 @@
+// ==========================================
+//
+// Description: Payment settings and webhook state transitions
+//
+// File: paymentWebhook.test.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import Payment from '../models/paymentModel.js';
+import OrderService from '../services/orderService.js';
+import paymentService from '../services/paymentService.js';
+import {
+  getPaymentProvider,
+  registerPaymentProvider,
+  FakePaymentProvider,
+} from '../providers/payments/index.js';
+import { validatePaymentConfig } from '../config/paymentConfig.js';
+import {
+  InvalidOperationError,
+  NotFoundError,
+  PaymentError,
+} from '../errors/businessError.js';
+import { ORDER_STATUS, PAYMENT_STATUS } from '../config/constants.js';
+import { mockQuery, mockTransactions } from './helpers/mongooseMocks.js';
+
+const PAYMENT_ID = '64b000000000000000000011';
+const ORDER_ID = '64b000000000000000000012';
+const INTENT_ID = 'pi_fake_test';
+
+const config = {
+  provider: 'fake',
+  currency: 'usd',
+  webhookSecret: 'whsec_test',
+  environment: 'development',
+};
+
+describe('payment settings', () => {
+  test('a missing provider and secret stop the server', () => {
+    expect(() =>
+      validatePaymentConfig({ ...config, provider: null, webhookSecret: null })
+    ).toThrow(
+      'Missing payment settings: PAYMENT_PROVIDER, PAYMENT_WEBHOOK_SECRET'
+    );
+  });
+
+  test('a missing webhook secret stops the server', () => {
+    expect(() =>
+      validatePaymentConfig({ ...config, webhookSecret: null })
+    ).toThrow(
+      expect.objectContaining({ code: 'PAYMENT_PROVIDER_NOT_CONFIGURED' })
+    );
+  });
+
+  test('the fake provider is refused in production', () => {
+    expect(() =>
+      validatePaymentConfig({ ...config, environment: 'production' })
+    ).toThrow(
+      expect.objectContaining({ code: 'PAYMENT_PROVIDER_NOT_ALLOWED' })
+    );
+  });
+
+  test('the fake provider is accepted in development', () => {
+    expect(() => validatePaymentConfig(config)).not.toThrow();
+  });
+
+  test('the fake provider has no built-in webhook secret', () => {
+    expect(() => new FakePaymentProvider({})).toThrow(PaymentError);
+  });
+});
+
+describe('paymentService.handleWebhook', () => {
+  let provider;
+
+  const webhook = (event) => {
+    const body = JSON.stringify({
+      id: 'evt_1',
+      intent_id: INTENT_ID,
+      ...event,
+    });
+    return [body, { 'x-fake-signature': provider.signWebhook(body) }];
+  };
+
+  const pendingPayment = {
+    _id: PAYMENT_ID,
+    order: ORDER_ID,
+    intent_id: INTENT_ID,
+    status: PAYMENT_STATUS.PENDING,
+  };
+
+  beforeEach(() => {
+    mockTransactions();
+    registerPaymentProvider('fake', () => new FakePaymentProvider(config));
+    process.env.PAYMENT_PROVIDER = 'fake';
+    process.env.PAYMENT_WEBHOOK_SECRET = config.webhookSecret;
+    provider = getPaymentProvider();
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(pendingPayment);
+  });
+
+  test('a succeeded event marks the payment and pays the order', async () => {
+    const succeeded = { ...pendingPayment, status: PAYMENT_STATUS.SUCCEEDED };
+    const claim = jest
+      .spyOn(Payment, 'findOneAndUpdate')
+      .mockResolvedValue(succeeded);
+    const updateStatus = jest
+      .spyOn(OrderService, 'updateStatus')
+      .mockResolvedValue({});
+
+    const result = await paymentService.handleWebhook(
+      ...webhook({ type: 'payment.succeeded' })
+    );
+
+    expect(result.payment).toBe(succeeded);
+    expect(claim.mock.calls[0][0]).toEqual({
+      _id: PAYMENT_ID,
+      status: PAYMENT_STATUS.PENDING,
+    });
+    expect(updateStatus).toHaveBeenCalledTimes(1);
+    expect(updateStatus.mock.calls[0][1]).toBe(ORDER_STATUS.PAID);
+  });
+
+  test('a duplicate succeeded event does not pay the order twice', async () => {
+    const succeeded = { ...pendingPayment, status: PAYMENT_STATUS.SUCCEEDED };
+    // The first delivery already moved the payment out of pending
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Payment, 'findById').mockReturnValue(mockQuery(succeeded));
+    const updateStatus = jest.spyOn(OrderService, 'updateStatus');
+
+    const result = await paymentService.handleWebhook(
+      ...webhook({ type: 'payment.succeeded' })
+    );
+
+    expect(result.payment).toBe(succeeded);
+    expect(updateStatus).not.toHaveBeenCalled();
+  });
+
+  test('a failed event stores the failure of a pending payment', async () => {
+    const claim = jest
+      .spyOn(Payment, 'findOneAndUpdate')
+      .mockReturnValue(
+        mockQuery({ ...pendingPayment, status: PAYMENT_STATUS.FAILED })
+      );
+
+    await paymentService.handleWebhook(
+      ...webhook({
+        type: 'payment.failed',
+        data: { failure_code: 'card_declined', failure_message: 'Declined' },
+      })
+    );
+
+    expect(claim.mock.calls[0][1].$set).toEqual({
+      status: PAYMENT_STATUS.FAILED,
+      failure_code: 'card_declined',
+      failure_message: 'Declined',
+    });
+  });
+
+  test('a failed event cannot undo a succeeded payment', async () => {
+    const succeeded = { ...pendingPayment, status: PAYMENT_STATUS.SUCCEEDED };
+    jest.spyOn(Payment, 'findOneAndUpdate').mockReturnValue(mockQuery(null));
+    jest.spyOn(Payment, 'findById').mockReturnValue(mockQuery(succeeded));
+
+    const result = await paymentService.handleWebhook(
+      ...webhook({ type: 'payment.failed' })
+    );
+
+    expect(result.payment.status).toBe(PAYMENT_STATUS.SUCCEEDED);
+  });
+
+  test('an event with an invalid signature is rejected', async () => {
+    const [body] = webhook({ type: 'payment.succeeded' });
+    const claim = jest.spyOn(Payment, 'findOneAndUpdate');
+
+    await expect(
+      paymentService.handleWebhook(body, { 'x-fake-signature': 'forged' })
+    ).rejects.toThrow(
+      expect.objectContaining({ code: 'PAYMENT_INVALID_WEBHOOK_SIGNATURE' })
+    );
+    expect(Payment.findOne).not.toHaveBeenCalled();
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  test('an event signed with another secret is rejected', async () => {
+    const body = JSON.stringify({ type: 'payment.succeeded' });
+    const other = new FakePaymentProvider({ webhookSecret: 'whsec_other' });
+
+    await expect(
+      paymentService.handleWebhook(body, {
+        'x-fake-signature': other.signWebhook(body),
+      })
+    ).rejects.toThrow(PaymentError);
+  });
+
+  test('an event for an unknown intent is rejected', async () => {
+    Payment.findOne.mockResolvedValue(null);
+
+    await expect(
+      paymentService.handleWebhook(...webhook({ type: 'payment.succeeded' }))
+    ).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe('paymentService.confirm', () => {
+  let provider;
+
+  const pendingPayment = {
+    _id: PAYMENT_ID,
+    order: ORDER_ID,
+    intent_id: INTENT_ID,
+    amount: 50,
+    status: PAYMENT_STATUS.PENDING,
+    save: async () => {},
+  };
+
+  beforeEach(() => {
+    mockTransactions();
+    provider = new FakePaymentProvider(config);
+    registerPaymentProvider('fake', () => provider);
+    process.env.PAYMENT_PROVIDER = 'fake';
+    jest.spyOn(Payment, 'findById').mockReturnValue(mockQuery(pendingPayment));
+    jest.spyOn(OrderService, 'getOne').mockResolvedValue({
+      _id: ORDER_ID,
+      status: ORDER_STATUS.PENDING,
+      total_amount: 50,
+    });
+    // The reservation expired between the checks and the charge
+    jest
+      .spyOn(OrderService, 'updateStatus')
+      .mockRejectedValue(new InvalidOperationError('Order', 'Order expired'));
+  });
+
+  test('a charge for an order that can no longer be paid is refunded', async () => {
+    const claim = jest
+      .spyOn(Payment, 'findOneAndUpdate')
+      .mockReturnValueOnce(mockQuery(pendingPayment))
+      .mockReturnValueOnce(
+        mockQuery({ ...pendingPayment, status: PAYMENT_STATUS.REQUIRES_REVIEW })
+      );
+    const record = jest
+      .spyOn(Payment, 'updateOne')
+      .mockReturnValue(mockQuery({ modifiedCount: 1 }));
+    const refund = jest.spyOn(provider, 'refund');
+
+    await expect(
+      paymentService.confirm(PAYMENT_ID, 'pm_card_visa')
+    ).rejects.toThrow('Order expired');
+
+    expect(claim.mock.calls[1][1].$set.status).toBe(
+      PAYMENT_STATUS.REQUIRES_REVIEW
+    );
+    expect(refund).toHaveBeenCalledWith(INTENT_ID, 50, {
+      idempotencyKey: `unpaid_${PAYMENT_ID}`,
+    });
+    expect(record.mock.calls[0][1].$set.status).toBe(PAYMENT_STATUS.REFUNDED);
+  });
+
+  test('a charge the provider does not refund is left for review', async () => {
+    jest
+      .spyOn(Payment, 'findOneAndUpdate')
+      .mockReturnValueOnce(mockQuery(pendingPayment))
+      .mockReturnValueOnce(
+        mockQuery({ ...pendingPayment, status: PAYMENT_STATUS.REQUIRES_REVIEW })
+      );
+    jest
+      .spyOn(provider, 'refund')
+      .mockRejectedValue(new PaymentError('Provider down', 'UNAVAILABLE'));
+    const record = jest
+      .spyOn(Payment, 'updateOne')
+      .mockReturnValue(mockQuery({ modifiedCount: 1 }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(
+      paymentService.confirm(PAYMENT_ID, 'pm_card_visa')
+    ).rejects.toThrow(InvalidOperationError);
+    // Still in review, with the charge refundable by an admin
+    expect(record).toHaveBeenCalledTimes(1);
+    expect(record.mock.calls[0][1]).toEqual({ $set: { refunded_amount: 0 } });
+  });
+
+  test('a charge already settled by a webhook is not refunded again', async () => {
+    // The review claim finds the payment no longer pending
+    jest
+      .spyOn(Payment, 'findOneAndUpdate')
+      .mockReturnValueOnce(mockQuery(pendingPayment))
+      .mockReturnValueOnce(mockQuery(null));
+    const refund = jest.spyOn(provider, 'refund');
+
+    await expect(
+      paymentService.confirm(PAYMENT_ID, 'pm_card_visa')
+    ).rejects.toThrow(InvalidOperationError);
+    expect(refund).not.toHaveBeenCalled();
+  });
+});
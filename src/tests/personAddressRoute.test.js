@@ -0,0 +1,98 @@
+// ==========================================
+//
+// Description: Address book routes of a person for owners and admins
+//
+// File: personAddressRoute.test.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import personRoute from '../routes/personRoute.js';
+import AuthService from '../services/authService.js';
+import personService from '../services/personService.js';
+import { globalErrorHandler } from '../middlewares/globalErrorHandler.js';
+
+const ACCOUNT_ID = '64b000000000000000000041';
+const PERSON_ID = '64b000000000000000000042';
+const OTHER_PERSON_ID = '64b000000000000000000043';
+
+const address = {
+  label: 'Home',
+  recipient: 'Ana Torres',
+  line1: 'Av. Arequipa 123',
+  city: 'Lima',
+  postal_code: '15001',
+  country: 'PE',
+};
+
+const app = express()
+  .use(express.json())
+  .use('/api/persons', personRoute)
+  .use(globalErrorHandler);
+
+// Account as validateToken returns it: the person is populated
+const signIn = (role = 'user') =>
+  jest.spyOn(AuthService, 'validateToken').mockResolvedValue({
+    id: ACCOUNT_ID,
+    role,
+    email_verified_at: new Date(),
+    person: { _id: new mongoose.Types.ObjectId(PERSON_ID) },
+  });
+
+const get = (personId) =>
+  request(app)
+    .get(`/api/persons/${personId}/addresses`)
+    .set('Authorization', 'Bearer token');
+
+beforeEach(() => {
+  jest.spyOn(personService, 'getAddresses').mockResolvedValue([address]);
+});
+
+describe('person address book routes', () => {
+  test('a customer reads their own address book', async () => {
+    signIn();
+
+    const response = await get(PERSON_ID);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([address]);
+    expect(personService.getAddresses).toHaveBeenCalledWith(PERSON_ID);
+  });
+
+  test('a customer adds an address to their own address book', async () => {
+    signIn();
+    const add = jest
+      .spyOn(personService, 'addAddress')
+      .mockResolvedValue(address);
+
+    const response = await request(app)
+      .post(`/api/persons/${PERSON_ID}/addresses`)
+      .set('Authorization', 'Bearer token')
+      .send(address);
+
+    expect(response.status).toBe(201);
+    expect(add).toHaveBeenCalledWith(PERSON_ID, expect.any(Object));
+  });
+
+  test("a customer cannot read someone else's address book", async () => {
+    signIn();
+
+    const response = await get(OTHER_PERSON_ID);
+
+    expect(response.status).toBe(403);
+    expect(personService.getAddresses).not.toHaveBeenCalled();
+  });
+
+  test('an admin reads any address book', async () => {
+    signIn('admin');
+
+    const response = await get(OTHER_PERSON_ID);
+
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,340 @@
+// ==========================================
+//
+// Description: Return workflow transitions and refund idempotency
+//
+// File: returnRefund.test.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import Return from '../models/returnModel.js';
+import Order from '../models/orderModel.js';
+import OrderDetail from '../models/orderDetailModel.js';
+import Payment from '../models/paymentModel.js';
+import OrderService from '../services/orderService.js';
+import returnService from '../services/returnService.js';
+import paymentService from '../services/paymentService.js';
+import productService from '../services/productService.js';
+import {
+  registerPaymentProvider,
+  FakePaymentProvider,
+} from '../providers/payments/index.js';
+import { InvalidOperationError } from '../errors/businessError.js';
+import {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  RETURN_STATUS,
+} from '../config/constants.js';
+import { mockQuery, mockTransactions } from './helpers/mongooseMocks.js';
+
+const RETURN_ID = '64b000000000000000000021';
+const ORDER_ID = '64b000000000000000000022';
+const LINE_ID = '64b000000000000000000023';
+const PRODUCT_ID = '64b000000000000000000024';
+const PAYMENT_ID = '64b000000000000000000025';
+
+const provider = new FakePaymentProvider({ webhookSecret: 'whsec_test' });
+
+// Return document as findOneAndUpdate gives it back after claiming a status
+const buildReturn = (status, fields = {}) => ({
+  _id: RETURN_ID,
+  return_number: 'RMA-000001-ABC',
+  order: ORDER_ID,
+  status,
+  items: [
+    { order_detail: LINE_ID, product: PRODUCT_ID, variant: null, quantity: 1 },
+  ],
+  save: jest.fn(async function () {
+    return this;
+  }),
+  ...fields,
+});
+
+const buildPayment = (fields = {}) => ({
+  _id: PAYMENT_ID,
+  order: ORDER_ID,
+  intent_id: 'pi_fake_test',
+  status: PAYMENT_STATUS.SUCCEEDED,
+  amount: 50,
+  refunded_amount: 0,
+  refunds: [],
+  save: jest.fn(async function () {
+    return this;
+  }),
+  ...fields,
+});
+
+beforeEach(() => {
+  mockTransactions();
+  registerPaymentProvider('fake', () => provider);
+  process.env.PAYMENT_PROVIDER = 'fake';
+  process.env.PAYMENT_WEBHOOK_SECRET = 'whsec_test';
+});
+
+describe('returnService.updateStatus', () => {
+  const mockStatus = (current, claimed) => {
+    jest
+      .spyOn(Return, 'findById')
+      .mockReturnValue(mockQuery(buildReturn(current)));
+    return jest.spyOn(Return, 'findOneAndUpdate').mockResolvedValue(claimed);
+  };
+
+  test('receiving restocks the goods and computes the refund', async () => {
+    mockStatus(RETURN_STATUS.APPROVED, buildReturn(RETURN_STATUS.RECEIVED));
+    const restore = jest
+      .spyOn(productService, 'restoreStock')
+      .mockResolvedValue();
+    jest
+      .spyOn(Order, 'findById')
+      .mockReturnValue(mockQuery({ subtotal: 40, discount: 0, tax: 4 }));
+    jest
+      .spyOn(OrderDetail, 'find')
+      .mockReturnValue(mockQuery([{ _id: LINE_ID, historical_price: 20 }]));
+
+    const rma = await returnService.updateStatus(
+      RETURN_ID,
+      RETURN_STATUS.RECEIVED
+    );
+
+    expect(restore).toHaveBeenCalledWith(PRODUCT_ID, 1, {
+      session: expect.anything(),
+      variant: null,
+    });
+    expect(rma.refund_amount).toBe(22);
+    expect(rma.restocked_at).toBeInstanceOf(Date);
+  });
+
+  test('refunding refunds the payment with a key derived from the return', async () => {
+    mockStatus(
+      RETURN_STATUS.RECEIVED,
+      buildReturn(RETURN_STATUS.REFUNDED, { refund_amount: 22 })
+    );
+    jest.spyOn(Payment, 'findOne').mockReturnValue(mockQuery(buildPayment()));
+    const refund = jest.spyOn(paymentService, 'refund').mockResolvedValue({});
+
+    const rma = await returnService.updateStatus(
+      RETURN_ID,
+      RETURN_STATUS.REFUNDED
+    );
+
+    expect(refund).toHaveBeenCalledWith(PAYMENT_ID, 22, {
+      reason: 'Return RMA-000001-ABC',
+      idempotencyKey: `return_${RETURN_ID}`,
+      session: expect.anything(),
+    });
+    expect(rma.payment).toBe(PAYMENT_ID);
+    expect(rma.refunded_at).toBeInstanceOf(Date);
+  });
+
+  test('a refunded return cannot be refunded again', async () => {
+    const claim = mockStatus(RETURN_STATUS.REFUNDED, null);
+    const refund = jest.spyOn(paymentService, 'refund');
+
+    await expect(
+      returnService.updateStatus(RETURN_ID, RETURN_STATUS.REFUNDED)
+    ).rejects.toThrow(InvalidOperationError);
+    expect(claim).not.toHaveBeenCalled();
+    expect(refund).not.toHaveBeenCalled();
+  });
+
+  test('a return cannot be refunded before its goods are received', async () => {
+    const claim = mockStatus(RETURN_STATUS.APPROVED, null);
+
+    await expect(
+      returnService.updateStatus(RETURN_ID, RETURN_STATUS.REFUNDED)
+    ).rejects.toThrow("Cannot change status from 'approved' to 'refunded'");
+    expect(claim).not.toHaveBeenCalled();
+  });
+
+  test('a rejected return stays rejected', async () => {
+    mockStatus(RETURN_STATUS.REJECTED, null);
+
+    await expect(
+      returnService.updateStatus(RETURN_ID, RETURN_STATUS.APPROVED)
+    ).rejects.toThrow(InvalidOperationError);
+  });
+
+  test('a concurrent refund of the same return refunds nothing', async () => {
+    // Both requests read 'received'; the other one claimed the change first
+    mockStatus(RETURN_STATUS.RECEIVED, null);
+    const refund = jest.spyOn(paymentService, 'refund');
+
+    await expect(
+      returnService.updateStatus(RETURN_ID, RETURN_STATUS.REFUNDED)
+    ).rejects.toThrow('Return status was changed by another request');
+    expect(refund).not.toHaveBeenCalled();
+  });
+});
+
+describe('paymentService.refund', () => {
+  test('claims the amount before the provider refunds it', async () => {
+    jest.spyOn(Payment, 'findById').mockReturnValue(mockQuery(buildPayment()));
+    const update = jest
+      .spyOn(Payment, 'findOneAndUpdate')
+      .mockReturnValueOnce(mockQuery(buildPayment({ refunded_amount: 20 })))
+      .mockReturnValueOnce(mockQuery({ refunded_amount: 20 }));
+    const providerRefund = jest.spyOn(provider, 'refund');
+
+    await paymentService.refund(PAYMENT_ID, 20, {
+      idempotencyKey: `return_${RETURN_ID}`,
+    });
+
+    const [claim, record] = update.mock.calls;
+    expect(claim[0]).toMatchObject({
+      _id: PAYMENT_ID,
+      refunded_amount: { $lte: 30 },
+    });
+    expect(claim[1][0].$set.refunded_amount).toEqual({
+      $round: [{ $add: ['$refunded_amount', 20] }, 2],
+    });
+    expect(providerRefund).toHaveBeenCalledWith('pi_fake_test', 20, {
+      idempotencyKey: `return_${RETURN_ID}`,
+    });
+    expect(
+      record[1][0].$set.refunds.$concatArrays[1][0].$literal
+    ).toMatchObject({
+      amount: 20,
+      idempotency_key: `return_${RETURN_ID}`,
+    });
+  });
+
+  test('a refund losing the race to a concurrent one is not made', async () => {
+    // Both requests read nothing refunded; the other claimed 40 first
+    jest.spyOn(Payment, 'findById').mockReturnValue(mockQuery(buildPayment()));
+    jest.spyOn(Payment, 'findOneAndUpdate').mockReturnValue(mockQuery(null));
+    const providerRefund = jest.spyOn(provider, 'refund');
+
+    await expect(paymentService.refund(PAYMENT_ID, 40)).rejects.toThrow(
+      'Refund amount exceeds what is still refundable'
+    );
+    expect(providerRefund).not.toHaveBeenCalled();
+  });
+
+  test('a refund rejected by the provider gives its claim back', async () => {
+    jest.spyOn(Payment, 'findById').mockReturnValue(mockQuery(buildPayment()));
+    jest
+      .spyOn(Payment, 'findOneAndUpdate')
+      .mockReturnValue(mockQuery(buildPayment({ refunded_amount: 20 })));
+    jest
+      .spyOn(provider, 'refund')
+      .mockResolvedValue({ id: 're_fake_1', status: 'failed' });
+    const release = jest
+      .spyOn(Payment, 'updateOne')
+      .mockReturnValue(mockQuery({ modifiedCount: 1 }));
+
+    await expect(paymentService.refund(PAYMENT_ID, 20)).rejects.toThrow(
+      'Refund was rejected'
+    );
+    expect(release.mock.calls[0][1][0].$set.refunded_amount).toEqual({
+      $round: [{ $add: ['$refunded_amount', -20] }, 2],
+    });
+  });
+
+  test('a duplicate refund with the same key is not made again', async () => {
+    const payment = buildPayment({
+      status: PAYMENT_STATUS.PARTIALLY_REFUNDED,
+      refunded_amount: 20,
+      refunds: [
+        {
+          provider_refund_id: 're_fake_1',
+          amount: 20,
+          idempotency_key: `return_${RETURN_ID}`,
+        },
+      ],
+    });
+    jest.spyOn(Payment, 'findById').mockReturnValue(mockQuery(payment));
+    const providerRefund = jest.spyOn(provider, 'refund');
+
+    const result = await paymentService.refund(PAYMENT_ID, 20, {
+      idempotencyKey: `return_${RETURN_ID}`,
+    });
+
+    expect(result).toBe(payment);
+    expect(providerRefund).not.toHaveBeenCalled();
+    expect(payment.save).not.toHaveBeenCalled();
+    expect(payment.refunded_amount).toBe(20);
+  });
+
+  test('the provider gives a retried key the same refund', async () => {
+    const options = { idempotencyKey: `return_${RETURN_ID}` };
+    const first = await provider.refund('pi_fake_test', 20, options);
+    const retry = await provider.refund('pi_fake_test', 20, options);
+
+    expect(retry.id).toBe(first.id);
+  });
+
+  test('a failed payment cannot be refunded', async () => {
+    jest
+      .spyOn(Payment, 'findById')
+      .mockReturnValue(
+        mockQuery(buildPayment({ status: PAYMENT_STATUS.FAILED }))
+      );
+
+    await expect(paymentService.refund(PAYMENT_ID, 20)).rejects.toThrow(
+      InvalidOperationError
+    );
+  });
+});
+
+describe('returnService.create', () => {
+  const items = [{ order_detail: LINE_ID, quantity: 2, reason: 'damaged' }];
+
+  beforeEach(() => {
+    jest.spyOn(OrderService, 'getOne').mockResolvedValue({
+      _id: ORDER_ID,
+      status: ORDER_STATUS.DELIVERED,
+      account: { _id: '64b000000000000000000026' },
+    });
+    jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest
+      .spyOn(OrderDetail, 'find')
+      .mockReturnValue(
+        mockQuery([
+          { _id: LINE_ID, product: PRODUCT_ID, variant: null, quantity: 3 },
+        ])
+      );
+  });
+
+  test('opens a return inside a transaction', async () => {
+    jest.spyOn(Return, 'find').mockReturnValue(mockQuery([]));
+    const create = jest
+      .spyOn(Return, 'create')
+      .mockImplementation(async ([data]) => [data]);
+
+    const rma = await returnService.create(ORDER_ID, items);
+
+    expect(Order.updateOne).toHaveBeenCalledTimes(1);
+    expect(create.mock.calls[0][1]).toEqual({ session: expect.anything() });
+    expect(rma.items[0].quantity).toBe(2);
+  });
+
+  test('quantities already returned cannot be returned again', async () => {
+    jest.spyOn(Return, 'find').mockReturnValue(
+      mockQuery([
+        {
+          status: RETURN_STATUS.REQUESTED,
+          items: [{ order_detail: LINE_ID, quantity: 2 }],
+        },
+      ])
+    );
+    const create = jest.spyOn(Return, 'create');
+
+    await expect(returnService.create(ORDER_ID, items)).rejects.toThrow(
+      'Quantity exceeds what can still be returned'
+    );
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('orders that were not delivered cannot be returned', async () => {
+    OrderService.getOne.mockResolvedValue({
+      _id: ORDER_ID,
+      status: ORDER_STATUS.SHIPPED,
+    });
+
+    await expect(returnService.create(ORDER_ID, items)).rejects.toThrow(
+      'Only delivered orders can be returned'
+    );
+  });
+});
@@ -0,0 +1,141 @@
+// ==========================================
+//
+// Description: SMTP mail driver against a local scripted server
+//
+// File: smtpMailDriver.test.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { describe, test, expect, afterEach } from '@jest/globals';
+import net from 'net';
+import { SmtpMailDriver } from '../providers/mail/smtpMailDriver.js';
+
+const message = {
+  from: 'Clothing Store <no-reply@store.test>',
+  to: 'Ana <ana@example.com>',
+  subject: 'Confirm your email address',
+  text: 'Hi Ana',
+  html: '<p>Hi Ana</p>',
+};
+
+let server;
+
+/**
+ * Minimal SMTP server recording the commands it receives
+ * Recipients containing 'rejected' are refused; STARTTLS is announced but
+ * always refused when starttls is set.
+ */
+const startServer = ({ starttls = false } = {}) =>
+  new Promise((resolve) => {
+    const commands = [];
+    const data = [];
+    server = net.createServer((socket) => {
+      let buffer = '';
+      let inData = false;
+      socket.write('220 store.test ESMTP\r\n');
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString();
+        let end;
+        while ((end = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              socket.write('250 Queued\r\n');
+            } else {
+              data.push(line);
+            }
+            continue;
+          }
+          commands.push(line);
+          const verb = line.split(' ')[0].toUpperCase();
+          if (verb === 'EHLO') {
+            socket.write(
+              `250-store.test\r\n${
+                starttls ? '250-STARTTLS\r\n' : ''
+              }250 AUTH PLAIN\r\n`
+            );
+          } else if (verb === 'STARTTLS') {
+            socket.write('454 TLS not available\r\n');
+          } else if (verb === 'RCPT' && line.includes('rejected')) {
+            socket.write('550 No such user\r\n');
+          } else if (verb === 'DATA') {
+            inData = true;
+            socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+          } else if (verb === 'QUIT') {
+            socket.end('221 Bye\r\n');
+          } else {
+            socket.write('250 OK\r\n');
+          }
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () =>
+      resolve({ port: server.address().port, commands, data })
+    );
+  });
+
+const createDriver = (port, options = {}) =>
+  new SmtpMailDriver({ host: '127.0.0.1', port, timeoutMs: 2000, ...options });
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+describe('SmtpMailDriver', () => {
+  test('delivers the built message to the bare addresses', async () => {
+    const { port, commands, data } = await startServer();
+
+    const { id } = await createDriver(port).send(message);
+
+    expect(commands).toEqual(
+      expect.arrayContaining([
+        'MAIL FROM:<no-reply@store.test>',
+        'RCPT TO:<ana@example.com>',
+        'DATA',
+      ])
+    );
+    expect(data).toContain(`Message-ID: ${id}`);
+    expect(data).toContain('Subject: Confirm your email address');
+  });
+
+  test('a refused recipient is reported as rejected', async () => {
+    const { port } = await startServer();
+
+    await expect(
+      createDriver(port).send({ ...message, to: 'rejected@example.com' })
+    ).rejects.toMatchObject({ code: 'MAIL_REJECTED' });
+  });
+
+  test('credentials are never sent without TLS', async () => {
+    const { port, commands } = await startServer();
+
+    await expect(
+      createDriver(port, { user: 'store', pass: 'secret' }).send(message)
+    ).rejects.toMatchObject({ code: 'MAIL_INSECURE' });
+    expect(commands.some((line) => line.startsWith('AUTH'))).toBe(false);
+  });
+
+  test('a refused STARTTLS keeps the credentials back', async () => {
+    const { port, commands } = await startServer({ starttls: true });
+
+    await expect(
+      createDriver(port, { user: 'store', pass: 'secret' }).send(message)
+    ).rejects.toMatchObject({ code: 'MAIL_INSECURE' });
+    expect(commands).toContain('STARTTLS');
+    expect(commands.some((line) => line.startsWith('AUTH'))).toBe(false);
+  });
+
+  test('an unreachable server is reported as unreachable', async () => {
+    const { port } = await startServer();
+    await new Promise((resolve) => server.close(resolve));
+    server = net.createServer().listen(0);
+
+    await expect(createDriver(port).send(message)).rejects.toMatchObject({
+      code: 'MAIL_UNREACHABLE',
+    });
+  });
+});
@@ -0,0 +1,224 @@
+// ==========================================
+//
+// Description: Storage drivers against the memory driver and a fake S3 client
+//
+// File: storageDrivers.test.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  NoSuchKey,
+} from '@aws-sdk/client-s3';
+import {
+  MemoryStorageDriver,
+  S3StorageDriver,
+} from '../providers/storage/index.js';
+import { StorageError } from '../errors/businessError.js';
+
+const S3_CONFIG = {
+  endpoint: 'http://localhost:9000',
+  region: 'us-east-1',
+  bucket: 'store',
+  accessKeyId: 'key',
+  secretAccessKey: 'secret',
+};
+
+/**
+ * S3 client keeping the objects of one bucket in memory
+ * Lists are paged by pageSize keys; every command is recorded.
+ */
+class FakeS3Client {
+  constructor({ pageSize = 1000 } = {}) {
+    this.objects = new Map();
+    this.commands = [];
+    this.pageSize = pageSize;
+  }
+
+  async send(command) {
+    this.commands.push(command);
+    const { Key, Prefix = '', ContinuationToken } = command.input;
+
+    if (command instanceof PutObjectCommand) {
+      this.objects.set(Key, {
+        body: Buffer.from(command.input.Body),
+        lastModified: new Date(),
+      });
+      return {};
+    }
+    if (command instanceof GetObjectCommand) {
+      const object = this.objects.get(Key);
+      if (!object) {
+        throw new NoSuchKey({
+          message: 'The specified key does not exist.',
+          $metadata: { httpStatusCode: 404 },
+        });
+      }
+      return { Body: { transformToByteArray: async () => object.body } };
+    }
+    if (command instanceof DeleteObjectCommand) {
+      this.objects.delete(Key);
+      return {};
+    }
+    if (command instanceof ListObjectsV2Command) {
+      const keys = [...this.objects.keys()]
+        .filter((key) => key.startsWith(Prefix))
+        .sort();
+      const start = Number(ContinuationToken ?? 0);
+      const end = start + this.pageSize;
+      return {
+        Contents: keys.slice(start, end).map((key) => ({
+          Key: key,
+          Size: this.objects.get(key).body.length,
+          LastModified: this.objects.get(key).lastModified,
+        })),
+        IsTruncated: end < keys.length,
+        NextContinuationToken: end < keys.length ? String(end) : undefined,
+      };
+    }
+    throw new Error(`Unexpected command ${command.constructor.name}`);
+  }
+}
+
+const createS3Driver = (client = new FakeS3Client(), options = {}) =>
+  new S3StorageDriver({ ...S3_CONFIG, ...options, client });
+
+describe.each([
+  ['memory', () => new MemoryStorageDriver()],
+  ['s3', () => createS3Driver()],
+])('%s storage driver', (name, createDriver) => {
+  test('stores, lists and deletes files', async () => {
+    const storage = createDriver();
+
+    await storage.put('products/a.webp', Buffer.from('image a'));
+    await storage.put('categories/b.webp', Buffer.from('image bb'));
+
+    expect((await storage.get('products/a.webp')).toString()).toBe('image a');
+    expect(await storage.list('products/')).toEqual([
+      { key: 'products/a.webp', size: 7, lastModified: expect.any(Date) },
+    ]);
+
+    await storage.delete('products/a.webp');
+
+    expect(await storage.get('products/a.webp')).toBeNull();
+    expect(await storage.list('products/')).toEqual([]);
+  });
+
+  test('a missing file reads as null and deletes without error', async () => {
+    const storage = createDriver();
+
+    await expect(storage.get('products/missing.webp')).resolves.toBeNull();
+    await expect(
+      storage.delete('products/missing.webp')
+    ).resolves.toBeUndefined();
+  });
+
+  test('keys outside the storage are refused', async () => {
+    const storage = createDriver();
+
+    await expect(
+      storage.put('../secrets.txt', Buffer.from('x'))
+    ).rejects.toMatchObject({ code: 'STORAGE_INVALID_KEY' });
+  });
+});
+
+describe('S3StorageDriver', () => {
+  test('sends the bucket, key and content type of each upload', async () => {
+    const client = new FakeS3Client();
+
+    await createS3Driver(client).put('products/a.webp', Buffer.from('a'), {
+      contentType: 'image/webp',
+    });
+
+    expect(client.commands[0].input).toMatchObject({
+      Bucket: 'store',
+      Key: 'products/a.webp',
+      ContentType: 'image/webp',
+    });
+  });
+
+  test('lists every page of a large folder', async () => {
+    const client = new FakeS3Client({ pageSize: 2 });
+    const storage = createS3Driver(client);
+    for (const name of ['a', 'b', 'c', 'd', 'e']) {
+      await storage.put(`products/${name}.webp`, Buffer.from(name));
+    }
+
+    const files = await storage.list('products/');
+
+    expect(files.map(({ key }) => key)).toEqual([
+      'products/a.webp',
+      'products/b.webp',
+      'products/c.webp',
+      'products/d.webp',
+      'products/e.webp',
+    ]);
+    expect(
+      client.commands.filter((c) => c instanceof ListObjectsV2Command)
+    ).toHaveLength(3);
+  });
+
+  test('a refused request is reported with the operation code', async () => {
+    const client = new FakeS3Client();
+    client.send = async () => {
+      throw Object.assign(new Error('Access Denied'), {
+        name: 'AccessDenied',
+        $metadata: { httpStatusCode: 403 },
+      });
+    };
+
+    const upload = createS3Driver(client).put('products/a.webp', 'a');
+
+    await expect(upload).rejects.toThrow(StorageError);
+    await expect(upload).rejects.toMatchObject({
+      code: 'STORAGE_WRITE_FAILED',
+    });
+  });
+
+  test('a missing bucket is not mistaken for an empty folder', async () => {
+    const client = new FakeS3Client();
+    client.send = async () => {
+      throw Object.assign(new Error('The bucket does not exist'), {
+        name: 'NoSuchBucket',
+        $metadata: { httpStatusCode: 404 },
+      });
+    };
+
+    await expect(
+      createS3Driver(client).list('products/')
+    ).rejects.toMatchObject({ code: 'STORAGE_LIST_FAILED' });
+  });
+
+  test('an unreachable endpoint is reported as unreachable', async () => {
+    const client = new FakeS3Client();
+    client.send = async () => {
+      throw new Error('connect ECONNREFUSED 127.0.0.1:9000');
+    };
+
+    await expect(
+      createS3Driver(client).get('products/a.webp')
+    ).rejects.toMatchObject({ code: 'STORAGE_UNREACHABLE' });
+  });
+
+  test('builds an SDK client for the endpoint when none is given', async () => {
+    const storage = new S3StorageDriver(S3_CONFIG);
+
+    expect(storage.client).toBeInstanceOf(S3Client);
+    expect(storage.getUrl('products/a.webp')).toBe(
+      'http://localhost:9000/store/products/a.webp'
+    );
+  });
+
+  test('refuses to start without a bucket or credentials', () => {
+    expect(
+      () => new S3StorageDriver({ ...S3_CONFIG, secretAccessKey: null })
+    ).toThrow(expect.objectContaining({ code: 'STORAGE_NOT_CONFIGURED' }));
+  });
+});
@@ -5,53 +5,227 @@
 // File: imageUtils.js
 // Author: Anthony Bañon
 // Created: 2025-11-02
-// Last Updated: 2025-11-03
-// Changes: Added image processing, saving, and deletion functions
+// Last Updated: 2026-10-19
+// Changes: deleteImageFiles returns the files it could not delete
 // ==========================================
 
+import crypto from 'crypto';
 import sharp from 'sharp';
-import fs from 'fs/promises';
-import path from 'path';
+import { getStorageDriver } from '../providers/storage/index.js';
+import { getImageConfig, IMAGE_FORMATS } from '../config/imageConfig.js';
+import { IMAGE_UPLOAD } from '../config/constants.js';
+import { NotFoundError, ValidationError } from '../errors/businessError.js';
+
+// Accepted upload formats, with the encoder that rewrites them without metadata
+const UPLOAD_FORMATS = {
+  jpeg: {
+    extension: 'jpg',
+    contentType: 'image/jpeg',
+    encode: (image) => image.jpeg({ quality: 95, chromaSubsampling: '4:4:4' }),
+  },
+  png: {
+    extension: 'png',
+    contentType: 'image/png',
+    encode: (image) => image.png(),
+  },
+  webp: {
+    extension: 'webp',
+    contentType: 'image/webp',
+    encode: (image) => image.webp({ quality: 95 }),
+  },
+  avif: {
+    extension: 'avif',
+    contentType: 'image/avif',
+    encode: (image) => image.avif({ quality: 80 }),
+  },
+};
 
 /**
- * Save compressed image and return URL
+ * Get the rendition profile of an upload folder
+ * The version changes whenever the profile or the encoded formats change.
  *
- * param {Buffer} imageBuffer - Image buffer
- * param {string} folder - Destination folder (products, categories, persons)
- * param {string} prefix - Prefix for name (product, category, person)
- * returns {Promise<string>} Image URL
+ * param {string} folder - Upload folder (products, categories, persons, reviews)
+ * returns {Object} Profile {name, aspectRatio, fit, renditions, formats, version}
+ * throws {NotFoundError} If the folder has no profile
  */
-export async function saveImageAndGetUrl(imageBuffer, folder, prefix) {
-  const folderPath = `uploads/${folder}`;
-  await fs.mkdir(folderPath, { recursive: true });
+export function getImageProfile(folder) {
+  const { formats, profiles } = getImageConfig();
+  const profile = profiles[folder];
+  if (!profile) {
+    throw new NotFoundError('ImageProfile', folder);
+  }
 
-  const timestamp = Date.now();
+  const resolved = {
+    ...profile,
+    name: folder,
+    formats: formats.length ? formats : ['webp'],
+  };
+  resolved.version = crypto
+    .createHash('sha1')
+    .update(JSON.stringify(resolved))
+    .digest('hex')
+    .slice(0, 12);
+  return resolved;
+}
 
-  // Tamaños específicos para ecommerce
-  const sizes = [
-    { width: 280, height: 280, suffix: 'desktop', quality: 85 }, // desktop
-    { width: 173, height: 173, suffix: 'mobile', quality: 80 }, // mobile
-    { width: 40, height: 40, suffix: 'thumbnail', quality: 75 }, // thumbnail
-  ];
+/**
+ * Check an uploaded file is a real image and rewrite it without metadata
+ * The format comes from the file content (magic bytes), never from the client
+ * MIME type. Dimensions are read from the header before decoding, so oversized
+ * pictures (decompression bombs) are rejected without being decoded. The EXIF
+ * orientation is applied and every metadata block (EXIF, GPS, XMP, ICC) dropped.
+ *
+ * param {Buffer} buffer - Uploaded file
+ * param {string} [field] - Form field of the file (for error details)
+ * returns {Promise<Object>} Clean image {buffer, format, contentType, width, height}
+ * throws {ValidationError} If the file is not an accepted image or its size is out of range
+ */
+export async function sanitizeImage(buffer, field = 'image') {
+  const options = { limitInputPixels: IMAGE_UPLOAD.MAX_PIXELS };
 
-  const imageUrls = {};
+  let metadata;
+  try {
+    metadata = await sharp(buffer, options).metadata();
+  } catch {
+    throw new ValidationError('Image', 'File is not a supported image', {
+      field,
+      allowed: IMAGE_UPLOAD.FORMATS,
+    });
+  }
 
-  for (const size of sizes) {
-    const filename = `${prefix}-${timestamp}-${size.suffix}.webp`;
-    const filepath = path.join(folderPath, filename);
+  const format = getFormat(metadata);
+  if (!IMAGE_UPLOAD.FORMATS.includes(format)) {
+    throw new ValidationError(
+      'Image',
+      `Image format '${format}' is not allowed`,
+      {
+        field,
+        format,
+        allowed: IMAGE_UPLOAD.FORMATS,
+      }
+    );
+  }
 
-    await sharp(imageBuffer)
-      .resize(size.width, size.height, {
-        fit: 'cover', // ← 'cover' to crop and maintain proportions
-        position: 'center',
-      })
-      .webp({ quality: size.quality })
-      .toFile(filepath);
+  const { width, height } = metadata;
+  if (
+    width < IMAGE_UPLOAD.MIN_DIMENSION ||
+    height < IMAGE_UPLOAD.MIN_DIMENSION
+  ) {
+    throw new ValidationError(
+      'Image',
+      `Image must be at least ${IMAGE_UPLOAD.MIN_DIMENSION}x${IMAGE_UPLOAD.MIN_DIMENSION} pixels`,
+      { field, width, height, min: IMAGE_UPLOAD.MIN_DIMENSION }
+    );
+  }
+  if (
+    width > IMAGE_UPLOAD.MAX_DIMENSION ||
+    height > IMAGE_UPLOAD.MAX_DIMENSION ||
+    width * height > IMAGE_UPLOAD.MAX_PIXELS
+  ) {
+    throw new ValidationError(
+      'Image',
+      `Image cannot exceed ${IMAGE_UPLOAD.MAX_DIMENSION}x${IMAGE_UPLOAD.MAX_DIMENSION} pixels or ${IMAGE_UPLOAD.MAX_PIXELS} pixels in total`,
+      {
+        field,
+        width,
+        height,
+        max: IMAGE_UPLOAD.MAX_DIMENSION,
+        max_pixels: IMAGE_UPLOAD.MAX_PIXELS,
+      }
+    );
+  }
 
-    imageUrls[size.suffix] = `/uploads/${folder}/${filename}`;
+  const type = UPLOAD_FORMATS[format];
+  try {
+    // Output carries no metadata unless asked for (withMetadata)
+    const { data, info } = await type
+      .encode(sharp(buffer, { ...options, failOn: 'warning' }).rotate())
+      .toBuffer({ resolveWithObject: true });
+    return {
+      buffer: data,
+      format,
+      contentType: type.contentType,
+      width: info.width,
+      height: info.height,
+    };
+  } catch {
+    // Truncated or corrupt pixel data behind a valid header
+    throw new ValidationError('Image', 'Image could not be decoded', {
+      field,
+      format,
+    });
   }
+}
 
-  return imageUrls;
+/**
+ * Save an uploaded image and its renditions and return the image to store
+ * The original (as cleaned by sanitizeImage) is kept next to the renditions of
+ * the folder profile, so they can be regenerated when the profile changes. Files go to the
+ * configured storage driver (STORAGE_DRIVER). The image references them by
+ * storage key; documents turn keys into URLs when they are read.
+ *
+ * param {Buffer} imageBuffer - Uploaded image
+ * param {string} folder - Destination folder (products, categories, persons, reviews)
+ * param {string} prefix - Prefix for name (product, category, person)
+ * returns {Promise<Object>} Image {desktop, mobile, thumbnail, original, renditions, sources...}
+ */
+export async function saveImageAndGetUrl(imageBuffer, folder, prefix) {
+  const storage = getStorageDriver();
+  const profile = getImageProfile(folder);
+  const base = `${folder}/${prefix}-${Date.now()}`;
+
+  const metadata = await sharp(imageBuffer).metadata();
+  const { width, height, orientation } = metadata;
+  const type = UPLOAD_FORMATS[getFormat(metadata)] ?? {
+    extension: 'bin',
+    contentType: 'application/octet-stream',
+  };
+  const originalKey = `${base}-original.${type.extension}`;
+  await storage.put(originalKey, imageBuffer, {
+    contentType: type.contentType,
+  });
+
+  try {
+    const image = await renderRenditions(imageBuffer, profile, base);
+    // EXIF orientations 5 to 8 rotate the picture a quarter turn
+    const rotated = orientation >= 5;
+    return {
+      ...image,
+      original: originalKey,
+      width: rotated ? height : width,
+      height: rotated ? width : height,
+    };
+  } catch (error) {
+    await storage.delete(originalKey).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Render the renditions of a stored image again from its original
+ * Used when the folder profile changed; new files get new names so cached
+ * copies are not served. The old renditions are left for the caller to delete
+ * (deleteImageFiles with keepOriginal) once nothing points at them.
+ *
+ * param {Object} image - Stored image
+ * param {string} folder - Folder of the image (products, categories, persons, reviews)
+ * returns {Promise<Object|null>} Regenerated image, or null if its original is not available
+ */
+export async function regenerateImage(image, folder) {
+  const storage = getStorageDriver();
+  const key = image?.original ? storage.getKey(image.original) : null;
+  if (!key || !key.startsWith(`${folder}/`)) return null;
+
+  const buffer = await storage.get(key);
+  if (!buffer) return null;
+
+  const base = `${key.replace(/-original\.[A-Za-z0-9]+$/, '')}-${Date.now()}`;
+  return {
+    ...(await renderRenditions(buffer, getImageProfile(folder), base)),
+    original: key,
+    width: image.width,
+    height: image.height,
+  };
 }
 
 /**
@@ -83,31 +257,210 @@ export async function processImageUpdate(imageData, folder, prefix) {
 }
 
 /**
- * Delete image files from filesystem
+ * Get every file of a stored image, as stored (keys, or URLs of images saved
+ * before keys were kept)
  *
- * param {Object} imageUrls - Image URLs object {desktop: url, mobile: url, thumbnail: url}
- * param {string} folder - Folder where images are stored (products, categories, persons)
+ * param {Object} imageObject - Stored image {desktop, mobile, thumbnail, original, renditions}
+ * param {Object} [options]
+ * param {boolean} [options.keepOriginal] - Leave the original out
+ * returns {Array<string>} Unique keys or URLs
  */
-export async function deleteImageFiles(imageObject, folder) {
-  // Extract only the URLs from the image object
-  const imageUrls = imageObject.toObject ? imageObject.toObject() : imageObject;
+export function getImageUrls(imageObject, { keepOriginal = false } = {}) {
   // Make sure it is a valid object
-  if (!imageUrls || typeof imageUrls !== 'object') return;
+  if (!imageObject || typeof imageObject !== 'object') return [];
+  const image = imageObject.toObject ? imageObject.toObject() : imageObject;
+
+  // Images saved before renditions were recorded only have the named sizes
+  const urls = new Set([
+    image.desktop,
+    image.mobile,
+    image.thumbnail,
+    ...(image.renditions || []).map((rendition) => rendition.url),
+  ]);
+  if (!keepOriginal) urls.add(image.original);
+
+  return [...urls].filter((url) => typeof url === 'string' && url);
+}
+
+/**
+ * URL of a stored image file
+ *
+ * param {string|null} value - Storage key (or URL of an image saved before keys were kept)
+ * returns {string|null} URL built by the storage driver
+ */
+export function toImageUrl(value) {
+  return value ? getStorageDriver().resolveUrl(value) : value;
+}
+
+/**
+ * Storage key of an image file URL served by the storage driver
+ *
+ * param {string|null} value - URL or storage key
+ * returns {string|null} Storage key, or the value as is if the driver does not serve it
+ */
+export function toImageKey(value) {
+  return value ? getStorageDriver().getKey(value) ?? value : value;
+}
+
+/**
+ * Convert the files of a srcset ("file 320w, file 640w")
+ *
+ * param {string|null} srcset - srcset with width descriptors
+ * param {Function} convert - toImageUrl or toImageKey
+ * returns {string|null} srcset with the converted files
+ */
+export function mapSrcset(srcset, convert) {
+  if (!srcset) return srcset;
+  return srcset
+    .split(', ')
+    .map((candidate) => {
+      const [file, ...descriptors] = candidate.split(' ');
+      return [convert(file), ...descriptors].join(' ');
+    })
+    .join(', ');
+}
+
+/**
+ * Stored image with URLs instead of keys, for lean reads that skip the getters
+ *
+ * param {Object|null} image - Image as stored
+ * returns {Object|null} Image as documents return it
+ */
+export function resolveImage(image) {
+  if (!image) return image;
+  return {
+    ...image,
+    desktop: toImageUrl(image.desktop),
+    mobile: toImageUrl(image.mobile),
+    thumbnail: toImageUrl(image.thumbnail),
+    original: toImageUrl(image.original),
+    renditions: (image.renditions || []).map((rendition) => ({
+      ...rendition,
+      url: toImageUrl(rendition.url),
+    })),
+    sources: (image.sources || []).map((source) => ({
+      ...source,
+      srcset: mapSrcset(source.srcset, toImageUrl),
+    })),
+  };
+}
+
+/**
+ * Delete image files from the storage driver
+ * Only URLs served by the driver and stored under the folder are deleted. A
+ * failed delete does not stop the others; it is returned so the caller can
+ * report it, and files left behind are found by the orphaned upload collector.
+ *
+ * param {Object} imageObject - Stored image {desktop, mobile, thumbnail, original, renditions}
+ * param {string} folder - Folder where images are stored (products, categories, persons)
+ * param {Object} [options]
+ * param {boolean} [options.keepOriginal] - Only delete the renditions
+ * returns {Promise<Object>} Deleted keys and failures {deleted, failed: [{key, message}]}
+ */
+export async function deleteImageFiles(imageObject, folder, options = {}) {
+  const storage = getStorageDriver();
+  const result = { deleted: [], failed: [] };
+  for (const url of getImageUrls(imageObject, options)) {
+    // Resolve the storage key of the stored value
+    const key = storage.getKey(url);
+    if (!key || !key.startsWith(`${folder}/`)) continue;
+
+    try {
+      await storage.delete(key);
+      result.deleted.push(key);
+    } catch (error) {
+      result.failed.push({ key, message: error.message });
+    }
+  }
+  return result;
+}
+
+// ============ PRIVATE HELPERS ============
+
+// sharp reports AVIF as HEIF with AV1 compression
+const getFormat = ({ format, compression }) =>
+  format === 'heif' && compression === 'av1' ? 'avif' : format;
+
+// Encode and store every size and format of a profile; files already stored
+// are removed if a later one fails
+const renderRenditions = async (buffer, profile, base) => {
+  const storage = getStorageDriver();
+  // Decode once and apply the EXIF orientation (metadata is not copied)
+  const source = sharp(buffer).rotate();
+  const renditions = [];
+  const keys = [];
 
   try {
-    for (const [size, url] of Object.entries(imageUrls)) {
-      // Skip non-URL fields
-      if (size === '_id') continue;
-      // Build file path
-      if (url && typeof url === 'string' && url.startsWith('/uploads/')) {
-        const filename = path.basename(url);
-        const filepath = path.join(process.cwd(), 'uploads', folder, filename);
-        // Delete file
-        await fs.unlink(filepath);
-        console.log('✅ Deleted:', filepath);
+    for (const size of profile.renditions) {
+      const aspectRatio =
+        size.aspectRatio !== undefined ? size.aspectRatio : profile.aspectRatio;
+      const fit = size.fit || profile.fit;
+
+      for (const format of profile.formats) {
+        const key = `${base}-${size.name}.${IMAGE_FORMATS[format].extension}`;
+        const { data, info } = await source
+          .clone()
+          .resize(
+            size.width,
+            aspectRatio ? Math.round(size.width / aspectRatio) : null,
+            {
+              fit,
+              position: 'center',
+              // Pictures that are not cropped are never enlarged
+              withoutEnlargement: fit === 'inside',
+            }
+          )
+          .toFormat(format, { quality: IMAGE_FORMATS[format].quality })
+          .toBuffer({ resolveWithObject: true });
+
+        await storage.put(key, data, {
+          contentType: IMAGE_FORMATS[format].contentType,
+        });
+        keys.push(key);
+        renditions.push({
+          name: size.name,
+          format,
+          width: info.width,
+          height: info.height,
+          url: key,
+          srcset: size.srcset !== false,
+        });
       }
     }
   } catch (error) {
-    console.log(`❌ Error: ${error.message}`);
+    for (const key of keys) {
+      await storage.delete(key).catch(() => {});
+    }
+    throw error;
   }
-}
+
+  // Named sizes point at the fallback (last) format
+  const fallback = profile.formats[profile.formats.length - 1];
+  const named = {};
+  for (const rendition of renditions) {
+    if (rendition.format === fallback) named[rendition.name] = rendition.url;
+  }
+
+  const sources = profile.formats.map((format) => {
+    // One candidate per width (small pictures are not enlarged)
+    const candidates = new Map();
+    for (const rendition of renditions) {
+      if (rendition.format !== format || !rendition.srcset) continue;
+      if (!candidates.has(rendition.width)) {
+        candidates.set(rendition.width, `${rendition.url} ${rendition.width}w`);
+      }
+    }
+    return {
+      type: IMAGE_FORMATS[format].contentType,
+      srcset: [...candidates.values()].join(', '),
+    };
+  });
+
+  return {
+    ...named,
+    profile: profile.name,
+    profile_version: profile.version,
+    renditions: renditions.map(({ srcset, ...rendition }) => rendition),
+    sources,
+  };
+};
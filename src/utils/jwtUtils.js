@@ -5,9 +5,11 @@
 // File: jwtUtils.js
 // Author: Anthony Bañon
 // Created: 2025-11-04
-// Last Updated: 2025-11-04
+// Last Updated: 2026-10-19
+// Changes: Added account action tokens
 // ==========================================
 
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import authConfig from '../config/authConfig.js';
 import {
@@ -87,6 +89,63 @@ class JWTUtils {
     }
   }
 
+  /**
+   * Generate a token for one account action (verify email, reset password)
+   * Signed with a key derived for the purpose, so it is never accepted as an
+   * access or refresh token, nor for another purpose.
+   *
+   * param {string} purpose - ACCOUNT_TOKEN value
+   * param {object} payload - Payload to sign (id of the account, jti)
+   * param {string} expiresIn - Lifetime ('30m')
+   * returns {string} - Signed JWT token
+   */
+  static generateAccountToken(purpose, payload, expiresIn) {
+    const { issuer } = authConfig.jwt;
+    return jwt.sign(payload, this.getAccountTokenSecret(purpose), {
+      expiresIn,
+      issuer,
+      audience: purpose,
+      subject: payload.id?.toString(),
+    });
+  }
+
+  /**
+   * Verify an account action token
+   *
+   * param {string} token - JWT token
+   * param {string} purpose - ACCOUNT_TOKEN value the token must be for
+   * returns {object} - Decoded token payload
+   * throws {InvalidTokenError} - If token is invalid or for another purpose
+   * throws {TokenExpiredError} - If token is expired
+   */
+  static verifyAccountToken(token, purpose) {
+    try {
+      const { issuer } = authConfig.jwt;
+      return jwt.verify(token, this.getAccountTokenSecret(purpose), {
+        issuer,
+        audience: purpose,
+      });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new TokenExpiredError();
+      }
+      throw new InvalidTokenError();
+    }
+  }
+
+  /**
+   * Signing key of the account tokens of one purpose
+   *
+   * param {string} purpose - ACCOUNT_TOKEN value
+   * returns {string} - Key derived from the JWT secret
+   */
+  static getAccountTokenSecret(purpose) {
+    return crypto
+      .createHmac('sha256', authConfig.jwt.secret)
+      .update(`account-token:${purpose}`)
+      .digest('hex');
+  }
+
   /**
    * Decode JWT token
    *
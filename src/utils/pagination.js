@@ -5,26 +5,342 @@
 // File: pagination.js
 // Author: Anthony Bañon
 // Created: 2025-11-07
-// Last Updated: 2025-11-07
+// Last Updated: 2026-10-19
+// Changes: Offset pagination block shared with aggregated lists
 // ==========================================
 
+import mongoose from 'mongoose';
 import { PAGINATION } from '../config/constants.js';
+import { ValidationError } from '../errors/businessError.js';
+
+// Query parameters that drive pagination (sort and filter belong to the list query)
+export const PAGINATION_PARAMS = ['page', 'limit', 'after', 'before'];
+
+// Used when the caller does not pass a sort
+const DEFAULT_SORT = {
+  [PAGINATION.DEFAULT_SORT_BY]:
+    PAGINATION.DEFAULT_SORT_ORDER === 'desc' ? -1 : 1,
+};
 
 export const buildPagination = (filters = {}) => {
-  const {
-    page = PAGINATION.DEFAULT_PAGE,
-    limit = PAGINATION.DEFAULT_LIMIT,
-    sortBy = PAGINATION.DEFAULT_SORT_BY,
-    sortOrder = PAGINATION.DEFAULT_SORT_ORDER,
-  } = filters;
+  const { page = PAGINATION.DEFAULT_PAGE, limit = PAGINATION.DEFAULT_LIMIT } =
+    filters;
 
   const offset = (page - 1) * limit;
-  const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
   return {
     page: Number(page),
     limit: Number(limit),
     offset,
-    sort,
   };
 };
+
+/**
+ * Paginate a Mongoose query and wrap the result in the shared list envelope
+ *
+ * Offset mode is used when a page number is given (admin tables that jump to a page).
+ * Otherwise the list is walked with opaque cursors keyed on the sort fields + _id,
+ * which stays fast on big collections and does not skip or repeat rows when
+ * documents are inserted or removed between requests.
+ *
+ * The sort must come from a trusted source (buildListQuery or the service itself),
+ * never straight from the query string.
+ *
+ * param {Model} model - Mongoose model to query
+ * param {Object} query - Filter built by the calling service
+ * param {Object} [params] - page, limit, after, before
+ * param {Object} [options]
+ * param {Object} [options.sort] - Validated sort, e.g. { createdAt: -1, name: 1 }
+ * param {string|Object|Array} [options.populate] - Populate spec applied to the page
+ * returns {Promise<Object>} { items, pagination }
+ * throws {ValidationError} If the cursor is malformed, does not match the sort
+ * or is combined with a page number
+ * example
+ * // First page, then the next one using the returned cursor
+ * const first = await paginate(Product, { is_active: true }, { limit: 20 });
+ * const next = await paginate(Product, { is_active: true }, {
+ *   limit: 20,
+ *   after: first.pagination.nextCursor,
+ * });
+ */
+export const paginate = async (
+  model,
+  query = {},
+  params = {},
+  { sort = DEFAULT_SORT, populate = null } = {}
+) => {
+  const { page, after, before } = params;
+
+  if (after && before) {
+    throw new ValidationError(
+      'Pagination',
+      "Use either 'after' or 'before', not both"
+    );
+  }
+
+  if (page !== undefined && (after || before)) {
+    throw new ValidationError(
+      'Pagination',
+      "Cursors cannot be combined with 'page'"
+    );
+  }
+
+  return page !== undefined
+    ? await paginateByOffset(model, query, params, sort, populate)
+    : await paginateByCursor(model, query, params, sort, populate);
+};
+
+/**
+ * Pick the pagination parameters out of a request query
+ *
+ * param {Object} query - Express req.query
+ * returns {Object} Only the pagination keys that were sent
+ */
+export const getPaginationParams = (query = {}) =>
+  Object.fromEntries(
+    PAGINATION_PARAMS.filter((key) => query[key] !== undefined).map((key) => [
+      key,
+      query[key],
+    ])
+  );
+
+/**
+ * Pagination block of a page read by offset
+ * For lists that cannot use paginate (aggregations), so they share the envelope.
+ *
+ * param {Object} params
+ * param {number} params.page - Current page (1-based)
+ * param {number} params.limit - Page size
+ * param {number} params.totalItems - Items matching the query
+ * returns {Object} Pagination block in offset mode
+ */
+export const buildOffsetPagination = ({ page, limit, totalItems }) => {
+  const totalPages = Math.ceil(totalItems / limit);
+
+  return {
+    mode: 'offset',
+    limit,
+    totalItems,
+    totalPages,
+    currentPage: page,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+    nextCursor: null,
+    prevCursor: null,
+  };
+};
+
+/**
+ * Encode a document position as an opaque cursor
+ *
+ * param {Object} doc - Document the cursor points at
+ * param {Object} sort - Sort of the list, e.g. { createdAt: -1 }
+ * returns {string} base64url token
+ */
+export const encodeCursor = (doc, sort) => {
+  const payload = {
+    s: Object.entries(sort),
+    v: Object.keys(sort).map((field) => {
+      const value = doc.get ? doc.get(field) : doc[field];
+      return [serializeValue(value), getValueType(value)];
+    }),
+    id: String(doc._id),
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ *
+ * param {string} token - Cursor received from the client
+ * returns {Object} { sort, values, id }
+ * throws {ValidationError} If the token cannot be decoded
+ */
+export const decodeCursor = (token) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), 'base64url').toString());
+  } catch {
+    payload = null;
+  }
+
+  const isValid =
+    payload &&
+    Array.isArray(payload.s) &&
+    payload.s.length > 0 &&
+    payload.s.every(
+      (entry) =>
+        Array.isArray(entry) &&
+        typeof entry[0] === 'string' &&
+        [1, -1].includes(entry[1])
+    ) &&
+    Array.isArray(payload.v) &&
+    payload.v.length === payload.s.length &&
+    payload.v.every(Array.isArray) &&
+    mongoose.isValidObjectId(payload.id);
+
+  if (!isValid) {
+    throw new ValidationError('Pagination', 'Invalid pagination cursor');
+  }
+
+  return {
+    sort: Object.fromEntries(payload.s),
+    values: payload.v.map(([value, type]) => deserializeValue(value, type)),
+    id: new mongoose.Types.ObjectId(payload.id),
+  };
+};
+
+// ============ PRIVATE HELPERS ============
+
+const normalizeLimit = (limit) => {
+  const value = Number(limit) || PAGINATION.DEFAULT_LIMIT;
+  return Math.min(Math.max(Math.trunc(value), 1), PAGINATION.MAX_LIMIT);
+};
+
+const applyPopulate = (mongooseQuery, populate) =>
+  populate ? mongooseQuery.populate(populate) : mongooseQuery;
+
+// _id follows the last sort field so equal values keep a stable order
+const withTieBreaker = (sort, flip = 1) => {
+  const entries = Object.entries(sort).map(([field, direction]) => [
+    field,
+    direction * flip,
+  ]);
+  return Object.fromEntries([...entries, ['_id', entries.at(-1)[1]]]);
+};
+
+const paginateByOffset = async (model, query, params, sort, populate) => {
+  const { page, limit, offset } = buildPagination({
+    page: Math.max(Number(params.page) || PAGINATION.DEFAULT_PAGE, 1),
+    limit: normalizeLimit(params.limit),
+  });
+
+  const [items, totalItems] = await Promise.all([
+    applyPopulate(
+      model.find(query).sort(withTieBreaker(sort)).skip(offset).limit(limit),
+      populate
+    ).exec(),
+    model.countDocuments(query),
+  ]);
+
+  return {
+    items,
+    pagination: buildOffsetPagination({ page, limit, totalItems }),
+  };
+};
+
+const paginateByCursor = async (model, query, params, sort, populate) => {
+  const limit = normalizeLimit(params.limit);
+  const token = params.after || params.before;
+  const cursor = token ? decodeCursor(token) : null;
+
+  if (cursor && !isSameSort(cursor.sort, sort)) {
+    throw new ValidationError(
+      'Pagination',
+      'Cursor does not match the requested sort'
+    );
+  }
+
+  // Walking backwards reads the list in reverse and flips the page afterwards
+  const backwards = Boolean(params.before);
+  const readSort = withTieBreaker(sort, backwards ? -1 : 1);
+
+  const filter = cursor
+    ? { $and: [query, buildCursorFilter(cursor, readSort)] }
+    : query;
+
+  // One extra row tells whether another page exists in the reading direction
+  const [rows, totalItems] = await Promise.all([
+    applyPopulate(
+      model
+        .find(filter)
+        .sort(readSort)
+        .limit(limit + 1),
+      populate
+    ).exec(),
+    model.countDocuments(query),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (backwards) items.reverse();
+
+  const hasNextPage = (backwards ? true : hasMore) && items.length > 0;
+  const hasPrevPage =
+    (backwards ? hasMore : Boolean(cursor)) && items.length > 0;
+
+  return {
+    items,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      totalItems,
+      totalPages: null,
+      currentPage: null,
+      hasNextPage,
+      hasPrevPage,
+      nextCursor: hasNextPage ? encodeCursor(items.at(-1), sort) : null,
+      prevCursor: hasPrevPage ? encodeCursor(items[0], sort) : null,
+    },
+  };
+};
+
+const isSameSort = (a, b) =>
+  JSON.stringify(Object.entries(a)) === JSON.stringify(Object.entries(b));
+
+/**
+ * Rows strictly past the cursor in the reading order (keyset condition):
+ * (f1 > v1) OR (f1 = v1 AND f2 > v2) OR ... OR (all equal AND _id > id)
+ */
+const buildCursorFilter = ({ values, id }, readSort) => {
+  const keys = Object.entries(readSort);
+  const position = [...values, id];
+
+  return {
+    $or: keys.map(([field, direction], index) => {
+      const clause = {};
+      keys.slice(0, index).forEach(([previous], i) => {
+        clause[previous] = position[i];
+      });
+      clause[field] = { [direction === 1 ? '$gt' : '$lt']: position[index] };
+      return clause;
+    }),
+  };
+};
+
+const getValueType = (value) => {
+  if (value instanceof Date) return 'date';
+  if (value instanceof mongoose.Types.ObjectId) return 'objectId';
+  return typeof value;
+};
+
+const serializeValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  return value ?? null;
+};
+
+const deserializeValue = (value, type) => {
+  if (type === 'date') {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new ValidationError('Pagination', 'Invalid pagination cursor');
+    }
+    return date;
+  }
+
+  if (type === 'objectId') {
+    if (!mongoose.isValidObjectId(value)) {
+      throw new ValidationError('Pagination', 'Invalid pagination cursor');
+    }
+    return new mongoose.Types.ObjectId(value);
+  }
+
+  // Only scalar values can come out of a cursor
+  if (value !== null && typeof value === 'object') {
+    throw new ValidationError('Pagination', 'Invalid pagination cursor');
+  }
+
+  return value;
+};
@@ -5,23 +5,255 @@
 // File: queryBuilder.js
 // Author: Anthony Bañon
 // Created: 2025-11-07
-// Last Updated: 2025-11-07
+// Last Updated: 2026-10-19
+// Changes: Replaced free-form filters with a whitelisted filter/sort language
 // ==========================================
 
-export const buildQuery = (filters = {}, defaultQuery = {}) => {
-  const query = { ...defaultQuery };
-  const { name, is_active, minPrice, maxPrice, category } = filters;
+import mongoose from 'mongoose';
+import { PAGINATION, LIST_QUERY } from '../config/constants.js';
+import { ValidationError } from '../errors/businessError.js';
+import { decodeCursor, PAGINATION_PARAMS } from './pagination.js';
 
-  if (name) query.name = { $regex: name, $options: 'i' };
-  if (is_active !== undefined) query.is_active = is_active;
+// Operator accepted in the query string -> MongoDB operator
+const OPERATORS = {
+  eq: '$eq',
+  in: '$in',
+  gte: '$gte',
+  lte: '$lte',
+  exists: '$exists',
+  regex: '$regex',
+};
+
+/**
+ * Build a MongoDB filter and sort from a list query string
+ *
+ * Each resource declares which fields can be filtered (with their type and the
+ * operators allowed on them) and which fields can be sorted. Anything outside
+ * that declaration is rejected instead of being ignored or passed to MongoDB.
+ *
+ * Filters: filter[field]=value (eq), filter[field][operator]=value
+ * Sort:    sort=-createdAt,name (a leading '-' sorts descending)
+ *
+ * param {Object} query - Express req.query (extended parser)
+ * param {Object} definition - Resource declaration
+ * param {string} definition.entity - Entity name used in error messages
+ * param {Object} definition.filterable - field -> { type, operators }
+ * param {Array<string>} definition.sortable - Fields allowed in sort
+ * param {string} [definition.defaultSort] - Sort used when none is requested
+ * returns {Object} { filter, sort }
+ * throws {ValidationError} On unknown parameters, fields, operators or bad values
+ * example
+ * const { filter, sort } = buildListQuery(
+ *   { filter: { price: { gte: '10' } }, sort: '-createdAt,name' },
+ *   PRODUCT_LIST_QUERY
+ * );
+ * // filter -> { price: { $gte: 10 } }
+ * // sort   -> { createdAt: -1, name: 1 }
+ */
+export const buildListQuery = (query = {}, definition) => {
+  const { entity } = definition;
+
+  const unknown = Object.keys(query).filter(
+    (key) => !['filter', 'sort', ...PAGINATION_PARAMS].includes(key)
+  );
+  if (unknown.length) {
+    throw new ValidationError(
+      entity,
+      `Unknown query parameter(s): ${unknown.join(', ')}`,
+      { allowed: ['filter', 'sort', ...PAGINATION_PARAMS] }
+    );
+  }
+
+  return {
+    filter: buildFilter(query.filter, definition),
+    sort: buildSort(resolveSortParam(query), definition),
+  };
+};
 
-  if (minPrice || maxPrice) {
-    query.price = {};
-    if (minPrice) query.price.$gte = Number(minPrice);
-    if (maxPrice) query.price.$lte = Number(maxPrice);
+// ============ PRIVATE HELPERS ============
+
+const buildFilter = (filters, { entity, filterable }) => {
+  if (filters === undefined) return {};
+
+  if (!isPlainObject(filters)) {
+    throw new ValidationError(
+      entity,
+      'Filters must use the filter[field][operator]=value form'
+    );
   }
 
-  if (category) query.category = category;
+  const filter = {};
+
+  for (const [field, value] of Object.entries(filters)) {
+    const declaration = filterable[field];
+    if (!declaration) {
+      throw new ValidationError(entity, `Unknown filter field '${field}'`, {
+        allowed: Object.keys(filterable),
+      });
+    }
+
+    // filter[field]=value is shorthand for eq, repeated values for in
+    const conditions = isPlainObject(value)
+      ? value
+      : { [Array.isArray(value) ? 'in' : 'eq']: value };
+
+    if (!Object.keys(conditions).length) {
+      throw new ValidationError(entity, `Missing operator for '${field}'`);
+    }
+
+    filter[field] = {};
+    for (const [operator, raw] of Object.entries(conditions)) {
+      if (!OPERATORS[operator]) {
+        throw new ValidationError(entity, `Unknown operator '${operator}'`, {
+          allowed: Object.keys(OPERATORS),
+        });
+      }
+      if (!declaration.operators.includes(operator)) {
+        throw new ValidationError(
+          entity,
+          `Operator '${operator}' is not allowed on '${field}'`,
+          { allowed: declaration.operators }
+        );
+      }
 
-  return query;
+      Object.assign(
+        filter[field],
+        buildCondition(operator, raw, field, declaration.type, entity)
+      );
+    }
+  }
+
+  return filter;
 };
+
+const buildCondition = (operator, raw, field, type, entity) => {
+  if (isPlainObject(raw)) {
+    throw new ValidationError(entity, `Invalid value for '${field}'`);
+  }
+
+  if (operator === 'in') {
+    const values = (Array.isArray(raw) ? raw : String(raw).split(','))
+      .map((value) => String(value).trim())
+      .filter(Boolean);
+
+    if (!values.length || values.length > LIST_QUERY.MAX_IN_VALUES) {
+      throw new ValidationError(
+        entity,
+        `'${field}' in expects 1 to ${LIST_QUERY.MAX_IN_VALUES} values`
+      );
+    }
+    return {
+      $in: values.map((value) => castValue(value, type, field, entity)),
+    };
+  }
+
+  if (Array.isArray(raw)) {
+    throw new ValidationError(
+      entity,
+      `Operator '${operator}' on '${field}' expects a single value`
+    );
+  }
+
+  if (operator === 'exists') {
+    return { $exists: castValue(raw, 'boolean', field, entity) };
+  }
+
+  if (operator === 'regex') {
+    // Input is matched literally (escaped) so clients cannot send costly patterns
+    const text = String(raw);
+    if (!text || text.length > LIST_QUERY.MAX_REGEX_LENGTH) {
+      throw new ValidationError(
+        entity,
+        `'${field}' regex must be 1 to ${LIST_QUERY.MAX_REGEX_LENGTH} characters`
+      );
+    }
+    return {
+      $regex: text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+      $options: 'i',
+    };
+  }
+
+  return { [OPERATORS[operator]]: castValue(raw, type, field, entity) };
+};
+
+const castValue = (raw, type, field, entity) => {
+  const value = String(raw).trim();
+  const invalid = () =>
+    new ValidationError(entity, `Invalid ${type} value for '${field}'`, {
+      value,
+    });
+
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || !Number.isFinite(number)) throw invalid();
+      return number;
+    }
+    case 'boolean':
+      if (!['true', 'false'].includes(value)) throw invalid();
+      return value === 'true';
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) throw invalid();
+      return date;
+    }
+    case 'objectId':
+      if (!mongoose.isValidObjectId(value)) throw invalid();
+      return new mongoose.Types.ObjectId(value);
+    default:
+      return value;
+  }
+};
+
+/**
+ * The sort sent by the client, else the one a cursor was created with
+ * (cursor links can be followed without repeating the sort), else the default
+ */
+const resolveSortParam = (query) => {
+  if (query.sort !== undefined) {
+    return Array.isArray(query.sort) ? query.sort.join(',') : query.sort;
+  }
+
+  const token = query.after || query.before;
+  if (token && typeof token === 'string') {
+    return Object.entries(decodeCursor(token).sort)
+      .map(([field, direction]) => (direction === -1 ? `-${field}` : field))
+      .join(',');
+  }
+
+  return null;
+};
+
+const buildSort = (sortParam, { entity, sortable, defaultSort }) => {
+  const value =
+    sortParam ??
+    defaultSort ??
+    `${PAGINATION.DEFAULT_SORT_ORDER === 'desc' ? '-' : ''}${
+      PAGINATION.DEFAULT_SORT_BY
+    }`;
+
+  if (typeof value !== 'string') {
+    throw new ValidationError(entity, 'Sort must be a comma separated list');
+  }
+
+  const sort = {};
+  for (const token of value.split(',').map((part) => part.trim())) {
+    const field = token.replace(/^[-+]/, '');
+
+    if (!sortable.includes(field)) {
+      throw new ValidationError(entity, `Cannot sort by '${field}'`, {
+        allowed: sortable,
+      });
+    }
+    if (sort[field] !== undefined) {
+      throw new ValidationError(entity, `Duplicate sort field '${field}'`);
+    }
+
+    sort[field] = token.startsWith('-') ? -1 : 1;
+  }
+
+  return sort;
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
@@ -0,0 +1,117 @@
+// ==========================================
+//
+// Description: Slug helpers for URL friendly names
+//
+// File: slugUtils.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { NotFoundError, ValidationError } from '../errors/businessError.js';
+
+/**
+ * Turn a display name into a URL friendly slug
+ * Accents are removed and anything that is not a letter or digit becomes a dash.
+ *
+ * param {string} text - Name to convert
+ * returns {string} Lowercase slug (may be empty if the text has no letters or digits)
+ * example
+ * slugify('Camisetas & Polos Ñandú'); // 'camisetas-polos-nandu'
+ */
+export function slugify(text = '') {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Generate a slug from a name that no other document uses, now or in its history
+ * Taken slugs get a numeric suffix: t-shirt, t-shirt-2, t-shirt-3...
+ *
+ * param {Model} model - Mongoose model with slug and slug_history fields
+ * param {string} name - Name the slug is derived from
+ * param {Object} [options]
+ * param {string} [options.excludeId] - Document being renamed (may reclaim its own old slugs)
+ * returns {Promise<string>} Unique slug
+ * throws {ValidationError} If the name has no letters or digits
+ */
+export async function generateUniqueSlug(
+  model,
+  name,
+  { excludeId = null } = {}
+) {
+  const base = slugify(name);
+  if (!base) {
+    throw new ValidationError(
+      model.modelName,
+      'Name must contain letters or digits'
+    );
+  }
+
+  // Slugs only contain [a-z0-9-], so the base is safe inside the pattern
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+  const taken = await model
+    .find({
+      $or: [{ slug: pattern }, { slug_history: pattern }],
+      ...(excludeId && { _id: { $ne: excludeId } }),
+    })
+    .select('slug slug_history')
+    .lean()
+    .exec();
+
+  const used = new Set(
+    taken.flatMap((doc) => [doc.slug, ...(doc.slug_history ?? [])])
+  );
+
+  let slug = base;
+  for (let suffix = 2; used.has(slug); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+}
+
+/**
+ * Work out the new slug of a renamed document, keeping the old one as a redirect
+ *
+ * param {Model} model - Mongoose model with slug and slug_history fields
+ * param {Object} doc - Current document (needs _id, slug and slug_history)
+ * param {string} name - New name
+ * returns {Promise<Object|null>} { slug, slug_history } or null if the slug does not change
+ */
+export async function buildSlugChange(model, doc, name) {
+  const slug = await generateUniqueSlug(model, name, { excludeId: doc._id });
+  if (slug === doc.slug) return null;
+
+  // Renaming back reclaims an old slug, which then stops being a redirect
+  const history = (doc.slug_history ?? []).filter((old) => old !== slug);
+  if (doc.slug) history.push(doc.slug);
+
+  return { slug, slug_history: history };
+}
+
+/**
+ * Find a document by its current slug or by one of its previous slugs
+ *
+ * param {Model} model - Mongoose model with slug and slug_history fields
+ * param {string} slug - Slug from the URL
+ * param {Object} [query] - Extra conditions (e.g. { is_active: true })
+ * returns {Promise<Object>} { document, moved } - moved is true for an old slug
+ * throws {NotFoundError} If no document uses or used the slug
+ */
+export async function findBySlug(model, slug, query = {}) {
+  const current = await model.findOne({ ...query, slug }).exec();
+  if (current) {
+    return { document: current, moved: false };
+  }
+
+  const renamed = await model.findOne({ ...query, slug_history: slug }).exec();
+  if (renamed) {
+    return { document: renamed, moved: true };
+  }
+
+  throw new NotFoundError(model.modelName, slug);
+}
@@ -0,0 +1,46 @@
+// ==========================================
+//
+// Description: MongoDB transaction helper
+//
+// File: transaction.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import mongoose from 'mongoose';
+
+/**
+ * Run a unit of work inside a MongoDB transaction
+ * The transaction is committed if the callback resolves and aborted if it throws.
+ * Transient errors are retried by the driver, so the callback must be idempotent.
+ *
+ * If a session is given, the work joins that transaction instead of starting a new one.
+ *
+ * param {Function} work - Async callback receiving the ClientSession
+ * param {Object} [options]
+ * param {ClientSession} [options.session] - Session of an already running transaction
+ * returns {Promise<any>} Value returned by the callback
+ * example
+ * const order = await runInTransaction(async (session) => {
+ *   await Product.updateOne({ _id }, { $inc: { stock: -1 } }, { session });
+ *   return await Order.create([data], { session });
+ * });
+ */
+export async function runInTransaction(work, { session: current = null } = {}) {
+  if (current) {
+    return await work(current);
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
@@ -9,6 +9,11 @@ export const loginValidation = [
     .toLowerCase(),
 
   body('password').notEmpty().withMessage('Password is required'),
+
+  body('cartToken')
+    .optional()
+    .isHexadecimal()
+    .withMessage('Invalid cart token format'),
 ];
 
 export const changePasswordValidation = [
@@ -43,3 +48,37 @@ export const refreshTokenValidation = [
 export const validateTokenValidation = [
   body('token').notEmpty().withMessage('Token is required'),
 ];
+
+export const verifyEmailValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Token is required')
+    .isJWT()
+    .withMessage('Invalid token format'),
+];
+
+export const forgotPasswordValidation = [
+  body('email')
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Invalid email format')
+    .trim()
+    .toLowerCase(),
+];
+
+export const resetPasswordValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Token is required')
+    .isJWT()
+    .withMessage('Invalid token format'),
+
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+    .isLength({ max: 255 })
+    .withMessage('Password cannot exceed 255 characters'),
+];
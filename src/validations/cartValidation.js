@@ -0,0 +1,49 @@
+// ==========================================
+//
+// Description: Cart validations
+//
+// File: cartValidation.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// Changes: Added product variants
+// ==========================================
+
+import { body, param, query } from 'express-validator';
+
+// Common validation chains (REUSABLE)
+const productIdParamValidation = () =>
+  param('productId').isMongoId().withMessage('Invalid product ID');
+
+const variantQueryValidation = () =>
+  query('variant').optional().isMongoId().withMessage('Invalid variant ID');
+
+// Main validation exports
+export const addCartItemValidation = [
+  body('product').isMongoId().withMessage('Valid product ID is required'),
+  body('variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid variant ID is required'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 999 })
+    .withMessage('Quantity must be between 1 and 999')
+    .toInt(),
+];
+
+export const updateCartItemValidation = [
+  productIdParamValidation(),
+  variantQueryValidation(),
+  body('quantity')
+    .notEmpty()
+    .withMessage('Quantity is required')
+    .isInt({ min: 0, max: 999 })
+    .withMessage('Quantity must be between 0 and 999')
+    .toInt(),
+];
+
+export const cartItemValidation = [
+  productIdParamValidation(),
+  variantQueryValidation(),
+];
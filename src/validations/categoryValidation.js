@@ -5,10 +5,11 @@
 // File: categoryValidation.js
 // Author: Anthony Bañon
 // Created: 2025-11-03
-// Last Updated: 2025-11-03
+// Last Updated: 2026-10-19
+// Changes: Added slugs with redirect history
 // ==========================================
 
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
 
 // Regular expressions (SINGLE SOURCE - moved from model)
 const NAME_REGEX = /^[A-Za-zÁÉÍÓÚáéíóúÑñ0-9 .,'\-]{2,150}$/;
@@ -31,6 +32,13 @@ const descriptionValidation = () =>
     .withMessage('Description must be 2-2000 characters')
     .trim();
 
+// Empty or null parent makes it a root category
+const parentValidation = () =>
+  body('parent')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid parent category ID');
+
 const isActiveValidation = () =>
   body('is_active')
     .optional()
@@ -66,6 +74,7 @@ const requiredIsActiveValidation = () =>
 export const createCategoryValidation = [
   nameValidation(),
   descriptionValidation(),
+  parentValidation(),
   isActiveValidation(),
 ];
 
@@ -73,6 +82,7 @@ export const updateCategoryValidation = [
   param('id').isMongoId().withMessage('Invalid category ID'),
   nameValidation(),
   requiredDescriptionValidation(),
+  parentValidation(),
   requiredIsActiveValidation(),
 ];
 
@@ -80,6 +90,7 @@ export const updatePartialCategoryValidation = [
   param('id').isMongoId().withMessage('Invalid category ID'),
   optionalNameValidation(),
   descriptionValidation(),
+  parentValidation(),
   isActiveValidation(),
   body().custom((value, { req }) => {
     if (Object.keys(req.body).length === 0 && !req.file) {
@@ -100,4 +111,19 @@ export const updateCategoryStatusValidation = [
     .withMessage('is_active field is required')
     .isBoolean()
     .withMessage('is_active must be true or false'),
+  body('cascade')
+    .optional()
+    .isBoolean()
+    .withMessage('cascade must be true or false')
+    .toBoolean(),
+];
+
+export const categoryTreeValidation = [
+  query('root').optional().isMongoId().withMessage('Invalid root category ID'),
+];
+
+export const categorySlugValidation = [
+  param('slug')
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Invalid category slug'),
 ];
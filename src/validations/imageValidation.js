@@ -0,0 +1,35 @@
+// ==========================================
+//
+// Description: Image profile validation rules
+//
+// File: imageValidation.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { body, param } from 'express-validator';
+import { getImageConfig } from '../config/imageConfig.js';
+
+// Common validation chains (REUSABLE)
+const profileParamValidation = () =>
+  param('profile')
+    .isIn(Object.keys(getImageConfig().profiles))
+    .withMessage(
+      `Profile must be one of: ${Object.keys(getImageConfig().profiles).join(
+        ', '
+      )}`
+    );
+
+const forceValidation = () =>
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('force must be true or false')
+    .toBoolean();
+
+// Main validation exports
+export const regenerateImagesValidation = [
+  profileParamValidation(),
+  forceValidation(),
+];
@@ -5,8 +5,8 @@
 // File: orderDetailValidator.js
 // Author: Anthony Bañon
 // Created: 2025-10-21
-// Last Updated: 2025-10-29
-// Changes: Added comprehensive validations and reusable chains
+// Last Updated: 2026-10-19
+// Changes: Prices set by the server, line changes limited to admins on pending orders
 // ==========================================
 
 import { body, param } from 'express-validator';
@@ -19,12 +19,9 @@ const quantityValidation = () =>
     .isInt({ max: 999 })
     .withMessage('Quantity cannot exceed 999');
 
-const historicalPriceValidation = () =>
-  body('historical_price')
-    .isFloat({ min: 0.01 })
-    .withMessage('Historical price must be greater than 0')
-    .isFloat({ max: 999999.99 })
-    .withMessage('Historical price cannot exceed 999999.99');
+// Prices are taken from the catalog by the server
+const historicalPriceValidation = (field = 'historical_price') =>
+  body(field).not().exists().withMessage('Prices are set by the server');
 
 const orderValidation = () =>
   body('order').isMongoId().withMessage('Valid order ID is required');
@@ -32,6 +29,12 @@ const orderValidation = () =>
 const productValidation = () =>
   body('product').isMongoId().withMessage('Valid product ID is required');
 
+const variantValidation = () =>
+  body('variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid variant ID is required');
+
 // Optional versions for partial updates
 const optionalQuantityValidation = () =>
   body('quantity')
@@ -41,14 +44,6 @@ const optionalQuantityValidation = () =>
     .isInt({ max: 999 })
     .withMessage('Quantity cannot exceed 999');
 
-const optionalHistoricalPriceValidation = () =>
-  body('historical_price')
-    .optional()
-    .isFloat({ min: 0.01 })
-    .withMessage('Historical price must be greater than 0')
-    .isFloat({ max: 999999.99 })
-    .withMessage('Historical price cannot exceed 999999.99');
-
 const optionalOrderValidation = () =>
   body('order')
     .optional()
@@ -67,6 +62,7 @@ export const createOrderDetailValidation = [
   historicalPriceValidation(),
   orderValidation(),
   productValidation(),
+  variantValidation(),
 ];
 
 export const updateOrderDetailValidation = [
@@ -75,14 +71,16 @@ export const updateOrderDetailValidation = [
   historicalPriceValidation(),
   orderValidation(),
   productValidation(),
+  variantValidation(),
 ];
 
 export const updatePartialOrderDetailValidation = [
   param('id').isMongoId().withMessage('Invalid order detail ID'),
   optionalQuantityValidation(),
-  optionalHistoricalPriceValidation(),
+  historicalPriceValidation(),
   optionalOrderValidation(),
   optionalProductValidation(),
+  variantValidation(),
   body().custom((value, { req }) => {
     if (Object.keys(req.body).length === 0) {
       throw new Error('At least one field must be provided for update');
@@ -107,17 +105,18 @@ export const bulkOrderDetailValidation = [
     .isInt({ max: 999 })
     .withMessage('Each item quantity cannot exceed 999'),
 
-  body('*.historical_price')
-    .isFloat({ min: 0.01 })
-    .withMessage('Each item must have price greater than 0')
-    .isFloat({ max: 999999.99 })
-    .withMessage('Each item price cannot exceed 999999.99'),
+  historicalPriceValidation('*.historical_price'),
 
   body('*.order').isMongoId().withMessage('Each item must have valid order ID'),
 
   body('*.product')
     .isMongoId()
     .withMessage('Each item must have valid product ID'),
+
+  body('*.variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Each item variant must be a valid variant ID'),
 ];
 
 // Special validation for order details by order
@@ -142,12 +141,7 @@ export const bulkOrderDetailUpdateValidation = [
     .isInt({ max: 999 })
     .withMessage('Quantity cannot exceed 999'),
 
-  body('*.historical_price')
-    .optional()
-    .isFloat({ min: 0.01 })
-    .withMessage('Historical price must be greater than 0')
-    .isFloat({ max: 999999.99 })
-    .withMessage('Historical price cannot exceed 999999.99'),
+  historicalPriceValidation('*.historical_price'),
 
   body().custom((value, { req }) => {
     // Validate that at least one field is provided in each update
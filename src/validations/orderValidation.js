@@ -6,17 +6,18 @@
 // File: orderValidator.js
 // Author: Anthony Bañon
 // Created: 2025-10-21
-// Last Updated: 2025-10-29
-// Changes: Added comprehensive validations and reusable chains
+// Last Updated: 2026-10-19
+// Changes: Added coupon redemption at checkout
 // ==========================================
 
 import { body, param } from 'express-validator';
+import { ORDER_STATUS } from '../config/constants.js';
 
 // Regular expressions (SINGLE SOURCE - moved from model)
 const ORDER_NUMBER_REGEX = /^[A-Z0-9-_]{4,20}$/;
 
-// Status values (SINGLE SOURCE)
-const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'cancelled', 'delivered'];
+// Status values (SINGLE SOURCE - config/constants.js)
+const ORDER_STATUSES = Object.values(ORDER_STATUS);
 
 // Common validation chains (REUSABLE)
 const orderNumberValidation = () =>
@@ -105,6 +106,66 @@ export const updatePartialOrderValidation = [
   }),
 ];
 
+export const checkoutValidation = [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Each item must have valid product ID'),
+
+  body('items.*.variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Each item variant must be a valid variant ID'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Each item must have quantity at least 1')
+    .isInt({ max: 999 })
+    .withMessage('Each item quantity cannot exceed 999')
+    .toInt(),
+
+  body('shipping_address')
+    .optional()
+    .isMongoId()
+    .withMessage('Shipping address must be a valid address ID'),
+
+  body('shipping_method')
+    .optional()
+    .isMongoId()
+    .withMessage('Shipping method must be a valid shipping method ID'),
+
+  body('coupon')
+    .optional()
+    .isString()
+    .withMessage('Coupon must be a string')
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Coupon must be 3-30 characters')
+    .trim()
+    .toUpperCase(),
+];
+
+export const updateShipmentValidation = [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  body('carrier')
+    .optional()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Carrier must be 2-100 characters')
+    .trim(),
+  body('tracking_number')
+    .notEmpty()
+    .withMessage('Tracking number is required')
+    .isLength({ max: 100 })
+    .withMessage('Tracking number cannot exceed 100 characters')
+    .trim(),
+  body('tracking_url')
+    .optional()
+    .isURL()
+    .withMessage('Tracking URL must be a valid URL'),
+];
+
 export const orderIdValidation = [
   param('id').isMongoId().withMessage('Invalid order ID'),
 ];
@@ -116,6 +177,11 @@ export const updateOrderStatusValidation = [
     .withMessage('Status field is required')
     .isIn(ORDER_STATUSES)
     .withMessage(`Status must be one of: ${ORDER_STATUSES.join(', ')}`),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+    .trim(),
 ];
 
 // Special validation for order date range filtering
@@ -0,0 +1,42 @@
+// ==========================================
+//
+// Description: Pagination query validation rules
+//
+// File: paginationValidation.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { query } from 'express-validator';
+import { PAGINATION } from '../config/constants.js';
+
+// Shared by every list endpoint: offset (page) or cursor (after/before) mode
+export const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: PAGINATION.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${PAGINATION.MAX_LIMIT}`),
+  query('after')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid pagination cursor'),
+  query('before')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid pagination cursor'),
+  query().custom((value, { req }) => {
+    const { page, after, before } = req.query;
+    if (after && before) {
+      throw new Error("Use either 'after' or 'before', not both");
+    }
+    if (page !== undefined && (after || before)) {
+      throw new Error("Cursors cannot be combined with 'page'");
+    }
+    return true;
+  }),
+];
@@ -0,0 +1,52 @@
+// ==========================================
+//
+// Description: Payment validation rules
+//
+// File: paymentValidation.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { body, param } from 'express-validator';
+
+// Common validation chains (REUSABLE)
+const paymentIdParamValidation = () =>
+  param('id').isMongoId().withMessage('Invalid payment ID');
+
+// Main validation exports
+export const createPaymentIntentValidation = [
+  body('order').isMongoId().withMessage('Valid order ID is required'),
+];
+
+export const confirmPaymentValidation = [
+  paymentIdParamValidation(),
+  body('payment_method')
+    .notEmpty()
+    .withMessage('Payment method is required')
+    .isString()
+    .withMessage('Payment method must be a string')
+    .isLength({ max: 100 })
+    .withMessage('Payment method cannot exceed 100 characters')
+    .trim(),
+];
+
+export const refundPaymentValidation = [
+  paymentIdParamValidation(),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0')
+    .toFloat(),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+    .trim(),
+];
+
+export const paymentIdValidation = [paymentIdParamValidation()];
+
+export const orderPaymentsValidation = [
+  param('orderId').isMongoId().withMessage('Invalid order ID'),
+];
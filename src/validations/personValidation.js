@@ -6,8 +6,8 @@
 // File: personValidators.js
 // Author: Anthony Bañon
 // Created: 2025-10-21
-// Last Updated: 2025-11-03
-// Changes: Delete image processing validations
+// Last Updated: 2026-10-19
+// Changes: Added address book validations
 // ==========================================
 
 import { body, param } from 'express-validator';
@@ -104,6 +104,63 @@ const optionalEmailValidation = () =>
     .toLowerCase()
     .trim();
 
+// Address book chains (required on create, optional on update)
+const addressTextValidation = (field, label, max, required) => {
+  const chain = body(field);
+  return (
+    required
+      ? chain.notEmpty().withMessage(`${label} is required`)
+      : chain.optional()
+  )
+    .isLength({ max })
+    .withMessage(`${label} cannot exceed ${max} characters`)
+    .trim();
+};
+
+const addressValidation = (required) => [
+  body('label')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Label cannot exceed 50 characters')
+    .trim(),
+  addressTextValidation('recipient', 'Recipient', 100, required),
+  addressTextValidation('line1', 'Address line 1', 200, required),
+  body('line2')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Address line 2 cannot exceed 200 characters')
+    .trim(),
+  addressTextValidation('city', 'City', 100, required),
+  body('state')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('State cannot exceed 100 characters')
+    .trim(),
+  addressTextValidation('postal_code', 'Postal code', 20, required),
+  (required ? body('country') : body('country').optional())
+    .isISO31661Alpha2()
+    .withMessage('Country must be an ISO 3166-1 alpha-2 code')
+    .toUpperCase(),
+  body('phone')
+    .optional()
+    .isLength({ max: 30 })
+    .withMessage('Phone cannot exceed 30 characters')
+    .trim(),
+  body('is_default_shipping')
+    .optional()
+    .isBoolean()
+    .withMessage('is_default_shipping must be true or false')
+    .toBoolean(),
+  body('is_default_billing')
+    .optional()
+    .isBoolean()
+    .withMessage('is_default_billing must be true or false')
+    .toBoolean(),
+];
+
+const addressIdValidation = () =>
+  param('addressId').isMongoId().withMessage('Invalid address ID');
+
 // Main validation exports
 export const createPersonValidation = [
   firstNameValidation(),
@@ -149,3 +206,25 @@ export const updatePersonStatusValidation = [
     .isBoolean()
     .withMessage('is_active must be true or false'),
 ];
+
+export const createAddressValidation = [
+  param('id').isMongoId().withMessage('Invalid person ID'),
+  ...addressValidation(true),
+];
+
+export const updateAddressValidation = [
+  param('id').isMongoId().withMessage('Invalid person ID'),
+  addressIdValidation(),
+  ...addressValidation(false),
+  body().custom((value, { req }) => {
+    if (Object.keys(req.body).length === 0) {
+      throw new Error('At least one field must be provided for update');
+    }
+    return true;
+  }),
+];
+
+export const addressIdParamsValidation = [
+  param('id').isMongoId().withMessage('Invalid person ID'),
+  addressIdValidation(),
+];
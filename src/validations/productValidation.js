@@ -5,11 +5,17 @@
 // File: productValidation.js
 // Author: Anthony Bañon
 // Created: 2025-11-02
-// Last Updated: 2025-11-03
-// Changes: Delete image processing validations
+// Last Updated: 2026-10-19
+// Changes: Added multi-image product galleries
 // ==========================================
 
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
+import {
+  SEARCH,
+  SEARCH_SORT,
+  PAGINATION,
+  PRODUCT_GALLERY,
+} from '../config/constants.js';
 
 // Regular expressions (SINGLE SOURCE - moved from model)
 const SKU_REGEX = /^[A-Z0-9-]{3,20}$/;
@@ -54,6 +60,32 @@ const stockValidation = () =>
     .isInt({ min: 0 })
     .withMessage('Stock must be a non-negative integer');
 
+const weightValidation = () =>
+  body('weight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Weight must be a non-negative number (kg)');
+
+// Sale and reference prices (null clears them)
+const salePricingValidation = () => [
+  body('compare_at_price')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0.01 })
+    .withMessage('Compare-at price must be greater than 0'),
+  body('sale_price')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0.01 })
+    .withMessage('Sale price must be greater than 0'),
+  body('sale_starts_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Sale start must be a valid ISO 8601 date'),
+  body('sale_ends_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Sale end must be a valid ISO 8601 date'),
+];
+
 const isActiveValidation = () =>
   body('is_active')
     .optional()
@@ -102,6 +134,8 @@ export const createProductValidation = [
   descriptionValidation(),
   priceValidation(),
   stockValidation(),
+  weightValidation(),
+  ...salePricingValidation(),
   isActiveValidation(),
   categoryValidation(),
 ];
@@ -115,6 +149,8 @@ export const updateProductValidation = [
   descriptionValidation(),
   priceValidation(),
   stockValidation(),
+  weightValidation(),
+  ...salePricingValidation(),
   isActiveValidation(),
   categoryValidation(),
 ];
@@ -128,6 +164,8 @@ export const updatePartialProductValidation = [
   descriptionValidation(), // Already optional
   optionalPriceValidation(),
   stockValidation(), // Already optional via .optional() in the chain
+  weightValidation(), // Already optional
+  ...salePricingValidation(), // Already optional
   isActiveValidation(), // Already optional
   optionalCategoryValidation(),
 
@@ -147,8 +185,129 @@ export const productIdValidation = [
 export const stockUpdateValidation = [
   param('id').isMongoId().withMessage('Invalid product ID'),
   body('quantity').isInt().withMessage('Quantity must be an integer'),
+  body('variant').optional().isMongoId().withMessage('Invalid variant ID'),
+];
+
+// Variant validations (multipart: numbers arrive as strings)
+const variantOptionValidation = (field) =>
+  body(field)
+    .optional()
+    .isLength({ min: 1, max: 50 })
+    .withMessage(`${field} must be 1-50 characters`)
+    .trim();
+
+const variantParamsValidation = () => [
+  param('id').isMongoId().withMessage('Invalid product ID'),
+  param('variantId').isMongoId().withMessage('Invalid variant ID'),
+];
+
+export const createVariantValidation = [
+  param('id').isMongoId().withMessage('Invalid product ID'),
+  skuValidation(),
+  variantOptionValidation('size'),
+  variantOptionValidation('color'),
+  variantOptionValidation('material'),
+  optionalPriceValidation().toFloat(),
+  body('stock')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Stock must be a non-negative integer')
+    .toInt(),
+];
+
+export const updateVariantValidation = [
+  ...variantParamsValidation(),
+  optionalSkuValidation(),
+  variantOptionValidation('size'),
+  variantOptionValidation('color'),
+  variantOptionValidation('material'),
+  optionalPriceValidation().toFloat(),
+  body().custom((value, { req }) => {
+    if (Object.keys(req.body).length === 0 && !req.file) {
+      throw new Error('At least one field must be provided for update');
+    }
+    return true;
+  }),
+];
+
+export const variantIdValidation = variantParamsValidation();
+
+// Gallery validations (uploads are multipart, the rest JSON)
+const galleryParamsValidation = () => [
+  param('id').isMongoId().withMessage('Invalid product ID'),
+  param('imageId').isMongoId().withMessage('Invalid image ID'),
+];
+
+const altValidation = () =>
+  body('alt')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: PRODUCT_GALLERY.MAX_ALT_LENGTH })
+    .withMessage(
+      `Alt text cannot exceed ${PRODUCT_GALLERY.MAX_ALT_LENGTH} characters`
+    )
+    .trim();
+
+const imageLinkValidation = () => [
+  body('variant')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+  body('color')
+    .optional({ values: 'null' })
+    .isLength({ min: 1, max: 50 })
+    .withMessage('color must be 1-50 characters')
+    .trim(),
+];
+
+export const addProductImagesValidation = [
+  param('id').isMongoId().withMessage('Invalid product ID'),
+  // One alt per picture (repeated field) or a single one for all
+  body('alt')
+    .optional()
+    .custom((value, { req }) => {
+      const alts = Array.isArray(value) ? value : [value];
+      if (Array.isArray(value) && value.length !== (req.files || []).length) {
+        throw new Error('Send one alt text per image or a single one');
+      }
+      if (
+        alts.some(
+          (alt) =>
+            typeof alt !== 'string' ||
+            alt.length > PRODUCT_GALLERY.MAX_ALT_LENGTH
+        )
+      ) {
+        throw new Error(
+          `Alt text cannot exceed ${PRODUCT_GALLERY.MAX_ALT_LENGTH} characters`
+        );
+      }
+      return true;
+    }),
+  ...imageLinkValidation(),
+];
+
+export const updateProductImageValidation = [
+  ...galleryParamsValidation(),
+  altValidation(),
+  ...imageLinkValidation(),
+  body().custom((value, { req }) => {
+    if (!['alt', 'variant', 'color'].some((field) => field in req.body)) {
+      throw new Error('At least one field must be provided for update');
+    }
+    return true;
+  }),
 ];
 
+export const reorderProductImagesValidation = [
+  param('id').isMongoId().withMessage('Invalid product ID'),
+  body('order')
+    .isArray({ min: 1, max: PRODUCT_GALLERY.MAX_IMAGES })
+    .withMessage('Order must be a non-empty array of image IDs'),
+  body('order.*').isMongoId().withMessage('Invalid image ID'),
+];
+
+export const galleryImageIdValidation = galleryParamsValidation();
+
 export const bulkProductUpdateValidation = [
   body().isArray().withMessage('Request body must be an array'),
   body('*.sku').optional().isLength({ min: 3, max: 20 }).trim().toUpperCase(),
@@ -164,3 +323,70 @@ export const updateProductStatusValidation = [
     .isBoolean()
     .withMessage('is_active must be true or false'),
 ];
+
+// Comma separated list (?size=S,M) or repeated parameter (?size=S&size=M)
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+export const productsByCategoryValidation = [
+  param('categoryId').isMongoId().withMessage('Invalid category ID'),
+  query('includeDescendants')
+    .optional()
+    .isBoolean()
+    .withMessage('includeDescendants must be true or false')
+    .toBoolean(),
+];
+
+export const searchProductsValidation = [
+  query('q')
+    .optional()
+    .isString()
+    .withMessage('Search query must be a string')
+    .trim()
+    .isLength({ min: 1, max: SEARCH.MAX_QUERY_LENGTH })
+    .withMessage(
+      `Search query must be 1-${SEARCH.MAX_QUERY_LENGTH} characters`
+    ),
+  query('category').optional().isMongoId().withMessage('Invalid category ID'),
+  query('minPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum price must be a non-negative number')
+    .toFloat(),
+  query('maxPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum price must be a non-negative number')
+    .toFloat(),
+  query('size').optional().customSanitizer(toList),
+  query('color').optional().customSanitizer(toList),
+  query('in_stock')
+    .optional()
+    .isBoolean()
+    .withMessage('in_stock must be true or false')
+    .toBoolean(),
+  query('sort')
+    .optional()
+    .isIn(Object.values(SEARCH_SORT))
+    .withMessage(
+      `Sort must be one of: ${Object.values(SEARCH_SORT).join(', ')}`
+    ),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: PAGINATION.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${PAGINATION.MAX_LIMIT}`)
+    .toInt(),
+];
+
+export const productSlugValidation = [
+  param('slug')
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Invalid product slug'),
+];
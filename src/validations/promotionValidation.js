@@ -0,0 +1,160 @@
+// ==========================================
+//
+// Description: Promotion (coupon) validation rules
+//
+// File: promotionValidation.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { body, param, query } from 'express-validator';
+import { DISCOUNT_TYPE, PROMOTION_SCOPE } from '../config/constants.js';
+
+// Regular expressions
+const CODE_REGEX = /^[A-Z0-9_-]{3,30}$/;
+
+// Common validation chains (REUSABLE)
+const promotionIdValidation = () =>
+  param('id').isMongoId().withMessage('Invalid promotion ID');
+
+const codeValidation = () =>
+  body('code')
+    .isString()
+    .withMessage('Code must be a string')
+    .trim()
+    .toUpperCase()
+    .matches(CODE_REGEX)
+    .withMessage(
+      'Code must be 3-30 characters (letters, numbers, dashes or underscores)'
+    );
+
+const nameValidation = () =>
+  body('name')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be 2-100 characters')
+    .trim();
+
+const discountTypeValidation = () =>
+  body('discount_type')
+    .isIn(Object.values(DISCOUNT_TYPE))
+    .withMessage(
+      `Discount type must be one of: ${Object.values(DISCOUNT_TYPE).join(', ')}`
+    );
+
+const valueValidation = () =>
+  body('value')
+    .isFloat({ min: 0.01 })
+    .withMessage('Value must be greater than 0')
+    .toFloat();
+
+const sharedValidation = () => [
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+    .trim(),
+  body('scope')
+    .optional()
+    .isIn(Object.values(PROMOTION_SCOPE))
+    .withMessage(
+      `Scope must be one of: ${Object.values(PROMOTION_SCOPE).join(', ')}`
+    ),
+  body('products')
+    .optional()
+    .isArray()
+    .withMessage('Products must be an array'),
+  body('products.*').isMongoId().withMessage('Invalid product ID'),
+  body('categories')
+    .optional()
+    .isArray()
+    .withMessage('Categories must be an array'),
+  body('categories.*').isMongoId().withMessage('Invalid category ID'),
+  body('min_order_value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum order value must be a non-negative number')
+    .toFloat(),
+  body('max_uses')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Max uses must be a positive integer')
+    .toInt(),
+  body('max_uses_per_account')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Max uses per account must be a positive integer')
+    .toInt(),
+  body('starts_at')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date')
+    .toDate(),
+  body('ends_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date')
+    .toDate(),
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active status must be true or false')
+    .toBoolean(),
+];
+
+// Main validation exports
+export const createPromotionValidation = [
+  codeValidation(),
+  nameValidation(),
+  discountTypeValidation(),
+  valueValidation(),
+  ...sharedValidation(),
+];
+
+export const updatePromotionValidation = [
+  promotionIdValidation(),
+  codeValidation().optional(),
+  nameValidation().optional(),
+  discountTypeValidation().optional(),
+  valueValidation().optional(),
+  ...sharedValidation(),
+  body().custom((value, { req }) => {
+    if (Object.keys(req.body).length === 0) {
+      throw new Error('At least one field must be provided for update');
+    }
+    return true;
+  }),
+];
+
+export const promotionIdParamValidation = [promotionIdValidation()];
+
+export const getPromotionsValidation = [
+  query('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false'),
+];
+
+export const validateCodeValidation = [
+  body('code')
+    .notEmpty()
+    .withMessage('Code is required')
+    .isString()
+    .withMessage('Code must be a string')
+    .trim()
+    .toUpperCase(),
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Each item must have valid product ID'),
+  body('items.*.variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Each item variant must be a valid variant ID'),
+  body('items.*.quantity')
+    .isInt({ min: 1, max: 999 })
+    .withMessage('Each item quantity must be between 1 and 999')
+    .toInt(),
+];
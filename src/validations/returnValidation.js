@@ -0,0 +1,79 @@
+// ==========================================
+//
+// Description: Return (RMA) validation rules
+//
+// File: returnValidation.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { body, param, query } from 'express-validator';
+import { RETURN_STATUS, RETURN_REASON } from '../config/constants.js';
+
+// Common validation chains (REUSABLE)
+const returnIdParamValidation = () =>
+  param('id').isMongoId().withMessage('Invalid return ID');
+
+const orderIdParamValidation = () =>
+  param('id').isMongoId().withMessage('Invalid order ID');
+
+// Main validation exports
+export const createReturnValidation = [
+  orderIdParamValidation(),
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  body('items.*.order_detail')
+    .isMongoId()
+    .withMessage('Valid order detail ID is required'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
+  body('items.*.reason')
+    .isIn(Object.values(RETURN_REASON))
+    .withMessage(
+      `Reason must be one of: ${Object.values(RETURN_REASON).join(', ')}`
+    ),
+  body('items.*.note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+    .trim(),
+];
+
+export const orderReturnsValidation = [orderIdParamValidation()];
+
+export const returnIdValidation = [returnIdParamValidation()];
+
+export const getReturnsValidation = [
+  query('status')
+    .optional()
+    .isIn(Object.values(RETURN_STATUS))
+    .withMessage(
+      `Status must be one of: ${Object.values(RETURN_STATUS).join(', ')}`
+    ),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+export const updateReturnStatusValidation = [
+  returnIdParamValidation(),
+  body('status')
+    .isIn(Object.values(RETURN_STATUS))
+    .withMessage(
+      `Status must be one of: ${Object.values(RETURN_STATUS).join(', ')}`
+    ),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+    .trim(),
+];
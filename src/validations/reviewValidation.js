@@ -0,0 +1,78 @@
+// ==========================================
+//
+// Description: Review validation rules
+//
+// File: reviewValidation.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { body, param } from 'express-validator';
+import { REVIEW, REVIEW_STATUS } from '../config/constants.js';
+
+// Common validation chains (REUSABLE)
+const reviewIdParamValidation = () =>
+  param('id').isMongoId().withMessage('Invalid review ID');
+
+const productIdParamValidation = () =>
+  param('id').isMongoId().withMessage('Invalid product ID');
+
+const ratingValidation = () =>
+  body('rating')
+    .isInt({ min: REVIEW.MIN_RATING, max: REVIEW.MAX_RATING })
+    .withMessage(
+      `Rating must be between ${REVIEW.MIN_RATING} and ${REVIEW.MAX_RATING}`
+    )
+    .toInt();
+
+const titleValidation = () =>
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Title is required')
+    .isLength({ max: REVIEW.MAX_TITLE_LENGTH })
+    .withMessage(`Title cannot exceed ${REVIEW.MAX_TITLE_LENGTH} characters`);
+
+const bodyValidation = () =>
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('Review text is required')
+    .isLength({ max: REVIEW.MAX_BODY_LENGTH })
+    .withMessage(
+      `Review text cannot exceed ${REVIEW.MAX_BODY_LENGTH} characters`
+    );
+
+// Main validation exports
+export const productReviewsValidation = [productIdParamValidation()];
+
+export const createReviewValidation = [
+  productIdParamValidation(),
+  ratingValidation(),
+  titleValidation(),
+  bodyValidation(),
+];
+
+export const updateReviewValidation = [
+  reviewIdParamValidation(),
+  ratingValidation().optional(),
+  titleValidation().optional(),
+  bodyValidation().optional(),
+];
+
+export const reviewIdValidation = [reviewIdParamValidation()];
+
+export const moderateReviewValidation = [
+  reviewIdParamValidation(),
+  body('status')
+    .isIn([REVIEW_STATUS.APPROVED, REVIEW_STATUS.REJECTED])
+    .withMessage(
+      `Status must be one of: ${REVIEW_STATUS.APPROVED}, ${REVIEW_STATUS.REJECTED}`
+    ),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+    .trim(),
+];
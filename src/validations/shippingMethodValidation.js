@@ -0,0 +1,83 @@
+// ==========================================
+//
+// Description: Shipping method validation rules
+//
+// File: shippingMethodValidation.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { body, param } from 'express-validator';
+import { SHIPPING_RATE_TYPE } from '../config/constants.js';
+
+// Common validation chains (REUSABLE)
+const shippingMethodIdValidation = () =>
+  param('id').isMongoId().withMessage('Invalid shipping method ID');
+
+const nameValidation = () =>
+  body('name')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be 2-100 characters')
+    .trim();
+
+const etaValidation = (field) =>
+  body(field)
+    .isInt({ min: 0, max: 365 })
+    .withMessage(`${field} must be an integer between 0 and 365`)
+    .toInt();
+
+const sharedValidation = () => [
+  body('carrier')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Carrier cannot exceed 100 characters')
+    .trim(),
+  body('rate_type')
+    .optional()
+    .isIn(Object.values(SHIPPING_RATE_TYPE))
+    .withMessage(
+      `Rate type must be one of: ${Object.values(SHIPPING_RATE_TYPE).join(
+        ', '
+      )}`
+    ),
+  body('base_rate')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Base rate must be a non-negative number')
+    .toFloat(),
+  body('rate_per_kg')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Rate per kg must be a non-negative number')
+    .toFloat(),
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active status must be true or false')
+    .toBoolean(),
+];
+
+// Main validation exports
+export const createShippingMethodValidation = [
+  nameValidation(),
+  etaValidation('eta_min_days'),
+  etaValidation('eta_max_days'),
+  ...sharedValidation(),
+];
+
+export const updateShippingMethodValidation = [
+  shippingMethodIdValidation(),
+  nameValidation().optional(),
+  etaValidation('eta_min_days').optional(),
+  etaValidation('eta_max_days').optional(),
+  ...sharedValidation(),
+  body().custom((value, { req }) => {
+    if (Object.keys(req.body).length === 0) {
+      throw new Error('At least one field must be provided for update');
+    }
+    return true;
+  }),
+];
+
+export const shippingMethodIdParamValidation = [shippingMethodIdValidation()];
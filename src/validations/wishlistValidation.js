@@ -0,0 +1,43 @@
+// ==========================================
+//
+// Description: Wishlist validations
+//
+// File: wishlistValidation.js
+// Author: Anthony Bañon
+// Created: 2026-10-19
+// Last Updated: 2026-10-19
+// ==========================================
+
+import { body, param, query } from 'express-validator';
+import { LIMIT } from '../config/constants.js';
+
+// Common validation chains (REUSABLE)
+const productIdParamValidation = () =>
+  param('productId').isMongoId().withMessage('Invalid product ID');
+
+// Main validation exports
+export const addWishlistItemValidation = [
+  body('product').isMongoId().withMessage('Valid product ID is required'),
+  body('variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid variant ID is required'),
+];
+
+export const wishlistItemValidation = [
+  productIdParamValidation(),
+  query('variant').optional().isMongoId().withMessage('Invalid variant ID'),
+];
+
+export const moveWishlistItemValidation = [
+  productIdParamValidation(),
+  body('variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid variant ID is required'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: LIMIT.CART_ITEM_QUANTITY })
+    .withMessage(`Quantity must be between 1 and ${LIMIT.CART_ITEM_QUANTITY}`)
+    .toInt(),
+];